@@ -1,7 +1,7 @@
 const { Admin, sequelize } = require('./models'); // make sure `sequelize` is exported from your models
 const bcrypt = require('bcrypt');
 
-const createAdminUser = async (username, password) => {
+const createAdminUser = async (username, password, email) => {
   try {
     // Check if admin already exists
     const existingAdmin = await Admin.findOne({ where: { username } });
@@ -17,6 +17,7 @@ const createAdminUser = async (username, password) => {
     // Create new admin user with hashed password
     await Admin.create({
       username,
+      email,
       password: hashedPassword,
     });
 
@@ -34,5 +35,6 @@ const createAdminUser = async (username, password) => {
 // Example usage:
 const username = 'pown';  // change to desired username
 const password = '1234';   // change to desired password
+const email = 'admin@korelium.org'; // receives password reset links
 
-createAdminUser(username, password);
+createAdminUser(username, password, email);
@@ -0,0 +1,39 @@
+require('dotenv').config();
+
+const DEV_FALLBACK_SECRET = 'korelium';
+
+// Never sign production tokens with a secret that is published in the repo
+if (!process.env.JWT_SECRET) {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set in production');
+  }
+  console.warn('JWT_SECRET is not set; using an insecure development secret.');
+}
+
+module.exports = {
+  JWT_SECRET: process.env.JWT_SECRET || DEV_FALLBACK_SECRET,
+  // Access tokens are short-lived; clients renew them with a refresh token
+  ACCESS_TOKEN_TTL: process.env.ACCESS_TOKEN_TTL || '15m',
+  REFRESH_TOKEN_TTL_DAYS: Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 7,
+  // Learner sessions are long-lived and have no refresh token
+  LEARNER_TOKEN_TTL: process.env.LEARNER_TOKEN_TTL || '7d',
+  EMAIL_VERIFICATION_TTL_HOURS: Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48,
+
+  PASSWORD_MIN_LENGTH: 8,
+  PASSWORD_RESET_TTL_MINUTES: Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+
+  // Login brute-force protection
+  LOGIN_MAX_ATTEMPTS: Number(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+  LOGIN_IP_MAX_ATTEMPTS: Number(process.env.LOGIN_IP_MAX_ATTEMPTS) || 20,
+  LOGIN_LOCKOUT_MINUTES: Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+  // Failures older than this no longer count towards a lockout
+  LOGIN_ATTEMPT_WINDOW_MINUTES: Number(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15,
+  // Delay after the n-th failure is base * 2^(n-1), capped at max
+  LOGIN_BASE_DELAY_MS: Number(process.env.LOGIN_BASE_DELAY_MS) || 1000,
+  LOGIN_MAX_DELAY_MS: Number(process.env.LOGIN_MAX_DELAY_MS) || 30000,
+
+  // Two-factor authentication
+  TOTP_ISSUER: process.env.TOTP_ISSUER || 'Korelium',
+  // How long a password-verified login may wait for its second factor
+  TWO_FACTOR_CHALLENGE_TTL: process.env.TWO_FACTOR_CHALLENGE_TTL || '5m',
+};
@@ -0,0 +1,17 @@
+require('dotenv').config();
+const crypto = require('crypto');
+const { JWT_SECRET } = require('./auth');
+
+// Without CLICK_HASH_SECRET a key is derived from JWT_SECRET, so the token
+// signing key itself is never used for anything else
+const deriveClickKey = () =>
+  Buffer.from(crypto.hkdfSync('sha256', JWT_SECRET, Buffer.alloc(0), 'korelium click ip hash', 32));
+
+module.exports = {
+  // Key for hashing the addresses of outbound link clicks. Changing it (or
+  // JWT_SECRET while it is derived) means visitors from before and after the
+  // change are no longer matched up.
+  CLICK_HASH_SECRET: process.env.CLICK_HASH_SECRET || deriveClickKey(),
+  // Longest period the click report covers in one request
+  CLICK_REPORT_MAX_DAYS: Number(process.env.CLICK_REPORT_MAX_DAYS) || 731,
+};
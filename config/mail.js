@@ -0,0 +1,25 @@
+require('dotenv').config();
+
+// The console transport prints reset and verification links to the log, so
+// production has to choose a transport explicitly
+if (!process.env.MAIL_TRANSPORT && process.env.NODE_ENV === 'production') {
+  throw new Error('MAIL_TRANSPORT must be set in production');
+}
+
+module.exports = {
+  // 'smtp' for real delivery, 'file' or 'console' for local development/tests
+  transport: process.env.MAIL_TRANSPORT || 'console',
+  from: process.env.MAIL_FROM || 'Korelium <no-reply@korelium.org>',
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined,
+  },
+  // Where the file transport writes messages
+  fileDir: process.env.MAIL_FILE_DIR || 'tmp/mail',
+  // Base URL of the front-end, used to build links in emails
+  frontendUrl: process.env.FRONTEND_URL || 'http://127.0.0.1:5500',
+};
@@ -0,0 +1,70 @@
+// Role -> permission mapping used by the permission middleware.
+// The role is embedded in the JWT at login; permissions are resolved here
+// so changing a role's permissions does not require reissuing tokens.
+
+const PERMISSIONS = {
+  COURSES_READ: 'courses:read',
+  COURSES_CREATE: 'courses:create',
+  COURSES_UPDATE: 'courses:update',
+  COURSES_DELETE: 'courses:delete',
+  // Publish, archive and schedule courses (editors can only draft / submit for review)
+  COURSES_PUBLISH: 'courses:publish',
+  CATEGORIES_MANAGE: 'categories:manage',
+  INSTRUCTORS_MANAGE: 'instructors:manage',
+  // Rename, merge and delete tags (adding tags to a course only needs courses:update)
+  TAGS_MANAGE: 'tags:manage',
+  // Create, edit and delete learning paths
+  PATHS_MANAGE: 'paths:manage',
+  // Approve, hide and flag learner reviews
+  REVIEWS_MODERATE: 'reviews:moderate',
+  // Outbound link click reports
+  ANALYTICS_READ: 'analytics:read',
+  ADMINS_READ: 'admins:read',
+  ADMINS_CREATE: 'admins:create',
+  ADMINS_UPDATE: 'admins:update',
+  ADMINS_DELETE: 'admins:delete',
+  AUDIT_READ: 'audit:read',
+};
+
+const ROLE_PERMISSIONS = {
+  // Full access, including managing other admin accounts
+  superadmin: Object.values(PERMISSIONS),
+  // Can manage course content but not admin accounts
+  editor: [
+    PERMISSIONS.COURSES_READ,
+    PERMISSIONS.COURSES_CREATE,
+    PERMISSIONS.COURSES_UPDATE,
+    PERMISSIONS.COURSES_DELETE,
+    PERMISSIONS.CATEGORIES_MANAGE,
+    PERMISSIONS.INSTRUCTORS_MANAGE,
+    PERMISSIONS.TAGS_MANAGE,
+    PERMISSIONS.PATHS_MANAGE,
+    PERMISSIONS.REVIEWS_MODERATE,
+    PERMISSIONS.ANALYTICS_READ,
+  ],
+  // Read-only access to the admin course listing
+  viewer: [
+    PERMISSIONS.COURSES_READ,
+  ],
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Accounts in the Admins table are the site owners and always have full access
+const SITE_ADMIN_ROLE = 'superadmin';
+
+const isValidRole = (role) => ROLES.includes(role);
+
+const getPermissionsForRole = (role) => ROLE_PERMISSIONS[role] || [];
+
+const hasPermission = (role, permission) => getPermissionsForRole(role).includes(permission);
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES,
+  SITE_ADMIN_ROLE,
+  isValidRole,
+  getPermissionsForRole,
+  hasPermission,
+};
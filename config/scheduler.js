@@ -0,0 +1,12 @@
+require('dotenv').config();
+
+module.exports = {
+  // How often the in-process scheduler looks for due publish/unpublish times
+  courseSchedulerIntervalMs: Number(process.env.COURSE_SCHEDULER_INTERVAL_MS) || 60 * 1000,
+  // Set to 'false' to run the scheduler in a single instance only
+  courseSchedulerEnabled: process.env.COURSE_SCHEDULER_ENABLED !== 'false',
+  // Trashed courses are purged after this many days; 0 keeps them until purged by hand
+  trashRetentionDays: process.env.TRASH_RETENTION_DAYS !== undefined && process.env.TRASH_RETENTION_DAYS !== ''
+    ? Number(process.env.TRASH_RETENTION_DAYS)
+    : 30,
+};
@@ -0,0 +1,7 @@
+require('dotenv').config();
+
+module.exports = {
+  // The MySQL server's innodb_ft_min_token_size. FULLTEXT ignores shorter
+  // words, so queries containing one are searched with LIKE instead.
+  FULLTEXT_MIN_TOKEN_SIZE: Number(process.env.FULLTEXT_MIN_TOKEN_SIZE) || 3,
+};
@@ -0,0 +1,16 @@
+require('dotenv').config();
+
+// TRUST_PROXY -> Express 'trust proxy': 'true', a number of proxy hops, or
+// addresses/subnets such as 'loopback' or '10.0.0.0/8,127.0.0.1'
+const parseTrustProxy = (value) => {
+  if (value === undefined || value === '' || value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
+
+module.exports = {
+  // Behind a reverse proxy every request comes from the proxy's address unless
+  // it is trusted to report the client's (X-Forwarded-For). req.ip feeds the
+  // login lockout, the audit log and the click report's visitor counts.
+  trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+};
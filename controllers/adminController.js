@@ -1,38 +1,155 @@
 const { Admin } = require('../models');
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
-
-const SECRET_KEY = process.env.JWT_SECRET || 'korelium';
+const { SITE_ADMIN_ROLE } = require('../config/roles');
+const { PRINCIPAL_TYPES, signChallengeToken } = require('../utils/tokens');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
+const { SessionError, startSession, rotateSession, endSession } = require('../utils/sessions');
+const {
+  accountKey,
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount,
+  unlockById,
+  listActiveLockouts,
+  sendThrottled,
+} = require('../utils/loginThrottle');
 
 // Admin Login
 const login = async (req, res) => {
   const { username, password } = req.body;
 
+  if (!username || !password) {
+    return res.status(400).json({ message: 'Username and password are required' });
+  }
+
+  const throttleKey = accountKey(PRINCIPAL_TYPES.ADMIN, username);
+
   try {
+    const blocked = await checkLoginAllowed(throttleKey, req.ip);
+    if (blocked) {
+      return sendThrottled(res, blocked);
+    }
+
     const admin = await Admin.findOne({ where: { username } });
     if (!admin) {
+      await recordLoginFailure(throttleKey, req.ip);
       return res.status(401).json({ message: 'Invalid username or password' });
     }
 
     // Compare password (Assumes passwords are hashed)
     const match = await bcrypt.compare(password, admin.password);
     if (!match) {
+      await recordLoginFailure(throttleKey, req.ip);
       return res.status(401).json({ message: 'Invalid username or password' });
     }
 
-    // Generate JWT
-    const token = jwt.sign({ adminId: admin.id, username: admin.username }, SECRET_KEY, { expiresIn: '1h' });
+    // Password is right, but enrolled accounts still owe a second factor. Their
+    // failures are only cleared once it is verified, so logging in again
+    // between code guesses does not reset the lockout.
+    if (admin.totpEnabled) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: signChallengeToken(PRINCIPAL_TYPES.ADMIN, admin)
+      });
+    }
+
+    await recordLoginSuccess(throttleKey);
+
+    // Generate a short-lived JWT plus a refresh token
+    const { token, refreshToken } = await startSession(PRINCIPAL_TYPES.ADMIN, admin, SITE_ADMIN_ROLE);
 
     res.json({
       message: 'Login successful',
       username: admin.username,
-      token: token
+      role: SITE_ADMIN_ROLE,
+      token: token,
+      refreshToken
     });
   } catch (err) {
     res.status(500).json({ message: 'Server error', error: err.message });
   }
 };
 
+// Exchange a refresh token for a new access/refresh token pair.
+// Shared by Admin and localAdmin sessions.
+const refresh = async (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken) {
+    return res.status(400).json({ message: 'Refresh token is required' });
+  }
+
+  try {
+    const tokens = await rotateSession(refreshToken);
+    res.json({ message: 'Token refreshed', ...tokens });
+  } catch (err) {
+    if (err instanceof SessionError) {
+      return res.status(401).json({ message: err.message, code: err.code });
+    }
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Revoke the session (refresh token family) so neither token works again
+const logout = async (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken) {
+    return res.status(400).json({ message: 'Refresh token is required' });
+  }
+
+  try {
+    await endSession(refreshToken);
+    res.json({ message: 'Logged out successfully' });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Clear a lockout: { id } of an account or address from /lockouts, or
+// { type: 'admin' | 'localAdmin', identifier: username or email }
+const unlock = async (req, res) => {
+  const { id, type, identifier } = req.body;
+  if (id === undefined && (!Object.values(PRINCIPAL_TYPES).includes(type) || !identifier)) {
+    return res.status(400).json({ message: "id, or type ('admin' or 'localAdmin') and identifier, are required" });
+  }
+
+  try {
+    if (id !== undefined) {
+      const attempt = await unlockById(id);
+      if (!attempt) {
+        return res.status(404).json({ message: 'Lockout not found' });
+      }
+      await recordAudit(req, { action: AUDIT_ACTIONS.ACCOUNT_UNLOCK, entityType: attempt.scope, entityId: attempt.key });
+      return res.json({ message: attempt.scope === 'ip' ? 'Address unlocked successfully' : 'Account unlocked successfully' });
+    }
+
+    const key = accountKey(type, identifier);
+    const unlocked = await unlockAccount(key);
+    if (!unlocked) {
+      return res.status(404).json({ message: 'No failed attempts recorded for this account' });
+    }
+    await recordAudit(req, { action: AUDIT_ACTIONS.ACCOUNT_UNLOCK, entityType: type, entityId: key });
+    res.json({ message: 'Account unlocked successfully' });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Currently locked accounts and addresses
+const getLockouts = async (req, res) => {
+  try {
+    const lockouts = await listActiveLockouts();
+    res.json(lockouts);
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
 module.exports = {
-  login
+  login,
+  refresh,
+  logout,
+  unlock,
+  getLockouts
 };
@@ -0,0 +1,46 @@
+const { Op } = require('sequelize');
+const { AuditLog } = require('../models');
+const { parsePagination, buildPaginationMeta } = require('../utils/pagination');
+
+const EXACT_FILTERS = ['actorType', 'actorId', 'action', 'entityType', 'entityId'];
+
+// List audit entries, newest first.
+// Filters: actorType, actorId, action, entityType, entityId, from, to (ISO dates)
+const getAuditLogs = async (req, res) => {
+  try {
+    const { page, limit, offset } = parsePagination(req.query, { defaultLimit: 50, maxLimit: 200 });
+    const where = {};
+
+    EXACT_FILTERS.forEach(field => {
+      if (req.query[field]) {
+        where[field] = req.query[field];
+      }
+    });
+
+    if (req.query.from || req.query.to) {
+      const from = req.query.from ? new Date(req.query.from) : null;
+      const to = req.query.to ? new Date(req.query.to) : null;
+      if ((from && isNaN(from)) || (to && isNaN(to))) {
+        return res.status(400).json({ message: 'from/to must be valid dates' });
+      }
+      where.createdAt = {};
+      if (from) where.createdAt[Op.gte] = from;
+      if (to) where.createdAt[Op.lte] = to;
+    }
+
+    const { rows, count } = await AuditLog.findAndCountAll({
+      where,
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      limit,
+      offset
+    });
+
+    res.json({ auditLogs: rows, pagination: buildPaginationMeta(page, limit, count) });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+module.exports = {
+  getAuditLogs
+};
@@ -0,0 +1,175 @@
+const { Op } = require('sequelize');
+const { Category, Course } = require('../models');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
+const { slugify, uniqueSlug } = require('../utils/slug');
+const { findByName, countCourses, descendantIds } = require('../utils/taxonomy');
+
+const CATEGORY_FIELDS = ['id', 'name', 'slug', 'description', 'icon', 'sortOrder', 'parentId'];
+
+const resolveSlug = (requested, name, categoryId = null) =>
+  uniqueSlug(slugify(requested) || slugify(name) || 'category', [
+    { model: Category, where: categoryId ? { id: { [Op.ne]: categoryId } } : {} }
+  ]);
+
+// Validate parentId: it must exist and must not be the category itself or one
+// of its descendants (that would create a loop). Returns an error message or null.
+const checkParent = async (parentId, categoryId = null) => {
+  if (parentId === null) return null;
+  const categories = await Category.findAll({ attributes: ['id', 'parentId'], raw: true });
+  if (!categories.some(category => category.id === parentId)) {
+    return `Parent category ${parentId} does not exist`;
+  }
+  if (categoryId && descendantIds(categories, categoryId).includes(parentId)) {
+    return 'A category cannot be placed under itself or one of its sub-categories';
+  }
+  return null;
+};
+
+// Read name, description, icon, sortOrder and parentId from the body.
+// Returns { data } or { error }; fields not in the body are left out.
+const readCategoryBody = (body, { requireName }) => {
+  const data = {};
+  if (body.name !== undefined || requireName) {
+    const name = String(body.name || '').trim();
+    if (!name) return { error: 'name is required' };
+    data.name = name;
+  }
+  if (body.description !== undefined) data.description = body.description || null;
+  if (body.icon !== undefined) data.icon = body.icon || null;
+  if (body.sortOrder !== undefined) {
+    const sortOrder = Number(body.sortOrder);
+    if (!Number.isInteger(sortOrder)) return { error: 'sortOrder must be an integer' };
+    data.sortOrder = sortOrder;
+  }
+  if (body.parentId !== undefined) {
+    const parentId = body.parentId === null || body.parentId === '' ? null : Number(body.parentId);
+    if (parentId !== null && !Number.isInteger(parentId)) return { error: 'parentId must be an integer' };
+    data.parentId = parentId;
+  }
+  return { data };
+};
+
+// All categories (admin), flat and ordered, with the number of courses in each
+const getCategories = async (req, res) => {
+  try {
+    const categories = await Category.findAll({
+      attributes: CATEGORY_FIELDS,
+      order: [['sortOrder', 'ASC'], ['name', 'ASC']]
+    });
+    const counts = await countCourses('categoryId');
+    res.json({
+      categories: categories.map(category => ({ ...category.toJSON(), courseCount: counts.get(category.id) || 0 }))
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+const getCategory = async (req, res) => {
+  try {
+    const category = await Category.findByPk(req.params.id);
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+    res.json(category);
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+const createCategory = async (req, res) => {
+  try {
+    const { data, error } = readCategoryBody(req.body, { requireName: true });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    const parentError = await checkParent(data.parentId === undefined ? null : data.parentId);
+    if (parentError) {
+      return res.status(400).json({ message: parentError });
+    }
+
+    if (await findByName(Category, data.name)) {
+      return res.status(409).json({ message: `A category named "${data.name}" already exists` });
+    }
+
+    data.slug = await resolveSlug(req.body.slug, data.name);
+    const category = await Category.create(data);
+    await recordAudit(req, { action: AUDIT_ACTIONS.CATEGORY_CREATE, entityType: 'category', entityId: category.id, after: category });
+    res.status(201).json({ message: 'Category created successfully', category });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Renaming updates the cached name on every course in the category.
+// The slug only changes when one is given, so public links stay stable.
+const updateCategory = async (req, res) => {
+  try {
+    const category = await Category.findByPk(req.params.id);
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const { data, error } = readCategoryBody(req.body, { requireName: false });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    if (data.parentId !== undefined) {
+      const parentError = await checkParent(data.parentId, category.id);
+      if (parentError) {
+        return res.status(400).json({ message: parentError });
+      }
+    }
+    if (data.name && await findByName(Category, data.name, category.id)) {
+      return res.status(409).json({ message: `A category named "${data.name}" already exists` });
+    }
+    if (req.body.slug) {
+      data.slug = await resolveSlug(req.body.slug, null, category.id);
+    }
+
+    const before = category.toJSON();
+    await category.update(data);
+    if (category.name !== before.name) {
+      await Course.update({ category: category.name }, { where: { categoryId: category.id }, paranoid: false });
+    }
+    await recordAudit(req, { action: AUDIT_ACTIONS.CATEGORY_UPDATE, entityType: 'category', entityId: category.id, before, after: category });
+    res.json({ message: 'Category updated successfully', category });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Only empty categories can be deleted: move their courses and
+// sub-categories elsewhere first
+const deleteCategory = async (req, res) => {
+  try {
+    const category = await Category.findByPk(req.params.id);
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const courseCount = await Course.count({ where: { categoryId: category.id }, paranoid: false });
+    const childCount = await Category.count({ where: { parentId: category.id } });
+    if (courseCount > 0 || childCount > 0) {
+      return res.status(409).json({
+        message: 'Category is still in use. Move its courses and sub-categories first.',
+        courseCount,
+        childCount
+      });
+    }
+
+    await category.destroy();
+    await recordAudit(req, { action: AUDIT_ACTIONS.CATEGORY_DELETE, entityType: 'category', entityId: category.id, before: category });
+    res.json({ message: 'Category deleted successfully' });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+module.exports = {
+  getCategories,
+  getCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+};
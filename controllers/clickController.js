@@ -0,0 +1,125 @@
+const { Course, CourseSlugRedirect, ClickEvent } = require('../models');
+const { publishedOnly } = require('../utils/courseStatus');
+const { buildOutboundUrl, describeClick } = require('../utils/outboundLinks');
+const { parseReportRange, clickWhere, clickSeries, clickTotals, countByField } = require('../utils/clickReport');
+const { parsePagination, buildPaginationMeta } = require('../utils/pagination');
+
+// Published course by its slug or one of its old slugs
+const findPublishedCourse = async (slug) => {
+  const course = await Course.findOne({ where: { slug, ...publishedOnly() } });
+  if (course) return course;
+  const redirect = await CourseSlugRedirect.findOne({
+    where: { slug },
+    include: [{ model: Course, as: 'course', where: publishedOnly() }]
+  });
+  return redirect ? redirect.course : null;
+};
+
+// Record the click and send the learner on to the course's enrollment link.
+// HEAD requests (link checkers) are redirected without being counted.
+const followCourseLink = async (req, res) => {
+  try {
+    const course = await findPublishedCourse(req.params.slug);
+    const url = course && buildOutboundUrl(course);
+    if (!url) {
+      return res.status(404).json({ message: course ? 'This course has no enrollment link' : 'Course not found' });
+    }
+
+    if (req.method === 'GET') {
+      try {
+        await ClickEvent.create({ courseId: course.id, ...describeClick(req) });
+      } catch (err) {
+        // A lost click must not stop the learner from getting to the course
+        console.error('Failed to record link click:', err.message);
+      }
+    }
+
+    // Every click has to reach the server to be counted
+    res.set('Cache-Control', 'no-store');
+    res.redirect(302, url);
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Clicks per period over all courses and clicks per course, most clicked first:
+// ?from=&to=&interval=day|week|month&includeBots=&page=&limit=
+const getClickReport = async (req, res) => {
+  try {
+    const range = parseReportRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ message: range.error });
+    }
+
+    const { page, limit, offset } = parsePagination(req.query, { defaultLimit: 20, maxLimit: 100 });
+    const where = clickWhere(range);
+    const rows = await countByField('courseId', where, { limit, offset });
+    const courseCount = await ClickEvent.count({ where, distinct: true, col: 'courseId' });
+    // Trashed courses keep their clicks
+    const courses = await Course.findAll({
+      where: { id: rows.map(row => row.value) },
+      attributes: ['id', 'title', 'slug', 'status', 'deletedAt'],
+      paranoid: false
+    });
+    const byId = new Map(courses.map(course => [course.id, course]));
+
+    res.json({
+      from: range.from,
+      to: range.to,
+      interval: range.interval,
+      totals: await clickTotals(where),
+      series: await clickSeries(range, where),
+      courses: rows.map(({ value, clicks, visitors }) => {
+        const course = byId.get(value);
+        return {
+          courseId: value,
+          title: course ? course.title : null,
+          slug: course ? course.slug : null,
+          status: course ? (course.deletedAt ? 'trashed' : course.status) : null,
+          clicks,
+          visitors
+        };
+      }),
+      pagination: buildPaginationMeta(page, limit, courseCount)
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// One course's clicks per period with the top referrers, UTM sources and
+// campaigns and the device classes: same query as getClickReport
+const getCourseClicks = async (req, res) => {
+  try {
+    const course = await Course.findByPk(req.params.id, { paranoid: false });
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+    const range = parseReportRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ message: range.error });
+    }
+
+    const where = clickWhere(range, course.id);
+    res.json({
+      course: { id: course.id, title: course.title, slug: course.slug, outboundUrl: buildOutboundUrl(course) },
+      from: range.from,
+      to: range.to,
+      interval: range.interval,
+      totals: await clickTotals(where),
+      series: await clickSeries(range, where),
+      referrers: await countByField('referrer', where, { limit: 10 }),
+      sources: await countByField('utmSource', where, { limit: 10 }),
+      campaigns: await countByField('utmCampaign', where, { limit: 10 }),
+      devices: await countByField('userAgentClass', where)
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+module.exports = {
+  followCourseLink,
+  getClickReport,
+  getCourseClicks,
+};
@@ -1,21 +1,77 @@
-const { Course } = require('../models');
+const { Op } = require('sequelize');
+const { Course, CourseSlugRedirect, CourseRevision, Category, Instructor, Tag } = require('../models');
 const fs=require('fs');
-// Get all courses
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
+const { slugify, uniqueSlug } = require('../utils/slug');
+const { parsePagination, buildPaginationMeta } = require('../utils/pagination');
+const { COURSE_STATUSES, EDITOR_STATUSES, isValidStatus } = require('../utils/courseStatus');
+const { PERMISSIONS, hasPermission } = require('../config/roles');
+const { diffObjects } = require('../utils/diff');
+const { toCourseData } = require('../utils/courseRevisions');
+const { purgeDate, purgeCourse } = require('../utils/courseTrash');
+const { findByName, resolveReference } = require('../utils/taxonomy');
+const { parseTagNames, findOrCreateTags, setCourseTags } = require('../utils/tags');
+const { buildAdminCourseQuery } = require('../utils/courseFilters');
+const { parseLinkParams } = require('../utils/outboundLinks');
+
+// Unique slug from the requested slug, falling back to the title.
+// Old slugs of other courses stay reserved so their redirects keep working.
+const resolveSlug = (requested, title, courseId = null) => {
+  const base = slugify(requested) || slugify(title) || 'course';
+  return uniqueSlug(base, [
+    { model: Course, where: courseId ? { id: { [Op.ne]: courseId } } : {} },
+    { model: CourseSlugRedirect, where: courseId ? { courseId: { [Op.ne]: courseId } } : {} }
+  ]);
+};
+// Old links redirect to the new slug; returning to a previous slug drops its redirect
+const recordSlugChange = async (course, oldSlug) => {
+  if (course.slug === oldSlug) return;
+  await CourseSlugRedirect.destroy({ where: { slug: course.slug } });
+  if (oldSlug) {
+    await CourseSlugRedirect.create({ slug: oldSlug, courseId: course.id });
+  }
+};
+
+// categoryId/instructorId from the body; category/instructor names are
+// accepted too but must match an existing record
+const resolveLinks = async (body) => {
+  const category = await resolveReference(Category, body, { idField: 'categoryId', nameField: 'category', label: 'Category' });
+  const instructor = await resolveReference(Instructor, body, { idField: 'instructorId', nameField: 'instructor', label: 'Instructor' });
+  return { categoryId: category.id, instructorId: instructor.id, error: category.error || instructor.error };
+};
+
+// whatYoullLearn is stored as a JSON string; tags is an array of tag names
+const parseCourse = (course) => ({
+  ...course.toJSON(),
+  tags: course.tags || [],
+  whatYoullLearn: course.whatYoullLearn ? JSON.parse(course.whatYoullLearn) : [],
+});
+
+// Get all courses, any status (admin): ?status=&page=&limit= and the catalog filters
 const getAllCourses = async (req, res) => {
   try {
-   const courses = await Course.findAll({
-    limit: 10, // Limit to 10 courses
-   });
-
-    const parsedCourses = courses.map(course => {
-    return {
-        ...course.dataValues,
-        tags: JSON.parse(course.tags || '[]'),
-        whatYoullLearn: course.whatYoullLearn ? JSON.parse(course.whatYoullLearn) : null, // here we are 
-  };
-});
+    const { where, order, error } = await buildAdminCourseQuery(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const { page, limit, offset } = parsePagination(req.query, { maxLimit: 100 });
+    const { rows, count } = await Course.findAndCountAll({ where, order, limit, offset });
 
-res.json(parsedCourses);
+    res.json({ courses: rows.map(parseCourse), pagination: buildPaginationMeta(page, limit, count) });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Get one course by id, any status (admin editing and preview)
+const getCourse = async (req, res) => {
+  try {
+    const course = await Course.findByPk(req.params.id);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+    res.json(parseCourse(course));
   } catch (err) {
     res.status(500).json({ message: 'Server error', error: err.message });
   }
@@ -43,19 +99,22 @@ res.json(parsedCourses);
 // };
 const createCourse = async (req, res) => {
   try {
+    const links = await resolveLinks(req.body);
+    if (links.error) {
+      return res.status(400).json({ message: links.error });
+    }
+    const linkParams = parseLinkParams(req.body.linkParams);
+    if (linkParams.error) {
+      return res.status(400).json({ message: linkParams.error });
+    }
+
     let imagePath = null;
     if (req.file) {
       imagePath = req.file.path.replace(/\\/g, '/');
     }
 
-    // Parse tags and whatYoullLearn fields properly
-    let tagsValue = req.body.tags;
-    if (tagsValue && typeof tagsValue === 'string') {
-      try { tagsValue = JSON.parse(tagsValue); } catch (e) { tagsValue = []; }
-    }
-    if (Array.isArray(tagsValue)) {
-      tagsValue = JSON.stringify(tagsValue);
-    }
+    // Unknown tag names create new tags
+    const tags = await findOrCreateTags(parseTagNames(req.body.tags) || []);
 
     let whatYoullLearnValue = req.body.whatYoullLearn;
     if (whatYoullLearnValue && typeof whatYoullLearnValue === 'string') {
@@ -67,16 +126,15 @@ const createCourse = async (req, res) => {
 
     const courseData = {
       title: req.body.title,
-      slug: req.body.slug,
+      slug: await resolveSlug(req.body.slug, req.body.title),
       description: req.body.description,
       image: imagePath,
-      category: req.body.category,
-      tags: tagsValue,
-      instructor: req.body.instructor,
-      duration: req.body.duration,
-      students: req.body.students,
-      rating: req.body.rating,
+      categoryId: links.categoryId,
+      tags: tags.map(tag => tag.name),
+      instructorId: links.instructorId,
+      price: req.body.price,
       udemyLink: req.body.udemyLink,
+      linkParams: linkParams.params ?? null,
       fullDescription: req.body.fullDescription,
       prerequisites: req.body.prerequisites,
       level: req.body.level,
@@ -84,18 +142,16 @@ const createCourse = async (req, res) => {
       lastUpdated: req.body.lastUpdated,
       certificate: req.body.certificate,
       whatYoullLearn: whatYoullLearnValue,
+      // New courses start unpublished; see updateCourseStatus
+      status: COURSE_STATUSES.DRAFT,
     };
 
     const course = await Course.create(courseData);
+    await setCourseTags(course, tags);
+    await CourseRevision.record(course, { action: 'create', actor: req.principal });
+    await recordAudit(req, { action: AUDIT_ACTIONS.COURSE_CREATE, entityType: 'course', entityId: course.id, after: course });
 
-    // Parse back to array/object for tags and whatYoullLearn in the response
-    const parsedCourse = {
-      ...course.toJSON(),
-      tags: course.tags ? JSON.parse(course.tags) : [],
-      whatYoullLearn: course.whatYoullLearn ? JSON.parse(course.whatYoullLearn) : [],
-    };
-
-    res.status(201).json({ message: 'Course created successfully', course: parsedCourse });
+    res.status(201).json({ message: 'Course created successfully', course: parseCourse(course) });
   } catch (err) {
     res.status(500).json({ message: 'Server error', error: err.message });
   }
@@ -108,25 +164,27 @@ const updateCourse = async (req, res) => {
     if (!course) {
       return res.status(404).json({ message: 'Course not found' });
     }
+    const before = course.toJSON();
+
+    const links = await resolveLinks(req.body);
+    if (links.error) {
+      return res.status(400).json({ message: links.error });
+    }
+    const linkParams = parseLinkParams(req.body.linkParams);
+    if (linkParams.error) {
+      return res.status(400).json({ message: linkParams.error });
+    }
 
-    // Handle new image upload (optional)
+    // Handle new image upload (optional). The old file is kept: earlier
+    // revisions still reference it and may be restored.
     let imagePath = course.image; // Keep old if not replaced
     if (req.file) {
-      // Optionally, delete old image file
-      if (course.image && fs.existsSync(course.image)) {
-        fs.unlinkSync(course.image);
-      }
       imagePath = req.file.path.replace(/\\/g, '/');
     }
 
-    // Parse array fields
-    let tagsValue = req.body.tags;
-    if (tagsValue && typeof tagsValue === 'string') {
-      try { tagsValue = JSON.parse(tagsValue); } catch (e) { tagsValue = []; }
-    }
-    if (Array.isArray(tagsValue)) {
-      tagsValue = JSON.stringify(tagsValue);
-    }
+    // Parse array fields; tags stay unchanged when not sent
+    const tagNames = parseTagNames(req.body.tags);
+    const tags = tagNames === undefined ? null : await findOrCreateTags(tagNames);
 
     let whatYoullLearnValue = req.body.whatYoullLearn;
     if (whatYoullLearnValue && typeof whatYoullLearnValue === 'string') {
@@ -136,19 +194,27 @@ const updateCourse = async (req, res) => {
       whatYoullLearnValue = JSON.stringify(whatYoullLearnValue);
     }
 
+    // An explicit slug wins; otherwise a new title produces a new slug
+    const oldSlug = course.slug;
+    let slug = oldSlug;
+    if (req.body.slug) {
+      slug = await resolveSlug(req.body.slug, null, course.id);
+    } else if (req.body.title && req.body.title !== course.title) {
+      slug = await resolveSlug(null, req.body.title, course.id);
+    }
+
     // Prepare update data (include all possible fields)
     const updateData = {
       title: req.body.title ?? course.title,
-      slug: req.body.slug ?? course.slug,
+      slug,
       description: req.body.description ?? course.description,
       image: imagePath,
-      category: req.body.category ?? course.category,
-      tags: tagsValue ?? course.tags,
-      instructor: req.body.instructor ?? course.instructor,
-      duration: req.body.duration ?? course.duration,
-      students: req.body.students ?? course.students,
-      rating: req.body.rating ?? course.rating,
+      categoryId: links.categoryId !== undefined ? links.categoryId : course.categoryId,
+      tags: tags ? tags.map(tag => tag.name) : course.tags,
+      instructorId: links.instructorId !== undefined ? links.instructorId : course.instructorId,
+      price: req.body.price ?? course.price,
       udemyLink: req.body.udemyLink ?? course.udemyLink,
+      linkParams: linkParams.params !== undefined ? linkParams.params : course.linkParams,
       fullDescription: req.body.fullDescription ?? course.fullDescription,
       prerequisites: req.body.prerequisites ?? course.prerequisites,
       level: req.body.level ?? course.level,
@@ -159,35 +225,305 @@ const updateCourse = async (req, res) => {
     };
 
     await course.update(updateData);
+    if (tags) {
+      await setCourseTags(course, tags);
+    }
+    await recordSlugChange(course, oldSlug);
+    await CourseRevision.record(course, { action: 'update', actor: req.principal });
+    await recordAudit(req, { action: AUDIT_ACTIONS.COURSE_UPDATE, entityType: 'course', entityId: course.id, before, after: course });
 
-    // Parse arrays for response
-    const parsedCourse = {
-      ...course.toJSON(),
-      tags: course.tags ? JSON.parse(course.tags) : [],
-      whatYoullLearn: course.whatYoullLearn ? JSON.parse(course.whatYoullLearn) : [],
-    };
+    res.json({ message: 'Course updated successfully', course: parseCourse(course) });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Parse an optional date field: undefined = unchanged, null/'' = clear
+const parseOptionalDate = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  const date = new Date(value);
+  return isNaN(date) ? NaN : date;
+};
+
+// Change status and/or schedule: { status, publishAt, unpublishAt }.
+// Editors may move between draft and in_review; publishing, archiving,
+// taking a published or archived course back to draft/in_review (unpublishing)
+// and scheduling need courses:publish.
+const updateCourseStatus = async (req, res) => {
+  try {
+    const course = await Course.findByPk(req.params.id);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    const { status } = req.body;
+    const publishAt = parseOptionalDate(req.body.publishAt);
+    const unpublishAt = parseOptionalDate(req.body.unpublishAt);
+
+    if (status !== undefined && !isValidStatus(status)) {
+      return res.status(400).json({ message: `status must be one of: ${Object.values(COURSE_STATUSES).join(', ')}` });
+    }
+    if (Number.isNaN(publishAt) || Number.isNaN(unpublishAt)) {
+      return res.status(400).json({ message: 'publishAt/unpublishAt must be valid dates' });
+    }
+
+    const needsPublish = (status !== undefined &&
+      (!EDITOR_STATUSES.includes(status) || !EDITOR_STATUSES.includes(course.status))) ||
+      publishAt !== undefined || unpublishAt !== undefined;
+    if (needsPublish && !hasPermission(req.user.role, PERMISSIONS.COURSES_PUBLISH)) {
+      return res.status(403).json({
+        message: `Forbidden. Missing permission: ${PERMISSIONS.COURSES_PUBLISH}`,
+        missingPermission: PERMISSIONS.COURSES_PUBLISH,
+      });
+    }
+
+    const changes = {};
+    if (status !== undefined) changes.status = status;
+    if (publishAt !== undefined) changes.publishAt = publishAt;
+    if (unpublishAt !== undefined) changes.unpublishAt = unpublishAt;
+
+    const finalPublishAt = changes.publishAt !== undefined ? changes.publishAt : course.publishAt;
+    const finalUnpublishAt = changes.unpublishAt !== undefined ? changes.unpublishAt : course.unpublishAt;
+    if (finalPublishAt && finalUnpublishAt && finalUnpublishAt <= finalPublishAt) {
+      return res.status(400).json({ message: 'unpublishAt must be after publishAt' });
+    }
+
+    if (changes.status === COURSE_STATUSES.PUBLISHED && course.status !== COURSE_STATUSES.PUBLISHED) {
+      changes.publishedAt = new Date();
+      // Published by hand: a pending publish time no longer applies
+      if (changes.publishAt === undefined) changes.publishAt = null;
+    }
+
+    const before = course.toJSON();
+    await course.update(changes);
+    await recordAudit(req, { action: AUDIT_ACTIONS.COURSE_STATUS_CHANGE, entityType: 'course', entityId: course.id, before, after: course });
 
-    res.json({ message: 'Course updated successfully', course: parsedCourse });
+    res.json({ message: 'Course status updated', course: parseCourse(course) });
   } catch (err) {
     res.status(500).json({ message: 'Server error', error: err.message });
   }
 };
 
-//delete the course by id 
-const deleteCourse = async (req, res) => {
+const findRevision = (courseId, revision) =>
+  CourseRevision.findOne({ where: { courseId, revision: Number(revision) || 0 } });
+
+// Revision list entry; the full snapshot is served by getRevision
+const summarizeRevision = (revision) => ({
+  revision: revision.revision,
+  action: revision.action,
+  restoredFrom: revision.restoredFrom,
+  changedFields: Object.keys(revision.changes || {}),
+  actorType: revision.actorType,
+  actorName: revision.actorName,
+  createdAt: revision.createdAt
+});
+
+// List the revisions of a course, newest first: ?page=&limit=
+const getRevisions = async (req, res) => {
+  try {
+    const course = await Course.findByPk(req.params.id);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    const { page, limit, offset } = parsePagination(req.query, { defaultLimit: 20, maxLimit: 100 });
+    const { rows, count } = await CourseRevision.findAndCountAll({
+      where: { courseId: course.id },
+      order: [['revision', 'DESC']],
+      limit,
+      offset
+    });
+
+    res.json({ revisions: rows.map(summarizeRevision), pagination: buildPaginationMeta(page, limit, count) });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// One revision with its full snapshot and the changes from the previous one
+const getRevision = async (req, res) => {
+  try {
+    const revision = await findRevision(req.params.id, req.params.rev);
+    if (!revision) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+    res.json({ ...summarizeRevision(revision), snapshot: revision.snapshot, changes: revision.changes || {} });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Field-level diff between two revisions: ?from=&to=
+// `to` defaults to the latest revision and `from` to the one before `to`.
+// Either may be older than the other.
+const diffRevisions = async (req, res) => {
+  try {
+    const courseId = req.params.id;
+    let to;
+    if (req.query.to) {
+      to = await findRevision(courseId, req.query.to);
+    } else {
+      to = await CourseRevision.findOne({ where: { courseId }, order: [['revision', 'DESC']] });
+    }
+    if (!to) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    // The first revision has nothing before it and diffs against an empty course
+    let from = null;
+    if (req.query.from || to.revision > 1) {
+      from = await findRevision(courseId, req.query.from || to.revision - 1);
+      if (!from) {
+        return res.status(404).json({ message: 'Revision not found' });
+      }
+    }
+
+    res.json({
+      from: from ? from.revision : null,
+      to: to.revision,
+      changes: diffObjects(from ? from.snapshot : {}, to.snapshot)
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Restore a course's content to an earlier revision. This is recorded as a
+// new revision, so a restore can itself be undone.
+const restoreRevision = async (req, res) => {
   try {
     const course = await Course.findByPk(req.params.id);
     if (!course) {
       return res.status(404).json({ message: 'Course not found' });
     }
+    const revision = await findRevision(course.id, req.params.rev);
+    if (!revision) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    const before = course.toJSON();
+    const oldSlug = course.slug;
+    const data = toCourseData(revision.snapshot);
+    const warnings = [];
+
+    // The old slug may have been taken by another course since
+    data.slug = await resolveSlug(data.slug, data.title, course.id);
+    if (data.slug !== revision.snapshot.slug) {
+      warnings.push(`Slug "${revision.snapshot.slug}" is in use; restored as "${data.slug}"`);
+    }
+    // Images uploaded before revisions kept them may already be gone
+    if (data.image && !fs.existsSync(data.image)) {
+      warnings.push(`Image ${data.image} no longer exists; the current image was kept`);
+      delete data.image;
+    }
+    // ...and so may the category or instructor
+    if (data.categoryId && !(await Category.findByPk(data.categoryId))) {
+      warnings.push(`Category ${revision.snapshot.category || data.categoryId} no longer exists; the current category was kept`);
+      delete data.categoryId;
+    }
+    if (data.instructorId && !(await Instructor.findByPk(data.instructorId))) {
+      warnings.push(`Instructor ${revision.snapshot.instructor || data.instructorId} no longer exists; the current instructor was kept`);
+      delete data.instructorId;
+    }
+    // Tags deleted or renamed since are created again under the old name
+    const tagNames = parseTagNames(revision.snapshot.tags || []);
+    for (const name of tagNames) {
+      if (!(await findByName(Tag, name))) {
+        warnings.push(`Tag "${name}" no longer exists and was created again`);
+      }
+    }
+
+    await course.update(data);
+    await setCourseTags(course, await findOrCreateTags(tagNames));
+    await recordSlugChange(course, oldSlug);
+    const created = await CourseRevision.record(course, {
+      action: 'restore',
+      actor: req.principal,
+      restoredFrom: revision.revision
+    });
+    await recordAudit(req, { action: AUDIT_ACTIONS.COURSE_REVISION_RESTORE, entityType: 'course', entityId: course.id, before, after: course });
 
-    // Optionally, delete the course image file
-    if (course.image && fs.existsSync(course.image)) {
-      fs.unlinkSync(course.image);
+    res.json({
+      message: `Course restored to revision ${revision.revision}`,
+      revision: created ? created.revision : null,
+      warnings,
+      course: parseCourse(course)
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+//delete the course by id (moves it to the trash; images are kept until purge)
+const deleteCourse = async (req, res) => {
+  try {
+    const course = await Course.findByPk(req.params.id);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
     }
 
     await course.destroy();
-    res.json({ message: 'Course deleted successfully' });
+    await recordAudit(req, { action: AUDIT_ACTIONS.COURSE_DELETE, entityType: 'course', entityId: course.id, before: course });
+    res.json({ message: 'Course moved to trash', purgeAt: purgeDate(course.deletedAt) });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+const findTrashedCourse = (id) =>
+  Course.findOne({ where: { id, deletedAt: { [Op.ne]: null } }, paranoid: false });
+
+// Courses in the trash, most recently deleted first: ?page=&limit=
+const getTrash = async (req, res) => {
+  try {
+    const { page, limit, offset } = parsePagination(req.query, { maxLimit: 100 });
+    const { rows, count } = await Course.findAndCountAll({
+      where: { deletedAt: { [Op.ne]: null } },
+      paranoid: false,
+      order: [['deletedAt', 'DESC'], ['id', 'DESC']],
+      limit,
+      offset
+    });
+
+    const courses = rows.map(course => ({ ...parseCourse(course), purgeAt: purgeDate(course.deletedAt) }));
+    res.json({ courses, pagination: buildPaginationMeta(page, limit, count) });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Take a course back out of the trash, with its previous status
+const restoreCourse = async (req, res) => {
+  try {
+    const course = await findTrashedCourse(req.params.id);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found in trash' });
+    }
+
+    const before = course.toJSON();
+    await course.restore();
+    await recordAudit(req, { action: AUDIT_ACTIONS.COURSE_RESTORE, entityType: 'course', entityId: course.id, before, after: course });
+    res.json({ message: 'Course restored', course: parseCourse(course) });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Permanently delete a course from the trash, including its image files
+const purgeTrashedCourse = async (req, res) => {
+  try {
+    const course = await findTrashedCourse(req.params.id);
+    if (!course) {
+      const exists = await Course.count({ where: { id: req.params.id } });
+      return exists
+        ? res.status(409).json({ message: 'Move the course to the trash before deleting it permanently' })
+        : res.status(404).json({ message: 'Course not found in trash' });
+    }
+
+    await purgeCourse(course);
+    await recordAudit(req, { action: AUDIT_ACTIONS.COURSE_PURGE, entityType: 'course', entityId: course.id, before: course });
+    res.json({ message: 'Course permanently deleted' });
   } catch (err) {
     res.status(500).json({ message: 'Server error', error: err.message });
   }
@@ -197,7 +533,16 @@ const deleteCourse = async (req, res) => {
 
 module.exports = {
   getAllCourses,
+  getCourse,
   createCourse,
   updateCourse,
-  deleteCourse
+  updateCourseStatus,
+  getRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision,
+  deleteCourse,
+  getTrash,
+  restoreCourse,
+  purgeTrashedCourse
 };
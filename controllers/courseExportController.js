@@ -0,0 +1,38 @@
+const { buildAdminCourseQuery } = require('../utils/courseFilters');
+const { EXPORT_FORMATS, writeCourseExport } = require('../utils/courseExport');
+
+// Download the courses as ?format=csv|json|xlsx, filtered like the admin
+// course list (?status= and the catalog filters, sortBy/sortOrder)
+const exportCourses = async (req, res) => {
+  try {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+      return res.status(400).json({ message: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+    const { where, order, error } = await buildAdminCourseQuery(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const filename = `courses-${new Date().toISOString().slice(0, 10)}.${extension}`;
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Cache-Control': 'no-store'
+    });
+    await writeCourseExport(format, res, { where, order });
+    res.end();
+  } catch (err) {
+    // Once streaming has started the status can no longer change; cut the download short
+    if (res.headersSent) {
+      console.error('Course export failed:', err);
+      return res.destroy(err);
+    }
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+module.exports = {
+  exportCourses,
+};
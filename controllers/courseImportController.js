@@ -0,0 +1,47 @@
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
+const { readImportFile, readImportRecords, planImport, summarizeImport, applyImport } = require('../utils/courseImport');
+
+// Create or update courses in bulk from a CSV/JSON upload (`file`) or a JSON
+// body { courses: [...] }. ?dryRun=true only validates and reports what would
+// happen; otherwise nothing is written unless every row is valid.
+const importCourses = async (req, res) => {
+  try {
+    const dryRun = ['1', 'true'].includes(String(req.query.dryRun).toLowerCase());
+
+    let input;
+    if (req.file) {
+      input = readImportFile(req.file);
+    } else if (req.body && req.body.courses !== undefined) {
+      input = readImportRecords(req.body.courses);
+    } else {
+      return res.status(400).json({ message: 'Upload a .csv or .json file as "file"' });
+    }
+    if (input.error) {
+      return res.status(400).json({ message: input.error });
+    }
+
+    const entries = await planImport(input.records);
+    const report = { dryRun, ...summarizeImport(entries), ignoredColumns: input.ignoredColumns };
+    if (dryRun) {
+      return res.json({ message: 'Dry run: nothing was imported', ...report });
+    }
+    if (report.summary.invalid) {
+      return res.status(400).json({ message: 'Nothing was imported. Fix the rows with errors and try again.', ...report });
+    }
+
+    const written = await applyImport(entries, req.principal);
+    // Audited once the transaction has committed
+    for (const { course, before } of written) {
+      await recordAudit(req, { action: AUDIT_ACTIONS.COURSE_IMPORT, entityType: 'course', entityId: course.id, before, after: course });
+    }
+
+    // report.rows now carry the ids of the created courses
+    res.json({ message: `Imported ${report.summary.create} new and ${report.summary.update} updated courses`, ...report });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+module.exports = {
+  importCourses,
+};
@@ -0,0 +1,209 @@
+const { Course, Section, Lesson, sequelize } = require('../models');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
+const { loadCurriculum, readLessonBody, checkOrder } = require('../utils/curriculum');
+
+// Curriculum changes are logged against the course they belong to
+const auditCurriculum = (req, course, action, before, after) =>
+  recordAudit(req, { action, entityType: 'course', entityId: course.id, before, after });
+
+const findSection = (courseId, sectionId) =>
+  Section.findOne({ where: { id: Number(sectionId) || 0, courseId } });
+
+const findLesson = (courseId, lessonId) =>
+  Lesson.findOne({ where: { id: Number(lessonId) || 0, courseId } });
+
+// Close the gap left by a deleted section or lesson
+const renumber = async (model, where, transaction) => {
+  const rows = await model.findAll({ where, order: [['position', 'ASC'], ['id', 'ASC']], transaction });
+  for (const [position, row] of rows.entries()) {
+    if (row.position !== position) await row.update({ position }, { transaction });
+  }
+};
+
+// Sections with their lessons, in order, plus the course's total duration
+const getCurriculum = async (req, res) => {
+  try {
+    const course = await Course.findByPk(req.params.id, { attributes: ['id', 'durationMinutes'] });
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+    res.json({ durationMinutes: course.durationMinutes, sections: await loadCurriculum(course.id) });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Add a section at the end: { title }
+const createSection = async (req, res) => {
+  try {
+    const course = await Course.findByPk(req.params.id);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+    const title = String(req.body.title || '').trim();
+    if (!title) {
+      return res.status(400).json({ message: 'title is required' });
+    }
+
+    const position = await Section.count({ where: { courseId: course.id } });
+    const section = await Section.create({ courseId: course.id, title, position });
+    await auditCurriculum(req, course, AUDIT_ACTIONS.COURSE_SECTION_CREATE, null, section);
+    res.status(201).json({ message: 'Section created successfully', section });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Rename a section: { title }. Order is changed through reorderCurriculum.
+const updateSection = async (req, res) => {
+  try {
+    const course = await Course.findByPk(req.params.id);
+    const section = course && await findSection(course.id, req.params.sectionId);
+    if (!section) {
+      return res.status(404).json({ message: 'Section not found' });
+    }
+    const title = String(req.body.title || '').trim();
+    if (!title) {
+      return res.status(400).json({ message: 'title is required' });
+    }
+
+    const before = section.toJSON();
+    await section.update({ title });
+    await auditCurriculum(req, course, AUDIT_ACTIONS.COURSE_SECTION_UPDATE, before, section);
+    res.json({ message: 'Section updated successfully', section });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Delete a section together with its lessons
+const deleteSection = async (req, res) => {
+  try {
+    const course = await Course.findByPk(req.params.id);
+    const section = course && await findSection(course.id, req.params.sectionId);
+    if (!section) {
+      return res.status(404).json({ message: 'Section not found' });
+    }
+
+    // Destroy lessons one by one so the course duration is updated
+    const lessonCount = await sequelize.transaction(async (transaction) => {
+      const count = await Lesson.destroy({ where: { sectionId: section.id }, individualHooks: true, transaction });
+      await section.destroy({ transaction });
+      await renumber(Section, { courseId: course.id }, transaction);
+      return count;
+    });
+    await auditCurriculum(req, course, AUDIT_ACTIONS.COURSE_SECTION_DELETE, section, null);
+    res.json({ message: 'Section deleted successfully', lessonCount });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Add a lesson at the end of a section: { title, type, durationMinutes, isPreview }
+const createLesson = async (req, res) => {
+  try {
+    const course = await Course.findByPk(req.params.id);
+    const section = course && await findSection(course.id, req.params.sectionId);
+    if (!section) {
+      return res.status(404).json({ message: 'Section not found' });
+    }
+    const { data, error } = readLessonBody(req.body, { requireTitle: true });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const position = await Lesson.count({ where: { sectionId: section.id } });
+    const lesson = await Lesson.create({ ...data, courseId: course.id, sectionId: section.id, position });
+    await auditCurriculum(req, course, AUDIT_ACTIONS.COURSE_LESSON_CREATE, null, lesson);
+    res.status(201).json({ message: 'Lesson created successfully', lesson });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Update a lesson's title, type, duration or preview flag
+const updateLesson = async (req, res) => {
+  try {
+    const course = await Course.findByPk(req.params.id);
+    const lesson = course && await findLesson(course.id, req.params.lessonId);
+    if (!lesson) {
+      return res.status(404).json({ message: 'Lesson not found' });
+    }
+    const { data, error } = readLessonBody(req.body, { requireTitle: false });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const before = lesson.toJSON();
+    await lesson.update(data);
+    await auditCurriculum(req, course, AUDIT_ACTIONS.COURSE_LESSON_UPDATE, before, lesson);
+    res.json({ message: 'Lesson updated successfully', lesson });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+const deleteLesson = async (req, res) => {
+  try {
+    const course = await Course.findByPk(req.params.id);
+    const lesson = course && await findLesson(course.id, req.params.lessonId);
+    if (!lesson) {
+      return res.status(404).json({ message: 'Lesson not found' });
+    }
+
+    await lesson.destroy();
+    await renumber(Lesson, { sectionId: lesson.sectionId });
+    await auditCurriculum(req, course, AUDIT_ACTIONS.COURSE_LESSON_DELETE, lesson, null);
+    res.json({ message: 'Lesson deleted successfully' });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Set the order of all sections and lessons at once (drag and drop):
+// { sections: [{ id, lessonIds: [...] }, ...] }. Every section and lesson of
+// the course must be listed; a lesson listed under another section moves there.
+const reorderCurriculum = async (req, res) => {
+  try {
+    const course = await Course.findByPk(req.params.id);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+    const before = await loadCurriculum(course.id);
+    const error = checkOrder(req.body.sections, before);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      for (const [position, item] of req.body.sections.entries()) {
+        const sectionId = Number(item.id);
+        await Section.update({ position }, { where: { id: sectionId, courseId: course.id }, transaction });
+        for (const [lessonPosition, lessonId] of item.lessonIds.entries()) {
+          await Lesson.update(
+            { sectionId, position: lessonPosition },
+            { where: { id: Number(lessonId), courseId: course.id }, transaction }
+          );
+        }
+      }
+    });
+
+    const sections = await loadCurriculum(course.id);
+    const outline = (curriculum) => curriculum.map(section => ({ id: section.id, lessonIds: section.lessons.map(lesson => lesson.id) }));
+    await auditCurriculum(req, course, AUDIT_ACTIONS.COURSE_CURRICULUM_REORDER, { sections: outline(before) }, { sections: outline(sections) });
+    res.json({ message: 'Curriculum reordered', sections });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+module.exports = {
+  getCurriculum,
+  createSection,
+  updateSection,
+  deleteSection,
+  createLesson,
+  updateLesson,
+  deleteLesson,
+  reorderCurriculum,
+};
@@ -0,0 +1,130 @@
+const { Course, Enrollment, LearningPath } = require('../models');
+const { parsePagination, buildPaginationMeta } = require('../utils/pagination');
+const { publishedOnly } = require('../utils/courseStatus');
+const { loadPathSteps, pathProgress } = require('../utils/learningPaths');
+
+// Course fields shown in "my courses"
+const COURSE_SUMMARY_ATTRIBUTES = ['id', 'title', 'slug', 'description', 'image', 'category', 'instructor', 'durationMinutes', 'duration', 'level', 'students', 'rating'];
+
+// Only published courses can be enrolled in
+const findCourse = (courseId) => {
+  const id = Number(courseId);
+  return Number.isInteger(id)
+    ? Course.findOne({ where: { id, ...publishedOnly() }, attributes: ['id', 'title'] })
+    : null;
+};
+
+// Courses the logged-in learner is enrolled in, most recent first
+const getMyEnrollments = async (req, res) => {
+  try {
+    const { page, limit, offset } = parsePagination(req.query);
+    const { rows, count } = await Enrollment.findAndCountAll({
+      where: { userId: req.learner.id },
+      // Courses in the trash are hidden until restored
+      include: [{ model: Course, as: 'course', attributes: COURSE_SUMMARY_ATTRIBUTES, required: true }],
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      limit,
+      offset
+    });
+
+    const enrollments = rows.map(enrollment => ({
+      courseId: enrollment.courseId,
+      enrolledAt: enrollment.createdAt,
+      course: enrollment.course
+    }));
+
+    res.json({ enrollments, pagination: buildPaginationMeta(page, limit, count) });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Whether the learner is enrolled in one course
+const getEnrollmentStatus = async (req, res) => {
+  try {
+    const enrollment = await Enrollment.findOne({
+      where: { userId: req.learner.id, courseId: req.params.courseId }
+    });
+    res.json({
+      courseId: Number(req.params.courseId),
+      enrolled: !!enrollment,
+      enrolledAt: enrollment ? enrollment.createdAt : null
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Enroll in a course. Enrolling twice is not an error.
+const enroll = async (req, res) => {
+  try {
+    const course = await findCourse(req.params.courseId);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    const [enrollment, created] = await Enrollment.findOrCreate({
+      where: { userId: req.learner.id, courseId: course.id }
+    });
+    const { students } = await Course.findByPk(course.id, { attributes: ['students'] });
+
+    res.status(created ? 201 : 200).json({
+      message: created ? `Enrolled in ${course.title}` : `Already enrolled in ${course.title}`,
+      enrollment: { courseId: course.id, enrolledAt: enrollment.createdAt },
+      students
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+const unenroll = async (req, res) => {
+  try {
+    const enrollment = await Enrollment.findOne({
+      where: { userId: req.learner.id, courseId: req.params.courseId }
+    });
+    if (!enrollment) {
+      return res.status(404).json({ message: 'You are not enrolled in this course' });
+    }
+
+    await enrollment.destroy();
+    const { students } = await Course.findByPk(enrollment.courseId, { attributes: ['students'] });
+
+    res.json({ message: 'Unenrolled successfully', students });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// The learner's progress through a published learning path: which of its
+// (published) courses they are enrolled in and the next required one
+const getPathProgress = async (req, res) => {
+  try {
+    const path = await LearningPath.findOne({ where: { slug: req.params.slug, isPublished: true }, attributes: ['id', 'slug'] });
+    if (!path) {
+      return res.status(404).json({ message: 'Learning path not found' });
+    }
+
+    const steps = await loadPathSteps(path.id, { publicOnly: true });
+    const enrollments = await Enrollment.findAll({
+      where: { userId: req.learner.id, courseId: steps.map(step => step.courseId) },
+      attributes: ['courseId']
+    });
+
+    res.json({
+      pathId: path.id,
+      slug: path.slug,
+      ...pathProgress(steps, new Set(enrollments.map(enrollment => enrollment.courseId)))
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+module.exports = {
+  getMyEnrollments,
+  getEnrollmentStatus,
+  enroll,
+  unenroll,
+  getPathProgress
+};
@@ -0,0 +1,166 @@
+const { Op } = require('sequelize');
+const { Instructor, Course } = require('../models');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
+const { slugify, uniqueSlug } = require('../utils/slug');
+const { parsePagination, buildPaginationMeta } = require('../utils/pagination');
+const { containsText } = require('../utils/like');
+const { findByName, countCourses } = require('../utils/taxonomy');
+const { isHttpUrl } = require('../utils/urls');
+
+const resolveSlug = (requested, name, instructorId = null) =>
+  uniqueSlug(slugify(requested) || slugify(name) || 'instructor', [
+    { model: Instructor, where: instructorId ? { id: { [Op.ne]: instructorId } } : {} }
+  ]);
+
+// links: [{ label, url }] with http(s) URLs. Returns { links } or { error }.
+const readLinks = (value) => {
+  let links = value;
+  if (typeof links === 'string') {
+    try { links = JSON.parse(links); } catch (e) { return { error: 'links must be a JSON array' }; }
+  }
+  if (links === null) return { links: [] };
+  if (!Array.isArray(links)) return { error: 'links must be an array of { label, url }' };
+  for (const link of links) {
+    if (!link || !String(link.label || '').trim() || !isHttpUrl(link.url)) {
+      return { error: 'Each link needs a label and an http(s) url' };
+    }
+  }
+  return { links: links.map(link => ({ label: String(link.label).trim(), url: link.url })) };
+};
+
+// Read name, bio, avatar and links from the body.
+// Returns { data } or { error }; fields not in the body are left out.
+const readInstructorBody = (body, { requireName }) => {
+  const data = {};
+  if (body.name !== undefined || requireName) {
+    const name = String(body.name || '').trim();
+    if (!name) return { error: 'name is required' };
+    data.name = name;
+  }
+  if (body.bio !== undefined) data.bio = body.bio || null;
+  if (body.avatar !== undefined) {
+    if (body.avatar && !isHttpUrl(body.avatar)) return { error: 'avatar must be an http(s) URL' };
+    data.avatar = body.avatar || null;
+  }
+  if (body.links !== undefined) {
+    const { links, error } = readLinks(body.links);
+    if (error) return { error };
+    data.links = links;
+  }
+  return { data };
+};
+
+// Instructors (admin), by name, with their course counts: ?q=&page=&limit=
+const getInstructors = async (req, res) => {
+  try {
+    const { page, limit, offset } = parsePagination(req.query, { defaultLimit: 100, maxLimit: 500 });
+    const where = req.query.q ? containsText('name', req.query.q) : {};
+
+    const { rows, count } = await Instructor.findAndCountAll({
+      where,
+      order: [['name', 'ASC'], ['id', 'ASC']],
+      limit,
+      offset
+    });
+    const counts = await countCourses('instructorId');
+    res.json({
+      instructors: rows.map(instructor => ({ ...instructor.toJSON(), courseCount: counts.get(instructor.id) || 0 })),
+      pagination: buildPaginationMeta(page, limit, count)
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+const getInstructor = async (req, res) => {
+  try {
+    const instructor = await Instructor.findByPk(req.params.id);
+    if (!instructor) {
+      return res.status(404).json({ message: 'Instructor not found' });
+    }
+    res.json(instructor);
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+const createInstructor = async (req, res) => {
+  try {
+    const { data, error } = readInstructorBody(req.body, { requireName: true });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    if (await findByName(Instructor, data.name)) {
+      return res.status(409).json({ message: `A instructor named "${data.name}" already exists` });
+    }
+
+    data.slug = await resolveSlug(req.body.slug, data.name);
+    const instructor = await Instructor.create(data);
+    await recordAudit(req, { action: AUDIT_ACTIONS.INSTRUCTOR_CREATE, entityType: 'instructor', entityId: instructor.id, after: instructor });
+    res.status(201).json({ message: 'Instructor created successfully', instructor });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Renaming updates the cached name on every course of the instructor.
+// The slug only changes when one is given, so public links stay stable.
+const updateInstructor = async (req, res) => {
+  try {
+    const instructor = await Instructor.findByPk(req.params.id);
+    if (!instructor) {
+      return res.status(404).json({ message: 'Instructor not found' });
+    }
+
+    const { data, error } = readInstructorBody(req.body, { requireName: false });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    if (data.name && await findByName(Instructor, data.name, instructor.id)) {
+      return res.status(409).json({ message: `A instructor named "${data.name}" already exists` });
+    }
+    if (req.body.slug) {
+      data.slug = await resolveSlug(req.body.slug, null, instructor.id);
+    }
+
+    const before = instructor.toJSON();
+    await instructor.update(data);
+    if (instructor.name !== before.name) {
+      await Course.update({ instructor: instructor.name }, { where: { instructorId: instructor.id }, paranoid: false });
+    }
+    await recordAudit(req, { action: AUDIT_ACTIONS.INSTRUCTOR_UPDATE, entityType: 'instructor', entityId: instructor.id, before, after: instructor });
+    res.json({ message: 'Instructor updated successfully', instructor });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Only instructors without courses can be deleted
+const deleteInstructor = async (req, res) => {
+  try {
+    const instructor = await Instructor.findByPk(req.params.id);
+    if (!instructor) {
+      return res.status(404).json({ message: 'Instructor not found' });
+    }
+
+    const courseCount = await Course.count({ where: { instructorId: instructor.id }, paranoid: false });
+    if (courseCount > 0) {
+      return res.status(409).json({ message: 'Instructor still has courses. Reassign them first.', courseCount });
+    }
+
+    await instructor.destroy();
+    await recordAudit(req, { action: AUDIT_ACTIONS.INSTRUCTOR_DELETE, entityType: 'instructor', entityId: instructor.id, before: instructor });
+    res.json({ message: 'Instructor deleted successfully' });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+module.exports = {
+  getInstructors,
+  getInstructor,
+  createInstructor,
+  updateInstructor,
+  deleteInstructor,
+};
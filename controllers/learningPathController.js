@@ -0,0 +1,159 @@
+const { Op } = require('sequelize');
+const { LearningPath, sequelize } = require('../models');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
+const { slugify, uniqueSlug } = require('../utils/slug');
+const { parsePagination, buildPaginationMeta } = require('../utils/pagination');
+const { containsText } = require('../utils/like');
+const { readPathBody, checkStepCourses, setPathSteps, loadPathSteps, summarizeSteps, countPathSteps } = require('../utils/learningPaths');
+
+const resolveSlug = (requested, title, pathId = null, options = {}) =>
+  uniqueSlug(slugify(requested) || slugify(title) || 'path', [
+    { model: LearningPath, where: pathId ? { id: { [Op.ne]: pathId } } : {} }
+  ], options);
+
+// Path with its steps (any course status) and their counts and duration
+const withSteps = async (path) => {
+  const steps = await loadPathSteps(path.id);
+  return { ...path.toJSON(), ...summarizeSteps(steps), steps };
+};
+
+// Audit snapshot: the path with its steps as { courseId, isOptional, description },
+// without the derived counts
+const auditSnapshot = ({ courseCount, requiredCount, optionalCount, durationMinutes, steps, ...path }) => ({
+  ...path,
+  steps: steps.map(({ courseId, isOptional, description }) => ({ courseId, isOptional, description }))
+});
+
+// Learning paths (admin), published or not, by title: ?q=&page=&limit=
+const getPaths = async (req, res) => {
+  try {
+    const { page, limit, offset } = parsePagination(req.query, { defaultLimit: 50, maxLimit: 200 });
+    const where = req.query.q ? containsText('title', req.query.q) : {};
+
+    const { rows, count } = await LearningPath.findAndCountAll({
+      where,
+      order: [['title', 'ASC'], ['id', 'ASC']],
+      limit,
+      offset
+    });
+    const counts = await countPathSteps();
+    res.json({
+      paths: rows.map(path => ({ ...path.toJSON(), stepCount: counts.get(path.id) || 0 })),
+      pagination: buildPaginationMeta(page, limit, count)
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+const getPath = async (req, res) => {
+  try {
+    const path = await LearningPath.findByPk(req.params.id);
+    if (!path) {
+      return res.status(404).json({ message: 'Learning path not found' });
+    }
+    res.json(await withSteps(path));
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// { title, slug?, description, image, isPublished, steps: [{ courseId, isOptional, description }] }
+const createPath = async (req, res) => {
+  try {
+    const { data, steps = [], error } = readPathBody(req.body, { requireTitle: true });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    const courseError = await checkStepCourses(steps);
+    if (courseError) {
+      return res.status(400).json({ message: courseError });
+    }
+
+    const path = await sequelize.transaction(async (transaction) => {
+      data.slug = await resolveSlug(req.body.slug, data.title, null, { transaction });
+      const created = await LearningPath.create(data, { transaction });
+      await setPathSteps(created, steps, { transaction });
+      return created;
+    });
+
+    const result = await withSteps(path);
+    await recordAudit(req, { action: AUDIT_ACTIONS.PATH_CREATE, entityType: 'learningPath', entityId: path.id, after: auditSnapshot(result) });
+    res.status(201).json({ message: 'Learning path created successfully', path: result });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Fields not sent stay unchanged; steps, when sent, replace the whole list.
+// The slug only changes when one is given, so public links stay stable.
+const updatePath = async (req, res) => {
+  try {
+    const path = await LearningPath.findByPk(req.params.id);
+    if (!path) {
+      return res.status(404).json({ message: 'Learning path not found' });
+    }
+
+    const { data, steps, error } = readPathBody(req.body, { requireTitle: false });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    if (steps) {
+      const courseError = await checkStepCourses(steps);
+      if (courseError) {
+        return res.status(400).json({ message: courseError });
+      }
+    }
+
+    const before = await withSteps(path);
+    await sequelize.transaction(async (transaction) => {
+      if (req.body.slug) {
+        data.slug = await resolveSlug(req.body.slug, null, path.id, { transaction });
+      }
+      await path.update(data, { transaction });
+      if (steps) {
+        await setPathSteps(path, steps, { transaction });
+      }
+    });
+
+    const result = await withSteps(path);
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.PATH_UPDATE,
+      entityType: 'learningPath',
+      entityId: path.id,
+      before: auditSnapshot(before),
+      after: auditSnapshot(result)
+    });
+    res.json({ message: 'Learning path updated successfully', path: result });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Deleting a path leaves its courses untouched
+const deletePath = async (req, res) => {
+  try {
+    const path = await LearningPath.findByPk(req.params.id);
+    if (!path) {
+      return res.status(404).json({ message: 'Learning path not found' });
+    }
+
+    const before = await withSteps(path);
+    await sequelize.transaction(async (transaction) => {
+      await setPathSteps(path, [], { transaction });
+      await path.destroy({ transaction });
+    });
+    await recordAudit(req, { action: AUDIT_ACTIONS.PATH_DELETE, entityType: 'learningPath', entityId: path.id, before: auditSnapshot(before) });
+    res.json({ message: 'Learning path deleted successfully' });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+module.exports = {
+  getPaths,
+  getPath,
+  createPath,
+  updatePath,
+  deletePath,
+};
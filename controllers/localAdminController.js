@@ -1,7 +1,27 @@
 // model importing 
-const { where } = require('sequelize');
+const crypto = require('crypto');
+const { Op } = require('sequelize');
 const {localAdmin}=require('../models');
 const bcrypt=require('bcrypt');
+const { ROLES, isValidRole } = require('../config/roles');
+const { PASSWORD_MIN_LENGTH } = require('../config/auth');
+const { PRINCIPAL_TYPES, signChallengeToken } = require('../utils/tokens');
+const { startSession, revokeAllForPrincipal } = require('../utils/sessions');
+const { parsePagination, buildPaginationMeta } = require('../utils/pagination');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
+const { containsText } = require('../utils/like');
+const {
+    accountKey,
+    checkLoginAllowed,
+    recordLoginFailure,
+    recordLoginSuccess,
+    sendThrottled
+} = require('../utils/loginThrottle');
+
+const SALT_ROUNDS = 10;
+
+const isSelf = (req, id) =>
+    req.principal.type === PRINCIPAL_TYPES.LOCAL_ADMIN && Number(req.principal.id) === Number(id);
 
 const createLocalAdmin = async (req , res )=>{
     try{
@@ -10,6 +30,17 @@ const createLocalAdmin = async (req , res )=>{
         if (!name || !email || !password || !role) {
             return res.status(400).json({message:"All feilds are required"});
         }
+
+        if (!isValidRole(role)) {
+            return res.status(400).json({message:`Invalid role. Allowed roles: ${ROLES.join(', ')}`});
+        }
+
+        if (typeof password !== 'string') {
+            return res.status(400).json({message:"Password must be a string"});
+        }
+        if (password.length < PASSWORD_MIN_LENGTH) {
+            return res.status(400).json({message:`Password must be at least ${PASSWORD_MIN_LENGTH} characters`});
+        }
         
         const exsitingLocalAdmin=await localAdmin.findOne({
             where: {email}
@@ -19,8 +50,7 @@ const createLocalAdmin = async (req , res )=>{
         }
 
         //password encryption is hapening here before creating the localadminuser
-        const saltRounds=10;
-        const hashedPassword=await bcrypt.hash(password,saltRounds); // this will create the hased password 
+        const hashedPassword=await bcrypt.hash(password,SALT_ROUNDS); // this will create the hased password 
         
         
         const newLocalAdmin=await localAdmin.create({
@@ -29,6 +59,7 @@ const createLocalAdmin = async (req , res )=>{
             password:hashedPassword,
             role
         });
+        await recordAudit(req, { action: AUDIT_ACTIONS.LOCAL_ADMIN_CREATE, entityType: PRINCIPAL_TYPES.LOCAL_ADMIN, entityId: newLocalAdmin.id, after: newLocalAdmin });
         res.status(201).json({message:"Local Admin User created succesfully",
                 LocalAdmin:{
                     id:newLocalAdmin.id,
@@ -43,6 +74,270 @@ const createLocalAdmin = async (req , res )=>{
     }
 };
 
+// Local admin login (email + password)
+const login = async (req, res) => {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+        return res.status(400).json({ message: 'Email and password are required' });
+    }
+
+    const throttleKey = accountKey(PRINCIPAL_TYPES.LOCAL_ADMIN, email);
+
+    try {
+        const blocked = await checkLoginAllowed(throttleKey, req.ip);
+        if (blocked) {
+            return sendThrottled(res, blocked);
+        }
+
+        const account = await localAdmin.scope('withPassword').findOne({ where: { email } });
+        if (!account) {
+            await recordLoginFailure(throttleKey, req.ip);
+            return res.status(401).json({ message: 'Invalid email or password' });
+        }
+
+        const match = await bcrypt.compare(password, account.password);
+        if (!match) {
+            await recordLoginFailure(throttleKey, req.ip);
+            return res.status(401).json({ message: 'Invalid email or password' });
+        }
+
+        if (!account.active) {
+            return res.status(403).json({ message: 'Account is deactivated' });
+        }
+
+        // Password is right, but enrolled accounts still owe a second factor.
+        // Failures are cleared by /api/admin/login/2fa once it is given.
+        if (account.totpEnabled) {
+            return res.json({
+                message: 'Two-factor authentication required',
+                twoFactorRequired: true,
+                challengeToken: signChallengeToken(PRINCIPAL_TYPES.LOCAL_ADMIN, account)
+            });
+        }
+
+        await recordLoginSuccess(throttleKey);
+
+        const { token, refreshToken } = await startSession(PRINCIPAL_TYPES.LOCAL_ADMIN, account, account.role);
+
+        res.json({
+            message: 'Login successful',
+            id: account.id,
+            name: account.name,
+            email: account.email,
+            role: account.role,
+            token,
+            refreshToken
+        });
+    } catch (err) {
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+};
+
+// List local admins: ?page=&limit=&search=&role=&active=
+const listLocalAdmins = async (req, res) => {
+    try {
+        const { page, limit, offset } = parsePagination(req.query);
+        const where = {};
+
+        if (req.query.search) {
+            where[Op.or] = [
+                containsText('name', req.query.search),
+                containsText('email', req.query.search)
+            ];
+        }
+        if (req.query.role) {
+            where.role = req.query.role;
+        }
+        if (req.query.active !== undefined) {
+            where.active = req.query.active === 'true';
+        }
+
+        const { rows, count } = await localAdmin.findAndCountAll({
+            where,
+            order: [['createdAt', 'DESC']],
+            limit,
+            offset
+        });
+
+        res.json({ localAdmins: rows, pagination: buildPaginationMeta(page, limit, count) });
+    } catch (err) {
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+};
+
+const getLocalAdmin = async (req, res) => {
+    try {
+        const account = await localAdmin.findByPk(req.params.id);
+        if (!account) {
+            return res.status(404).json({ message: 'Local admin not found' });
+        }
+        res.json(account);
+    } catch (err) {
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+};
+
+// Profile of the logged-in local admin
+const getMe = async (req, res) => {
+    if (req.principal.type !== PRINCIPAL_TYPES.LOCAL_ADMIN) {
+        return res.status(400).json({ message: 'Only local admin accounts have a profile' });
+    }
+    req.params.id = req.principal.id;
+    return getLocalAdmin(req, res);
+};
+
+// PATCH name / role / active
+const updateLocalAdmin = async (req, res) => {
+    try {
+        const account = await localAdmin.findByPk(req.params.id);
+        if (!account) {
+            return res.status(404).json({ message: 'Local admin not found' });
+        }
+
+        const before = account.toJSON();
+        const { name, role, active } = req.body;
+        const updates = {};
+
+        if (name !== undefined) {
+            if (!String(name).trim()) {
+                return res.status(400).json({ message: 'Name cannot be empty' });
+            }
+            updates.name = String(name).trim();
+        }
+        if (role !== undefined) {
+            if (!isValidRole(role)) {
+                return res.status(400).json({ message: `Invalid role. Allowed roles: ${ROLES.join(', ')}` });
+            }
+            updates.role = role;
+        }
+        if (active !== undefined) {
+            updates.active = active === true || active === 'true';
+        }
+
+        // Changing your own role or deactivating yourself could lock everyone out
+        if (isSelf(req, account.id) && (updates.role !== undefined || updates.active === false)) {
+            return res.status(400).json({ message: 'You cannot change your own role or deactivate yourself' });
+        }
+
+        await account.update(updates);
+        await recordAudit(req, { action: AUDIT_ACTIONS.LOCAL_ADMIN_UPDATE, entityType: PRINCIPAL_TYPES.LOCAL_ADMIN, entityId: account.id, before, after: account });
+
+        // A role change or deactivation takes effect immediately
+        if (updates.role !== undefined || updates.active === false) {
+            await revokeAllForPrincipal(PRINCIPAL_TYPES.LOCAL_ADMIN, account.id);
+        }
+
+        res.json({ message: 'Local admin updated successfully', localAdmin: account });
+    } catch (err) {
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+};
+
+// Soft deactivation: the account stays but can no longer log in
+const deactivateLocalAdmin = async (req, res) => {
+    req.body = { active: false };
+    return updateLocalAdmin(req, res);
+};
+
+// Self-service password change, requires the current password
+const changeOwnPassword = async (req, res) => {
+    if (req.principal.type !== PRINCIPAL_TYPES.LOCAL_ADMIN) {
+        return res.status(400).json({ message: 'Only local admin accounts can change their password here' });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+    if (!currentPassword || !newPassword) {
+        return res.status(400).json({ message: 'Current and new password are required' });
+    }
+    if (typeof currentPassword !== 'string' || typeof newPassword !== 'string') {
+        return res.status(400).json({ message: 'Passwords must be strings' });
+    }
+    if (newPassword.length < PASSWORD_MIN_LENGTH) {
+        return res.status(400).json({ message: `Password must be at least ${PASSWORD_MIN_LENGTH} characters` });
+    }
+
+    try {
+        const account = await localAdmin.scope('withPassword').findByPk(req.principal.id);
+        if (!account) {
+            return res.status(404).json({ message: 'Local admin not found' });
+        }
+
+        const match = await bcrypt.compare(currentPassword, account.password);
+        if (!match) {
+            return res.status(401).json({ message: 'Current password is incorrect' });
+        }
+
+        await account.update({ password: await bcrypt.hash(newPassword, SALT_ROUNDS) });
+        await recordAudit(req, { action: AUDIT_ACTIONS.ACCOUNT_PASSWORD_CHANGE, entityType: PRINCIPAL_TYPES.LOCAL_ADMIN, entityId: account.id });
+        // Sign out every other session; the caller logs in again with the new password
+        await revokeAllForPrincipal(PRINCIPAL_TYPES.LOCAL_ADMIN, account.id);
+
+        res.json({ message: 'Password changed successfully. Please log in again.' });
+    } catch (err) {
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+};
+
+// Admin-forced reset. Without `newPassword` a temporary password is
+// generated and returned once so it can be handed to the user.
+const resetLocalAdminPassword = async (req, res) => {
+    const { newPassword } = req.body;
+    if (newPassword !== undefined && String(newPassword).length < PASSWORD_MIN_LENGTH) {
+        return res.status(400).json({ message: `Password must be at least ${PASSWORD_MIN_LENGTH} characters` });
+    }
+
+    try {
+        const account = await localAdmin.findByPk(req.params.id);
+        if (!account) {
+            return res.status(404).json({ message: 'Local admin not found' });
+        }
+
+        const password = newPassword ? String(newPassword) : crypto.randomBytes(9).toString('base64url');
+        await account.update({ password: await bcrypt.hash(password, SALT_ROUNDS) });
+        await revokeAllForPrincipal(PRINCIPAL_TYPES.LOCAL_ADMIN, account.id);
+        await recordAudit(req, { action: AUDIT_ACTIONS.LOCAL_ADMIN_RESET_PASSWORD, entityType: PRINCIPAL_TYPES.LOCAL_ADMIN, entityId: account.id });
+
+        const response = { message: 'Password reset successfully' };
+        if (!newPassword) {
+            response.temporaryPassword = password;
+        }
+        res.json(response);
+    } catch (err) {
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+};
+
+// Permanent removal (offboarding normally uses deactivation instead)
+const deleteLocalAdmin = async (req, res) => {
+    try {
+        const account = await localAdmin.findByPk(req.params.id);
+        if (!account) {
+            return res.status(404).json({ message: 'Local admin not found' });
+        }
+        if (isSelf(req, account.id)) {
+            return res.status(400).json({ message: 'You cannot delete your own account' });
+        }
+
+        await revokeAllForPrincipal(PRINCIPAL_TYPES.LOCAL_ADMIN, account.id);
+        await account.destroy();
+        await recordAudit(req, { action: AUDIT_ACTIONS.LOCAL_ADMIN_DELETE, entityType: PRINCIPAL_TYPES.LOCAL_ADMIN, entityId: account.id, before: account });
+
+        res.json({ message: 'Local admin deleted successfully' });
+    } catch (err) {
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+};
+
 module.exports={
-    createLocalAdmin
+    createLocalAdmin,
+    login,
+    listLocalAdmins,
+    getLocalAdmin,
+    getMe,
+    updateLocalAdmin,
+    deactivateLocalAdmin,
+    changeOwnPassword,
+    resetLocalAdminPassword,
+    deleteLocalAdmin
 }
\ No newline at end of file
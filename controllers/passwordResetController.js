@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { Admin, localAdmin, PasswordResetToken } = require('../models');
+const { PASSWORD_MIN_LENGTH, PASSWORD_RESET_TTL_MINUTES } = require('../config/auth');
+const { PRINCIPAL_TYPES } = require('../utils/tokens');
+const { loadAccount, accountLabel } = require('../utils/principals');
+const { revokeAllForPrincipal } = require('../utils/sessions');
+const { accountKey, unlockAccount } = require('../utils/loginThrottle');
+const { sendMail } = require('../utils/mailer');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
+const { passwordResetEmail } = require('../utils/mailTemplates');
+
+const SALT_ROUNDS = 10;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Find the account an email belongs to (local admins first, then site admins)
+const findAccountByEmail = async (email) => {
+  const local = await localAdmin.findOne({ where: { email } });
+  if (local) {
+    return local.active ? { type: PRINCIPAL_TYPES.LOCAL_ADMIN, account: local, name: local.name } : null;
+  }
+  const admin = await Admin.findOne({ where: { email } });
+  return admin && { type: PRINCIPAL_TYPES.ADMIN, account: admin, name: admin.username };
+};
+
+// Request a reset link. Always answers the same way so the endpoint
+// cannot be used to discover which emails have accounts.
+const forgotPassword = async (req, res) => {
+  const { email } = req.body;
+  if (!email) {
+    return res.status(400).json({ message: 'Email is required' });
+  }
+
+  try {
+    const found = await findAccountByEmail(String(email).trim());
+    if (found) {
+      // Only the newest link is valid
+      await PasswordResetToken.destroy({
+        where: { principalType: found.type, principalId: found.account.id, usedAt: null }
+      });
+
+      const token = crypto.randomBytes(32).toString('base64url');
+      await PasswordResetToken.create({
+        principalType: found.type,
+        principalId: found.account.id,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000)
+      });
+
+      // Not awaited: a failed or slow delivery must not change the answer
+      // (or how long it takes) compared to an unknown email
+      Promise.resolve()
+        .then(() => sendMail({
+          to: found.account.email,
+          ...passwordResetEmail({ name: found.name, token, expiresInMinutes: PASSWORD_RESET_TTL_MINUTES })
+        }))
+        .catch(err => console.error('Failed to send password reset email:', err.message));
+    }
+
+    res.json({ message: 'If an account exists for that email, a reset link has been sent.' });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Set a new password using a token from the email
+const resetPassword = async (req, res) => {
+  const { token, password } = req.body;
+  if (!token || !password) {
+    return res.status(400).json({ message: 'Token and password are required' });
+  }
+  if (typeof token !== 'string') {
+    return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+  }
+  if (String(password).length < PASSWORD_MIN_LENGTH) {
+    return res.status(400).json({ message: `Password must be at least ${PASSWORD_MIN_LENGTH} characters` });
+  }
+
+  try {
+    const resetToken = await PasswordResetToken.findOne({ where: { tokenHash: hashToken(token) } });
+    if (!resetToken || resetToken.usedAt || resetToken.expiresAt < new Date()) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    // Claim the token first so two concurrent requests cannot both use it
+    const [claimed] = await PasswordResetToken.update(
+      { usedAt: new Date() },
+      { where: { id: resetToken.id, usedAt: null } }
+    );
+    if (!claimed) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    const principal = await loadAccount(resetToken.principalType, resetToken.principalId, { withSecrets: true });
+    if (!principal) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+    const { account } = principal;
+
+    await account.update({ password: await bcrypt.hash(String(password), SALT_ROUNDS) });
+
+    // Sign out everywhere and lift any lockout caused by the forgotten password
+    await revokeAllForPrincipal(resetToken.principalType, account.id);
+    await unlockAccount(accountKey(resetToken.principalType, accountLabel(resetToken.principalType, account)));
+
+    // Nobody is logged in here; the account owner is the actor
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.ACCOUNT_PASSWORD_RESET,
+      entityType: resetToken.principalType,
+      entityId: account.id,
+      actor: { type: resetToken.principalType, id: account.id, name: accountLabel(resetToken.principalType, account) }
+    });
+
+    res.json({ message: 'Password has been reset. You can now log in.' });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+module.exports = {
+  forgotPassword,
+  resetPassword
+};
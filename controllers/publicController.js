@@ -1,49 +1,376 @@
-const { Course } = require('../models');
+const { Op } = require('sequelize');
+const { Course, CourseSlugRedirect, Category, Instructor, Tag, Review, User, LearningPath } = require('../models');
+const { parsePagination, buildPaginationMeta } = require('../utils/pagination');
+const { parseSearchQuery, buildHighlightPattern, highlight, buildSnippet } = require('../utils/searchQuery');
+const { searchCourses } = require('../utils/courseSearch');
+const { suggest } = require('../utils/suggest');
+const { publishedOnly } = require('../utils/courseStatus');
+const { countCourses, buildCategoryTree, descendantIds } = require('../utils/taxonomy');
+const { courseIdsForTags, countTagUsage } = require('../utils/tags');
+const { repeatedParamError, listFilter, buildCourseQuery } = require('../utils/courseFilters');
+const { containsText } = require('../utils/like');
+const { loadCurriculum } = require('../utils/curriculum');
+const { loadPathSteps, summarizeSteps, countPathSteps } = require('../utils/learningPaths');
 
+// whatYoullLearn is stored as a JSON string; searchTags and linkParams are
+// internal (learners get the parameters through /go/:slug)
+const parseCourse = (course) => {
+  const { searchTags, linkParams, score, ...data } = course.toJSON();
+  return {
+    ...data,
+    tags: course.tags || [],
+    whatYoullLearn: course.whatYoullLearn ? JSON.parse(course.whatYoullLearn) : [],
+  };
+};
+
+// Public catalog: ?q=&category=&level=&language=&tag=&minRating=&maxRating=
+// &minPrice=&maxPrice=&sortBy=&sortOrder=&page=&limit=
 const getAllCourses = async (req, res) => {
   try {
-    const { category, sortBy = 'createdAt', sortOrder = 'DESC' } = req.query;
+    const { where, order, error } = await buildCourseQuery(req.query, { where: publishedOnly() });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const { page, limit, offset } = parsePagination(req.query, { defaultLimit: 12 });
+    const { rows, count } = await Course.findAndCountAll({ where, order, limit, offset });
+
+    res.json({ courses: rows.map(parseCourse), pagination: buildPaginationMeta(page, limit, count) });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Relevance-ranked search: ?q=&category=&level=&page=&limit=
+// q supports "quoted phrases" and -exclusions; see utils/searchQuery.js
+const search = async (req, res) => {
+  try {
+    const repeated = repeatedParamError(req.query, ['q', 'category', 'level']);
+    if (repeated) {
+      return res.status(400).json({ message: repeated });
+    }
+
+    const parsed = parseSearchQuery(req.query.q);
+    if (!parsed.terms.length && !parsed.phrases.length) {
+      return res.status(400).json({ message: 'q must contain at least one search word or phrase' });
+    }
+
+    const { page, limit, offset } = parsePagination(req.query, { defaultLimit: 12, maxLimit: 50 });
+    const where = publishedOnly();
+    if (req.query.category) {
+      where.category = listFilter(req.query.category);
+    }
+    if (req.query.level) {
+      where[Op.and] = [containsText('level', req.query.level)];
+    }
+
+    const { total, results } = await searchCourses(parsed, { where, limit, offset });
+    const pattern = buildHighlightPattern(parsed);
+
+    res.json({
+      query: parsed,
+      results: results.map(({ course, score }) => ({
+        ...parseCourse(course),
+        score,
+        // HTML-escaped, with matches wrapped in <mark>
+        highlights: {
+          title: highlight(course.title, pattern),
+          snippet: buildSnippet(course.description, pattern) ||
+            buildSnippet(course.fullDescription, pattern) ||
+            highlight(course.description, pattern)
+        }
+      })),
+      pagination: buildPaginationMeta(page, limit, total)
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Search-as-you-type: ?q=&limit= (per group, max 10).
+// Matches word prefixes and tolerates small typos.
+const getSuggestions = async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 5, 1), 10);
+    const q = String(req.query.q || '').slice(0, 100);
+    res.json({ query: q, suggestions: await suggest(q, limit) });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Get one published course by slug. Old slugs answer with a 301 to the current one.
+// The category, instructor and tag records are included for linking to their
+// pages, along with the curriculum outline (sections and lessons).
+const getCourseBySlug = async (req, res) => {
+  try {
+    const course = await Course.findOne({
+      where: { slug: req.params.slug, ...publishedOnly() },
+      include: [
+        { model: Category, as: 'categoryRecord', attributes: ['name', 'slug', 'icon'] },
+        { model: Instructor, as: 'instructorRecord', attributes: ['name', 'slug', 'bio', 'avatar', 'links'] },
+        { model: Tag, as: 'tagRecords', attributes: ['name', 'slug'], through: { attributes: [] } }
+      ]
+    });
+    if (course) {
+      return res.json({ ...parseCourse(course), curriculum: await loadCurriculum(course.id) });
+    }
+
+    const redirect = await CourseSlugRedirect.findOne({
+      where: { slug: req.params.slug },
+      include: [{ model: Course, as: 'course', attributes: ['slug'], where: publishedOnly() }]
+    });
+    if (redirect && redirect.course) {
+      return res.redirect(301, `${req.baseUrl}/courses/${encodeURIComponent(redirect.course.slug)}`);
+    }
+
+    res.status(404).json({ message: 'Course not found' });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Review orders: ?sort=
+const REVIEW_SORTS = {
+  newest: [['createdAt', 'DESC'], ['id', 'DESC']],
+  highest: [['rating', 'DESC'], ['createdAt', 'DESC'], ['id', 'DESC']],
+  lowest: [['rating', 'ASC'], ['createdAt', 'DESC'], ['id', 'DESC']],
+};
+
+// Approved reviews of a published course with the rating histogram:
+// ?sort=newest|highest|lowest&rating=&page=&limit=
+const getCourseReviews = async (req, res) => {
+  try {
+    const course = await Course.findOne({
+      where: { slug: req.params.slug, ...publishedOnly() },
+      attributes: ['id', 'rating', 'reviewCount']
+    });
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+    const sort = req.query.sort || 'newest';
+    if (!Object.hasOwn(REVIEW_SORTS, sort)) {
+      return res.status(400).json({ message: `sort must be one of: ${Object.keys(REVIEW_SORTS).join(', ')}` });
+    }
+
+    const where = { courseId: course.id, status: 'approved' };
+    const counts = await Review.count({ where, group: ['rating'] });
+    // Star count -> number of approved reviews
+    const histogram = { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 };
+    counts.forEach(({ rating, count }) => { histogram[rating] = count; });
+
+    if (req.query.rating) where.rating = Number(req.query.rating) || 0;
+    const { page, limit, offset } = parsePagination(req.query, { defaultLimit: 10, maxLimit: 50 });
+    const { rows, count } = await Review.findAndCountAll({
+      where,
+      attributes: ['id', 'rating', 'comment', 'createdAt', 'updatedAt'],
+      include: [{ model: User, as: 'user', attributes: ['name'] }],
+      order: REVIEW_SORTS[sort],
+      limit,
+      offset
+    });
+
+    res.json({
+      rating: course.rating,
+      reviewCount: course.reviewCount,
+      histogram,
+      reviews: rows.map(review => {
+        const { user, ...data } = review.toJSON();
+        return { ...data, author: user ? user.name : 'Former learner' };
+      }),
+      pagination: buildPaginationMeta(page, limit, count)
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+const CATEGORY_FIELDS = ['id', 'name', 'slug', 'description', 'icon', 'sortOrder', 'parentId'];
+
+// Category tree with the number of published courses directly in each
+const getCategories = async (req, res) => {
+  try {
+    const categories = await Category.findAll({ attributes: CATEGORY_FIELDS, raw: true });
+    const counts = await countCourses('categoryId', publishedOnly());
+    const withCounts = categories.map(category => ({ ...category, courseCount: counts.get(category.id) || 0 }));
+    res.json({ categories: buildCategoryTree(withCounts) });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// One category with its parent, sub-categories and the published courses in
+// it or any of its sub-categories: ?page=&limit=
+const getCategoryBySlug = async (req, res) => {
+  try {
+    const categories = await Category.findAll({ attributes: CATEGORY_FIELDS, raw: true });
+    const category = categories.find(c => c.slug === req.params.slug);
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const { page, limit, offset } = parsePagination(req.query, { defaultLimit: 12 });
+    const { rows, count } = await Course.findAndCountAll({
+      where: { ...publishedOnly(), categoryId: descendantIds(categories, category.id) },
+      order: [['rating', 'DESC'], ['id', 'ASC']],
+      limit,
+      offset
+    });
+
+    const parent = categories.find(c => c.id === category.parentId);
+    res.json({
+      category: {
+        ...category,
+        parent: parent ? { name: parent.name, slug: parent.slug } : null,
+        children: buildCategoryTree(categories.filter(c => c.parentId === category.id))
+      },
+      courses: rows.map(parseCourse),
+      pagination: buildPaginationMeta(page, limit, count)
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Instructors with at least one published course, by name: ?page=&limit=
+const getInstructors = async (req, res) => {
+  try {
+    const counts = await countCourses('instructorId', publishedOnly());
+    const { page, limit, offset } = parsePagination(req.query, { defaultLimit: 24 });
+    const { rows, count } = await Instructor.findAndCountAll({
+      where: { id: [...counts.keys()] },
+      order: [['name', 'ASC'], ['id', 'ASC']],
+      limit,
+      offset
+    });
 
-    // Build where clause for filtering
-    const whereCondition = category ? { category } : {};
+    res.json({
+      instructors: rows.map(instructor => ({ ...instructor.toJSON(), courseCount: counts.get(instructor.id) })),
+      pagination: buildPaginationMeta(page, limit, count)
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// One instructor with their published courses: ?page=&limit=
+const getInstructorBySlug = async (req, res) => {
+  try {
+    const instructor = await Instructor.findOne({ where: { slug: req.params.slug } });
+    if (!instructor) {
+      return res.status(404).json({ message: 'Instructor not found' });
+    }
+
+    const { page, limit, offset } = parsePagination(req.query, { defaultLimit: 12 });
+    const { rows, count } = await Course.findAndCountAll({
+      where: { ...publishedOnly(), instructorId: instructor.id },
+      order: [['rating', 'DESC'], ['id', 'ASC']],
+      limit,
+      offset
+    });
 
-    // Dynamic sort field and order
-    const order = [[sortBy, sortOrder.toUpperCase()]];
+    res.json({
+      instructor,
+      courses: rows.map(parseCourse),
+      pagination: buildPaginationMeta(page, limit, count)
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
 
-    const courses = await Course.findAll({
-      where: whereCondition,
-      order,
-      limit: 10
+// Tags used by published courses, most used first
+const getTags = async (req, res) => {
+  try {
+    const counts = await countTagUsage(publishedOnly());
+    const tags = await Tag.findAll({ where: { id: [...counts.keys()] }, attributes: ['id', 'name', 'slug'] });
+    res.json({
+      tags: tags
+        .map(tag => ({ ...tag.toJSON(), courseCount: counts.get(tag.id) }))
+        .sort((a, b) => b.courseCount - a.courseCount || a.name.localeCompare(b.name))
     });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
 
-    const parsedCourses = courses.map(course => ({
-      ...course.toJSON(),
-      tags: course.tags ? JSON.parse(course.tags) : [],
-      whatYoullLearn: course.whatYoullLearn ? JSON.parse(course.whatYoullLearn) : [],
-    }));
+// One tag with its published courses: ?page=&limit=
+const getTagCourses = async (req, res) => {
+  try {
+    const tag = await Tag.findOne({ where: { slug: req.params.slug }, attributes: ['id', 'name', 'slug'] });
+    if (!tag) {
+      return res.status(404).json({ message: 'Tag not found' });
+    }
+
+    const { page, limit, offset } = parsePagination(req.query, { defaultLimit: 12 });
+    const { rows, count } = await Course.findAndCountAll({
+      where: { ...publishedOnly(), id: await courseIdsForTags(tag.id) },
+      order: [['rating', 'DESC'], ['id', 'ASC']],
+      limit,
+      offset
+    });
 
-    res.json(parsedCourses);
+    res.json({
+      tag,
+      courses: rows.map(parseCourse),
+      pagination: buildPaginationMeta(page, limit, count)
+    });
   } catch (err) {
     res.status(500).json({ message: 'Server error', error: err.message });
   }
 };
 
-// const getAllCourses = async (req, res) => {
-//   try {
-//     const courses = await Course.findAll();
+// Published learning paths with at least one published course, by title:
+// ?page=&limit=; each with its course counts and total duration
+const getPaths = async (req, res) => {
+  try {
+    const counts = await countPathSteps(publishedOnly());
+    const { page, limit, offset } = parsePagination(req.query, { defaultLimit: 12 });
+    const { rows, count } = await LearningPath.findAndCountAll({
+      where: { isPublished: true, id: [...counts.keys()] },
+      order: [['title', 'ASC'], ['id', 'ASC']],
+      limit,
+      offset
+    });
 
-//     const parsedCourses = courses.map(course => ({
-//       ...course.toJSON(),
-//       tags: course.tags ? JSON.parse(course.tags) : [],
-//       whatYoullLearn: course.whatYoullLearn ? JSON.parse(course.whatYoullLearn) : [],
-//     }));
+    const paths = await Promise.all(rows.map(async path => ({
+      ...path.toJSON(),
+      ...summarizeSteps(await loadPathSteps(path.id, { publicOnly: true }))
+    })));
+    res.json({ paths, pagination: buildPaginationMeta(page, limit, count) });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
 
-//     res.json(parsedCourses);
-//   } catch (err) {
-//     res.status(500).json({ message: 'Server error', error: err.message });
-//   }
-// };
+// One published learning path with its steps in order. Steps whose course is
+// not published are left out.
+const getPathBySlug = async (req, res) => {
+  try {
+    const path = await LearningPath.findOne({ where: { slug: req.params.slug, isPublished: true } });
+    if (!path) {
+      return res.status(404).json({ message: 'Learning path not found' });
+    }
+
+    const steps = await loadPathSteps(path.id, { publicOnly: true });
+    res.json({ ...path.toJSON(), ...summarizeSteps(steps), steps });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
 
 module.exports = {
   getAllCourses,
+  search,
+  getSuggestions,
+  getCourseBySlug,
+  getCourseReviews,
+  getCategories,
+  getCategoryBySlug,
+  getInstructors,
+  getInstructorBySlug,
+  getTags,
+  getTagCourses,
+  getPaths,
+  getPathBySlug,
 };
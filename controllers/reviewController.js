@@ -0,0 +1,149 @@
+const { Course, Enrollment, Review, User } = require('../models');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
+const { parsePagination, buildPaginationMeta } = require('../utils/pagination');
+const { publishedOnly } = require('../utils/courseStatus');
+
+const MAX_COMMENT_LENGTH = 5000;
+
+// Fields a learner sees of their own review
+const ownReview = (review) => review && {
+  id: review.id,
+  courseId: review.courseId,
+  rating: review.rating,
+  comment: review.comment,
+  status: review.status,
+  createdAt: review.createdAt,
+  updatedAt: review.updatedAt
+};
+
+// The logged-in learner's review of a course (null if none)
+const getMyReview = async (req, res) => {
+  try {
+    const review = await Review.findOne({ where: { userId: req.learner.id, courseId: req.params.courseId } });
+    res.json({ review: ownReview(review) });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Write or rewrite the learner's review: { rating (1-5), comment }.
+// Only enrolled learners can review, and any change goes back to moderation.
+const saveMyReview = async (req, res) => {
+  try {
+    const rating = Number(req.body.rating);
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      return res.status(400).json({ message: 'rating must be a whole number from 1 to 5' });
+    }
+    const comment = String(req.body.comment || '').trim();
+    if (comment.length > MAX_COMMENT_LENGTH) {
+      return res.status(400).json({ message: `comment must be at most ${MAX_COMMENT_LENGTH} characters` });
+    }
+
+    const course = await Course.findOne({ where: { id: Number(req.params.courseId) || 0, ...publishedOnly() }, attributes: ['id', 'title'] });
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+    const enrolled = await Enrollment.count({ where: { userId: req.learner.id, courseId: course.id } });
+    if (!enrolled) {
+      return res.status(403).json({ message: 'Enroll in the course before reviewing it', code: 'NOT_ENROLLED' });
+    }
+
+    const existing = await Review.findOne({ where: { userId: req.learner.id, courseId: course.id } });
+    if (existing) {
+      if (existing.rating !== rating || (existing.comment || '') !== comment) {
+        await existing.update({ rating, comment: comment || null, status: 'pending', moderationNote: null, moderatedAt: null, moderatorName: null });
+      }
+      return res.json({ message: 'Review updated. It will appear once approved.', review: ownReview(existing) });
+    }
+
+    const review = await Review.create({ userId: req.learner.id, courseId: course.id, rating, comment: comment || null });
+    res.status(201).json({ message: 'Thanks for your review! It will appear once approved.', review: ownReview(review) });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+const deleteMyReview = async (req, res) => {
+  try {
+    const review = await Review.findOne({ where: { userId: req.learner.id, courseId: req.params.courseId } });
+    if (!review) {
+      return res.status(404).json({ message: 'You have not reviewed this course' });
+    }
+    await review.destroy();
+    res.json({ message: 'Review deleted' });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Moderation queue, oldest first: ?status=&courseId=&rating=&page=&limit=
+// statusCounts covers all reviews, whatever the filters.
+const getReviews = async (req, res) => {
+  try {
+    const { page, limit, offset } = parsePagination(req.query, { maxLimit: 100 });
+    const where = {};
+    if (req.query.status) {
+      if (!Review.STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ message: `status must be one of: ${Review.STATUSES.join(', ')}` });
+      }
+      where.status = req.query.status;
+    }
+    if (req.query.courseId) where.courseId = Number(req.query.courseId) || 0;
+    if (req.query.rating) where.rating = Number(req.query.rating) || 0;
+
+    const { rows, count } = await Review.findAndCountAll({
+      where,
+      include: [
+        { model: Course, as: 'course', attributes: ['id', 'title', 'slug'], paranoid: false },
+        { model: User, as: 'user', attributes: ['id', 'name', 'email'] }
+      ],
+      order: [['createdAt', 'ASC'], ['id', 'ASC']],
+      limit,
+      offset
+    });
+
+    const counts = await Review.count({ group: ['status'] });
+    const statusCounts = Object.fromEntries(Review.STATUSES.map(status => [status, 0]));
+    counts.forEach(({ status, count: n }) => { statusCounts[status] = n; });
+
+    res.json({ reviews: rows, statusCounts, pagination: buildPaginationMeta(page, limit, count) });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Approve, hide or flag a review (or send it back to pending): { status, note }
+const moderateReview = async (req, res) => {
+  try {
+    const review = await Review.findByPk(req.params.id);
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+    const { status } = req.body;
+    if (!Review.STATUSES.includes(status)) {
+      return res.status(400).json({ message: `status must be one of: ${Review.STATUSES.join(', ')}` });
+    }
+
+    const before = review.toJSON();
+    await review.update({
+      status,
+      moderationNote: req.body.note !== undefined ? (String(req.body.note || '').trim().slice(0, 255) || null) : review.moderationNote,
+      moderatedAt: new Date(),
+      moderatorName: req.principal.name
+    });
+    await recordAudit(req, { action: AUDIT_ACTIONS.REVIEW_MODERATE, entityType: 'review', entityId: review.id, before, after: review });
+
+    const { rating, reviewCount } = await Course.findByPk(review.courseId, { attributes: ['rating', 'reviewCount'], paranoid: false });
+    res.json({ message: `Review ${status}`, review, course: { rating, reviewCount } });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+module.exports = {
+  getMyReview,
+  saveMyReview,
+  deleteMyReview,
+  getReviews,
+  moderateReview,
+};
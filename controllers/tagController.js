@@ -0,0 +1,155 @@
+const { Tag, CourseTag, sequelize } = require('../models');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
+const { parsePagination, buildPaginationMeta } = require('../utils/pagination');
+const { containsText } = require('../utils/like');
+const { findByName } = require('../utils/taxonomy');
+const { resolveTagSlug, updateCachedTagNames, sameName, courseIdsForTags, countTagUsage } = require('../utils/tags');
+
+// Tags (admin), by name, with the number of courses using each: ?q=&page=&limit=
+const getTags = async (req, res) => {
+  try {
+    const { page, limit, offset } = parsePagination(req.query, { defaultLimit: 100, maxLimit: 500 });
+    const where = req.query.q ? containsText('name', req.query.q) : {};
+
+    const { rows, count } = await Tag.findAndCountAll({
+      where,
+      order: [['name', 'ASC'], ['id', 'ASC']],
+      limit,
+      offset
+    });
+    const counts = await countTagUsage();
+    res.json({
+      tags: rows.map(tag => ({ ...tag.toJSON(), usageCount: counts.get(tag.id) || 0 })),
+      pagination: buildPaginationMeta(page, limit, count)
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+const getTag = async (req, res) => {
+  try {
+    const tag = await Tag.findByPk(req.params.id);
+    if (!tag) {
+      return res.status(404).json({ message: 'Tag not found' });
+    }
+    const counts = await countTagUsage();
+    res.json({ ...tag.toJSON(), usageCount: counts.get(tag.id) || 0 });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Rename a tag and/or change its slug: { name, slug }. The new name is
+// written to every course using the tag, each with a new revision. Renaming
+// onto another tag's name is refused; merge the tags instead.
+const updateTag = async (req, res) => {
+  try {
+    const tag = await Tag.findByPk(req.params.id);
+    if (!tag) {
+      return res.status(404).json({ message: 'Tag not found' });
+    }
+
+    const data = {};
+    if (req.body.name !== undefined) {
+      const name = String(req.body.name || '').trim();
+      if (!name) {
+        return res.status(400).json({ message: 'name is required' });
+      }
+      const existing = await findByName(Tag, name, tag.id);
+      if (existing) {
+        return res.status(409).json({
+          message: `A tag named "${existing.name}" already exists. Merge the tags instead.`,
+          existingTagId: existing.id
+        });
+      }
+      data.name = name;
+    }
+
+    const before = tag.toJSON();
+    await sequelize.transaction(async (transaction) => {
+      if (req.body.slug) {
+        data.slug = await resolveTagSlug(req.body.slug, null, tag.id, { transaction });
+      }
+      await tag.update(data, { transaction });
+      if (tag.name !== before.name) {
+        await updateCachedTagNames(await courseIdsForTags(tag.id, { transaction }),
+          names => names.map(name => (sameName(name, before.name) ? tag.name : name)),
+          { actor: req.principal, transaction });
+      }
+    });
+    await recordAudit(req, { action: AUDIT_ACTIONS.TAG_UPDATE, entityType: 'tag', entityId: tag.id, before, after: tag });
+    res.json({ message: 'Tag updated successfully', tag });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Merge this tag into another: { targetId }. Courses with this tag get the
+// target tag instead (once, in the same position), each with a new revision,
+// and this tag is deleted.
+const mergeTag = async (req, res) => {
+  try {
+    const source = await Tag.findByPk(req.params.id);
+    if (!source) {
+      return res.status(404).json({ message: 'Tag not found' });
+    }
+    const target = await Tag.findByPk(Number(req.body.targetId) || 0);
+    if (!target) {
+      return res.status(400).json({ message: 'targetId must be an existing tag' });
+    }
+    if (target.id === source.id) {
+      return res.status(400).json({ message: 'A tag cannot be merged into itself' });
+    }
+
+    const courseIds = await sequelize.transaction(async (transaction) => {
+      const ids = await courseIdsForTags(source.id, { transaction });
+      const alreadyTagged = await courseIdsForTags(target.id, { transaction });
+      await CourseTag.destroy({ where: { tagId: source.id, courseId: alreadyTagged }, transaction });
+      await CourseTag.update({ tagId: target.id }, { where: { tagId: source.id }, transaction });
+      await updateCachedTagNames(ids, names => names
+        .map(name => (sameName(name, source.name) ? target.name : name))
+        .filter((name, index, all) => all.findIndex(other => sameName(other, name)) === index),
+      { actor: req.principal, transaction });
+      await source.destroy({ transaction });
+      return ids;
+    });
+
+    await recordAudit(req, { action: AUDIT_ACTIONS.TAG_MERGE, entityType: 'tag', entityId: source.id, before: source, after: target });
+    res.json({ message: `Merged "${source.name}" into "${target.name}"`, tag: target, courseCount: courseIds.length });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Delete a tag and remove it from every course that uses it (each with a new revision)
+const deleteTag = async (req, res) => {
+  try {
+    const tag = await Tag.findByPk(req.params.id);
+    if (!tag) {
+      return res.status(404).json({ message: 'Tag not found' });
+    }
+
+    const courseIds = await sequelize.transaction(async (transaction) => {
+      const ids = await courseIdsForTags(tag.id, { transaction });
+      await CourseTag.destroy({ where: { tagId: tag.id }, transaction });
+      await updateCachedTagNames(ids, names => names.filter(name => !sameName(name, tag.name)),
+        { actor: req.principal, transaction });
+      await tag.destroy({ transaction });
+      return ids;
+    });
+
+    await recordAudit(req, { action: AUDIT_ACTIONS.TAG_DELETE, entityType: 'tag', entityId: tag.id, before: tag });
+    res.json({ message: 'Tag deleted successfully', courseCount: courseIds.length });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+module.exports = {
+  getTags,
+  getTag,
+  updateTag,
+  mergeTag,
+  deleteTag,
+};
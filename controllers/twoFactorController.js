@@ -0,0 +1,223 @@
+const bcrypt = require('bcrypt');
+const { TOTP_ISSUER } = require('../config/auth');
+const { verifyChallengeToken } = require('../utils/tokens');
+const { loadAccount, describeAccount, accountLabel } = require('../utils/principals');
+const { startSession } = require('../utils/sessions');
+const { generateSecret, verifyTotp, buildOtpauthUri } = require('../utils/totp');
+const { generateRecoveryCodes, verifySecondFactor, remainingRecoveryCodes } = require('../utils/twoFactor');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
+const {
+  accountKey,
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  sendThrottled,
+} = require('../utils/loginThrottle');
+
+// The logged-in Admin or localAdmin, including secret fields
+const loadCurrentAccount = async (req) => {
+  const principal = await loadAccount(req.principal.type, req.principal.id, { withSecrets: true });
+  return principal && principal.account;
+};
+
+// Second login step: exchange the challenge token from /login plus a TOTP
+// code (or a recovery code) for real tokens
+const verifyLogin = async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+  if (!challengeToken || (!code && !recoveryCode)) {
+    return res.status(400).json({ message: 'challengeToken and code or recoveryCode are required' });
+  }
+
+  const challenge = verifyChallengeToken(challengeToken);
+  if (!challenge) {
+    return res.status(401).json({ message: 'Login challenge is invalid or has expired. Please log in again.' });
+  }
+
+  try {
+    const principal = await loadAccount(challenge.type, challenge.id, { withSecrets: true });
+    if (!principal) {
+      return res.status(401).json({ message: 'Login challenge is invalid or has expired. Please log in again.' });
+    }
+    const { account, role } = principal;
+
+    // 2FA guesses count towards the same lockout as password guesses
+    const throttleKey = accountKey(challenge.type, accountLabel(challenge.type, account));
+    const blocked = await checkLoginAllowed(throttleKey, req.ip);
+    if (blocked) {
+      return sendThrottled(res, blocked);
+    }
+
+    const method = await verifySecondFactor(account, { code, recoveryCode });
+    if (!method) {
+      await recordLoginFailure(throttleKey, req.ip);
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+    await recordLoginSuccess(throttleKey);
+
+    const { token, refreshToken } = await startSession(challenge.type, account, role);
+    const response = {
+      message: 'Login successful',
+      ...describeAccount(challenge.type, account),
+      role,
+      token,
+      refreshToken
+    };
+    if (method === 'recovery') {
+      response.recoveryCodesRemaining = remainingRecoveryCodes(account);
+    }
+    res.json(response);
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+const getStatus = async (req, res) => {
+  try {
+    const account = await loadCurrentAccount(req);
+    if (!account) {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+    res.json({
+      enabled: !!account.totpEnabled,
+      recoveryCodesRemaining: account.totpEnabled ? remainingRecoveryCodes(account) : 0
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Enrollment step 1: create a secret and the otpauth URI for the QR code.
+// 2FA is not active until the user proves their app works via /enable.
+const setup = async (req, res) => {
+  try {
+    const account = await loadCurrentAccount(req);
+    if (!account) {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+    if (account.totpEnabled) {
+      return res.status(409).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    await account.update({ totpSecret: secret, totpLastUsedStep: null });
+
+    res.json({
+      secret,
+      otpauthUri: buildOtpauthUri({
+        issuer: TOTP_ISSUER,
+        accountName: accountLabel(req.principal.type, account),
+        secret
+      })
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Enrollment step 2: verify a code from the app, then turn 2FA on and hand
+// out the recovery codes (shown only this once)
+const enable = async (req, res) => {
+  const { code } = req.body;
+  if (!code) {
+    return res.status(400).json({ message: 'Code is required' });
+  }
+
+  try {
+    const account = await loadCurrentAccount(req);
+    if (!account) {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+    if (account.totpEnabled) {
+      return res.status(409).json({ message: 'Two-factor authentication is already enabled' });
+    }
+    if (!account.totpSecret) {
+      return res.status(400).json({ message: 'Run two-factor setup first' });
+    }
+
+    const step = verifyTotp(account.totpSecret, code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await account.update({
+      totpEnabled: true,
+      totpLastUsedStep: step,
+      totpRecoveryCodes: JSON.stringify(hashes)
+    });
+    await recordAudit(req, { action: AUDIT_ACTIONS.ACCOUNT_2FA_ENABLE, entityType: req.principal.type, entityId: account.id });
+
+    res.json({ message: 'Two-factor authentication enabled', recoveryCodes: codes });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Turning 2FA off needs both the password and a current second factor
+const disable = async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+  if (!password || (!code && !recoveryCode)) {
+    return res.status(400).json({ message: 'Password and code or recoveryCode are required' });
+  }
+
+  try {
+    const account = await loadCurrentAccount(req);
+    if (!account) {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+    if (!account.totpEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const match = await bcrypt.compare(password, account.password);
+    if (!match || !await verifySecondFactor(account, { code, recoveryCode })) {
+      return res.status(401).json({ message: 'Invalid password or authentication code' });
+    }
+
+    await account.update({
+      totpEnabled: false,
+      totpSecret: null,
+      totpLastUsedStep: null,
+      totpRecoveryCodes: null
+    });
+    await recordAudit(req, { action: AUDIT_ACTIONS.ACCOUNT_2FA_DISABLE, entityType: req.principal.type, entityId: account.id });
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Replace all recovery codes; requires a current TOTP code
+const regenerateRecoveryCodes = async (req, res) => {
+  const { code } = req.body;
+  if (!code) {
+    return res.status(400).json({ message: 'Code is required' });
+  }
+
+  try {
+    const account = await loadCurrentAccount(req);
+    if (!account) {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+    if (!await verifySecondFactor(account, { code })) {
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await account.update({ totpRecoveryCodes: JSON.stringify(hashes) });
+
+    res.json({ message: 'Recovery codes regenerated', recoveryCodes: codes });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+module.exports = {
+  verifyLogin,
+  getStatus,
+  setup,
+  enable,
+  disable,
+  regenerateRecoveryCodes
+};
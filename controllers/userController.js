@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { User, Enrollment, Review, sequelize } = require('../models');
+const { PASSWORD_MIN_LENGTH, EMAIL_VERIFICATION_TTL_HOURS } = require('../config/auth');
+const { LEARNER_AUDIENCE, signLearnerToken } = require('../utils/tokens');
+const {
+  accountKey,
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  sendThrottled,
+} = require('../utils/loginThrottle');
+const { sendMail } = require('../utils/mailer');
+const { verifyEmailEmail } = require('../utils/mailTemplates');
+
+const SALT_ROUNDS = 10;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+// Fields a learner may see about themselves
+const serializeUser = (user) => ({
+  id: user.id,
+  name: user.name,
+  email: user.email,
+  bio: user.bio,
+  emailVerified: user.emailVerified,
+  createdAt: user.createdAt
+});
+
+// Store a fresh verification token on the user and email the link
+const sendVerificationEmail = async (user) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await user.update({
+    emailVerified: false,
+    emailVerificationTokenHash: hashToken(token),
+    emailVerificationExpiresAt: new Date(Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000)
+  });
+  await sendMail({
+    to: user.email,
+    ...verifyEmailEmail({ name: user.name, token, expiresInHours: EMAIL_VERIFICATION_TTL_HOURS })
+  });
+};
+
+// Sign up
+const register = async (req, res) => {
+  const { name, password } = req.body;
+  const email = normalizeEmail(req.body.email);
+
+  if (!name || !email || !password) {
+    return res.status(400).json({ message: 'Name, email and password are required' });
+  }
+  if (!EMAIL_PATTERN.test(email)) {
+    return res.status(400).json({ message: 'Invalid email address' });
+  }
+  if (String(password).length < PASSWORD_MIN_LENGTH) {
+    return res.status(400).json({ message: `Password must be at least ${PASSWORD_MIN_LENGTH} characters` });
+  }
+
+  try {
+    const existing = await User.findOne({ where: { email } });
+    if (existing) {
+      return res.status(409).json({ message: 'An account with this email already exists' });
+    }
+
+    const user = await User.create({
+      name: String(name).trim(),
+      email,
+      password: await bcrypt.hash(String(password), SALT_ROUNDS)
+    });
+    await sendVerificationEmail(user);
+
+    res.status(201).json({
+      message: 'Account created. Please check your email to verify your address.',
+      user: serializeUser(user),
+      token: signLearnerToken(user)
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+const login = async (req, res) => {
+  const { password } = req.body;
+  const email = normalizeEmail(req.body.email);
+
+  if (!email || !password) {
+    return res.status(400).json({ message: 'Email and password are required' });
+  }
+
+  const throttleKey = accountKey(LEARNER_AUDIENCE, email);
+
+  try {
+    const blocked = await checkLoginAllowed(throttleKey, req.ip);
+    if (blocked) {
+      return sendThrottled(res, blocked);
+    }
+
+    const user = await User.scope('withPassword').findOne({ where: { email } });
+    if (!user || !await bcrypt.compare(String(password), user.password)) {
+      await recordLoginFailure(throttleKey, req.ip);
+      return res.status(401).json({ message: 'Invalid email or password' });
+    }
+    await recordLoginSuccess(throttleKey);
+
+    res.json({
+      message: 'Login successful',
+      user: serializeUser(user),
+      token: signLearnerToken(user)
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Confirm an email address with the token from the verification email
+const verifyEmail = async (req, res) => {
+  const { token } = req.body;
+  if (!token) {
+    return res.status(400).json({ message: 'Token is required' });
+  }
+
+  try {
+    const user = await User.scope('withPassword').findOne({
+      where: { emailVerificationTokenHash: hashToken(token) }
+    });
+    if (!user || user.emailVerificationExpiresAt < new Date()) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    await user.update({
+      emailVerified: true,
+      emailVerificationTokenHash: null,
+      emailVerificationExpiresAt: null
+    });
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+const resendVerification = async (req, res) => {
+  if (req.learner.emailVerified) {
+    return res.status(400).json({ message: 'Email is already verified' });
+  }
+
+  try {
+    await sendVerificationEmail(req.learner);
+    res.json({ message: 'Verification email sent' });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+const getProfile = (req, res) => {
+  res.json(serializeUser(req.learner));
+};
+
+// PATCH name / bio / email. A new email must be verified again.
+const updateProfile = async (req, res) => {
+  const { name, bio } = req.body;
+  const updates = {};
+
+  if (name !== undefined) {
+    if (!String(name).trim()) {
+      return res.status(400).json({ message: 'Name cannot be empty' });
+    }
+    updates.name = String(name).trim();
+  }
+  if (bio !== undefined) {
+    updates.bio = bio;
+  }
+
+  let emailChanged = false;
+  if (req.body.email !== undefined) {
+    const email = normalizeEmail(req.body.email);
+    if (!EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({ message: 'Invalid email address' });
+    }
+    emailChanged = email !== req.learner.email;
+    updates.email = email;
+  }
+
+  try {
+    if (emailChanged && await User.findOne({ where: { email: updates.email } })) {
+      return res.status(409).json({ message: 'An account with this email already exists' });
+    }
+
+    await req.learner.update(updates);
+    if (emailChanged) {
+      await sendVerificationEmail(req.learner);
+    }
+
+    res.json({ message: 'Profile updated successfully', user: serializeUser(req.learner) });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Change password; all other sessions are signed out and a new token is returned
+const changePassword = async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  if (!currentPassword || !newPassword) {
+    return res.status(400).json({ message: 'Current and new password are required' });
+  }
+  if (String(newPassword).length < PASSWORD_MIN_LENGTH) {
+    return res.status(400).json({ message: `Password must be at least ${PASSWORD_MIN_LENGTH} characters` });
+  }
+
+  try {
+    const user = await User.scope('withPassword').findByPk(req.learner.id);
+    if (!await bcrypt.compare(String(currentPassword), user.password)) {
+      return res.status(401).json({ message: 'Current password is incorrect' });
+    }
+
+    await user.update({
+      password: await bcrypt.hash(String(newPassword), SALT_ROUNDS),
+      tokenVersion: user.tokenVersion + 1
+    });
+
+    res.json({ message: 'Password changed successfully', token: signLearnerToken(user) });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Delete the account; requires the password as confirmation
+const deleteAccount = async (req, res) => {
+  const { password } = req.body;
+  if (!password) {
+    return res.status(400).json({ message: 'Password is required to delete your account' });
+  }
+
+  try {
+    const user = await User.scope('withPassword').findByPk(req.learner.id);
+    if (!await bcrypt.compare(String(password), user.password)) {
+      return res.status(401).json({ message: 'Password is incorrect' });
+    }
+
+    // Destroy enrollments and reviews one by one so course student counts and
+    // ratings are updated
+    await sequelize.transaction(async (transaction) => {
+      await Enrollment.destroy({ where: { userId: user.id }, individualHooks: true, transaction });
+      await Review.destroy({ where: { userId: user.id }, individualHooks: true, transaction });
+      await user.destroy({ transaction });
+    });
+    res.json({ message: 'Account deleted successfully' });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+module.exports = {
+  register,
+  login,
+  verifyEmail,
+  resendVerification,
+  getProfile,
+  updateProfile,
+  changePassword,
+  deleteAccount
+};
@@ -91,6 +91,109 @@ class Utils {
     static formatNumber(num) {
         return num.toLocaleString();
     }
+
+    /**
+     * Format a duration in minutes as "2h 15m" / "45m"
+     * @param {number} minutes - Total minutes
+     * @returns {string} - Formatted duration
+     */
+    static formatDuration(minutes) {
+        const hours = Math.floor((minutes || 0) / 60);
+        const rest = (minutes || 0) % 60;
+        if (!hours) return `${rest}m`;
+        return rest ? `${hours}h ${rest}m` : `${hours}h`;
+    }
+
+    /**
+     * A course's duration: the lesson total, or the old free-text duration
+     * while the course has no lessons
+     * @param {Object} course - With durationMinutes and duration
+     * @returns {string} - Formatted duration, '' if unknown
+     */
+    static courseDuration(course) {
+        return course.durationMinutes ? Utils.formatDuration(course.durationMinutes) : (course.duration || '');
+    }
+
+    /**
+     * Format a course's average rating, e.g. "4.5 ⭐ (12)"
+     * @param {number|null} rating - Average of approved reviews, null if there are none
+     * @param {number} reviewCount - Number of approved reviews
+     * @returns {string} - Formatted rating
+     */
+    static formatRating(rating, reviewCount) {
+        if (rating === null || rating === undefined) return 'No ratings yet';
+        return `${Number(rating).toFixed(1)} ⭐ (${Utils.formatNumber(reviewCount || 0)})`;
+    }
+
+    /**
+     * @param {number} rating - Whole stars, 1-5
+     * @returns {string} - e.g. "★★★★☆"
+     */
+    static formatStars(rating) {
+        return '★'.repeat(rating) + '☆'.repeat(5 - rating);
+    }
+
+    /**
+     * Escape text for safe insertion into innerHTML
+     * @param {*} value - Value to escape
+     * @returns {string} - Escaped string
+     */
+    static escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Non-empty, trimmed lines of a textarea value
+     * @param {string} text
+     * @returns {string[]}
+     */
+    static splitLines(text) {
+        return text.split('\n').map(line => line.trim()).filter(Boolean);
+    }
+
+    /**
+     * "name=value" lines of a textarea value -> { name: value }
+     * @param {string} text
+     * @returns {Object}
+     */
+    static parseKeyValueLines(text) {
+        return Object.fromEntries(Utils.splitLines(text)
+            .map(line => {
+                const index = line.indexOf('=');
+                return index === -1 ? [line, ''] : [line.slice(0, index).trim(), line.slice(index + 1).trim()];
+            })
+            .filter(([name]) => name));
+    }
+
+    /**
+     * ISO date -> value for <input type="datetime-local"> (local time)
+     */
+    static toDateTimeLocal(value) {
+        if (!value) return '';
+        const date = new Date(value);
+        return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+    }
+
+    /**
+     * <input type="datetime-local"> value -> ISO date, or null when empty
+     */
+    static fromDateTimeLocal(value) {
+        return value ? new Date(value).toISOString() : null;
+    }
+
+    /**
+     * Format a date/time for display
+     * @param {string|Date} value - Date to format
+     * @returns {string} - Localised date and time
+     */
+    static formatDateTime(value) {
+        return value ? new Date(value).toLocaleString() : '';
+    }
 }
 
 // =================================
@@ -142,41 +245,201 @@ class ToastManager {
  */
 class AuthManager {
   constructor() {
+    this.API_BASE = 'http://localhost:9000';
     this.currentUser = null;
+    this.refreshPromise = null;
     this.checkAuthStatus();
   }
 
   checkAuthStatus() {
     const token = localStorage.getItem('adminToken');
     const username = localStorage.getItem('adminUsername');
+    const role = localStorage.getItem('adminRole');
     if (token && username) {
-      this.currentUser = { username, role: 'admin', token };
+      this.currentUser = { username, role, token };
     }
   }
 
+  /**
+   * Log in as a site admin (username) or local admin (email)
+   * @returns {Promise<{success: boolean, message?: string, code?: string}>}
+   */
   async login(username, password) {
+    // Local admins sign in with their email, site admins with a username
+    const isLocalAdmin = username.includes('@');
+    const url = isLocalAdmin
+      ? `${this.API_BASE}/api/localadmins/login`
+      : `${this.API_BASE}/api/admin/login`;
+    const credentials = isLocalAdmin ? { email: username, password } : { username, password };
+
     // Call backend API for login
-    const res = await fetch('http://localhost:9000/api/admin/login', {
+    const res = await fetch(url, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ username, password }),
+      body: JSON.stringify(credentials),
     });
+    const data = await res.json();
+    if (res.ok && data.twoFactorRequired) {
+      // Password accepted; the login form must now ask for a 2FA code
+      return { success: false, twoFactorRequired: true, challengeToken: data.challengeToken };
+    }
     if (res.ok) {
-      const data = await res.json();
-      localStorage.setItem('adminToken', data.token);
-      localStorage.setItem('adminUsername', data.username);
-      this.currentUser = { username: data.username, role: 'admin', token: data.token };
-      return true;
+      this.storeSession(data);
+      return { success: true };
     }
-    return false;
+    // Lockouts (423) and throttling (429) come with a specific message
+    return { success: false, message: data.message, code: data.code };
   }
 
-  logout() {
+  /**
+   * Complete a login that requires two-factor authentication
+   * @param {string} challengeToken - Token returned by the password step
+   * @param {string} code - 6-digit TOTP code or a recovery code
+   * @returns {Promise<{success: boolean, message?: string, recoveryCodesRemaining?: number}>}
+   */
+  async completeTwoFactor(challengeToken, code) {
+    const trimmed = code.trim();
+    const body = /^\d{6}$/.test(trimmed)
+      ? { challengeToken, code: trimmed }
+      : { challengeToken, recoveryCode: trimmed };
+
+    const res = await fetch(`${this.API_BASE}/api/admin/login/2fa`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    const data = await res.json();
+    if (res.ok) {
+      this.storeSession(data);
+      return { success: true, recoveryCodesRemaining: data.recoveryCodesRemaining };
+    }
+    return { success: false, message: data.message };
+  }
+
+  /**
+   * Persist tokens and user info returned by a login
+   * @param {Object} data - Login response ({ username or name/email, role, token, refreshToken })
+   */
+  storeSession(data) {
+    // Local admins are identified by name/email rather than a username
+    data.username = data.username || data.name || data.email;
+    localStorage.setItem('adminToken', data.token);
+    localStorage.setItem('adminRefreshToken', data.refreshToken);
+    localStorage.setItem('adminUsername', data.username);
+    localStorage.setItem('adminRole', data.role);
+    this.currentUser = { username: data.username, role: data.role, token: data.token };
+  }
+
+  clearSession() {
     localStorage.removeItem('adminToken');
+    localStorage.removeItem('adminRefreshToken');
     localStorage.removeItem('adminUsername');
+    localStorage.removeItem('adminRole');
     this.currentUser = null;
   }
 
+  /**
+   * Exchange the refresh token for a new token pair.
+   * Concurrent callers share one request, since each refresh token is single use.
+   * @returns {Promise<boolean>} - Whether the session is still valid
+   */
+  refresh() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = (async () => {
+        const refreshToken = localStorage.getItem('adminRefreshToken');
+        if (!refreshToken) return false;
+
+        const res = await fetch(`${this.API_BASE}/api/admin/refresh`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refreshToken }),
+        });
+        if (!res.ok) {
+          this.clearSession();
+          return false;
+        }
+        const data = await res.json();
+        localStorage.setItem('adminToken', data.token);
+        localStorage.setItem('adminRefreshToken', data.refreshToken);
+        if (this.currentUser) this.currentUser.token = data.token;
+        return true;
+      })().finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+    return this.refreshPromise;
+  }
+
+  /**
+   * fetch() with the admin token attached; retries once after refreshing
+   * when the access token has expired or been revoked.
+   * @param {string} url - Request URL
+   * @param {Object} options - fetch options
+   * @returns {Promise<Response>}
+   */
+  async authFetch(url, options = {}) {
+    const send = () => fetch(url, {
+      ...options,
+      headers: {
+        ...(options.headers || {}),
+        Authorization: `Bearer ${localStorage.getItem('adminToken')}`,
+      },
+    });
+
+    let res = await send();
+    if (res.status === 401 && await this.refresh()) {
+      res = await send();
+    }
+    return res;
+  }
+
+  /**
+   * Ask the backend to email a password reset link
+   * @param {string} email - Account email
+   * @returns {Promise<string>} - Message to show (identical whether or not the account exists)
+   */
+  async requestPasswordReset(email) {
+    const res = await fetch(`${this.API_BASE}/api/admin/forgot-password`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email }),
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message || 'Failed to request password reset');
+    return data.message;
+  }
+
+  /**
+   * Set a new password with the token from the reset email
+   * @returns {Promise<{success: boolean, message: string}>}
+   */
+  async resetPassword(token, password) {
+    const res = await fetch(`${this.API_BASE}/api/admin/reset-password`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token, password }),
+    });
+    const data = await res.json();
+    return { success: res.ok, message: data.message };
+  }
+
+  async logout() {
+    const refreshToken = localStorage.getItem('adminRefreshToken');
+    this.clearSession();
+    if (refreshToken) {
+      // Revoke the session server-side so the tokens cannot be reused
+      try {
+        await fetch(`${this.API_BASE}/api/admin/logout`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refreshToken }),
+        });
+      } catch (error) {
+        console.error('Logout request failed:', error);
+      }
+    }
+  }
+
   isAuthenticated() {
     return !!localStorage.getItem('adminToken');
   }
@@ -197,76 +460,231 @@ class AuthManager {
  * In real app, these methods would make HTTP requests to your REST API
  */
 class CourseManager {
-  constructor() {
+  constructor(authManager) {
     this.API_BASE = 'http://localhost:9000';
+    this.authManager = authManager;
   }
 
   // === Public API ===
 
+  /**
+   * Every course, fetched page by page (dashboard statistics, dropdown options)
+   * @returns {Promise<Array>}
+   */
   async getAllCourses() {
     // Public endpoint, no JWT required
-    const res = await fetch(`${this.API_BASE}/public/courses`);
+    const courses = [];
+    let page = 1;
+    let hasNextPage = true;
+    while (hasNextPage) {
+      const result = await this.queryCourses({ page, limit: 100 });
+      courses.push(...result.courses);
+      hasNextPage = result.pagination.hasNextPage;
+      page++;
+    }
+    return courses;
+  }
+
+  /**
+   * Search, filter, sort and paginate the catalog on the server
+   * @param {Object} params - { q, category, level, language, tag, minRating, maxRating,
+   *   minPrice, maxPrice, sortBy, sortOrder, page, limit }
+   * @returns {Promise<{courses: Array, pagination: Object}>}
+   */
+  async queryCourses(params = {}) {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') query.append(key, value);
+    });
+
+    const res = await fetch(`${this.API_BASE}/public/courses?${query}`);
     if (!res.ok) throw new Error('Failed to fetch courses');
     return await res.json();
   }
 
+  /**
+   * Get one course by slug (public). Old slugs are redirected by the backend.
+   * @param {string} slug - Course slug
+   * @returns {Promise<Object|null>} - Course, or null if not found
+   */
+  async getCourseBySlug(slug) {
+    const res = await fetch(`${this.API_BASE}/public/courses/${encodeURIComponent(slug)}`);
+    if (res.status === 404) return null;
+    if (!res.ok) throw new Error('Failed to fetch course');
+    return await res.json();
+  }
+
+  /**
+   * Get one course by ID in any status (admin editing and preview)
+   * @returns {Promise<Object|null>}
+   */
   async getCourseById(id) {
-    // Optionally implement public get course by ID later
-    const courses = await this.getAllCourses();
-    return courses.find(course => course.id === Number(id)) || null;
-  }
-
-  async searchCourses(query) {
-    // TODO: Add search API on the backend for efficiency
-    // For now, just filter client-side
-    const courses = await this.getAllCourses();
-    if (!query.trim()) return courses;
-    const q = query.toLowerCase();
-    return courses.filter(course =>
-      (course.title && course.title.toLowerCase().includes(q)) ||
-      (course.description && course.description.toLowerCase().includes(q)) ||
-      (course.instructor && course.instructor.toLowerCase().includes(q)) ||
-      (Array.isArray(course.tags) && course.tags.some(tag => tag.toLowerCase().includes(q))) ||
-      (course.category && course.category.toLowerCase().includes(q))
-    );
+    const res = await this.authManager.authFetch(`${this.API_BASE}/api/courses/${id}`);
+    if (res.status === 404) return null;
+    if (!res.ok) throw new Error('Failed to fetch course');
+    return await res.json();
+  }
+
+  /**
+   * Relevance-ranked search. Supports "quoted phrases" and -exclusions.
+   * @param {string} query - Search text
+   * @param {Object} params - Extra filters: { category, level, page, limit }
+   * @returns {Promise<{results: Array, pagination: Object}>} - Results carry
+   *   `highlights` ({ title, snippet }) as HTML with matches in <mark>
+   */
+  async searchCourses(query, params = {}) {
+    const search = new URLSearchParams({ q: query.trim() });
+    Object.entries(params).forEach(([key, value]) => {
+      if (value) search.append(key, value);
+    });
+
+    const res = await fetch(`${this.API_BASE}/public/search?${search}`);
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message || 'Search failed');
+    return data;
   }
 
+  /**
+   * Catalog page query built from the filter controls. With search text and
+   * "relevance" sorting the ranked search endpoint is used.
+   * @param {Object} filters - { search, category, level, sort, page }
+   * @returns {Promise<{courses: Array, pagination: Object}>}
+   */
   async filterCourses(filters = {}) {
-    // TODO: Add filter API on the backend. For now, filter client-side.
-    let courses = await this.getAllCourses();
-    if (filters.search) {
-      const searchTerm = filters.search.toLowerCase();
-      courses = courses.filter(course =>
-        (course.title && course.title.toLowerCase().includes(searchTerm)) ||
-        (course.description && course.description.toLowerCase().includes(searchTerm)) ||
-        (course.instructor && course.instructor.toLowerCase().includes(searchTerm)) ||
-        (Array.isArray(course.tags) && course.tags.some(tag => tag.toLowerCase().includes(searchTerm)))
-      );
-    }
-    if (filters.category) {
-      courses = courses.filter(course => course.category === filters.category);
-    }
-    if (filters.level) {
-      courses = courses.filter(course => (course.level || '').includes(filters.level));
+    const search = (filters.search || '').trim();
+    const sort = filters.sort || 'relevance';
+
+    if (search && sort === 'relevance') {
+      const { results, pagination } = await this.searchCourses(search, {
+        category: filters.category,
+        level: filters.level,
+        page: filters.page,
+        limit: 12,
+      });
+      return { courses: results, pagination };
     }
-    return courses;
+
+    // sort is "<field>:<ASC|DESC>", e.g. "rating:DESC"; relevance without search text means newest
+    const [sortBy, sortOrder] = (sort === 'relevance' ? 'createdAt:DESC' : sort).split(':');
+    return this.queryCourses({
+      q: search,
+      category: filters.category,
+      level: filters.level,
+      sortBy,
+      sortOrder,
+      page: filters.page,
+      limit: 12,
+    });
+  }
+
+  /**
+   * Search-as-you-type suggestions
+   * @param {string} query - Text typed so far
+   * @returns {Promise<{courses: Array<{title, slug}>, categories: string[], tags: string[], instructors: string[]}>}
+   */
+  async getSuggestions(query) {
+    const res = await fetch(`${this.API_BASE}/public/suggest?q=${encodeURIComponent(query)}`);
+    if (!res.ok) throw new Error('Failed to fetch suggestions');
+    return (await res.json()).suggestions;
+  }
+
+  /**
+   * Category tree, each with courseCount and children
+   * @returns {Promise<Array>}
+   */
+  async getCategoryTree() {
+    const res = await fetch(`${this.API_BASE}/public/categories`);
+    if (!res.ok) throw new Error('Failed to fetch categories');
+    return (await res.json()).categories;
   }
 
+  /**
+   * Category names, parents before their sub-categories (for filter dropdowns)
+   * @returns {Promise<string[]>}
+   */
   getCategories = async () => {
-    const courses = await this.getAllCourses();
-    return [...new Set(courses.map(c => c.category))];
+    const flatten = (categories) => categories.flatMap(c => [c.name, ...flatten(c.children)]);
+    return flatten(await this.getCategoryTree());
   };
 
-  getInstructors = async () => {
-    const courses = await this.getAllCourses();
-    return [...new Set(courses.map(c => c.instructor))];
-  };
+  /**
+   * One category with its published courses (sub-categories included)
+   * @returns {Promise<{category: Object, courses: Array, pagination: Object}|null>}
+   */
+  /**
+   * Tags used by published courses, most used first
+   * @returns {Promise<Array<{id, name, slug, courseCount}>>}
+   */
+  async getTags() {
+    const res = await fetch(`${this.API_BASE}/public/tags`);
+    if (!res.ok) throw new Error('Failed to fetch tags');
+    return (await res.json()).tags;
+  }
+
+  /**
+   * One tag and a page of its published courses
+   * @returns {Promise<{tag, courses, pagination}|null>} - null if the tag does not exist
+   */
+  async getTagCourses(slug, page = 1) {
+    const res = await fetch(`${this.API_BASE}/public/tags/${encodeURIComponent(slug)}/courses?page=${page}`);
+    if (res.status === 404) return null;
+    if (!res.ok) throw new Error('Failed to fetch tag');
+    return await res.json();
+  }
+
+  async getCategoryBySlug(slug, page = 1) {
+    const res = await fetch(`${this.API_BASE}/public/categories/${encodeURIComponent(slug)}?page=${page}`);
+    if (res.status === 404) return null;
+    if (!res.ok) throw new Error('Failed to fetch category');
+    return await res.json();
+  }
+
+  /**
+   * Instructors with published courses
+   * @returns {Promise<{instructors: Array, pagination: Object}>}
+   */
+  async getInstructors(page = 1) {
+    const res = await fetch(`${this.API_BASE}/public/instructors?page=${page}`);
+    if (!res.ok) throw new Error('Failed to fetch instructors');
+    return await res.json();
+  }
+
+  /**
+   * One instructor with their published courses
+   * @returns {Promise<{instructor: Object, courses: Array, pagination: Object}|null>}
+   */
+  async getInstructorBySlug(slug, page = 1) {
+    const res = await fetch(`${this.API_BASE}/public/instructors/${encodeURIComponent(slug)}?page=${page}`);
+    if (res.status === 404) return null;
+    if (!res.ok) throw new Error('Failed to fetch instructor');
+    return await res.json();
+  }
+
+  /**
+   * Published learning paths
+   * @returns {Promise<{paths: Array, pagination: Object}>}
+   */
+  async getPaths(page = 1) {
+    const res = await fetch(`${this.API_BASE}/public/paths?page=${page}`);
+    if (!res.ok) throw new Error('Failed to fetch learning paths');
+    return await res.json();
+  }
+
+  /**
+   * One learning path with its steps (published courses only)
+   * @returns {Promise<Object|null>} - null if the path does not exist
+   */
+  async getPathBySlug(slug) {
+    const res = await fetch(`${this.API_BASE}/public/paths/${encodeURIComponent(slug)}`);
+    if (res.status === 404) return null;
+    if (!res.ok) throw new Error('Failed to fetch learning path');
+    return await res.json();
+  }
 
   // === Admin API (JWT protected) ===
 
-  async addCourse(courseData, token) {
+  async addCourse(courseData) {
     // courseData: {title, description, etc...}
-    // token: admin JWT
 
     // Construct FormData for file upload
     const formData = new FormData();
@@ -278,18 +696,15 @@ class CourseManager {
       }
     });
 
-    const res = await fetch(`${this.API_BASE}/api/courses`, {
+    const res = await this.authManager.authFetch(`${this.API_BASE}/api/courses`, {
       method: 'POST',
-      headers: {
-        Authorization: `Bearer ${token}`,
-      },
       body: formData,
     });
     if (!res.ok) throw new Error('Failed to create course');
     return (await res.json()).course;
   }
 
-  async updateCourse(id, courseData, token) {
+  async updateCourse(id, courseData) {
     // Use PUT for updating (multipart/form-data for possible image upload)
     const formData = new FormData();
     Object.entries(courseData).forEach(([key, value]) => {
@@ -300,96 +715,784 @@ class CourseManager {
       }
     });
 
-    const res = await fetch(`${this.API_BASE}/api/courses/${id}`, {
+    const res = await this.authManager.authFetch(`${this.API_BASE}/api/courses/${id}`, {
       method: 'PUT',
-      headers: {
-        Authorization: `Bearer ${token}`,
-      },
       body: formData,
     });
     if (!res.ok) throw new Error('Failed to update course');
     return (await res.json()).course;
   }
 
-  async deleteCourse(id, token) {
-    const res = await fetch(`${this.API_BASE}/api/courses/${id}`, {
+  /**
+   * Download the course list as a file, filtered like getAdminCourses
+   * @param {string} format - csv | xlsx | json
+   * @param {string} status - Only courses in this status ('' for all)
+   */
+  async exportCourses(format, status = '') {
+    const params = new URLSearchParams({ format });
+    if (status) params.append('status', status);
+    const res = await this.authManager.authFetch(`${this.API_BASE}/api/courses/export?${params}`);
+    if (!res.ok) throw new Error((await res.json()).message || 'Failed to export courses');
+
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(await res.blob());
+    link.download = `courses-${new Date().toISOString().slice(0, 10)}.${format}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(link.href);
+  }
+
+  /**
+   * Bulk create-or-update courses from a CSV or JSON file
+   * @param {File} file - .csv or .json
+   * @param {boolean} dryRun - Only validate and report
+   * @returns {Promise<{ok: boolean, data: Object}>} - data is the import report
+   *   ({ summary, rows, ignoredColumns }) or just { message } if the file was unreadable
+   */
+  async importCourses(file, dryRun) {
+    const formData = new FormData();
+    formData.append('file', file);
+    const res = await this.authManager.authFetch(`${this.API_BASE}/api/courses/import${dryRun ? '?dryRun=true' : ''}`, {
+      method: 'POST',
+      body: formData,
+    });
+    return { ok: res.ok, data: await res.json() };
+  }
+
+  /**
+   * All categories, flat, with parentId (course form)
+   * @returns {Promise<Array>}
+   */
+  async getAdminCategories() {
+    const res = await this.authManager.authFetch(`${this.API_BASE}/api/categories`);
+    if (!res.ok) throw new Error('Failed to fetch categories');
+    return (await res.json()).categories;
+  }
+
+  /**
+   * All instructors by name (course form)
+   * @returns {Promise<Array>}
+   */
+  async getAdminInstructors() {
+    const res = await this.authManager.authFetch(`${this.API_BASE}/api/instructors?limit=500`);
+    if (!res.ok) throw new Error('Failed to fetch instructors');
+    return (await res.json()).instructors;
+  }
+
+  /**
+   * Every course in any status, page by page (admin dashboard)
+   * @param {string} status - Optional status filter
+   * @returns {Promise<Array>}
+   */
+  async getAdminCourses(status = '') {
+    const courses = [];
+    let page = 1;
+    let hasNextPage = true;
+    while (hasNextPage) {
+      const params = new URLSearchParams({ page, limit: 100 });
+      if (status) params.append('status', status);
+      const res = await this.authManager.authFetch(`${this.API_BASE}/api/courses?${params}`);
+      if (!res.ok) throw new Error('Failed to fetch courses');
+      const data = await res.json();
+      courses.push(...data.courses);
+      hasNextPage = data.pagination.hasNextPage;
+      page++;
+    }
+    return courses;
+  }
+
+  /**
+   * Change a course's status and/or publishing schedule
+   * @param {number} id - Course ID
+   * @param {Object} changes - { status, publishAt, unpublishAt } (null clears a date)
+   * @returns {Promise<Object>} - Updated course
+   */
+  async updateCourseStatus(id, changes) {
+    const res = await this.authManager.authFetch(`${this.API_BASE}/api/courses/${id}/status`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(changes),
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message || 'Failed to update course status');
+    return data.course;
+  }
+
+  /**
+   * A page of a course's revisions, newest first
+   * @returns {Promise<{revisions: Array, pagination: Object}>}
+   */
+  async getRevisions(id, page = 1) {
+    const res = await this.authManager.authFetch(`${this.API_BASE}/api/courses/${id}/revisions?page=${page}`);
+    if (!res.ok) throw new Error('Failed to fetch revisions');
+    return await res.json();
+  }
+
+  /**
+   * Field changes between two revisions
+   * @returns {Promise<{from: number|null, to: number, changes: Object}>}
+   */
+  async diffRevisions(id, from, to) {
+    const params = new URLSearchParams({ to });
+    if (from) params.append('from', from);
+    const res = await this.authManager.authFetch(`${this.API_BASE}/api/courses/${id}/revisions/diff?${params}`);
+    if (!res.ok) throw new Error('Failed to fetch revision diff');
+    return await res.json();
+  }
+
+  /**
+   * Restore a course to an earlier revision
+   * @returns {Promise<Object>} - { message, revision, warnings, course }
+   */
+  async restoreRevision(id, revision) {
+    const res = await this.authManager.authFetch(`${this.API_BASE}/api/courses/${id}/revisions/${revision}/restore`, {
+      method: 'POST',
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message || 'Failed to restore revision');
+    return data;
+  }
+
+  /**
+   * Sections of a course with their lessons, in order
+   * @returns {Promise<{durationMinutes: number, sections: Array}>}
+   */
+  async getCurriculum(id) {
+    const res = await this.authManager.authFetch(`${this.API_BASE}/api/courses/${id}/curriculum`);
+    if (!res.ok) throw new Error('Failed to fetch curriculum');
+    return await res.json();
+  }
+
+  /**
+   * Send a curriculum change (sections, lessons, order) for a course
+   * @param {string} path - Path below /api/courses/:id, e.g. '/sections'
+   * @param {string} method - HTTP method
+   * @param {Object} [body] - JSON body
+   * @returns {Promise<Object>} - Response data
+   */
+  async changeCurriculum(id, path, method, body) {
+    const res = await this.authManager.authFetch(`${this.API_BASE}/api/courses/${id}${path}`, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message || 'Failed to update curriculum');
+    return data;
+  }
+
+  createSection(id, title) {
+    return this.changeCurriculum(id, '/sections', 'POST', { title });
+  }
+
+  updateSection(id, sectionId, title) {
+    return this.changeCurriculum(id, `/sections/${sectionId}`, 'PUT', { title });
+  }
+
+  deleteSection(id, sectionId) {
+    return this.changeCurriculum(id, `/sections/${sectionId}`, 'DELETE');
+  }
+
+  /**
+   * @param {Object} lesson - { title, type, durationMinutes, isPreview }
+   */
+  createLesson(id, sectionId, lesson) {
+    return this.changeCurriculum(id, `/sections/${sectionId}/lessons`, 'POST', lesson);
+  }
+
+  updateLesson(id, lessonId, changes) {
+    return this.changeCurriculum(id, `/lessons/${lessonId}`, 'PUT', changes);
+  }
+
+  deleteLesson(id, lessonId) {
+    return this.changeCurriculum(id, `/lessons/${lessonId}`, 'DELETE');
+  }
+
+  /**
+   * Save the order of every section and lesson
+   * @param {Array<{id: number, lessonIds: number[]}>} sections - In display order
+   */
+  reorderCurriculum(id, sections) {
+    return this.changeCurriculum(id, '/curriculum/order', 'PUT', { sections });
+  }
+
+  async deleteCourse(id) {
+    const res = await this.authManager.authFetch(`${this.API_BASE}/api/courses/${id}`, {
       method: 'DELETE',
-      headers: {
-        Authorization: `Bearer ${token}`,
-      },
     });
     if (!res.ok) throw new Error('Failed to delete course');
     return true;
   }
 
-  getStatistics = async () => {
-    const courses = await this.getAllCourses();
+  /**
+   * A page of deleted courses, most recently deleted first
+   * @returns {Promise<{courses: Array, pagination: Object}>}
+   */
+  async getTrash(page = 1) {
+    const res = await this.authManager.authFetch(`${this.API_BASE}/api/courses/trash?page=${page}`);
+    if (!res.ok) throw new Error('Failed to fetch trash');
+    return await res.json();
+  }
+
+  /**
+   * Take a course back out of the trash
+   */
+  async restoreCourse(id) {
+    const res = await this.authManager.authFetch(`${this.API_BASE}/api/courses/${id}/restore`, {
+      method: 'POST',
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message || 'Failed to restore course');
+    return data.course;
+  }
+
+  /**
+   * Permanently delete a course that is in the trash
+   */
+  async purgeCourse(id) {
+    const res = await this.authManager.authFetch(`${this.API_BASE}/api/courses/${id}/purge`, {
+      method: 'DELETE',
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message || 'Failed to delete course');
+    return true;
+  }
+
+  /**
+   * Approved reviews of a published course (public)
+   * @param {Object} params - { page, sort: newest|highest|lowest, rating }
+   * @returns {Promise<{rating, reviewCount, histogram, reviews, pagination}>}
+   */
+  async getCourseReviews(slug, params = {}) {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value) query.set(key, value);
+    });
+    const res = await fetch(`${this.API_BASE}/public/courses/${encodeURIComponent(slug)}/reviews?${query}`);
+    if (!res.ok) throw new Error('Failed to fetch reviews');
+    return await res.json();
+  }
+
+  /**
+   * Reviews for moderation, oldest first
+   * @param {Object} filters - { status, courseId, rating, page }
+   * @returns {Promise<{reviews, statusCounts, pagination}>}
+   */
+  async getReviewQueue(filters = {}) {
+    const query = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) query.set(key, value);
+    });
+    const res = await this.authManager.authFetch(`${this.API_BASE}/api/reviews?${query}`);
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message || 'Failed to fetch reviews');
+    return data;
+  }
+
+  /**
+   * Approve, hide or flag a review
+   * @param {string} status - pending | approved | hidden | flagged
+   * @param {string} note - Optional moderation note
+   * @returns {Promise<Object>} - { review, course: { rating, reviewCount } }
+   */
+  async moderateReview(id, status, note) {
+    const res = await this.authManager.authFetch(`${this.API_BASE}/api/reviews/${id}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(note === undefined ? { status } : { status, note }),
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message || 'Failed to update review');
+    return data;
+  }
+
+  /**
+   * Outbound link clicks per period and per course
+   * @param {Object} filters - { from, to, interval, includeBots, page }
+   * @returns {Promise<{totals, series, courses, pagination}>}
+   */
+  async getClickReport(filters = {}) {
+    return this.fetchClicks('/api/courses/clicks', filters);
+  }
+
+  /**
+   * One course's clicks with its top referrers, UTM sources, campaigns and devices
+   * @param {Object} filters - { from, to, interval, includeBots }
+   */
+  async getCourseClicks(id, filters = {}) {
+    return this.fetchClicks(`/api/courses/${id}/clicks`, filters);
+  }
+
+  async fetchClicks(path, filters) {
+    const query = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) query.set(key, value);
+    });
+    const res = await this.authManager.authFetch(`${this.API_BASE}${path}?${query}`);
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message || 'Failed to fetch link clicks');
+    return data;
+  }
+
+  /**
+   * @param {Array} courses - Courses to summarize (defaults to the public catalog)
+   */
+  getStatistics = async (courses = null) => {
+    courses = courses || await this.getAllCourses();
     const totalStudents = courses.reduce((sum, c) => sum + (c.students || 0), 0);
+    // Courses without approved reviews have no rating and are left out of the average
+    const rated = courses.filter(c => c.rating !== null && c.rating !== undefined);
     return {
       totalCourses: courses.length,
       totalStudents,
       totalCategories: new Set(courses.map(c => c.category)).size,
       averageRating:
-        courses.reduce((sum, c) => sum + (parseFloat(c.rating) || 0), 0) / courses.length || 0,
+        rated.reduce((sum, c) => sum + parseFloat(c.rating), 0) / rated.length || 0,
     };
   };
 }
 
 
 // =================================
-// SINGLE PAGE APPLICATION ROUTER
+// AUDIT LOG MANAGER
 // =================================
 
 /**
- * Simple client-side router for SPA functionality
- * Manages navigation without page reloads
+ * Reads the audit trail of administrative changes (superadmin only)
  */
-class Router {
-    constructor(app) {
-        this.app = app;
-        this.routes = new Map();
-        this.currentRoute = null;
-
-        // Listen for hash changes (navigation)
-        window.addEventListener('hashchange', () => this.handleRoute());
-        window.addEventListener('load', () => this.handleRoute());
-    }
+class AuditManager {
+  constructor(authManager) {
+    this.API_BASE = 'http://localhost:9000';
+    this.authManager = authManager;
+  }
 
-    /**
-     * Register a route with its handler
-     * @param {string} path - Route path (e.g., '/courses')
-     * @param {Function} handler - Function to handle the route
-     */
-    register(path, handler) {
-        this.routes.set(path, handler);
-    }
+  /**
+   * @param {Object} filters - { entityType, action, from, to, page }
+   * @returns {Promise<{auditLogs: Array, pagination: Object}>}
+   */
+  async getAuditLogs(filters = {}) {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) params.append(key, value);
+    });
 
-    /**
-     * Navigate to a specific route
-     * @param {string} path - Path to navigate to
-     */
-    navigate(path) {
-        window.location.hash = path;
-    }
+    const res = await this.authManager.authFetch(`${this.API_BASE}/api/audit?${params}`);
+    if (!res.ok) throw new Error('Failed to fetch audit log');
+    return await res.json();
+  }
+}
 
-    /**
-     * Handle route changes
-     */
-    handleRoute() {
-        const hash = window.location.hash.slice(1) || '/';
-        const [path, ...params] = hash.split('/');
 
-        // Update active navigation link
-        this.updateActiveNav(hash);
+// =================================
+// LEARNER ACCOUNT MANAGER
+// =================================
 
-        // Find matching route
-        let routeHandler = this.routes.get(hash);
+/**
+ * Handles learner (site user) accounts. Learner tokens are separate from
+ * admin tokens and are never accepted by the admin API.
+ */
+class LearnerManager {
+  constructor() {
+    this.API_BASE = 'http://localhost:9000';
+  }
+
+  /**
+   * POST JSON to the learner API
+   * @returns {Promise<{ok: boolean, status: number, data: Object}>}
+   */
+  async request(method, path, body, withAuth = false) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (withAuth) headers.Authorization = `Bearer ${localStorage.getItem('learnerToken')}`;
+
+    const res = await fetch(`${this.API_BASE}/api/users${path}`, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = await res.json();
+    if (withAuth && (res.status === 401 || res.status === 403)) {
+      // Expired token, password changed elsewhere or account deleted
+      this.clearSession();
+    }
+    return { ok: res.ok, status: res.status, data };
+  }
+
+  storeSession(data) {
+    localStorage.setItem('learnerToken', data.token);
+    localStorage.setItem('learnerName', data.user.name);
+  }
+
+  clearSession() {
+    localStorage.removeItem('learnerToken');
+    localStorage.removeItem('learnerName');
+  }
+
+  isLoggedIn() {
+    return !!localStorage.getItem('learnerToken');
+  }
+
+  getName() {
+    return localStorage.getItem('learnerName');
+  }
+
+  async register(name, email, password) {
+    const { ok, data } = await this.request('POST', '/register', { name, email, password });
+    if (ok) this.storeSession(data);
+    return { success: ok, message: data.message };
+  }
+
+  async login(email, password) {
+    const { ok, data } = await this.request('POST', '/login', { email, password });
+    if (ok) this.storeSession(data);
+    return { success: ok, message: data.message };
+  }
+
+  logout() {
+    this.clearSession();
+  }
+
+  async verifyEmail(token) {
+    const { ok, data } = await this.request('POST', '/verify-email', { token });
+    return { success: ok, message: data.message };
+  }
+
+  async resendVerification() {
+    const { ok, data } = await this.request('POST', '/resend-verification', null, true);
+    return { success: ok, message: data.message };
+  }
+
+  /**
+   * @returns {Promise<Object|null>} - Profile, or null when not signed in
+   */
+  async getProfile() {
+    if (!this.isLoggedIn()) return null;
+    const { ok, data } = await this.request('GET', '/me', null, true);
+    return ok ? data : null;
+  }
+
+  async updateProfile(updates) {
+    const { ok, data } = await this.request('PATCH', '/me', updates, true);
+    if (ok) localStorage.setItem('learnerName', data.user.name);
+    return { success: ok, message: data.message, user: data.user };
+  }
+
+  async changePassword(currentPassword, newPassword) {
+    const { ok, data } = await this.request('PUT', '/me/password', { currentPassword, newPassword }, true);
+    // Other sessions are signed out; keep this one with the new token
+    if (ok) localStorage.setItem('learnerToken', data.token);
+    return { success: ok, message: data.message };
+  }
+
+  async deleteAccount(password) {
+    const { ok, data } = await this.request('DELETE', '/me', { password }, true);
+    if (ok) this.clearSession();
+    return { success: ok, message: data.message };
+  }
+
+  /**
+   * Call the enrollments API with the learner token
+   * @returns {Promise<{ok: boolean, status: number, data: Object}>}
+   */
+  async enrollmentRequest(method, path = '', body) {
+    const headers = { Authorization: `Bearer ${localStorage.getItem('learnerToken')}` };
+    if (body) headers['Content-Type'] = 'application/json';
+    const res = await fetch(`${this.API_BASE}/api/enrollments${path}`, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = await res.json();
+    // A 403 without NOT_ENROLLED means the token was rejected
+    if (res.status === 401 || (res.status === 403 && data.code !== 'NOT_ENROLLED')) this.clearSession();
+    return { ok: res.ok, status: res.status, data };
+  }
+
+  /**
+   * @returns {Promise<Array>} - Enrollments ({ courseId, enrolledAt, course }), newest first
+   */
+  async getMyCourses() {
+    const { ok, data } = await this.enrollmentRequest('GET', '?limit=100');
+    if (!ok) throw new Error(data.message || 'Failed to load your courses');
+    return data.enrollments;
+  }
+
+  /**
+   * Progress through a learning path, measured by enrollments
+   * @returns {Promise<Object|null>} - { enrolledCourseIds, requiredCount, requiredEnrolled, percent, complete, nextCourseId }
+   */
+  async getPathProgress(slug) {
+    if (!this.isLoggedIn()) return null;
+    const { ok, data } = await this.enrollmentRequest('GET', `/paths/${encodeURIComponent(slug)}`);
+    return ok ? data : null;
+  }
+
+  /**
+   * @returns {Promise<boolean>} - Whether the signed-in learner is enrolled
+   */
+  async isEnrolled(courseId) {
+    if (!this.isLoggedIn()) return false;
+    const { ok, data } = await this.enrollmentRequest('GET', `/${courseId}`);
+    return ok && data.enrolled;
+  }
+
+  /**
+   * @returns {Promise<{success: boolean, message: string, students?: number}>}
+   */
+  async enroll(courseId) {
+    const { ok, data } = await this.enrollmentRequest('POST', `/${courseId}`);
+    return { success: ok, message: data.message, students: data.students };
+  }
+
+  async unenroll(courseId) {
+    const { ok, data } = await this.enrollmentRequest('DELETE', `/${courseId}`);
+    return { success: ok, message: data.message, students: data.students };
+  }
+
+  /**
+   * @returns {Promise<Object|null>} - The learner's review of a course, in any status
+   */
+  async getMyReview(courseId) {
+    const { ok, data } = await this.enrollmentRequest('GET', `/${courseId}/review`);
+    return ok ? data.review : null;
+  }
+
+  /**
+   * Create or edit the learner's review; it goes back to moderation either way
+   * @returns {Promise<{success: boolean, message: string, review?: Object}>}
+   */
+  async saveReview(courseId, rating, comment) {
+    const { ok, data } = await this.enrollmentRequest('PUT', `/${courseId}/review`, { rating, comment });
+    return { success: ok, message: data.message, review: data.review };
+  }
+
+  async deleteReview(courseId) {
+    const { ok, data } = await this.enrollmentRequest('DELETE', `/${courseId}/review`);
+    return { success: ok, message: data.message };
+  }
+}
+
+
+// =================================
+// SEARCH SUGGESTIONS DROPDOWN
+// =================================
+
+/**
+ * Attaches a keyboard-navigable suggestion dropdown to a search input
+ */
+class SearchSuggestions {
+    /**
+     * @param {HTMLInputElement} input - Search box
+     * @param {CourseManager} courseManager - Source of suggestions
+     * @param {Function} onSelect - Called with { type, value, slug? } when a suggestion is chosen
+     */
+    constructor(input, courseManager, onSelect) {
+        this.input = input;
+        this.courseManager = courseManager;
+        this.onSelect = onSelect;
+        this.items = [];
+        this.activeIndex = -1;
+        this.requestId = 0;
+
+        this.dropdown = document.createElement('ul');
+        this.dropdown.className = 'suggestions hidden';
+        this.dropdown.setAttribute('role', 'listbox');
+        this.dropdown.id = `${input.id}-suggestions`;
+        input.parentElement.classList.add('suggestions-anchor');
+        input.parentElement.appendChild(this.dropdown);
+
+        input.setAttribute('autocomplete', 'off');
+        input.setAttribute('role', 'combobox');
+        input.setAttribute('aria-controls', this.dropdown.id);
+        input.setAttribute('aria-expanded', 'false');
+
+        input.addEventListener('input', Utils.debounce(() => this.update(), 200));
+        input.addEventListener('keydown', (e) => this.handleKeydown(e));
+        input.addEventListener('blur', () => {
+            // Let a click on a suggestion register before closing
+            setTimeout(() => this.close(), 150);
+        });
+    }
+
+    async update() {
+        const query = this.input.value.trim();
+        if (query.length < 2) {
+            this.close();
+            return;
+        }
+
+        // Ignore responses that arrive after a newer request
+        const requestId = ++this.requestId;
+        try {
+            const suggestions = await this.courseManager.getSuggestions(query);
+            if (requestId !== this.requestId) return;
+            this.render(suggestions);
+        } catch (error) {
+            console.error('Error loading suggestions:', error);
+            this.close();
+        }
+    }
+
+    render(suggestions) {
+        const groups = [
+            ['courses', 'Course', course => ({ type: 'course', value: course.title, slug: course.slug })],
+            ['categories', 'Category', value => ({ type: 'category', value })],
+            ['tags', 'Tag', value => ({ type: 'tag', value })],
+            ['instructors', 'Instructor', value => ({ type: 'instructor', value })],
+        ];
+        this.items = groups.flatMap(([key, label, toItem]) =>
+            (suggestions[key] || []).map(entry => ({ ...toItem(entry), label })));
+        this.activeIndex = -1;
+
+        if (this.items.length === 0) {
+            this.close();
+            return;
+        }
+
+        this.dropdown.innerHTML = '';
+        this.items.forEach((item, index) => {
+            const li = document.createElement('li');
+            li.className = 'suggestion';
+            li.id = `${this.dropdown.id}-${index}`;
+            li.setAttribute('role', 'option');
+            li.innerHTML = `
+                <span class="suggestion-value">${Utils.escapeHtml(item.value)}</span>
+                <span class="suggestion-type">${item.label}</span>
+            `;
+            // mousedown fires before the input loses focus
+            li.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                this.select(index);
+            });
+            this.dropdown.appendChild(li);
+        });
+
+        this.dropdown.classList.remove('hidden');
+        this.input.setAttribute('aria-expanded', 'true');
+    }
+
+    handleKeydown(e) {
+        if (this.dropdown.classList.contains('hidden')) return;
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            this.setActive((this.activeIndex + step + this.items.length) % this.items.length);
+        } else if (e.key === 'Enter' && this.activeIndex >= 0) {
+            // Stops the search box's own Enter handling
+            e.preventDefault();
+            this.select(this.activeIndex);
+        } else if (e.key === 'Escape') {
+            this.close();
+        }
+    }
+
+    setActive(index) {
+        this.activeIndex = index;
+        this.dropdown.querySelectorAll('.suggestion').forEach((li, i) => {
+            li.classList.toggle('active', i === index);
+            li.setAttribute('aria-selected', String(i === index));
+        });
+        this.input.setAttribute('aria-activedescendant', `${this.dropdown.id}-${index}`);
+    }
+
+    select(index) {
+        const { type, value, slug } = this.items[index];
+        this.close();
+        this.onSelect({ type, value, slug });
+    }
+
+    close() {
+        this.dropdown.classList.add('hidden');
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+        this.items = [];
+        this.activeIndex = -1;
+    }
+}
+
+
+// =================================
+// SINGLE PAGE APPLICATION ROUTER
+// =================================
+
+/**
+ * Simple client-side router for SPA functionality
+ * Manages navigation without page reloads
+ */
+class Router {
+    constructor(app) {
+        this.app = app;
+        this.routes = new Map();
+        this.currentRoute = null;
+
+        // Listen for hash changes (navigation)
+        window.addEventListener('hashchange', () => this.handleRoute());
+        window.addEventListener('load', () => this.handleRoute());
+    }
+
+    /**
+     * Register a route with its handler
+     * @param {string} path - Route path (e.g., '/courses')
+     * @param {Function} handler - Function to handle the route
+     */
+    register(path, handler) {
+        this.routes.set(path, handler);
+    }
+
+    /**
+     * Navigate to a specific route
+     * @param {string} path - Path to navigate to
+     */
+    navigate(path) {
+        window.location.hash = path;
+    }
+
+    /**
+     * Handle route changes
+     */
+    handleRoute() {
+        const hash = window.location.hash.slice(1) || '/';
+        const [path, ...params] = hash.split('/');
+
+        // Update active navigation link
+        this.updateActiveNav(hash);
+
+        // Find matching route
+        let routeHandler = this.routes.get(hash);
         
         // Handle parameterized routes
         if (!routeHandler) {
             if (hash.startsWith('/course/')) {
                 const slug = hash.replace('/course/', '');
                 routeHandler = () => this.app.showCourseDetail(slug);
+            } else if (hash.startsWith('/category/')) {
+                const slug = hash.replace('/category/', '');
+                routeHandler = () => this.app.showCategoryPage(slug);
+            } else if (hash.startsWith('/tag/')) {
+                const slug = hash.replace('/tag/', '');
+                routeHandler = () => this.app.showTagPage(slug);
+            } else if (hash.startsWith('/instructor/')) {
+                const slug = hash.replace('/instructor/', '');
+                routeHandler = () => this.app.showInstructorPage(slug);
+            } else if (hash.startsWith('/path/')) {
+                const slug = hash.replace('/path/', '');
+                routeHandler = () => this.app.showPathPage(slug);
+            } else if (hash.startsWith('/verify-email/')) {
+                const token = hash.replace('/verify-email/', '');
+                routeHandler = () => this.app.showVerifyEmail(token);
+            } else if (hash.startsWith('/admin/reset-password/')) {
+                const token = hash.replace('/admin/reset-password/', '');
+                routeHandler = () => this.app.showResetPassword(token);
+            } else if (hash.startsWith('/admin/courses/preview/')) {
+                const id = hash.replace('/admin/courses/preview/', '');
+                routeHandler = () => this.app.showCoursePreview(id);
+            } else if (hash.startsWith('/admin/courses/curriculum/')) {
+                const id = hash.replace('/admin/courses/curriculum/', '');
+                routeHandler = () => this.app.showCurriculumEditor(id);
+            } else if (hash.startsWith('/admin/courses/history/')) {
+                const id = hash.replace('/admin/courses/history/', '');
+                routeHandler = () => this.app.showCourseHistory(id);
             } else if (hash.startsWith('/admin/courses/edit/')) {
                 const id = hash.replace('/admin/courses/edit/', '');
                 routeHandler = () => this.app.showEditCourse(id);
@@ -440,8 +1543,10 @@ class Router {
 class App {
     constructor() {
         // Initialize managers
-        this.courseManager = new CourseManager();
         this.authManager = new AuthManager();
+        this.courseManager = new CourseManager(this.authManager);
+        this.auditManager = new AuditManager(this.authManager);
+        this.learnerManager = new LearnerManager();
         this.toastManager = new ToastManager();
         this.router = new Router(this);
 
@@ -453,7 +1558,9 @@ class App {
         this.currentFilters = {
             search: '',
             category: '',
-            level: ''
+            level: '',
+            sort: 'relevance',
+            page: 1
         };
 
         // Initialize the application
@@ -480,9 +1587,21 @@ class App {
     setupRoutes() {
         this.router.register('/', () => this.showHomePage());
         this.router.register('/courses', () => this.showCoursesPage());
+        this.router.register('/categories', () => this.showCategoriesPage());
+        this.router.register('/instructors', () => this.showInstructorsPage());
+        this.router.register('/paths', () => this.showPathsPage());
+        this.router.register('/login', () => this.showLearnerLogin());
+        this.router.register('/register', () => this.showRegister());
+        this.router.register('/account', () => this.showAccount());
         this.router.register('/admin', () => this.showAdminDashboard());
         this.router.register('/admin/login', () => this.showAdminLogin());
+        this.router.register('/admin/forgot-password', () => this.showForgotPassword());
         this.router.register('/admin/courses/add', () => this.showAddCourse());
+        this.router.register('/admin/courses/import', () => this.showCourseImport());
+        this.router.register('/admin/audit', () => this.showAuditLog());
+        this.router.register('/admin/reviews', () => this.showReviewQueue());
+        this.router.register('/admin/clicks', () => this.showClickReport());
+        this.router.register('/admin/trash', () => this.showTrash());
     }
 
     /**
@@ -517,6 +1636,7 @@ class App {
     updateAuthUI() {
         const authBtn = document.getElementById('auth-btn');
         const adminLink = document.getElementById('admin-link');
+        const accountLink = document.getElementById('account-link');
         
         if (this.authManager.isAuthenticated()) {
             authBtn.textContent = 'Logout';
@@ -525,13 +1645,21 @@ class App {
             authBtn.textContent = 'Login';
             adminLink.style.display = 'none';
         }
+
+        if (this.learnerManager.isLoggedIn()) {
+            accountLink.textContent = 'My Account';
+            accountLink.setAttribute('href', '#/account');
+        } else {
+            accountLink.textContent = 'Sign In';
+            accountLink.setAttribute('href', '#/login');
+        }
     }
 
     /**
      * Handle user logout
      */
-    handleLogout() {
-        this.authManager.logout();
+    async handleLogout() {
+        await this.authManager.logout();
         this.updateAuthUI();
         this.toastManager.success('Successfully logged out');
         this.router.navigate('/');
@@ -550,7 +1678,8 @@ class App {
         
         // Populate category dropdown
         const categoryFilter = content.getElementById('category-filter');
-        this.courseManager.getCategories().forEach(category => {
+        const categories = await this.courseManager.getCategories();
+        categories.filter(Boolean).forEach(category => {
             const option = document.createElement('option');
             option.value = category;
             option.textContent = category;
@@ -589,9 +1718,31 @@ class App {
         // Category filter change
         categoryFilter.addEventListener('change', () => this.performSearch());
 
-        // Debounced search as user types
-        const debouncedSearch = Utils.debounce(() => this.performSearch(), 500);
-        searchInput.addEventListener('input', debouncedSearch);
+        // Suggestions as the user types
+        new SearchSuggestions(searchInput, this.courseManager, (suggestion) => this.applySuggestion(suggestion));
+    }
+
+    /**
+     * Act on a chosen search suggestion: open the course, or search/filter by the value
+     * @param {{type: string, value: string, slug?: string}} suggestion
+     */
+    applySuggestion({ type, value, slug }) {
+        if (type === 'course') {
+            this.router.navigate(`/course/${slug}`);
+            return;
+        }
+
+        this.currentFilters.search = type === 'category' ? '' : value;
+        this.currentFilters.category = type === 'category' ? value : '';
+        this.currentFilters.page = 1;
+
+        if (this.router.getCurrentRoute() === '/courses') {
+            document.getElementById('courses-search').value = this.currentFilters.search;
+            document.getElementById('courses-category-filter').value = this.currentFilters.category;
+            this.loadFilteredCourses();
+        } else {
+            this.router.navigate('/courses');
+        }
     }
 
     /**
@@ -603,6 +1754,7 @@ class App {
         
         this.currentFilters.search = searchInput.value;
         this.currentFilters.category = categoryFilter.value;
+        this.currentFilters.page = 1;
         
         this.router.navigate('/courses');
     }
@@ -614,11 +1766,12 @@ class App {
         Utils.showLoading();
         
         try {
-            const courses = await this.courseManager.getAllCourses();
             // Show top 3 rated courses as featured
-            const featuredCourses = courses
-                .sort((a, b) => b.rating - a.rating)
-                .slice(0, 3);
+            const { courses: featuredCourses } = await this.courseManager.queryCourses({
+                sortBy: 'rating',
+                sortOrder: 'DESC',
+                limit: 3
+            });
             
             const grid = document.getElementById('featured-courses-grid');
             grid.innerHTML = '';
@@ -644,7 +1797,8 @@ class App {
         
         // Populate filter dropdowns
         const categoryFilter = content.getElementById('courses-category-filter');
-        this.courseManager.getCategories().forEach(category => {
+        const categories = await this.courseManager.getCategories();
+        categories.filter(Boolean).forEach(category => {
             const option = document.createElement('option');
             option.value = category;
             option.textContent = category;
@@ -656,6 +1810,8 @@ class App {
         if (this.currentFilters.category) {
             categoryFilter.value = this.currentFilters.category;
         }
+        content.getElementById('courses-level-filter').value = this.currentFilters.level || '';
+        content.getElementById('courses-sort').value = this.currentFilters.sort;
 
         // Replace main content
         this.mainContent.innerHTML = '';
@@ -678,8 +1834,19 @@ class App {
         const debouncedFilter = Utils.debounce(() => this.applyFilters(), 300);
 
         searchInput.addEventListener('input', debouncedFilter);
+        new SearchSuggestions(searchInput, this.courseManager, (suggestion) => this.applySuggestion(suggestion));
         categoryFilter.addEventListener('change', () => this.applyFilters());
         levelFilter.addEventListener('change', () => this.applyFilters());
+        document.getElementById('courses-sort').addEventListener('change', () => this.applyFilters());
+
+        document.getElementById('courses-prev-btn').addEventListener('click', () => {
+            this.currentFilters.page -= 1;
+            this.loadFilteredCourses();
+        });
+        document.getElementById('courses-next-btn').addEventListener('click', () => {
+            this.currentFilters.page += 1;
+            this.loadFilteredCourses();
+        });
     }
 
     /**
@@ -690,6 +1857,9 @@ class App {
         this.currentFilters.search = document.getElementById('courses-search').value;
         this.currentFilters.category = document.getElementById('courses-category-filter').value;
         this.currentFilters.level = document.getElementById('courses-level-filter').value;
+        this.currentFilters.sort = document.getElementById('courses-sort').value;
+        // New criteria start from the first page
+        this.currentFilters.page = 1;
 
         await this.loadFilteredCourses();
     }
@@ -699,13 +1869,17 @@ class App {
      */
     async loadFilteredCourses() {
         try {
-            const courses = await this.courseManager.filterCourses(this.currentFilters);
+            const { courses, pagination } = await this.courseManager.filterCourses(this.currentFilters);
             
             const grid = document.getElementById('all-courses-grid');
             const resultsCount = document.getElementById('results-count');
             
             // Update results count
-            resultsCount.textContent = `${courses.length} course${courses.length !== 1 ? 's' : ''} found`;
+            resultsCount.textContent = `${pagination.total} course${pagination.total !== 1 ? 's' : ''} found`;
+            document.getElementById('courses-page-info').textContent =
+                `Page ${pagination.page} of ${Math.max(pagination.totalPages, 1)}`;
+            document.getElementById('courses-prev-btn').disabled = !pagination.hasPrevPage;
+            document.getElementById('courses-next-btn').disabled = !pagination.hasNextPage;
             
             // Clear and populate grid
             grid.innerHTML = '';
@@ -719,202 +1893,2329 @@ class App {
                 });
             }
         } catch (error) {
-            this.toastManager.error('Failed to load courses');
-            console.error('Error loading courses:', error);
+            this.toastManager.error('Failed to load courses');
+            console.error('Error loading courses:', error);
+        }
+    }
+
+    /**
+     * Show course detail page
+     * @param {string} slug - Course slug
+     */
+    async showCourseDetail(slug) {
+        Utils.showLoading();
+        
+        try {
+            const course = await this.courseManager.getCourseBySlug(slug);
+            
+            if (!course) {
+                this.toastManager.error('Course not found');
+                this.router.navigate('/courses');
+                return;
+            }
+
+            // Followed a link with an old slug: show the current one without re-routing
+            if (course.slug !== slug) {
+                history.replaceState(null, '', `#/course/${course.slug}`);
+            }
+
+            await this.renderCourseDetail(course);
+        } catch (error) {
+            this.toastManager.error('Failed to load course details');
+            console.error('Error loading course:', error);
+        } finally {
+            Utils.hideLoading();
+        }
+    }
+
+    /**
+     * Render the course detail page
+     * @param {Object} course - Course to show
+     * @param {Object} options - { preview: true } for the admin preview of an unpublished course
+     */
+    async renderCourseDetail(course, { preview = false } = {}) {
+        const template = document.getElementById('course-detail-template');
+        const content = template.content.cloneNode(true);
+
+        if (preview) {
+            const banner = document.createElement('div');
+            banner.className = 'preview-banner';
+            banner.innerHTML = `
+                Preview — this course is <strong>${Utils.escapeHtml(this.statusLabel(course.status))}</strong>
+                ${course.status === 'published' ? '' : 'and not visible to the public'}.
+                <a href="#/admin/courses/edit/${course.id}">Edit course</a>
+            `;
+            content.prepend(banner);
+        }
+        
+        // Populate course details
+        content.getElementById('course-title').textContent = course.title;
+        content.getElementById('course-description').textContent = course.description;
+        content.getElementById('course-rating-value').textContent = Utils.formatRating(course.rating, course.reviewCount);
+        content.getElementById('course-students').textContent = Utils.formatNumber(course.students);
+        const instructorLink = content.getElementById('course-instructor');
+        instructorLink.textContent = course.instructor;
+        if (course.instructorRecord) {
+            instructorLink.href = `#/instructor/${course.instructorRecord.slug}`;
+        }
+        if (course.categoryRecord) {
+            const categoryLink = content.getElementById('course-category-link');
+            categoryLink.textContent = `${course.categoryRecord.icon || ''} ${course.categoryRecord.name}`.trim();
+            categoryLink.href = `#/category/${course.categoryRecord.slug}`;
+            categoryLink.classList.remove('hidden');
+        }
+        content.getElementById('course-image').src = course.image;
+        content.getElementById('course-image').alt = course.title;
+        content.getElementById('course-price').textContent = course.price;
+        content.getElementById('course-duration').textContent = Utils.courseDuration(course) || '—';
+        content.getElementById('course-level').textContent = course.level;
+        content.getElementById('course-language').textContent = course.language;
+
+        // Populate what you'll learn list
+        const learnList = content.getElementById('what-you-learn-list');
+        (course.whatYoullLearn || []).forEach(item => {
+            const li = document.createElement('li');
+            li.textContent = item;
+            learnList.appendChild(li);
+        });
+
+        // Populate prerequisites list
+        const prereqList = content.getElementById('prerequisites-list');
+        // Stored as free text, one prerequisite per line
+        (course.prerequisites || '').split('\n').filter(item => item.trim()).forEach(item => {
+            const li = document.createElement('li');
+            li.textContent = item;
+            prereqList.appendChild(li);
+        });
+
+        // Curriculum outline: one collapsible block per section
+        const curriculum = course.curriculum || [];
+        if (curriculum.length) {
+            const lessonCount = curriculum.reduce((sum, section) => sum + section.lessonCount, 0);
+            content.getElementById('course-curriculum-summary').textContent =
+                `${curriculum.length} sections · ${lessonCount} lessons · ${Utils.formatDuration(course.durationMinutes)} total`;
+            const outline = content.getElementById('course-curriculum');
+            curriculum.forEach((section, index) => {
+                const details = document.createElement('details');
+                details.open = index === 0;
+                details.innerHTML = `
+                    <summary>
+                        <span>${Utils.escapeHtml(section.title)}</span>
+                        <span class="form-help">${section.lessonCount} lessons · ${Utils.formatDuration(section.durationMinutes)}</span>
+                    </summary>
+                    <ul class="curriculum-lessons">
+                        ${section.lessons.map(lesson => `
+                            <li class="curriculum-lesson">
+                                <span>${this.lessonTypeIcon(lesson.type)} ${Utils.escapeHtml(lesson.title)}</span>
+                                <span class="form-help">
+                                    ${lesson.isPreview ? '<span class="status status--info">Preview</span>' : ''}
+                                    ${Utils.formatDuration(lesson.durationMinutes)}
+                                </span>
+                            </li>
+                        `).join('')}
+                    </ul>
+                `;
+                outline.appendChild(details);
+            });
+            content.getElementById('course-curriculum-section').classList.remove('hidden');
+        }
+
+        // Populate tags, linked to their tag pages (not available in admin preview)
+        const tagsContainer = content.getElementById('course-tags');
+        const tagSlugs = new Map((course.tagRecords || []).map(tag => [tag.name, tag.slug]));
+        course.tags.forEach(tag => {
+            const link = document.createElement(tagSlugs.has(tag) ? 'a' : 'span');
+            link.className = 'course-tag';
+            link.textContent = tag;
+            if (tagSlugs.has(tag)) {
+                link.href = `#/tag/${tagSlugs.get(tag)}`;
+            }
+            tagsContainer.appendChild(link);
+        });
+
+        // Replace main content
+        this.mainContent.innerHTML = '';
+        this.mainContent.appendChild(content);
+
+        // The outbound link goes through /go so the click is counted
+        if (course.udemyLink && !preview) {
+            const outboundLink = document.getElementById('course-outbound-link');
+            outboundLink.href = `${this.courseManager.API_BASE}/go/${encodeURIComponent(course.slug)}`;
+            outboundLink.classList.remove('hidden');
+        }
+
+        // Enroll button reflects whether the learner is already enrolled
+        const enrollBtn = document.getElementById('enroll-btn');
+        if (preview) {
+            enrollBtn.disabled = true;
+            return;
+        }
+        let enrolled = await this.learnerManager.isEnrolled(course.id);
+        await this.setupCourseReviews(course);
+        await this.renderReviewForm(course, enrolled);
+        const renderEnrollState = () => {
+            enrollBtn.textContent = enrolled ? 'Enrolled ✓ (Unenroll)' : 'Enroll Now';
+            enrollBtn.classList.toggle('btn--outline', enrolled);
+            enrollBtn.classList.toggle('btn--primary', !enrolled);
+        };
+        renderEnrollState();
+
+        enrollBtn.addEventListener('click', async () => {
+            if (!this.learnerManager.isLoggedIn()) {
+                this.toastManager.info('Sign in to enroll in this course');
+                this.router.navigate('/login');
+                return;
+            }
+            if (enrolled && !confirm(`Unenroll from ${course.title}?`)) return;
+
+            enrollBtn.disabled = true;
+            try {
+                const result = enrolled
+                    ? await this.learnerManager.unenroll(course.id)
+                    : await this.learnerManager.enroll(course.id);
+                if (result.success) {
+                    enrolled = !enrolled;
+                    renderEnrollState();
+                    await this.renderReviewForm(course, enrolled);
+                    document.getElementById('course-students').textContent = Utils.formatNumber(result.students);
+                    this.toastManager.success(result.message);
+                } else {
+                    this.toastManager.error(result.message);
+                    this.updateAuthUI();
+                }
+            } catch (error) {
+                this.toastManager.error('Enrollment failed. Please try again.');
+                console.error('Enrollment error:', error);
+            } finally {
+                enrollBtn.disabled = false;
+            }
+        });
+    }
+
+    /**
+     * Wire the reviews section of the course detail page and load the first page
+     * @param {Object} course - Published course
+     */
+    async setupCourseReviews(course) {
+        this.reviewFilters = { page: 1, sort: 'newest', rating: '' };
+
+        document.getElementById('reviews-sort').addEventListener('change', (e) => {
+            this.reviewFilters = { ...this.reviewFilters, sort: e.target.value, page: 1 };
+            this.loadCourseReviews(course);
+        });
+        document.getElementById('reviews-rating-filter').addEventListener('change', (e) => {
+            this.reviewFilters = { ...this.reviewFilters, rating: e.target.value, page: 1 };
+            this.loadCourseReviews(course);
+        });
+        document.getElementById('reviews-prev-btn').addEventListener('click', () => {
+            this.reviewFilters.page -= 1;
+            this.loadCourseReviews(course);
+        });
+        document.getElementById('reviews-next-btn').addEventListener('click', () => {
+            this.reviewFilters.page += 1;
+            this.loadCourseReviews(course);
+        });
+
+        document.getElementById('review-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const submitBtn = document.getElementById('review-submit-btn');
+            submitBtn.disabled = true;
+            try {
+                const result = await this.learnerManager.saveReview(
+                    course.id,
+                    Number(document.getElementById('review-rating').value),
+                    document.getElementById('review-comment').value.trim()
+                );
+                if (result.success) {
+                    this.toastManager.success(result.message);
+                    this.showOwnReview(result.review);
+                    // An edited review leaves the published ones until it is approved again
+                    await this.loadCourseReviews(course);
+                } else {
+                    this.toastManager.error(result.message);
+                    this.updateAuthUI();
+                }
+            } catch (error) {
+                this.toastManager.error('Failed to save your review. Please try again.');
+                console.error('Review error:', error);
+            } finally {
+                submitBtn.disabled = false;
+            }
+        });
+
+        document.getElementById('review-delete-btn').addEventListener('click', async () => {
+            if (!confirm('Delete your review of this course?')) return;
+            const result = await this.learnerManager.deleteReview(course.id);
+            if (result.success) {
+                this.toastManager.success(result.message);
+                this.showOwnReview(null);
+                await this.loadCourseReviews(course);
+            } else {
+                this.toastManager.error(result.message);
+            }
+        });
+
+        document.getElementById('course-reviews-section').classList.remove('hidden');
+        await this.loadCourseReviews(course);
+    }
+
+    /**
+     * Load the rating summary and the current page of approved reviews
+     * @param {Object} course - Published course
+     */
+    async loadCourseReviews(course) {
+        try {
+            const { rating, reviewCount, histogram, reviews, pagination } =
+                await this.courseManager.getCourseReviews(course.slug, this.reviewFilters);
+
+            document.getElementById('course-rating-value').textContent = Utils.formatRating(rating, reviewCount);
+            document.getElementById('reviews-average').textContent = rating === null ? '—' : Number(rating).toFixed(1);
+            document.getElementById('reviews-count').textContent =
+                reviewCount ? `${Utils.formatNumber(reviewCount)} reviews` : 'No reviews yet';
+
+            document.getElementById('reviews-histogram').innerHTML = [5, 4, 3, 2, 1].map(stars => {
+                const percent = reviewCount ? Math.round((histogram[stars] / reviewCount) * 100) : 0;
+                return `
+                    <div class="histogram-row">
+                        <span>${stars} ★</span>
+                        <div class="histogram-bar"><div class="histogram-fill" style="width: ${percent}%"></div></div>
+                        <span>${Utils.formatNumber(histogram[stars])}</span>
+                    </div>
+                `;
+            }).join('');
+
+            const list = document.getElementById('reviews-list');
+            list.innerHTML = reviews.length ? '' : `<p>${this.reviewFilters.rating ? 'No reviews with this rating.' : 'No reviews yet.'}</p>`;
+            reviews.forEach(review => {
+                const item = document.createElement('div');
+                item.className = 'review-item';
+                item.innerHTML = `
+                    <div class="review-header">
+                        <strong>${Utils.escapeHtml(review.author)}</strong>
+                        <span class="review-stars" aria-label="${review.rating} out of 5">${Utils.formatStars(review.rating)}</span>
+                        <span class="form-help">${Utils.escapeHtml(Utils.formatDateTime(review.createdAt))}</span>
+                    </div>
+                    ${review.comment ? `<p>${Utils.escapeHtml(review.comment)}</p>` : ''}
+                `;
+                list.appendChild(item);
+            });
+
+            document.getElementById('reviews-page-info').textContent =
+                `Page ${pagination.page} of ${Math.max(pagination.totalPages, 1)}`;
+            document.getElementById('reviews-prev-btn').disabled = !pagination.hasPrevPage;
+            document.getElementById('reviews-next-btn').disabled = !pagination.hasNextPage;
+        } catch (error) {
+            this.toastManager.error('Failed to load reviews');
+            console.error('Error loading reviews:', error);
+        }
+    }
+
+    /**
+     * Show the review form to enrolled learners, filled in with their own review
+     * @param {Object} course - Course being shown
+     * @param {boolean} enrolled - Whether the signed-in learner is enrolled
+     */
+    async renderReviewForm(course, enrolled) {
+        document.getElementById('review-form-container').classList.toggle('hidden', !enrolled);
+        if (!enrolled) return;
+        this.showOwnReview(await this.learnerManager.getMyReview(course.id));
+    }
+
+    /**
+     * @param {Object|null} review - The learner's review, null to show an empty form
+     */
+    showOwnReview(review) {
+        const statusText = {
+            pending: 'Waiting for approval',
+            approved: 'Published',
+            hidden: 'Hidden by a moderator',
+            flagged: 'Held for a closer look by a moderator'
+        };
+        document.getElementById('review-form-title').textContent = review ? 'Your review' : 'Write a review';
+        document.getElementById('review-status').textContent = review ? `Status: ${statusText[review.status] || review.status}` : '';
+        document.getElementById('review-rating').value = review ? review.rating : 5;
+        document.getElementById('review-comment').value = review ? review.comment || '' : '';
+        document.getElementById('review-submit-btn').textContent = review ? 'Update Review' : 'Submit Review';
+        document.getElementById('review-delete-btn').classList.toggle('hidden', !review);
+    }
+
+    /**
+     * Show all categories as cards, sub-categories listed on their parent,
+     * followed by the tags in use
+     */
+    async showCategoriesPage() {
+        Utils.showLoading();
+
+        try {
+            const [categories, tags] = await Promise.all([
+                this.courseManager.getCategoryTree(),
+                this.courseManager.getTags()
+            ]);
+            const template = document.getElementById('categories-template');
+            const content = template.content.cloneNode(true);
+            const grid = content.getElementById('categories-grid');
+
+            if (categories.length === 0) {
+                grid.innerHTML = '<p>No categories yet.</p>';
+            }
+
+            categories.forEach(category => {
+                const total = category.courseCount + category.children.reduce((sum, child) => sum + child.courseCount, 0);
+                const card = document.createElement('a');
+                card.className = 'taxonomy-card';
+                card.href = `#/category/${category.slug}`;
+                card.innerHTML = `
+                    <span>${Utils.escapeHtml(category.icon || '')}</span>
+                    <h3>${Utils.escapeHtml(category.name)}</h3>
+                    <p>${Utils.escapeHtml(category.description || '')}</p>
+                    <p>${Utils.formatNumber(total)} courses</p>
+                    ${category.children.length ? `<p>${category.children.map(child => Utils.escapeHtml(child.name)).join(' · ')}</p>` : ''}
+                `;
+                grid.appendChild(card);
+            });
+
+            const tagsList = content.getElementById('tags-list');
+            tags.forEach(tag => {
+                const link = document.createElement('a');
+                link.className = 'course-tag';
+                link.href = `#/tag/${tag.slug}`;
+                link.textContent = `${tag.name} (${Utils.formatNumber(tag.courseCount)})`;
+                tagsList.appendChild(link);
+            });
+
+            this.mainContent.innerHTML = '';
+            this.mainContent.appendChild(content);
+        } catch (error) {
+            this.toastManager.error('Failed to load categories');
+            console.error('Error loading categories:', error);
+        } finally {
+            Utils.hideLoading();
+        }
+    }
+
+    /**
+     * Show one category with its courses
+     * @param {string} slug - Category slug
+     * @param {number} page - Page of courses
+     */
+    async showCategoryPage(slug, page = 1) {
+        Utils.showLoading();
+
+        try {
+            const result = await this.courseManager.getCategoryBySlug(slug, page);
+            if (!result) {
+                this.toastManager.error('Category not found');
+                this.router.navigate('/categories');
+                return;
+            }
+
+            const { category, courses, pagination } = result;
+            const template = document.getElementById('category-template');
+            const content = template.content.cloneNode(true);
+
+            content.getElementById('category-icon').textContent = category.icon || '';
+            content.getElementById('category-name').textContent = category.name;
+            content.getElementById('category-description').textContent = category.description || '';
+            if (category.parent) {
+                const parentLink = content.getElementById('category-parent-link');
+                parentLink.textContent = `← ${category.parent.name}`;
+                parentLink.href = `#/category/${category.parent.slug}`;
+                parentLink.classList.remove('hidden');
+            }
+            const children = content.getElementById('category-children');
+            category.children.forEach(child => {
+                const link = document.createElement('a');
+                link.className = 'course-tag';
+                link.href = `#/category/${child.slug}`;
+                link.textContent = child.name;
+                children.appendChild(link);
+            });
+
+            this.mainContent.innerHTML = '';
+            this.mainContent.appendChild(content);
+
+            this.renderCourseListing('category-courses-grid', courses, pagination,
+                (newPage) => this.showCategoryPage(slug, newPage));
+        } catch (error) {
+            this.toastManager.error('Failed to load category');
+            console.error('Error loading category:', error);
+        } finally {
+            Utils.hideLoading();
+        }
+    }
+
+    /**
+     * Show the published courses with one tag
+     * @param {string} slug - Tag slug
+     * @param {number} page - Page of courses
+     */
+    async showTagPage(slug, page = 1) {
+        Utils.showLoading();
+
+        try {
+            const result = await this.courseManager.getTagCourses(slug, page);
+            if (!result) {
+                this.toastManager.error('Tag not found');
+                this.router.navigate('/categories');
+                return;
+            }
+
+            const { tag, courses, pagination } = result;
+            const template = document.getElementById('tag-template');
+            const content = template.content.cloneNode(true);
+
+            content.getElementById('tag-name').textContent = tag.name;
+            content.getElementById('tag-course-count').textContent = `${Utils.formatNumber(pagination.total)} courses`;
+
+            this.mainContent.innerHTML = '';
+            this.mainContent.appendChild(content);
+
+            this.renderCourseListing('tag-courses-grid', courses, pagination,
+                (newPage) => this.showTagPage(slug, newPage));
+        } catch (error) {
+            this.toastManager.error('Failed to load tag');
+            console.error('Error loading tag:', error);
+        } finally {
+            Utils.hideLoading();
+        }
+    }
+
+    /**
+     * Show instructors with published courses
+     * @param {number} page - Page of instructors
+     */
+    async showInstructorsPage(page = 1) {
+        Utils.showLoading();
+
+        try {
+            const { instructors, pagination } = await this.courseManager.getInstructors(page);
+            const template = document.getElementById('instructors-template');
+            const content = template.content.cloneNode(true);
+            const grid = content.getElementById('instructors-grid');
+
+            if (instructors.length === 0) {
+                grid.innerHTML = '<p>No instructors yet.</p>';
+            }
+
+            instructors.forEach(instructor => {
+                const bio = instructor.bio || '';
+                const card = document.createElement('a');
+                card.className = 'taxonomy-card text-center';
+                card.href = `#/instructor/${instructor.slug}`;
+                card.innerHTML = `
+                    ${instructor.avatar ? `<img class="instructor-avatar" src="${Utils.escapeHtml(instructor.avatar)}" alt="">` : ''}
+                    <h3>${Utils.escapeHtml(instructor.name)}</h3>
+                    <p>${Utils.escapeHtml(bio.length > 120 ? `${bio.slice(0, 120)}…` : bio)}</p>
+                    <p>${Utils.formatNumber(instructor.courseCount)} courses</p>
+                `;
+                grid.appendChild(card);
+            });
+
+            this.mainContent.innerHTML = '';
+            this.mainContent.appendChild(content);
+
+            this.setupListingPager(pagination, (newPage) => this.showInstructorsPage(newPage));
+        } catch (error) {
+            this.toastManager.error('Failed to load instructors');
+            console.error('Error loading instructors:', error);
+        } finally {
+            Utils.hideLoading();
+        }
+    }
+
+    /**
+     * Show one instructor's profile and courses
+     * @param {string} slug - Instructor slug
+     * @param {number} page - Page of courses
+     */
+    async showInstructorPage(slug, page = 1) {
+        Utils.showLoading();
+
+        try {
+            const result = await this.courseManager.getInstructorBySlug(slug, page);
+            if (!result) {
+                this.toastManager.error('Instructor not found');
+                this.router.navigate('/instructors');
+                return;
+            }
+
+            const { instructor, courses, pagination } = result;
+            const template = document.getElementById('instructor-template');
+            const content = template.content.cloneNode(true);
+
+            content.getElementById('instructor-name').textContent = instructor.name;
+            content.getElementById('instructor-bio').textContent = instructor.bio || '';
+            if (instructor.avatar) {
+                const avatar = content.getElementById('instructor-avatar');
+                avatar.src = instructor.avatar;
+                avatar.alt = instructor.name;
+                avatar.classList.remove('hidden');
+            }
+            const links = content.getElementById('instructor-links');
+            (instructor.links || []).forEach(({ label, url }) => {
+                const link = document.createElement('a');
+                link.className = 'course-tag';
+                link.href = url;
+                link.target = '_blank';
+                link.rel = 'noopener noreferrer';
+                link.textContent = label;
+                links.appendChild(link);
+            });
+
+            this.mainContent.innerHTML = '';
+            this.mainContent.appendChild(content);
+
+            this.renderCourseListing('instructor-courses-grid', courses, pagination,
+                (newPage) => this.showInstructorPage(slug, newPage));
+        } catch (error) {
+            this.toastManager.error('Failed to load instructor');
+            console.error('Error loading instructor:', error);
+        } finally {
+            Utils.hideLoading();
+        }
+    }
+
+    /**
+     * Show the published learning paths
+     * @param {number} page - Page of paths
+     */
+    async showPathsPage(page = 1) {
+        Utils.showLoading();
+
+        try {
+            const { paths, pagination } = await this.courseManager.getPaths(page);
+            const template = document.getElementById('paths-template');
+            const content = template.content.cloneNode(true);
+            const grid = content.getElementById('paths-grid');
+
+            if (paths.length === 0) {
+                grid.innerHTML = '<p>No learning paths yet.</p>';
+            }
+
+            paths.forEach(path => {
+                const description = path.description || '';
+                const card = document.createElement('a');
+                card.className = 'taxonomy-card';
+                card.href = `#/path/${path.slug}`;
+                card.innerHTML = `
+                    ${path.image ? `<img class="course-image" src="${Utils.escapeHtml(path.image)}" alt="">` : ''}
+                    <h3>${Utils.escapeHtml(path.title)}</h3>
+                    <p>${Utils.escapeHtml(description.length > 160 ? `${description.slice(0, 160)}…` : description)}</p>
+                    <p>${this.pathSummary(path)}</p>
+                `;
+                grid.appendChild(card);
+            });
+
+            this.mainContent.innerHTML = '';
+            this.mainContent.appendChild(content);
+
+            this.setupListingPager(pagination, (newPage) => this.showPathsPage(newPage));
+        } catch (error) {
+            this.toastManager.error('Failed to load learning paths');
+            console.error('Error loading learning paths:', error);
+        } finally {
+            Utils.hideLoading();
+        }
+    }
+
+    /**
+     * Show one learning path with its steps and, for signed-in learners,
+     * their progress through it
+     * @param {string} slug - Path slug
+     */
+    async showPathPage(slug) {
+        Utils.showLoading();
+
+        try {
+            const path = await this.courseManager.getPathBySlug(slug);
+            if (!path) {
+                this.toastManager.error('Learning path not found');
+                this.router.navigate('/paths');
+                return;
+            }
+            const progress = await this.learnerManager.getPathProgress(slug);
+            const enrolledIds = new Set(progress ? progress.enrolledCourseIds : []);
+
+            const template = document.getElementById('path-template');
+            const content = template.content.cloneNode(true);
+
+            content.getElementById('path-title').textContent = path.title;
+            content.getElementById('path-description').textContent = path.description || '';
+            content.getElementById('path-summary').textContent = this.pathSummary(path);
+
+            if (progress) {
+                content.getElementById('path-progress-text').textContent = progress.complete
+                    ? `Path complete: enrolled in all ${progress.requiredCount} required courses`
+                    : `Enrolled in ${progress.requiredEnrolled} of ${progress.requiredCount} required courses (${progress.percent}%)`;
+                content.getElementById('path-progress-fill').style.width = `${progress.percent}%`;
+                const next = path.steps.find(step => step.courseId === progress.nextCourseId);
+                if (next) {
+                    const nextLink = content.getElementById('path-next-link');
+                    nextLink.href = `#/course/${next.course.slug}`;
+                    nextLink.textContent = `Next: ${next.course.title}`;
+                    nextLink.classList.remove('hidden');
+                }
+                content.getElementById('path-progress').classList.remove('hidden');
+            } else if (!this.learnerManager.isLoggedIn()) {
+                content.getElementById('path-sign-in-hint').classList.remove('hidden');
+            }
+
+            const list = content.getElementById('path-steps');
+            if (path.steps.length === 0) {
+                list.innerHTML = '<li>No courses in this path yet.</li>';
+            }
+            path.steps.forEach(step => {
+                const { course } = step;
+                const item = document.createElement('li');
+                item.className = 'path-step';
+                item.classList.toggle('optional', step.isOptional);
+                item.classList.toggle('enrolled', enrolledIds.has(step.courseId));
+                item.innerHTML = `
+                    <div>
+                        <h3><a href="#/course/${Utils.escapeHtml(course.slug)}">${Utils.escapeHtml(course.title)}</a></h3>
+                        <div class="course-meta">
+                            ${step.isOptional ? '<span class="status status--info">Optional</span>' : ''}
+                            ${enrolledIds.has(step.courseId) ? '<span class="status status--success">Enrolled</span>' : ''}
+                            <span>${Utils.escapeHtml(course.level || '')}</span>
+                            ${Utils.courseDuration(course) ? `<span>${Utils.escapeHtml(Utils.courseDuration(course))}</span>` : ''}
+                            <span>${Utils.escapeHtml(Utils.formatRating(course.rating, course.reviewCount))}</span>
+                        </div>
+                        ${step.description ? `<p>${Utils.escapeHtml(step.description)}</p>` : ''}
+                        <p class="form-help">${Utils.escapeHtml(course.description || '')}</p>
+                    </div>
+                `;
+                list.appendChild(item);
+            });
+
+            this.mainContent.innerHTML = '';
+            this.mainContent.appendChild(content);
+        } catch (error) {
+            this.toastManager.error('Failed to load learning path');
+            console.error('Error loading learning path:', error);
+        } finally {
+            Utils.hideLoading();
+        }
+    }
+
+    /**
+     * "5 courses (1 optional) · 12h 30m"
+     * @param {Object} path - Path with courseCount, optionalCount and durationMinutes
+     */
+    pathSummary(path) {
+        const optional = path.optionalCount ? ` (${path.optionalCount} optional)` : '';
+        const duration = path.durationMinutes ? ` · ${Utils.formatDuration(path.durationMinutes)}` : '';
+        return `${path.courseCount} courses${optional}${duration}`;
+    }
+
+    /**
+     * Fill a course grid and its pager on the category, tag and instructor pages
+     * @param {string} gridId - Grid element id
+     * @param {Function} onPage - Called with the page number to show
+     */
+    renderCourseListing(gridId, courses, pagination, onPage) {
+        const grid = document.getElementById(gridId);
+        if (courses.length === 0) {
+            grid.innerHTML = '<p>No courses here yet.</p>';
+        }
+        courses.forEach(course => grid.appendChild(this.createCourseCard(course)));
+        this.setupListingPager(pagination, onPage);
+    }
+
+    /**
+     * Wire the shared listing pager (listing-prev-btn / listing-next-btn)
+     * @param {Function} onPage - Called with the page number to show
+     */
+    setupListingPager(pagination, onPage) {
+        document.getElementById('listing-page-info').textContent =
+            `Page ${pagination.page} of ${Math.max(pagination.totalPages, 1)}`;
+        const prevBtn = document.getElementById('listing-prev-btn');
+        const nextBtn = document.getElementById('listing-next-btn');
+        prevBtn.disabled = !pagination.hasPrevPage;
+        nextBtn.disabled = !pagination.hasNextPage;
+        prevBtn.addEventListener('click', () => onPage(pagination.page - 1));
+        nextBtn.addEventListener('click', () => onPage(pagination.page + 1));
+    }
+
+    /**
+     * Show admin login page
+     */
+    showAdminLogin() {
+        // Redirect if already authenticated
+        if (this.authManager.isAuthenticated()) {
+            this.router.navigate('/admin');
+            return;
+        }
+
+        const template = document.getElementById('admin-login-template');
+        const content = template.content.cloneNode(true);
+        
+        this.mainContent.innerHTML = '';
+        this.mainContent.appendChild(content);
+
+        // Set up login form
+        this.setupLoginForm();
+    }
+
+    /**
+     * Set up login form event handlers
+     */
+    setupLoginForm() {
+        const form = document.getElementById('admin-login-form');
+        const twoFactorForm = document.getElementById('admin-2fa-form');
+        const errorDiv = document.getElementById('login-error');
+        let challengeToken = null;
+
+        const onLoggedIn = () => {
+            this.updateAuthUI();
+            this.toastManager.success('Successfully logged in!');
+            this.router.navigate('/admin');
+        };
+
+        // Switch between the password step and the 2FA step
+        const showTwoFactorStep = (show) => {
+            form.classList.toggle('hidden', show);
+            twoFactorForm.classList.toggle('hidden', !show);
+            if (show) {
+                document.getElementById('totp-code').value = '';
+                document.getElementById('totp-code').focus();
+            }
+        };
+
+        document.getElementById('twofa-back-btn').addEventListener('click', () => {
+            challengeToken = null;
+            errorDiv.classList.add('hidden');
+            showTwoFactorStep(false);
+        });
+
+        twoFactorForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            errorDiv.classList.add('hidden');
+            Utils.showLoading();
+
+            try {
+                const result = await this.authManager.completeTwoFactor(
+                    challengeToken,
+                    document.getElementById('totp-code').value
+                );
+
+                if (result.success) {
+                    if (result.recoveryCodesRemaining !== undefined) {
+                        this.toastManager.warning(`Recovery code used. ${result.recoveryCodesRemaining} remaining.`);
+                    }
+                    onLoggedIn();
+                } else {
+                    errorDiv.textContent = result.message || 'Invalid authentication code';
+                    errorDiv.classList.remove('hidden');
+                }
+            } catch (error) {
+                this.toastManager.error('Login failed. Please try again.');
+                console.error('2FA error:', error);
+            } finally {
+                Utils.hideLoading();
+            }
+        });
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            const username = document.getElementById('username').value;
+            const password = document.getElementById('password').value;
+            
+            // Clear previous errors
+            errorDiv.classList.add('hidden');
+            
+            // Show loading
+            Utils.showLoading();
+            
+            try {
+                const result = await this.authManager.login(username, password);
+                
+                if (result.success) {
+                    onLoggedIn();
+                } else if (result.twoFactorRequired) {
+                    challengeToken = result.challengeToken;
+                    showTwoFactorStep(true);
+                } else {
+                    errorDiv.textContent = result.code ? result.message : 'Invalid username/email or password';
+                    errorDiv.classList.remove('hidden');
+                }
+            } catch (error) {
+                this.toastManager.error('Login failed. Please try again.');
+                console.error('Login error:', error);
+            } finally {
+                Utils.hideLoading();
+            }
+        });
+    }
+
+    /**
+     * Show the "forgot password" page
+     */
+    showForgotPassword() {
+        const template = document.getElementById('admin-forgot-password-template');
+        const content = template.content.cloneNode(true);
+
+        this.mainContent.innerHTML = '';
+        this.mainContent.appendChild(content);
+
+        const form = document.getElementById('forgot-password-form');
+        const messageDiv = document.getElementById('forgot-message');
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            Utils.showLoading();
+
+            try {
+                const message = await this.authManager.requestPasswordReset(
+                    document.getElementById('forgot-email').value
+                );
+                form.classList.add('hidden');
+                messageDiv.textContent = message;
+                messageDiv.classList.remove('hidden');
+            } catch (error) {
+                this.toastManager.error('Could not send reset link. Please try again.');
+                console.error('Forgot password error:', error);
+            } finally {
+                Utils.hideLoading();
+            }
+        });
+    }
+
+    /**
+     * Show the "reset password" page opened from the emailed link
+     * @param {string} token - Reset token from the link
+     */
+    showResetPassword(token) {
+        const template = document.getElementById('admin-reset-password-template');
+        const content = template.content.cloneNode(true);
+
+        this.mainContent.innerHTML = '';
+        this.mainContent.appendChild(content);
+
+        const form = document.getElementById('reset-password-form');
+        const errorDiv = document.getElementById('reset-error');
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            errorDiv.classList.add('hidden');
+
+            const password = document.getElementById('reset-password').value;
+            if (password !== document.getElementById('reset-password-confirm').value) {
+                errorDiv.textContent = 'Passwords do not match';
+                errorDiv.classList.remove('hidden');
+                return;
+            }
+
+            Utils.showLoading();
+
+            try {
+                const result = await this.authManager.resetPassword(token, password);
+                if (result.success) {
+                    this.toastManager.success(result.message);
+                    this.router.navigate('/admin/login');
+                } else {
+                    errorDiv.textContent = result.message;
+                    errorDiv.classList.remove('hidden');
+                }
+            } catch (error) {
+                this.toastManager.error('Password reset failed. Please try again.');
+                console.error('Reset password error:', error);
+            } finally {
+                Utils.hideLoading();
+            }
+        });
+    }
+
+    // =================================
+    // LEARNER ACCOUNT PAGES
+    // =================================
+
+    /**
+     * Show the learner sign-in page
+     */
+    showLearnerLogin() {
+        if (this.learnerManager.isLoggedIn()) {
+            this.router.navigate('/account');
+            return;
+        }
+
+        const template = document.getElementById('learner-login-template');
+        const content = template.content.cloneNode(true);
+
+        this.mainContent.innerHTML = '';
+        this.mainContent.appendChild(content);
+
+        const form = document.getElementById('learner-login-form');
+        const errorDiv = document.getElementById('learner-login-error');
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            errorDiv.classList.add('hidden');
+            Utils.showLoading();
+
+            try {
+                const result = await this.learnerManager.login(
+                    document.getElementById('learner-email').value,
+                    document.getElementById('learner-password').value
+                );
+                if (result.success) {
+                    this.updateAuthUI();
+                    this.toastManager.success('Welcome back!');
+                    this.router.navigate('/account');
+                } else {
+                    errorDiv.textContent = result.message;
+                    errorDiv.classList.remove('hidden');
+                }
+            } catch (error) {
+                this.toastManager.error('Sign in failed. Please try again.');
+                console.error('Learner login error:', error);
+            } finally {
+                Utils.hideLoading();
+            }
+        });
+    }
+
+    /**
+     * Show the learner sign-up page
+     */
+    showRegister() {
+        const template = document.getElementById('learner-register-template');
+        const content = template.content.cloneNode(true);
+
+        this.mainContent.innerHTML = '';
+        this.mainContent.appendChild(content);
+
+        const form = document.getElementById('learner-register-form');
+        const errorDiv = document.getElementById('register-error');
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            errorDiv.classList.add('hidden');
+            Utils.showLoading();
+
+            try {
+                const result = await this.learnerManager.register(
+                    document.getElementById('register-name').value,
+                    document.getElementById('register-email').value,
+                    document.getElementById('register-password').value
+                );
+                if (result.success) {
+                    this.updateAuthUI();
+                    this.toastManager.success(result.message);
+                    this.router.navigate('/account');
+                } else {
+                    errorDiv.textContent = result.message;
+                    errorDiv.classList.remove('hidden');
+                }
+            } catch (error) {
+                this.toastManager.error('Sign up failed. Please try again.');
+                console.error('Register error:', error);
+            } finally {
+                Utils.hideLoading();
+            }
+        });
+    }
+
+    /**
+     * Confirm an email address from the emailed link
+     * @param {string} token - Verification token from the link
+     */
+    async showVerifyEmail(token) {
+        Utils.showLoading();
+
+        try {
+            const result = await this.learnerManager.verifyEmail(token);
+            if (result.success) {
+                this.toastManager.success(result.message);
+            } else {
+                this.toastManager.error(result.message);
+            }
+        } catch (error) {
+            this.toastManager.error('Email verification failed. Please try again.');
+            console.error('Verify email error:', error);
+        } finally {
+            Utils.hideLoading();
+        }
+
+        this.router.navigate(this.learnerManager.isLoggedIn() ? '/account' : '/login');
+    }
+
+    /**
+     * Show the learner's profile with edit, password and delete forms
+     */
+    async showAccount() {
+        Utils.showLoading();
+        let profile;
+        try {
+            profile = await this.learnerManager.getProfile();
+        } catch (error) {
+            console.error('Error loading profile:', error);
+        } finally {
+            Utils.hideLoading();
+        }
+
+        if (!profile) {
+            this.updateAuthUI();
+            this.router.navigate('/login');
+            return;
+        }
+
+        const template = document.getElementById('learner-account-template');
+        const content = template.content.cloneNode(true);
+
+        content.getElementById('account-name').value = profile.name;
+        content.getElementById('account-email').value = profile.email;
+        content.getElementById('account-bio').value = profile.bio || '';
+        if (profile.emailVerified) {
+            content.getElementById('verify-notice').classList.add('hidden');
+        }
+
+        this.mainContent.innerHTML = '';
+        this.mainContent.appendChild(content);
+
+        this.renderMyCourses();
+
+        document.getElementById('resend-verification-btn').addEventListener('click', async () => {
+            const result = await this.learnerManager.resendVerification();
+            this.toastManager[result.success ? 'success' : 'error'](result.message);
+        });
+
+        document.getElementById('learner-logout-btn').addEventListener('click', () => {
+            this.learnerManager.logout();
+            this.updateAuthUI();
+            this.toastManager.success('Signed out');
+            this.router.navigate('/');
+        });
+
+        document.getElementById('profile-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const result = await this.learnerManager.updateProfile({
+                name: document.getElementById('account-name').value,
+                email: document.getElementById('account-email').value,
+                bio: document.getElementById('account-bio').value
+            });
+            if (result.success) {
+                this.toastManager.success(result.message);
+                this.updateAuthUI();
+                // A changed email must be verified again
+                document.getElementById('verify-notice').classList.toggle('hidden', result.user.emailVerified);
+            } else {
+                this.toastManager.error(result.message);
+            }
+        });
+
+        document.getElementById('learner-password-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const form = e.target;
+            const result = await this.learnerManager.changePassword(
+                document.getElementById('account-current-password').value,
+                document.getElementById('account-new-password').value
+            );
+            if (result.success) {
+                form.reset();
+                this.toastManager.success(result.message);
+            } else {
+                this.toastManager.error(result.message);
+            }
+        });
+
+        document.getElementById('delete-account-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            if (!confirm('Delete your account? This cannot be undone.')) return;
+
+            const result = await this.learnerManager.deleteAccount(
+                document.getElementById('delete-account-password').value
+            );
+            if (result.success) {
+                this.updateAuthUI();
+                this.toastManager.success(result.message);
+                this.router.navigate('/');
+            } else {
+                this.toastManager.error(result.message);
+            }
+        });
+    }
+
+    /**
+     * Fill the "My Courses" list on the account page
+     */
+    async renderMyCourses() {
+        const list = document.getElementById('my-courses-list');
+        try {
+            const enrollments = await this.learnerManager.getMyCourses();
+            if (enrollments.length === 0) {
+                list.innerHTML = '<p class="auth-hint">You are not enrolled in any courses yet. <a href="#/courses">Browse courses</a></p>';
+                return;
+            }
+
+            list.innerHTML = '';
+            enrollments.forEach(({ course, enrolledAt }) => {
+                const item = document.createElement('a');
+                item.className = 'my-course';
+                item.href = `#/course/${course.slug}`;
+                item.innerHTML = `
+                    <strong>${Utils.escapeHtml(course.title)}</strong>
+                    <span class="auth-hint">Enrolled ${Utils.formatDateTime(enrolledAt)}</span>
+                `;
+                list.appendChild(item);
+            });
+        } catch (error) {
+            list.innerHTML = '<p class="error-message">Failed to load your courses</p>';
+            console.error('Error loading enrollments:', error);
+        }
+    }
+
+    /**
+     * Show admin dashboard (requires authentication)
+     */
+    async showAdminDashboard() {
+        if (!this.authManager.isAuthenticated()) {
+            this.router.navigate('/admin/login');
+            return;
+        }
+
+        const template = document.getElementById('admin-dashboard-template');
+        const content = template.content.cloneNode(true);
+        
+        this.mainContent.innerHTML = '';
+        this.mainContent.appendChild(content);
+
+        // Set up events
+        document.getElementById('add-course-btn').addEventListener('click', () => {
+            this.router.navigate('/admin/courses/add');
+        });
+
+        document.getElementById('admin-status-filter').addEventListener('change', () => this.loadAdminDashboard());
+
+        const exportBtn = document.getElementById('export-btn');
+        exportBtn.addEventListener('click', async () => {
+            exportBtn.disabled = true;
+            try {
+                await this.courseManager.exportCourses(
+                    document.getElementById('export-format').value,
+                    document.getElementById('admin-status-filter').value
+                );
+            } catch (error) {
+                this.toastManager.error(error.message);
+            } finally {
+                exportBtn.disabled = false;
+            }
+        });
+
+        document.getElementById('import-courses-btn').addEventListener('click', () => {
+            this.router.navigate('/admin/courses/import');
+        });
+
+        document.getElementById('trash-btn').addEventListener('click', () => {
+            this.router.navigate('/admin/trash');
+        });
+
+        // Viewers cannot moderate reviews
+        const reviewsBtn = document.getElementById('reviews-btn');
+        if (this.authManager.currentUser && this.authManager.currentUser.role !== 'viewer') {
+            reviewsBtn.addEventListener('click', () => this.router.navigate('/admin/reviews'));
+        } else {
+            reviewsBtn.classList.add('hidden');
+        }
+
+        // Click reports are for editors and superadmins
+        const clicksBtn = document.getElementById('clicks-btn');
+        if (this.authManager.currentUser && this.authManager.currentUser.role !== 'viewer') {
+            clicksBtn.addEventListener('click', () => this.router.navigate('/admin/clicks'));
+        } else {
+            clicksBtn.classList.add('hidden');
+        }
+
+        // Only superadmins can read the audit log
+        const auditBtn = document.getElementById('audit-log-btn');
+        if (this.authManager.currentUser && this.authManager.currentUser.role === 'superadmin') {
+            auditBtn.addEventListener('click', () => this.router.navigate('/admin/audit'));
+        } else {
+            auditBtn.classList.add('hidden');
+        }
+
+        // Load dashboard data
+        await this.loadAdminDashboard();
+    }
+
+    /**
+     * Load data for admin dashboard
+     */
+    async loadAdminDashboard() {
+        Utils.showLoading();
+        
+        try {
+            // Admins see courses in every status, not just the public catalog
+            const courses = await this.courseManager.getAdminCourses(document.getElementById('admin-status-filter').value);
+            const stats = await this.courseManager.getStatistics(courses);
+
+            // Update statistics
+            document.getElementById('total-courses').textContent = stats.totalCourses;
+            document.getElementById('total-students').textContent = Utils.formatNumber(stats.totalStudents);
+            document.getElementById('total-categories').textContent = stats.totalCategories;
+
+            // Populate courses table
+            const tableBody = document.getElementById('admin-courses-table');
+            tableBody.innerHTML = '';
+
+            courses.forEach(course => {
+                const row = this.createAdminTableRow(course);
+                tableBody.appendChild(row);
+            });
+
+        } catch (error) {
+            this.toastManager.error('Failed to load dashboard data');
+            console.error('Error loading dashboard:', error);
+        } finally {
+            Utils.hideLoading();
+        }
+    }
+
+    /**
+     * Show the audit log page (requires authentication)
+     */
+    async showAuditLog() {
+        if (!this.authManager.isAuthenticated()) {
+            this.router.navigate('/admin/login');
+            return;
+        }
+
+        const template = document.getElementById('admin-audit-template');
+        const content = template.content.cloneNode(true);
+
+        this.mainContent.innerHTML = '';
+        this.mainContent.appendChild(content);
+
+        this.auditFilters = { page: 1 };
+
+        document.getElementById('audit-filter-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.auditFilters = {
+                entityType: document.getElementById('audit-entity-filter').value,
+                action: document.getElementById('audit-action-filter').value.trim(),
+                from: document.getElementById('audit-from-filter').value,
+                to: document.getElementById('audit-to-filter').value,
+                page: 1
+            };
+            this.loadAuditLogs();
+        });
+
+        document.getElementById('audit-prev-btn').addEventListener('click', () => {
+            this.auditFilters.page -= 1;
+            this.loadAuditLogs();
+        });
+        document.getElementById('audit-next-btn').addEventListener('click', () => {
+            this.auditFilters.page += 1;
+            this.loadAuditLogs();
+        });
+
+        await this.loadAuditLogs();
+    }
+
+    /**
+     * Load the audit log page for the current filters
+     */
+    async loadAuditLogs() {
+        Utils.showLoading();
+
+        try {
+            const filters = { ...this.auditFilters };
+            // Include the whole "to" day
+            if (filters.to) filters.to = `${filters.to}T23:59:59`;
+
+            const { auditLogs, pagination } = await this.auditManager.getAuditLogs(filters);
+
+            const tableBody = document.getElementById('audit-log-table');
+            tableBody.innerHTML = '';
+
+            if (auditLogs.length === 0) {
+                tableBody.innerHTML = '<tr><td colspan="5" class="text-center">No audit entries found.</td></tr>';
+            }
+
+            auditLogs.forEach(entry => {
+                tableBody.appendChild(this.createAuditTableRow(entry));
+            });
+
+            document.getElementById('audit-page-info').textContent =
+                `Page ${pagination.page} of ${Math.max(pagination.totalPages, 1)} (${pagination.total} entries)`;
+            document.getElementById('audit-prev-btn').disabled = !pagination.hasPrevPage;
+            document.getElementById('audit-next-btn').disabled = !pagination.hasNextPage;
+        } catch (error) {
+            this.toastManager.error('Failed to load audit log');
+            console.error('Error loading audit log:', error);
+        } finally {
+            Utils.hideLoading();
+        }
+    }
+
+    /**
+     * Create a table row for the audit log
+     * @param {Object} entry - Audit log entry
+     * @returns {HTMLElement} - Table row element
+     */
+    createAuditTableRow(entry) {
+        const row = document.createElement('tr');
+        const changes = Object.entries(entry.changes || {})
+            .map(([field, change]) => `<div><strong>${Utils.escapeHtml(field)}</strong>: ${Utils.escapeHtml(JSON.stringify(change.from))} &rarr; ${Utils.escapeHtml(JSON.stringify(change.to))}</div>`)
+            .join('');
+
+        row.innerHTML = `
+            <td>${Utils.escapeHtml(Utils.formatDateTime(entry.createdAt))}</td>
+            <td>
+                ${Utils.escapeHtml(entry.actorName || 'unknown')}
+                <div class="audit-meta">${Utils.escapeHtml(entry.actorType || '')} &middot; ${Utils.escapeHtml(entry.ip || '')}</div>
+            </td>
+            <td>${Utils.escapeHtml(entry.action)}</td>
+            <td>${Utils.escapeHtml(entry.entityType)} #${Utils.escapeHtml(entry.entityId || '')}</td>
+            <td class="audit-changes">${changes || '&mdash;'}</td>
+        `;
+        return row;
+    }
+
+    /**
+     * Show the bulk course import page (requires authentication). A file is
+     * checked with a dry run first; importing is offered once it has no errors.
+     */
+    showCourseImport() {
+        if (!this.authManager.isAuthenticated()) {
+            this.router.navigate('/admin/login');
+            return;
+        }
+
+        const template = document.getElementById('admin-import-template');
+        const content = template.content.cloneNode(true);
+
+        this.mainContent.innerHTML = '';
+        this.mainContent.appendChild(content);
+
+        const fileInput = document.getElementById('import-file');
+        const checkBtn = document.getElementById('import-check-btn');
+        const importBtn = document.getElementById('import-run-btn');
+
+        // A new file has to be checked again
+        fileInput.addEventListener('change', () => {
+            importBtn.disabled = true;
+            document.getElementById('import-report').classList.add('hidden');
+        });
+
+        const run = async (dryRun) => {
+            const file = fileInput.files[0];
+            if (!file) {
+                this.toastManager.error('Choose a .csv or .json file first');
+                return;
+            }
+            checkBtn.disabled = true;
+            importBtn.disabled = true;
+            Utils.showLoading();
+            try {
+                const { ok, data } = await this.courseManager.importCourses(file, dryRun);
+                if (!data.rows) {
+                    this.toastManager.error(data.message || 'Import failed');
+                    return;
+                }
+                this.renderImportReport(data);
+                if (!ok) {
+                    this.toastManager.error(data.message);
+                } else if (dryRun) {
+                    importBtn.disabled = data.summary.invalid > 0 || data.summary.create + data.summary.update === 0;
+                } else {
+                    this.toastManager.success(data.message);
+                }
+            } catch (error) {
+                this.toastManager.error('Import failed. Please try again.');
+                console.error('Import error:', error);
+            } finally {
+                checkBtn.disabled = false;
+                Utils.hideLoading();
+            }
+        };
+
+        checkBtn.addEventListener('click', () => run(true));
+        importBtn.addEventListener('click', () => {
+            if (!confirm('Import these courses? New courses are created as drafts.')) return;
+            run(false);
+        });
+    }
+
+    /**
+     * Show the per-row result of an import or dry run
+     * @param {Object} report - { dryRun, summary, rows, ignoredColumns }
+     */
+    renderImportReport(report) {
+        const { summary, rows, ignoredColumns } = report;
+        const actionLabels = { create: 'New', update: 'Update', unchanged: 'Unchanged', invalid: 'Error' };
+        const actionBadges = { create: 'status--success', update: 'status--info', unchanged: 'status--info', invalid: 'status--error' };
+
+        const counts = [
+            `${summary.total} rows`,
+            `${summary.create} new`,
+            `${summary.update} updated`,
+            `${summary.unchanged} unchanged`,
+            `${summary.invalid} with errors`
+        ];
+        document.getElementById('import-summary').textContent =
+            `${report.dryRun ? 'Dry run' : 'Result'}: ${counts.join(' · ')}`;
+        document.getElementById('import-ignored').textContent = ignoredColumns.length
+            ? `Ignored columns: ${ignoredColumns.join(', ')}`
+            : '';
+
+        const tableBody = document.getElementById('import-table');
+        tableBody.innerHTML = '';
+        rows.forEach(row => {
+            const tr = document.createElement('tr');
+            const details = row.errors.length
+                ? row.errors.map(error => `<div class="import-error">${Utils.escapeHtml(error)}</div>`).join('')
+                : Utils.escapeHtml(row.changes.join(', ') || '—');
+            tr.innerHTML = `
+                <td>${row.row}</td>
+                <td>${Utils.escapeHtml(row.title || '')}<div class="audit-meta">${Utils.escapeHtml(row.slug || '')}</div></td>
+                <td><span class="status ${actionBadges[row.action]}">${actionLabels[row.action]}</span></td>
+                <td>${details}</td>
+            `;
+            tableBody.appendChild(tr);
+        });
+
+        document.getElementById('import-report').classList.remove('hidden');
+    }
+
+    /**
+     * Show the review moderation queue (requires authentication)
+     */
+    async showReviewQueue() {
+        if (!this.authManager.isAuthenticated()) {
+            this.router.navigate('/admin/login');
+            return;
+        }
+
+        const template = document.getElementById('admin-reviews-template');
+        const content = template.content.cloneNode(true);
+
+        this.mainContent.innerHTML = '';
+        this.mainContent.appendChild(content);
+
+        this.reviewQueueFilters = { status: 'pending', page: 1 };
+
+        document.getElementById('review-filter-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.reviewQueueFilters = {
+                status: document.getElementById('review-status-filter').value,
+                rating: document.getElementById('review-rating-filter').value,
+                page: 1
+            };
+            this.loadReviewQueue();
+        });
+
+        document.getElementById('review-queue-prev-btn').addEventListener('click', () => {
+            this.reviewQueueFilters.page -= 1;
+            this.loadReviewQueue();
+        });
+        document.getElementById('review-queue-next-btn').addEventListener('click', () => {
+            this.reviewQueueFilters.page += 1;
+            this.loadReviewQueue();
+        });
+
+        await this.loadReviewQueue();
+    }
+
+    /**
+     * Load the moderation queue for the current filters
+     */
+    async loadReviewQueue() {
+        Utils.showLoading();
+
+        try {
+            const { reviews, statusCounts, pagination } = await this.courseManager.getReviewQueue(this.reviewQueueFilters);
+
+            // Moderating the last review on a page: step back a page
+            if (reviews.length === 0 && pagination.hasPrevPage) {
+                this.reviewQueueFilters.page -= 1;
+                await this.loadReviewQueue();
+                return;
+            }
+
+            document.getElementById('review-status-counts').textContent = Object.entries(statusCounts)
+                .map(([status, count]) => `${this.reviewStatusLabel(status)}: ${Utils.formatNumber(count)}`)
+                .join(' · ');
+
+            const tableBody = document.getElementById('reviews-table');
+            tableBody.innerHTML = '';
+
+            if (reviews.length === 0) {
+                tableBody.innerHTML = '<tr><td colspan="6" class="text-center">No reviews to moderate.</td></tr>';
+            }
+
+            reviews.forEach(review => {
+                tableBody.appendChild(this.createReviewTableRow(review));
+            });
+
+            document.getElementById('review-queue-page-info').textContent =
+                `Page ${pagination.page} of ${Math.max(pagination.totalPages, 1)} (${pagination.total} reviews)`;
+            document.getElementById('review-queue-prev-btn').disabled = !pagination.hasPrevPage;
+            document.getElementById('review-queue-next-btn').disabled = !pagination.hasNextPage;
+        } catch (error) {
+            this.toastManager.error(error.message || 'Failed to load reviews');
+            console.error('Error loading reviews:', error);
+        } finally {
+            Utils.hideLoading();
+        }
+    }
+
+    /**
+     * Create a table row for the moderation queue
+     * @param {Object} review - Review with its course and user
+     * @returns {HTMLElement} - Table row element
+     */
+    createReviewTableRow(review) {
+        const row = document.createElement('tr');
+        const course = review.course || {};
+        const user = review.user || {};
+        const moderated = review.moderatedAt
+            ? `<div class="audit-meta">${Utils.escapeHtml(review.moderatorName || '')} &middot; ${Utils.escapeHtml(Utils.formatDateTime(review.moderatedAt))}</div>`
+            : '';
+
+        row.innerHTML = `
+            <td>${Utils.escapeHtml(Utils.formatDateTime(review.updatedAt))}</td>
+            <td>${Utils.escapeHtml(course.title || `#${review.courseId}`)}</td>
+            <td>
+                ${Utils.escapeHtml(user.name || 'Deleted learner')}
+                <div class="audit-meta">${Utils.escapeHtml(user.email || '')}</div>
+            </td>
+            <td class="review-cell">
+                <span class="review-stars">${Utils.formatStars(review.rating)}</span>
+                <div>${Utils.escapeHtml(review.comment || '')}</div>
+                ${review.moderationNote ? `<div class="audit-meta">Note: ${Utils.escapeHtml(review.moderationNote)}</div>` : ''}
+            </td>
+            <td>
+                <span class="status ${this.reviewStatusBadgeClass(review.status)}">${Utils.escapeHtml(this.reviewStatusLabel(review.status))}</span>
+                ${moderated}
+            </td>
+            <td>
+                <div class="admin-actions">
+                    <button class="btn btn--sm btn--secondary" data-status="approved">Approve</button>
+                    <button class="btn btn--sm btn--outline" data-status="hidden">Hide</button>
+                    <button class="btn btn--sm btn--outline" data-status="flagged">Flag</button>
+                </div>
+            </td>
+        `;
+
+        row.querySelectorAll('[data-status]').forEach(button => {
+            const status = button.dataset.status;
+            button.disabled = review.status === status;
+            button.addEventListener('click', async () => {
+                // Hiding and flagging take an optional note for other moderators
+                let note;
+                if (status !== 'approved') {
+                    note = prompt(`Note for ${status === 'hidden' ? 'hiding' : 'flagging'} this review (optional):`, review.moderationNote || '');
+                    if (note === null) return;
+                }
+                try {
+                    const result = await this.courseManager.moderateReview(review.id, status, note);
+                    this.toastManager.success(`${result.message} · course rating now ${Utils.formatRating(result.course.rating, result.course.reviewCount)}`);
+                    await this.loadReviewQueue();
+                } catch (error) {
+                    this.toastManager.error(error.message);
+                }
+            });
+        });
+
+        return row;
+    }
+
+    reviewStatusLabel(status) {
+        return { pending: 'Pending', approved: 'Approved', hidden: 'Hidden', flagged: 'Flagged' }[status] || status;
+    }
+
+    reviewStatusBadgeClass(status) {
+        return { pending: 'status--info', approved: 'status--success', hidden: 'status--error', flagged: 'status--warning' }[status] || 'status--info';
+    }
+
+    /**
+     * Show the outbound link click report (requires authentication)
+     */
+    async showClickReport() {
+        if (!this.authManager.isAuthenticated()) {
+            this.router.navigate('/admin/login');
+            return;
+        }
+
+        const template = document.getElementById('admin-clicks-template');
+        const content = template.content.cloneNode(true);
+
+        this.mainContent.innerHTML = '';
+        this.mainContent.appendChild(content);
+
+        this.clickFilters = { interval: 'day', page: 1 };
+
+        document.getElementById('clicks-filter-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const to = document.getElementById('clicks-to-filter').value;
+            this.clickFilters = {
+                from: document.getElementById('clicks-from-filter').value,
+                // Include the whole "to" day
+                to: to ? `${to}T23:59:59` : '',
+                interval: document.getElementById('clicks-interval-filter').value,
+                includeBots: document.getElementById('clicks-bots-filter').checked ? 'true' : '',
+                page: 1
+            };
+            document.getElementById('click-details').classList.add('hidden');
+            this.loadClickReport();
+        });
+
+        document.getElementById('click-details-close').addEventListener('click', () => {
+            document.getElementById('click-details').classList.add('hidden');
+        });
+        document.getElementById('clicks-prev-btn').addEventListener('click', () => {
+            this.clickFilters.page -= 1;
+            this.loadClickReport();
+        });
+        document.getElementById('clicks-next-btn').addEventListener('click', () => {
+            this.clickFilters.page += 1;
+            this.loadClickReport();
+        });
+
+        await this.loadClickReport();
+    }
+
+    /**
+     * Load the click report for the current filters
+     */
+    async loadClickReport() {
+        Utils.showLoading();
+
+        try {
+            const { totals, series, courses, pagination } = await this.courseManager.getClickReport(this.clickFilters);
+
+            document.getElementById('clicks-totals').textContent =
+                `${Utils.formatNumber(totals.clicks)} clicks from ${Utils.formatNumber(totals.visitors)} visitors`;
+            this.renderClickChart(document.getElementById('clicks-chart'), series);
+
+            const tableBody = document.getElementById('clicks-table');
+            tableBody.innerHTML = '';
+
+            if (courses.length === 0) {
+                tableBody.innerHTML = '<tr><td colspan="5" class="text-center">No clicks in this period.</td></tr>';
+            }
+
+            courses.forEach(course => {
+                const row = document.createElement('tr');
+                row.innerHTML = `
+                    <td>${Utils.escapeHtml(course.title || `#${course.courseId}`)}</td>
+                    <td>${course.status ? `<span class="status ${this.statusBadgeClass(course.status)}">${Utils.escapeHtml(this.statusLabel(course.status))}</span>` : ''}</td>
+                    <td>${Utils.formatNumber(course.clicks)}</td>
+                    <td>${Utils.formatNumber(course.visitors)}</td>
+                    <td><button class="btn btn--sm btn--outline">Details</button></td>
+                `;
+                row.querySelector('button').addEventListener('click', () => this.showCourseClicks(course.courseId));
+                tableBody.appendChild(row);
+            });
+
+            document.getElementById('clicks-page-info').textContent =
+                `Page ${pagination.page} of ${Math.max(pagination.totalPages, 1)} (${pagination.total} courses)`;
+            document.getElementById('clicks-prev-btn').disabled = !pagination.hasPrevPage;
+            document.getElementById('clicks-next-btn').disabled = !pagination.hasNextPage;
+        } catch (error) {
+            this.toastManager.error(error.message || 'Failed to load link clicks');
+            console.error('Error loading link clicks:', error);
+        } finally {
+            Utils.hideLoading();
+        }
+    }
+
+    /**
+     * Show one course's clicks above the course table
+     * @param {number} courseId
+     */
+    async showCourseClicks(courseId) {
+        Utils.showLoading();
+
+        try {
+            const { page, ...filters } = this.clickFilters;
+            const report = await this.courseManager.getCourseClicks(courseId, filters);
+
+            document.getElementById('click-details-title').textContent =
+                `${report.course.title}: ${Utils.formatNumber(report.totals.clicks)} clicks, ${Utils.formatNumber(report.totals.visitors)} visitors`;
+            document.getElementById('click-details-url').textContent = report.course.outboundUrl
+                ? `Redirects to ${report.course.outboundUrl}`
+                : 'This course has no enrollment link.';
+            this.renderClickChart(document.getElementById('click-details-chart'), report.series);
+
+            const breakdowns = document.getElementById('click-breakdowns');
+            breakdowns.innerHTML = '';
+            [
+                ['Referrers', report.referrers, 'Direct / unknown'],
+                ['UTM sources', report.sources, 'None'],
+                ['UTM campaigns', report.campaigns, 'None'],
+                ['Devices', report.devices, 'Unknown']
+            ].forEach(([title, rows, emptyLabel]) => {
+                const block = document.createElement('div');
+                block.innerHTML = `
+                    <h3>${title}</h3>
+                    <ul>
+                        ${rows.map(row => `
+                            <li><span>${Utils.escapeHtml(row.value || emptyLabel)}</span><strong>${Utils.formatNumber(row.clicks)}</strong></li>
+                        `).join('') || '<li>No clicks</li>'}
+                    </ul>
+                `;
+                breakdowns.appendChild(block);
+            });
+
+            const details = document.getElementById('click-details');
+            details.classList.remove('hidden');
+            details.scrollIntoView({ behavior: 'smooth' });
+        } catch (error) {
+            this.toastManager.error(error.message || 'Failed to load course clicks');
+        } finally {
+            Utils.hideLoading();
+        }
+    }
+
+    /**
+     * Bar chart of clicks per period
+     * @param {HTMLElement} container
+     * @param {Array<{period: string, clicks: number}>} series
+     */
+    renderClickChart(container, series) {
+        const max = Math.max(1, ...series.map(point => point.clicks));
+        container.innerHTML = series.map(point => `
+            <div class="clicks-bar" style="height: ${(point.clicks / max) * 100}%"
+                title="${Utils.escapeHtml(point.period)}: ${point.clicks} clicks"></div>
+        `).join('');
+    }
+
+    /**
+     * Show the trash of deleted courses (requires authentication)
+     */
+    async showTrash() {
+        if (!this.authManager.isAuthenticated()) {
+            this.router.navigate('/admin/login');
+            return;
+        }
+
+        const template = document.getElementById('admin-trash-template');
+        const content = template.content.cloneNode(true);
+
+        this.mainContent.innerHTML = '';
+        this.mainContent.appendChild(content);
+
+        this.trashPage = 1;
+
+        document.getElementById('trash-prev-btn').addEventListener('click', () => {
+            this.trashPage -= 1;
+            this.loadTrash();
+        });
+        document.getElementById('trash-next-btn').addEventListener('click', () => {
+            this.trashPage += 1;
+            this.loadTrash();
+        });
+
+        await this.loadTrash();
+    }
+
+    /**
+     * Load the current page of the trash
+     */
+    async loadTrash() {
+        Utils.showLoading();
+
+        try {
+            const { courses, pagination } = await this.courseManager.getTrash(this.trashPage);
+
+            // Restoring or purging the last course on a page: step back a page
+            if (courses.length === 0 && pagination.hasPrevPage) {
+                this.trashPage -= 1;
+                await this.loadTrash();
+                return;
+            }
+
+            const tableBody = document.getElementById('trash-table');
+            tableBody.innerHTML = '';
+
+            if (courses.length === 0) {
+                tableBody.innerHTML = '<tr><td colspan="5" class="text-center">The trash is empty.</td></tr>';
+            }
+
+            courses.forEach(course => {
+                tableBody.appendChild(this.createTrashTableRow(course));
+            });
+
+            document.getElementById('trash-page-info').textContent =
+                `Page ${pagination.page} of ${Math.max(pagination.totalPages, 1)} (${pagination.total} courses)`;
+            document.getElementById('trash-prev-btn').disabled = !pagination.hasPrevPage;
+            document.getElementById('trash-next-btn').disabled = !pagination.hasNextPage;
+        } catch (error) {
+            this.toastManager.error('Failed to load trash');
+            console.error('Error loading trash:', error);
+        } finally {
+            Utils.hideLoading();
+        }
+    }
+
+    /**
+     * Create a table row for the trash
+     * @param {Object} course - Trashed course (with deletedAt and purgeAt)
+     * @returns {HTMLElement} - Table row element
+     */
+    createTrashTableRow(course) {
+        const row = document.createElement('tr');
+
+        row.innerHTML = `
+            <td><strong>${Utils.escapeHtml(course.title)}</strong></td>
+            <td><span class="status ${this.statusBadgeClass(course.status)}">${Utils.escapeHtml(this.statusLabel(course.status))}</span></td>
+            <td>${Utils.escapeHtml(Utils.formatDateTime(course.deletedAt))}</td>
+            <td>${course.purgeAt ? Utils.escapeHtml(Utils.formatDateTime(course.purgeAt)) : 'Never'}</td>
+            <td>
+                <div class="admin-actions">
+                    <button class="btn btn--sm btn--secondary restore-btn">Restore</button>
+                    <button class="btn btn--sm btn--outline purge-btn" style="color: var(--color-error); border-color: var(--color-error);">Delete Forever</button>
+                </div>
+            </td>
+        `;
+
+        row.querySelector('.restore-btn').addEventListener('click', async () => {
+            try {
+                await this.courseManager.restoreCourse(course.id);
+                this.toastManager.success(`"${course.title}" restored`);
+                await this.loadTrash();
+            } catch (error) {
+                this.toastManager.error(error.message);
+            }
+        });
+
+        row.querySelector('.purge-btn').addEventListener('click', async () => {
+            if (!confirm(`Permanently delete "${course.title}"? Its images and revision history are removed too. This action cannot be undone.`)) return;
+            try {
+                await this.courseManager.purgeCourse(course.id);
+                this.toastManager.success('Course permanently deleted');
+                await this.loadTrash();
+            } catch (error) {
+                this.toastManager.error(error.message);
+            }
+        });
+
+        return row;
+    }
+
+    /**
+     * Show the revision history of a course (requires authentication)
+     * @param {string} id - Course ID
+     */
+    async showCourseHistory(id) {
+        if (!this.authManager.isAuthenticated()) {
+            this.router.navigate('/admin/login');
+            return;
+        }
+
+        const template = document.getElementById('course-history-template');
+        const content = template.content.cloneNode(true);
+
+        this.mainContent.innerHTML = '';
+        this.mainContent.appendChild(content);
+
+        this.historyState = { id, page: 1 };
+
+        document.getElementById('revision-prev-btn').addEventListener('click', () => {
+            this.historyState.page -= 1;
+            this.loadRevisions();
+        });
+        document.getElementById('revision-next-btn').addEventListener('click', () => {
+            this.historyState.page += 1;
+            this.loadRevisions();
+        });
+
+        try {
+            const course = await this.courseManager.getCourseById(id);
+            if (!course) {
+                this.toastManager.error('Course not found');
+                this.router.navigate('/admin');
+                return;
+            }
+            document.getElementById('history-course-title').textContent = course.title;
+        } catch (error) {
+            console.error('Error loading course:', error);
         }
+
+        await this.loadRevisions();
     }
 
     /**
-     * Show course detail page
-     * @param {string} slug - Course slug
+     * Load the current page of revisions
      */
-    async showCourseDetail(slug) {
+    async loadRevisions() {
         Utils.showLoading();
-        
-        try {
-            const course = await this.courseManager.getCourseBySlug(slug);
-            
-            if (!course) {
-                this.toastManager.error('Course not found');
-                this.router.navigate('/courses');
-                return;
-            }
-
-            const template = document.getElementById('course-detail-template');
-            const content = template.content.cloneNode(true);
-            
-            // Populate course details
-            content.getElementById('course-title').textContent = course.title;
-            content.getElementById('course-description').textContent = course.description;
-            content.getElementById('course-rating-value').textContent = course.rating;
-            content.getElementById('course-students').textContent = Utils.formatNumber(course.students);
-            content.getElementById('course-instructor').textContent = course.instructor;
-            content.getElementById('course-image').src = course.image;
-            content.getElementById('course-image').alt = course.title;
-            content.getElementById('course-price').textContent = course.price;
-            content.getElementById('course-duration').textContent = course.duration;
-            content.getElementById('course-level').textContent = course.level;
-            content.getElementById('course-language').textContent = course.language;
-
-            // Populate what you'll learn list
-            const learnList = content.getElementById('what-you-learn-list');
-            course.whatYouLearn.forEach(item => {
-                const li = document.createElement('li');
-                li.textContent = item;
-                learnList.appendChild(li);
-            });
 
-            // Populate prerequisites list
-            const prereqList = content.getElementById('prerequisites-list');
-            course.prerequisites.forEach(item => {
-                const li = document.createElement('li');
-                li.textContent = item;
-                prereqList.appendChild(li);
-            });
+        try {
+            const { id, page } = this.historyState;
+            const { revisions, pagination } = await this.courseManager.getRevisions(id, page);
 
-            // Populate tags
-            const tagsContainer = content.getElementById('course-tags');
-            course.tags.forEach(tag => {
-                const span = document.createElement('span');
-                span.className = 'course-tag';
-                span.textContent = tag;
-                tagsContainer.appendChild(span);
-            });
+            const tableBody = document.getElementById('revision-table');
+            tableBody.innerHTML = '';
 
-            // Replace main content
-            this.mainContent.innerHTML = '';
-            this.mainContent.appendChild(content);
+            if (revisions.length === 0) {
+                tableBody.innerHTML = '<tr><td colspan="5" class="text-center">No revisions recorded yet.</td></tr>';
+            }
 
-            // Set up enroll button (demo functionality)
-            document.getElementById('enroll-btn').addEventListener('click', () => {
-                this.toastManager.success(`Successfully enrolled in ${course.title}!`);
+            const latest = pagination.page === 1 && revisions.length > 0 ? revisions[0].revision : null;
+            revisions.forEach(revision => {
+                tableBody.appendChild(this.createRevisionTableRow(revision, revision.revision === latest));
             });
 
+            document.getElementById('revision-page-info').textContent =
+                `Page ${pagination.page} of ${Math.max(pagination.totalPages, 1)} (${pagination.total} revisions)`;
+            document.getElementById('revision-prev-btn').disabled = !pagination.hasPrevPage;
+            document.getElementById('revision-next-btn').disabled = !pagination.hasNextPage;
         } catch (error) {
-            this.toastManager.error('Failed to load course details');
-            console.error('Error loading course:', error);
+            this.toastManager.error('Failed to load revisions');
+            console.error('Error loading revisions:', error);
         } finally {
             Utils.hideLoading();
         }
     }
 
     /**
-     * Show admin login page
+     * Create a table row for the revision history
+     * @param {Object} revision - Revision summary
+     * @param {boolean} isLatest - The current content of the course
+     * @returns {HTMLElement} - Table row element
      */
-    showAdminLogin() {
-        // Redirect if already authenticated
-        if (this.authManager.isAuthenticated()) {
-            this.router.navigate('/admin');
-            return;
-        }
-
-        const template = document.getElementById('admin-login-template');
-        const content = template.content.cloneNode(true);
-        
-        this.mainContent.innerHTML = '';
-        this.mainContent.appendChild(content);
-
-        // Set up login form
-        this.setupLoginForm();
-    }
+    createRevisionTableRow(revision, isLatest) {
+        const { id } = this.historyState;
+        const row = document.createElement('tr');
+        const label = revision.restoredFrom ? `restored from #${revision.restoredFrom}` : revision.action;
 
-    /**
-     * Set up login form event handlers
-     */
-    setupLoginForm() {
-        const form = document.getElementById('admin-login-form');
-        const errorDiv = document.getElementById('login-error');
+        row.innerHTML = `
+            <td>#${revision.revision}<div class="audit-meta">${Utils.escapeHtml(label)}</div></td>
+            <td>${Utils.escapeHtml(Utils.formatDateTime(revision.createdAt))}</td>
+            <td>${Utils.escapeHtml(revision.actorName || 'unknown')}</td>
+            <td class="audit-changes">
+                ${Utils.escapeHtml(revision.changedFields.join(', ') || '—')}
+                <div class="revision-diff hidden"></div>
+            </td>
+            <td>
+                <div class="admin-actions">
+                    <button class="btn btn--sm btn--outline diff-btn">Show changes</button>
+                    ${isLatest ? '' : '<button class="btn btn--sm btn--secondary restore-btn">Restore</button>'}
+                </div>
+            </td>
+        `;
 
-        form.addEventListener('submit', async (e) => {
-            e.preventDefault();
-            
-            const username = document.getElementById('username').value;
-            const password = document.getElementById('password').value;
-            
-            // Clear previous errors
-            errorDiv.classList.add('hidden');
-            
-            // Show loading
-            Utils.showLoading();
-            
+        const diffBox = row.querySelector('.revision-diff');
+        row.querySelector('.diff-btn').addEventListener('click', async () => {
+            if (diffBox.classList.toggle('hidden') || diffBox.dataset.loaded) return;
             try {
-                const success = await this.authManager.login(username, password);
-                
-                if (success) {
-                    this.updateAuthUI();
-                    this.toastManager.success('Successfully logged in!');
-                    this.router.navigate('/admin');
-                } else {
-                    errorDiv.textContent = 'Invalid username or password';
-                    errorDiv.classList.remove('hidden');
-                }
+                const { changes } = await this.courseManager.diffRevisions(id, null, revision.revision);
+                diffBox.innerHTML = Object.entries(changes)
+                    .map(([field, change]) => `<div><strong>${Utils.escapeHtml(field)}</strong>: ${Utils.escapeHtml(JSON.stringify(change.from))} &rarr; ${Utils.escapeHtml(JSON.stringify(change.to))}</div>`)
+                    .join('') || 'No changes';
+                diffBox.dataset.loaded = 'true';
             } catch (error) {
-                this.toastManager.error('Login failed. Please try again.');
-                console.error('Login error:', error);
-            } finally {
-                Utils.hideLoading();
+                this.toastManager.error('Failed to load changes');
             }
         });
+
+        const restoreBtn = row.querySelector('.restore-btn');
+        if (restoreBtn) {
+            restoreBtn.addEventListener('click', async () => {
+                if (!confirm(`Restore the course to revision #${revision.revision}? The current content stays in the history.`)) return;
+                try {
+                    const result = await this.courseManager.restoreRevision(id, revision.revision);
+                    this.toastManager.success(result.message);
+                    result.warnings.forEach(warning => this.toastManager.info(warning));
+                    this.historyState.page = 1;
+                    await this.loadRevisions();
+                } catch (error) {
+                    this.toastManager.error(error.message);
+                }
+            });
+        }
+
+        return row;
     }
 
     /**
-     * Show admin dashboard (requires authentication)
+     * Show the curriculum editor of a course (requires authentication)
+     * @param {string} id - Course ID
      */
-    async showAdminDashboard() {
+    async showCurriculumEditor(id) {
         if (!this.authManager.isAuthenticated()) {
             this.router.navigate('/admin/login');
             return;
         }
 
-        const template = document.getElementById('admin-dashboard-template');
+        const template = document.getElementById('course-curriculum-template');
         const content = template.content.cloneNode(true);
-        
+
         this.mainContent.innerHTML = '';
         this.mainContent.appendChild(content);
 
-        // Set up events
-        document.getElementById('add-course-btn').addEventListener('click', () => {
-            this.router.navigate('/admin/courses/add');
+        this.curriculumState = { id, sections: [] };
+
+        document.getElementById('section-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const input = document.getElementById('section-title-input');
+            await this.runCurriculumChange(() => this.courseManager.createSection(id, input.value), 'Section added');
+            input.value = '';
         });
+        this.setupCurriculumDragAndDrop();
 
-        // Load dashboard data
-        await this.loadAdminDashboard();
+        try {
+            const course = await this.courseManager.getCourseById(id);
+            if (!course) {
+                this.toastManager.error('Course not found');
+                this.router.navigate('/admin');
+                return;
+            }
+            document.getElementById('curriculum-course-title').textContent = course.title;
+        } catch (error) {
+            console.error('Error loading course:', error);
+        }
+
+        await this.loadCurriculumEditor();
     }
 
     /**
-     * Load data for admin dashboard
+     * Load the curriculum and redraw the editor
      */
-    async loadAdminDashboard() {
+    async loadCurriculumEditor() {
         Utils.showLoading();
-        
-        try {
-            const [courses, stats] = await Promise.all([
-                this.courseManager.getAllCourses(),
-                Promise.resolve(this.courseManager.getStatistics())
-            ]);
-
-            // Update statistics
-            document.getElementById('total-courses').textContent = stats.totalCourses;
-            document.getElementById('total-students').textContent = Utils.formatNumber(stats.totalStudents);
-            document.getElementById('total-categories').textContent = stats.totalCategories;
 
-            // Populate courses table
-            const tableBody = document.getElementById('admin-courses-table');
-            tableBody.innerHTML = '';
+        try {
+            const { durationMinutes, sections } = await this.courseManager.getCurriculum(this.curriculumState.id);
+            this.curriculumState.sections = sections;
 
-            courses.forEach(course => {
-                const row = this.createAdminTableRow(course);
-                tableBody.appendChild(row);
-            });
+            const lessonCount = sections.reduce((sum, section) => sum + section.lessonCount, 0);
+            document.getElementById('curriculum-total').textContent =
+                `${sections.length} sections · ${lessonCount} lessons · ${Utils.formatDuration(durationMinutes)} total`;
 
+            const editor = document.getElementById('curriculum-editor');
+            editor.innerHTML = '';
+            if (sections.length === 0) {
+                editor.innerHTML = '<p class="text-center">No sections yet. Add the first one above.</p>';
+            }
+            sections.forEach(section => editor.appendChild(this.createCurriculumSection(section)));
         } catch (error) {
-            this.toastManager.error('Failed to load dashboard data');
-            console.error('Error loading dashboard:', error);
+            this.toastManager.error('Failed to load curriculum');
+            console.error('Error loading curriculum:', error);
         } finally {
             Utils.hideLoading();
         }
     }
 
+    /**
+     * Run a curriculum change, report the outcome and reload the editor
+     * @param {Function} change - Returns the request promise
+     * @param {string} successMessage - Toast shown on success
+     */
+    async runCurriculumChange(change, successMessage) {
+        try {
+            await change();
+            this.toastManager.success(successMessage);
+        } catch (error) {
+            this.toastManager.error(error.message);
+        }
+        await this.loadCurriculumEditor();
+    }
+
+    /**
+     * Icon shown before a lesson title
+     * @param {string} type - video | article | quiz
+     */
+    lessonTypeIcon(type) {
+        return { video: '▶', article: '📄', quiz: '❓' }[type] || '•';
+    }
+
+    /**
+     * Create a section block for the curriculum editor
+     * @param {Object} section - Section with its lessons
+     * @returns {HTMLElement}
+     */
+    createCurriculumSection(section) {
+        const { id } = this.curriculumState;
+        const block = document.createElement('div');
+        block.className = 'curriculum-section';
+        block.dataset.sectionId = section.id;
+
+        block.innerHTML = `
+            <div class="curriculum-section-header">
+                <div>
+                    <span class="drag-handle" draggable="true" title="Drag to reorder">⋮⋮</span>
+                    <strong>${Utils.escapeHtml(section.title)}</strong>
+                    <span class="form-help">${section.lessonCount} lessons · ${Utils.formatDuration(section.durationMinutes)}</span>
+                </div>
+                <div class="admin-actions">
+                    <button class="btn btn--sm btn--outline rename-btn">Rename</button>
+                    <button class="btn btn--sm btn--outline delete-btn" style="color: var(--color-error); border-color: var(--color-error);">Delete</button>
+                </div>
+            </div>
+            <ul class="curriculum-lessons" data-section-id="${section.id}"></ul>
+        `;
+
+        const list = block.querySelector('.curriculum-lessons');
+        section.lessons.forEach(lesson => list.appendChild(this.createCurriculumLesson(lesson)));
+
+        block.appendChild(this.createLessonForm({}, 'Add Lesson', (lesson) =>
+            this.runCurriculumChange(() => this.courseManager.createLesson(id, section.id, lesson), 'Lesson added')));
+
+        block.querySelector('.rename-btn').addEventListener('click', () => {
+            const title = prompt('Section title', section.title);
+            if (!title || title === section.title) return;
+            this.runCurriculumChange(() => this.courseManager.updateSection(id, section.id, title), 'Section renamed');
+        });
+        block.querySelector('.delete-btn').addEventListener('click', () => {
+            const lessons = section.lessonCount ? ` and its ${section.lessonCount} lessons` : '';
+            if (!confirm(`Delete the section "${section.title}"${lessons}? This cannot be undone.`)) return;
+            this.runCurriculumChange(() => this.courseManager.deleteSection(id, section.id), 'Section deleted');
+        });
+
+        return block;
+    }
+
+    /**
+     * Create a lesson row for the curriculum editor; Edit swaps it for a form
+     * @param {Object} lesson
+     * @returns {HTMLElement}
+     */
+    createCurriculumLesson(lesson) {
+        const { id } = this.curriculumState;
+        const item = document.createElement('li');
+        item.className = 'curriculum-lesson';
+        item.dataset.lessonId = lesson.id;
+
+        item.innerHTML = `
+            <span>
+                <span class="drag-handle" draggable="true" title="Drag to reorder or move to another section">⋮⋮</span>
+                ${this.lessonTypeIcon(lesson.type)} ${Utils.escapeHtml(lesson.title)}
+                ${lesson.isPreview ? '<span class="status status--info">Preview</span>' : ''}
+            </span>
+            <span class="admin-actions">
+                <span class="form-help">${Utils.formatDuration(lesson.durationMinutes)}</span>
+                <button class="btn btn--sm btn--outline edit-btn">Edit</button>
+                <button class="btn btn--sm btn--outline delete-btn" style="color: var(--color-error); border-color: var(--color-error);">Delete</button>
+            </span>
+        `;
+
+        item.querySelector('.edit-btn').addEventListener('click', () => {
+            const form = this.createLessonForm(lesson, 'Save', (changes) =>
+                this.runCurriculumChange(() => this.courseManager.updateLesson(id, lesson.id, changes), 'Lesson updated'));
+            const editItem = document.createElement('li');
+            const cancelBtn = document.createElement('button');
+            cancelBtn.type = 'button';
+            cancelBtn.className = 'btn btn--sm btn--outline';
+            cancelBtn.textContent = 'Cancel';
+            cancelBtn.addEventListener('click', () => editItem.replaceWith(item));
+            form.appendChild(cancelBtn);
+            editItem.appendChild(form);
+            item.replaceWith(editItem);
+        });
+        item.querySelector('.delete-btn').addEventListener('click', () => {
+            if (!confirm(`Delete the lesson "${lesson.title}"?`)) return;
+            this.runCurriculumChange(() => this.courseManager.deleteLesson(id, lesson.id), 'Lesson deleted');
+        });
+
+        return item;
+    }
+
+    /**
+     * Inline form for adding or editing a lesson
+     * @param {Object} values - Current lesson values ({} for a new lesson)
+     * @param {string} submitLabel - Button text
+     * @param {Function} onSubmit - Called with { title, type, durationMinutes, isPreview }
+     * @returns {HTMLFormElement}
+     */
+    createLessonForm(values, submitLabel, onSubmit) {
+        const form = document.createElement('form');
+        form.className = 'curriculum-add-form';
+        form.innerHTML = `
+            <input type="text" name="title" class="form-control" placeholder="Lesson title" required>
+            <select name="type" class="form-control" aria-label="Lesson type">
+                <option value="video">Video</option>
+                <option value="article">Article</option>
+                <option value="quiz">Quiz</option>
+            </select>
+            <input type="number" name="durationMinutes" class="form-control" min="0" step="1" placeholder="Minutes" aria-label="Duration in minutes">
+            <label class="form-help"><input type="checkbox" name="isPreview"> Free preview</label>
+            <button type="submit" class="btn btn--sm btn--primary">${Utils.escapeHtml(submitLabel)}</button>
+        `;
+
+        form.elements.title.value = values.title || '';
+        form.elements.type.value = values.type || 'video';
+        form.elements.durationMinutes.value = values.durationMinutes ?? '';
+        form.elements.isPreview.checked = Boolean(values.isPreview);
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            onSubmit({
+                title: form.elements.title.value,
+                type: form.elements.type.value,
+                durationMinutes: Number(form.elements.durationMinutes.value) || 0,
+                isPreview: form.elements.isPreview.checked
+            });
+        });
+
+        return form;
+    }
+
+    /**
+     * Drag and drop for the curriculum editor. Sections are dragged by their
+     * handle and dropped between other sections; lessons can also be dropped
+     * into another section's list. The new order is saved when the drag ends.
+     */
+    setupCurriculumDragAndDrop() {
+        const editor = document.getElementById('curriculum-editor');
+        let dragged = null;
+
+        // The element the pointer is above, among the siblings being reordered
+        const elementAfter = (container, selector, y) => [...container.querySelectorAll(`:scope > ${selector}:not(.dragging)`)]
+            .find(element => {
+                const box = element.getBoundingClientRect();
+                return y < box.top + box.height / 2;
+            });
+
+        editor.addEventListener('dragstart', (e) => {
+            if (!e.target.classList || !e.target.classList.contains('drag-handle')) return;
+            dragged = e.target.closest('.curriculum-lesson') || e.target.closest('.curriculum-section');
+            dragged.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setDragImage(dragged, 0, 0);
+        });
+
+        editor.addEventListener('dragover', (e) => {
+            if (!dragged) return;
+            e.preventDefault();
+            if (dragged.classList.contains('curriculum-section')) {
+                editor.insertBefore(dragged, elementAfter(editor, '.curriculum-section', e.clientY) || null);
+                return;
+            }
+            const section = e.target.closest('.curriculum-section');
+            if (!section) return;
+            const list = section.querySelector('.curriculum-lessons');
+            list.insertBefore(dragged, elementAfter(list, '.curriculum-lesson', e.clientY) || null);
+        });
+
+        editor.addEventListener('drop', (e) => e.preventDefault());
+
+        editor.addEventListener('dragend', async () => {
+            if (!dragged) return;
+            dragged.classList.remove('dragging');
+            dragged = null;
+            await this.saveCurriculumOrder();
+        });
+    }
+
+    /**
+     * Save the order shown in the editor, if it changed
+     */
+    async saveCurriculumOrder() {
+        const { id, sections } = this.curriculumState;
+        const current = sections.map(section => ({ id: section.id, lessonIds: section.lessons.map(lesson => lesson.id) }));
+        const shown = [...document.querySelectorAll('#curriculum-editor .curriculum-section')].map(block => ({
+            id: Number(block.dataset.sectionId),
+            lessonIds: [...block.querySelectorAll('.curriculum-lesson')].map(item => Number(item.dataset.lessonId))
+        }));
+        if (JSON.stringify(shown) === JSON.stringify(current)) return;
+
+        await this.runCurriculumChange(() => this.courseManager.reorderCurriculum(id, shown), 'Order saved');
+    }
+
     /**
      * Create a table row for admin dashboard
      * @param {Object} course - Course object
@@ -935,16 +4236,36 @@ class App {
             <td>${course.category}</td>
             <td>${course.instructor}</td>
             <td>${Utils.formatNumber(course.students)}</td>
-            <td>${course.rating} ⭐</td>
+            <td>${Utils.escapeHtml(Utils.formatRating(course.rating, course.reviewCount))}</td>
+            <td>
+                <span class="status ${this.statusBadgeClass(course.status)}">${Utils.escapeHtml(this.statusLabel(course.status))}</span>
+                ${course.publishAt ? `<div class="audit-meta">Publishes ${Utils.escapeHtml(Utils.formatDateTime(course.publishAt))}</div>` : ''}
+                ${course.unpublishAt ? `<div class="audit-meta">Archives ${Utils.escapeHtml(Utils.formatDateTime(course.unpublishAt))}</div>` : ''}
+            </td>
             <td>
                 <div class="admin-actions">
+                    <button class="btn btn--sm btn--outline preview-btn" data-id="${course.id}">Preview</button>
                     <button class="btn btn--sm btn--outline edit-btn" data-id="${course.id}">Edit</button>
+                    <button class="btn btn--sm btn--outline curriculum-btn" data-id="${course.id}">Curriculum</button>
+                    <button class="btn btn--sm btn--outline history-btn" data-id="${course.id}">History</button>
                     <button class="btn btn--sm btn--outline delete-btn" data-id="${course.id}" style="color: var(--color-error); border-color: var(--color-error);">Delete</button>
                 </div>
             </td>
         `;
 
         // Add event listeners
+        row.querySelector('.preview-btn').addEventListener('click', () => {
+            this.router.navigate(`/admin/courses/preview/${course.id}`);
+        });
+
+        row.querySelector('.curriculum-btn').addEventListener('click', () => {
+            this.router.navigate(`/admin/courses/curriculum/${course.id}`);
+        });
+
+        row.querySelector('.history-btn').addEventListener('click', () => {
+            this.router.navigate(`/admin/courses/history/${course.id}`);
+        });
+
         row.querySelector('.edit-btn').addEventListener('click', () => {
             this.router.navigate(`/admin/courses/edit/${course.id}`);
         });
@@ -956,6 +4277,46 @@ class App {
         return row;
     }
 
+    /**
+     * Human-readable course status
+     * @param {string} status - draft | in_review | published | archived (trashed in the click report)
+     */
+    statusLabel(status) {
+        return { draft: 'Draft', in_review: 'In Review', published: 'Published', archived: 'Archived', trashed: 'In Trash' }[status] || status;
+    }
+
+    statusBadgeClass(status) {
+        return { draft: 'status--info', in_review: 'status--warning', published: 'status--success', archived: 'status--error', trashed: 'status--error' }[status] || 'status--info';
+    }
+
+    /**
+     * Preview a course in any status as it would appear publicly
+     * @param {string} id - Course ID
+     */
+    async showCoursePreview(id) {
+        if (!this.authManager.isAuthenticated()) {
+            this.router.navigate('/admin/login');
+            return;
+        }
+
+        Utils.showLoading();
+        try {
+            const course = await this.courseManager.getCourseById(id);
+            if (!course) {
+                this.toastManager.error('Course not found');
+                this.router.navigate('/admin');
+                return;
+            }
+            const { sections } = await this.courseManager.getCurriculum(id);
+            this.renderCourseDetail({ ...course, curriculum: sections }, { preview: true });
+        } catch (error) {
+            this.toastManager.error('Failed to load course preview');
+            console.error('Error loading preview:', error);
+        } finally {
+            Utils.hideLoading();
+        }
+    }
+
     /**
      * Show course form for adding new course
      */
@@ -1001,7 +4362,7 @@ class App {
      * Show course form (add or edit mode)
      * @param {Object|null} course - Course to edit (null for new course)
      */
-    showCourseForm(course = null) {
+    async showCourseForm(course = null) {
         const template = document.getElementById('course-form-template');
         const content = template.content.cloneNode(true);
         
@@ -1009,38 +4370,61 @@ class App {
         const isEdit = !!course;
         content.getElementById('form-title').textContent = isEdit ? 'Edit Course' : 'Add New Course';
         
-        // Populate category dropdown
+        const [categories, instructors] = await Promise.all([
+            this.courseManager.getAdminCategories(),
+            this.courseManager.getAdminInstructors()
+        ]);
+
+        // Populate category dropdown, sub-categories under their parent
         const categorySelect = content.getElementById('course-category-input');
-        this.courseManager.getCategories().forEach(category => {
-            const option = document.createElement('option');
-            option.value = category;
-            option.textContent = category;
-            categorySelect.appendChild(option);
-        });
+        const addCategoryOptions = (parentId, depth) => {
+            categories.filter(c => (c.parentId || null) === parentId).forEach(category => {
+                const option = document.createElement('option');
+                option.value = category.id;
+                option.textContent = `${'\u00a0\u00a0'.repeat(depth)}${category.name}`;
+                categorySelect.appendChild(option);
+                addCategoryOptions(category.id, depth + 1);
+            });
+        };
+        addCategoryOptions(null, 0);
 
         // Populate instructor dropdown
         const instructorSelect = content.getElementById('course-instructor-input');
-        this.courseManager.getInstructors().forEach(instructor => {
+        instructors.forEach(instructor => {
             const option = document.createElement('option');
-            option.value = instructor;
-            option.textContent = instructor;
+            option.value = instructor.id;
+            option.textContent = instructor.name;
             instructorSelect.appendChild(option);
         });
 
         // If editing, populate form with course data
         if (course) {
             content.getElementById('course-title-input').value = course.title;
-            content.getElementById('course-category-input').value = course.category;
+            content.getElementById('course-category-input').value = course.categoryId || '';
             content.getElementById('course-description-input').value = course.description;
-            content.getElementById('course-instructor-input').value = course.instructor;
-            content.getElementById('course-duration-input').value = course.duration;
+            content.getElementById('course-instructor-input').value = course.instructorId || '';
+            if (course.durationMinutes) {
+                content.getElementById('course-duration-display').textContent =
+                    `${Utils.formatDuration(course.durationMinutes)}, calculated from the lessons in the curriculum.`;
+            } else if (course.duration) {
+                content.getElementById('course-duration-display').textContent =
+                    `Shown as "${course.duration}" until lessons are added to the curriculum.`;
+            }
             content.getElementById('course-level-input').value = course.level;
             content.getElementById('course-price-input').value = course.price;
             content.getElementById('course-image-input').value = course.image || '';
+            content.getElementById('course-udemy-link-input').value = course.udemyLink || '';
+            content.getElementById('course-link-params-input').value = Object.entries(course.linkParams || {})
+                .map(([name, value]) => `${name}=${value}`)
+                .join('\n');
             content.getElementById('course-language-input').value = course.language;
             content.getElementById('course-tags-input').value = course.tags.join('\n');
-            content.getElementById('course-prerequisites-input').value = course.prerequisites.join('\n');
-            content.getElementById('course-learn-input').value = course.whatYouLearn.join('\n');
+            content.getElementById('course-prerequisites-input').value = course.prerequisites || '';
+            content.getElementById('course-learn-input').value = (course.whatYoullLearn || []).join('\n');
+
+            content.getElementById('course-status-input').value = course.status;
+            content.getElementById('course-publish-at-input').value = Utils.toDateTimeLocal(course.publishAt);
+            content.getElementById('course-unpublish-at-input').value = Utils.toDateTimeLocal(course.unpublishAt);
         }
 
         this.mainContent.innerHTML = '';
@@ -1080,18 +4464,27 @@ class App {
         // Collect form data
         const formData = {
             title: document.getElementById('course-title-input').value,
-            category: document.getElementById('course-category-input').value,
+            categoryId: document.getElementById('course-category-input').value,
             description: document.getElementById('course-description-input').value,
-            instructor: document.getElementById('course-instructor-input').value,
-            duration: document.getElementById('course-duration-input').value,
+            instructorId: document.getElementById('course-instructor-input').value,
             level: document.getElementById('course-level-input').value,
             price: parseInt(document.getElementById('course-price-input').value),
             image: document.getElementById('course-image-input').value || 'https://images.unsplash.com/photo-1498050108023-c5249f4df085?w=800&h=400&fit=crop',
             thumbnail: document.getElementById('course-image-input').value || 'https://images.unsplash.com/photo-1498050108023-c5249f4df085?w=300&h=200&fit=crop',
             language: document.getElementById('course-language-input').value,
-            tags: document.getElementById('course-tags-input').value,
+            udemyLink: document.getElementById('course-udemy-link-input').value.trim(),
+            // An empty object clears the parameters
+            linkParams: Utils.parseKeyValueLines(document.getElementById('course-link-params-input').value),
+            tags: Utils.splitLines(document.getElementById('course-tags-input').value),
             prerequisites: document.getElementById('course-prerequisites-input').value,
-            whatYouLearn: document.getElementById('course-learn-input').value
+            whatYoullLearn: Utils.splitLines(document.getElementById('course-learn-input').value)
+        };
+
+        // Publishing fields are saved separately (they need their own permission)
+        const publishing = {
+            status: document.getElementById('course-status-input').value,
+            publishAt: Utils.fromDateTimeLocal(document.getElementById('course-publish-at-input').value),
+            unpublishAt: Utils.fromDateTimeLocal(document.getElementById('course-unpublish-at-input').value)
         };
 
         Utils.showLoading();
@@ -1106,6 +4499,23 @@ class App {
                 this.toastManager.success('Course added successfully!');
             }
 
+            // Only send what changed, so editors can save content without publish rights
+            const current = {
+                status: result.status,
+                publishAt: result.publishAt ? new Date(result.publishAt).toISOString() : null,
+                unpublishAt: result.unpublishAt ? new Date(result.unpublishAt).toISOString() : null
+            };
+            const statusChanges = Object.fromEntries(
+                Object.entries(publishing).filter(([key, value]) => value !== current[key])
+            );
+            if (Object.keys(statusChanges).length > 0) {
+                try {
+                    await this.courseManager.updateCourseStatus(result.id, statusChanges);
+                } catch (error) {
+                    this.toastManager.error(`Course saved, but publishing settings were not: ${error.message}`);
+                }
+            }
+
             if (result) {
                 this.router.navigate('/admin');
             }
@@ -1122,7 +4532,7 @@ class App {
      * @param {Object} course - Course to delete
      */
     confirmDeleteCourse(course) {
-        if (confirm(`Are you sure you want to delete "${course.title}"? This action cannot be undone.`)) {
+        if (confirm(`Move "${course.title}" to the trash? You can restore it from the trash later.`)) {
             this.deleteCourse(course.id);
         }
     }
@@ -1137,7 +4547,7 @@ class App {
         try {
             const success = await this.courseManager.deleteCourse(id);
             if (success) {
-                this.toastManager.success('Course deleted successfully!');
+                this.toastManager.success('Course moved to trash');
                 // Reload dashboard to reflect changes
                 await this.loadAdminDashboard();
             } else {
@@ -1173,7 +4583,12 @@ class App {
         card.querySelector('.course-title').textContent = course.title;
         card.querySelector('.course-instructor').textContent = `By ${course.instructor}`;
         card.querySelector('.course-description').textContent = course.description;
-        card.querySelector('.course-rating').textContent = `${course.rating} ⭐`;
+        // Search results come with server-escaped HTML highlighting the matches
+        if (course.highlights) {
+            card.querySelector('.course-title').innerHTML = course.highlights.title;
+            card.querySelector('.course-description').innerHTML = course.highlights.snippet || '';
+        }
+        card.querySelector('.course-rating').textContent = Utils.formatRating(course.rating, course.reviewCount);
         card.querySelector('.course-students').textContent = `${Utils.formatNumber(course.students)} students`;
         card.querySelector('.course-price').textContent = `$${course.price}`;
 
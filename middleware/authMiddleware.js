@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
-const SECRET_KEY = process.env.JWT_SECRET || 'korelium';
+const { JWT_SECRET } = require('../config/auth');
+const { ADMIN_AUDIENCE, principalFromPayload } = require('../utils/tokens');
+const { isFamilyRevoked } = require('../utils/sessions');
 
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -10,11 +12,32 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ message: 'Access denied. No token provided.' });
   }
 
-  jwt.verify(token, SECRET_KEY, (err, decoded) => {
+  jwt.verify(token, JWT_SECRET, { audience: ADMIN_AUDIENCE }, async (err, decoded) => {
     if (err) {
+      // Expired tokens get a 401 so clients know to use their refresh token
+      if (err.name === 'TokenExpiredError') {
+        return res.status(401).json({ message: 'Token expired.', code: 'TOKEN_EXPIRED' });
+      }
       return res.status(403).json({ message: 'Invalid or expired token.' });
     }
+
+    // Purpose-bound tokens (e.g. a pending 2FA challenge) are not access tokens
+    if (decoded.purpose) {
+      return res.status(403).json({ message: 'Invalid or expired token.' });
+    }
+
+    try {
+      // Tokens issued with a refresh-token family die with that family
+      if (decoded.fid && await isFamilyRevoked(decoded.fid)) {
+        return res.status(401).json({ message: 'Token has been revoked.', code: 'TOKEN_REVOKED' });
+      }
+    } catch (checkErr) {
+      return res.status(500).json({ message: 'Server error', error: checkErr.message });
+    }
+
     req.user = decoded; // decoded = JWT payload
+    // Who acted: { type: 'admin' | 'localAdmin', id, role, name }
+    req.principal = principalFromPayload(decoded);
     next();
   });
 };
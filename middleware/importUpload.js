@@ -0,0 +1,32 @@
+const multer = require('multer');
+const path = require('path');
+
+const MAX_IMPORT_BYTES = 5 * 1024 * 1024;
+const IMPORT_EXTENSIONS = ['.csv', '.json'];
+
+// Course import files are parsed in memory and never written to uploads/
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_BYTES, files: 1 },
+  fileFilter: function (req, file, cb) {
+    if (IMPORT_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error('Import files must be .csv or .json'));
+    }
+  }
+});
+
+// Single `file` field; upload problems are answered with 400 instead of
+// reaching the default error handler
+const uploadImportFile = (req, res, next) => {
+  importUpload.single('file')(req, res, (err) => {
+    if (!err) return next();
+    const message = err.code === 'LIMIT_FILE_SIZE'
+      ? `Import files can be at most ${MAX_IMPORT_BYTES / 1024 / 1024} MB`
+      : err.message;
+    res.status(400).json({ message });
+  });
+};
+
+module.exports = uploadImportFile;
@@ -0,0 +1,38 @@
+const jwt = require('jsonwebtoken');
+const { User } = require('../models');
+const { JWT_SECRET } = require('../config/auth');
+const { LEARNER_AUDIENCE } = require('../utils/tokens');
+
+// Authenticates learner (site user) tokens. Admin tokens have a different
+// audience and are rejected here, just as learner tokens are by authenticateToken.
+const authenticateLearner = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({ message: 'Access denied. No token provided.' });
+  }
+
+  jwt.verify(token, JWT_SECRET, { audience: LEARNER_AUDIENCE }, async (err, decoded) => {
+    if (err) {
+      if (err.name === 'TokenExpiredError') {
+        return res.status(401).json({ message: 'Token expired.', code: 'TOKEN_EXPIRED' });
+      }
+      return res.status(403).json({ message: 'Invalid or expired token.' });
+    }
+
+    try {
+      const user = await User.findByPk(decoded.sub);
+      // Deleted accounts and tokens from before a password change are rejected
+      if (!user || user.tokenVersion !== decoded.ver) {
+        return res.status(401).json({ message: 'Token has been revoked.', code: 'TOKEN_REVOKED' });
+      }
+      req.learner = user;
+      next();
+    } catch (checkErr) {
+      res.status(500).json({ message: 'Server error', error: checkErr.message });
+    }
+  });
+};
+
+module.exports = authenticateLearner;
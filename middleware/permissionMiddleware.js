@@ -0,0 +1,18 @@
+const { hasPermission } = require('../config/roles');
+
+// Must run after authenticateToken, which puts the JWT payload on req.user.
+// Responds 403 naming the first permission the caller's role is missing.
+const requirePermission = (...permissions) => (req, res, next) => {
+  const role = req.user && req.user.role;
+  const missing = permissions.find(permission => !hasPermission(role, permission));
+
+  if (missing) {
+    return res.status(403).json({
+      message: `Forbidden. Missing permission: ${missing}`,
+      missingPermission: missing,
+    });
+  }
+  next();
+};
+
+module.exports = requirePermission;
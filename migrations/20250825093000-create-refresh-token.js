@@ -0,0 +1,54 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('RefreshTokens', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      tokenHash: {
+        allowNull: false,
+        unique: true,
+        type: Sequelize.STRING(64)
+      },
+      familyId: {
+        allowNull: false,
+        type: Sequelize.STRING(36)
+      },
+      principalType: {
+        allowNull: false,
+        type: Sequelize.STRING
+      },
+      principalId: {
+        allowNull: false,
+        type: Sequelize.INTEGER
+      },
+      expiresAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      usedAt: {
+        type: Sequelize.DATE
+      },
+      revokedAt: {
+        type: Sequelize.DATE
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+    await queryInterface.addIndex('RefreshTokens', ['familyId']);
+    await queryInterface.addIndex('RefreshTokens', ['principalType', 'principalId']);
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('RefreshTokens');
+  }
+};
@@ -0,0 +1,14 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('localAdmins', 'active', {
+      allowNull: false,
+      defaultValue: true,
+      type: Sequelize.BOOLEAN
+    });
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('localAdmins', 'active');
+  }
+};
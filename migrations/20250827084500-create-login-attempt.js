@@ -0,0 +1,45 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('LoginAttempts', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      scope: {
+        allowNull: false,
+        type: Sequelize.STRING(16)
+      },
+      key: {
+        allowNull: false,
+        type: Sequelize.STRING
+      },
+      failedCount: {
+        allowNull: false,
+        defaultValue: 0,
+        type: Sequelize.INTEGER
+      },
+      lastFailedAt: {
+        type: Sequelize.DATE
+      },
+      lockedUntil: {
+        type: Sequelize.DATE
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+    await queryInterface.addIndex('LoginAttempts', ['scope', 'key'], { unique: true });
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('LoginAttempts');
+  }
+};
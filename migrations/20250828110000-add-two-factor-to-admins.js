@@ -0,0 +1,33 @@
+'use strict';
+
+const TABLES = ['Admins', 'localAdmins'];
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    for (const table of TABLES) {
+      await queryInterface.addColumn(table, 'totpSecret', {
+        type: Sequelize.STRING
+      });
+      await queryInterface.addColumn(table, 'totpEnabled', {
+        allowNull: false,
+        defaultValue: false,
+        type: Sequelize.BOOLEAN
+      });
+      await queryInterface.addColumn(table, 'totpLastUsedStep', {
+        type: Sequelize.INTEGER
+      });
+      await queryInterface.addColumn(table, 'totpRecoveryCodes', {
+        type: Sequelize.TEXT
+      });
+    }
+  },
+  async down(queryInterface, Sequelize) {
+    for (const table of TABLES) {
+      await queryInterface.removeColumn(table, 'totpRecoveryCodes');
+      await queryInterface.removeColumn(table, 'totpLastUsedStep');
+      await queryInterface.removeColumn(table, 'totpEnabled');
+      await queryInterface.removeColumn(table, 'totpSecret');
+    }
+  }
+};
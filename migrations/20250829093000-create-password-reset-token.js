@@ -0,0 +1,52 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Site admins need an address to receive reset links
+    await queryInterface.addColumn('Admins', 'email', {
+      type: Sequelize.STRING
+    });
+
+    await queryInterface.createTable('PasswordResetTokens', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      principalType: {
+        allowNull: false,
+        type: Sequelize.STRING
+      },
+      principalId: {
+        allowNull: false,
+        type: Sequelize.INTEGER
+      },
+      tokenHash: {
+        allowNull: false,
+        unique: true,
+        type: Sequelize.STRING(64)
+      },
+      expiresAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      usedAt: {
+        type: Sequelize.DATE
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+    await queryInterface.addIndex('PasswordResetTokens', ['principalType', 'principalId']);
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('PasswordResetTokens');
+    await queryInterface.removeColumn('Admins', 'email');
+  }
+};
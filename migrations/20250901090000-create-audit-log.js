@@ -0,0 +1,59 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('AuditLogs', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      actorType: {
+        type: Sequelize.STRING
+      },
+      actorId: {
+        type: Sequelize.INTEGER
+      },
+      actorName: {
+        type: Sequelize.STRING
+      },
+      action: {
+        allowNull: false,
+        type: Sequelize.STRING
+      },
+      entityType: {
+        allowNull: false,
+        type: Sequelize.STRING
+      },
+      entityId: {
+        type: Sequelize.STRING
+      },
+      oldValues: {
+        type: Sequelize.JSON
+      },
+      newValues: {
+        type: Sequelize.JSON
+      },
+      changes: {
+        type: Sequelize.JSON
+      },
+      ip: {
+        type: Sequelize.STRING
+      },
+      userAgent: {
+        type: Sequelize.STRING
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+    await queryInterface.addIndex('AuditLogs', ['entityType', 'entityId']);
+    await queryInterface.addIndex('AuditLogs', ['actorType', 'actorId']);
+    await queryInterface.addIndex('AuditLogs', ['createdAt']);
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('AuditLogs');
+  }
+};
@@ -0,0 +1,50 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('Enrollments', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      userId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: { model: 'Users', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      courseId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: { model: 'Courses', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+    await queryInterface.addIndex('Enrollments', ['userId', 'courseId'], { unique: true });
+    await queryInterface.addIndex('Enrollments', ['courseId']);
+    // students is now derived from enrollments; existing values are kept until
+    // `npm run reconcile-students` is run
+    await queryInterface.bulkUpdate('Courses', { students: 0 }, { students: null });
+    await queryInterface.changeColumn('Courses', 'students', {
+      allowNull: false,
+      defaultValue: 0,
+      type: Sequelize.INTEGER
+    });
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('Enrollments');
+    await queryInterface.changeColumn('Courses', 'students', {
+      type: Sequelize.INTEGER
+    });
+  }
+};
@@ -0,0 +1,59 @@
+'use strict';
+const { slugify } = require('../utils/slug');
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('CourseSlugRedirects', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      slug: {
+        allowNull: false,
+        unique: true,
+        type: Sequelize.STRING
+      },
+      courseId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: { model: 'Courses', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    // Give every existing course a unique slug before enforcing uniqueness.
+    // Courses keep their slug when it is already valid and not taken by an older course.
+    const [courses] = await queryInterface.sequelize.query(
+      'SELECT id, title, slug FROM Courses ORDER BY id'
+    );
+    const taken = new Set();
+    for (const course of courses) {
+      const base = slugify(course.slug) || slugify(course.title) || 'course';
+      let slug = base;
+      for (let n = 2; taken.has(slug); n++) {
+        slug = `${base}-${n}`;
+      }
+      taken.add(slug);
+      if (slug !== course.slug) {
+        await queryInterface.bulkUpdate('Courses', { slug }, { id: course.id });
+      }
+    }
+
+    await queryInterface.addIndex('Courses', ['slug'], { unique: true, name: 'courses_slug_unique' });
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('Courses', 'courses_slug_unique');
+    await queryInterface.dropTable('CourseSlugRedirects');
+  }
+};
@@ -0,0 +1,19 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('Courses', 'price', {
+      type: Sequelize.DECIMAL(10, 2)
+    });
+    // Catalog filters and sorting
+    await queryInterface.addIndex('Courses', ['category']);
+    await queryInterface.addIndex('Courses', ['rating']);
+    await queryInterface.addIndex('Courses', ['price']);
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('Courses', ['price']);
+    await queryInterface.removeIndex('Courses', ['rating']);
+    await queryInterface.removeIndex('Courses', ['category']);
+    await queryInterface.removeColumn('Courses', 'price');
+  }
+};
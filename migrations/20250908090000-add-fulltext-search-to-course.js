@@ -0,0 +1,38 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('Courses', 'searchTags', {
+      type: Sequelize.TEXT
+    });
+
+    // Backfill searchTags from the JSON tags column
+    const [courses] = await queryInterface.sequelize.query('SELECT id, tags FROM Courses');
+    for (const course of courses) {
+      let tags = course.tags;
+      // Tags were stored JSON-encoded inside the JSON column, so unwrap until an array appears
+      while (typeof tags === 'string') {
+        try { tags = JSON.parse(tags); } catch (e) { break; }
+      }
+      if (Array.isArray(tags) && tags.length) {
+        await queryInterface.bulkUpdate('Courses', { searchTags: tags.join(' ') }, { id: course.id });
+      }
+    }
+
+    // FULLTEXT is MySQL-only; other dialects use the LIKE fallback in utils/courseSearch.js
+    if (queryInterface.sequelize.getDialect() === 'mysql') {
+      await queryInterface.addIndex('Courses', ['title'], { type: 'FULLTEXT', name: 'courses_title_fulltext' });
+      await queryInterface.addIndex('Courses', ['title', 'description', 'fullDescription', 'searchTags', 'instructor'], {
+        type: 'FULLTEXT',
+        name: 'courses_search_fulltext'
+      });
+    }
+  },
+  async down(queryInterface, Sequelize) {
+    if (queryInterface.sequelize.getDialect() === 'mysql') {
+      await queryInterface.removeIndex('Courses', 'courses_search_fulltext');
+      await queryInterface.removeIndex('Courses', 'courses_title_fulltext');
+    }
+    await queryInterface.removeColumn('Courses', 'searchTags');
+  }
+};
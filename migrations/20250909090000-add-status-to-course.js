@@ -0,0 +1,38 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('Courses', 'status', {
+      allowNull: false,
+      defaultValue: 'draft',
+      type: Sequelize.STRING(20)
+    });
+    await queryInterface.addColumn('Courses', 'publishAt', {
+      type: Sequelize.DATE
+    });
+    await queryInterface.addColumn('Courses', 'unpublishAt', {
+      type: Sequelize.DATE
+    });
+    await queryInterface.addColumn('Courses', 'publishedAt', {
+      type: Sequelize.DATE
+    });
+
+    // Everything created before the workflow existed was already public
+    await queryInterface.sequelize.query(
+      "UPDATE Courses SET status = 'published', publishedAt = createdAt"
+    );
+
+    await queryInterface.addIndex('Courses', ['status']);
+    await queryInterface.addIndex('Courses', ['publishAt']);
+    await queryInterface.addIndex('Courses', ['unpublishAt']);
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('Courses', ['unpublishAt']);
+    await queryInterface.removeIndex('Courses', ['publishAt']);
+    await queryInterface.removeIndex('Courses', ['status']);
+    await queryInterface.removeColumn('Courses', 'publishedAt');
+    await queryInterface.removeColumn('Courses', 'unpublishAt');
+    await queryInterface.removeColumn('Courses', 'publishAt');
+    await queryInterface.removeColumn('Courses', 'status');
+  }
+};
@@ -0,0 +1,71 @@
+'use strict';
+const { toSnapshot } = require('../utils/courseRevisions');
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('CourseRevisions', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      courseId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: { model: 'Courses', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      revision: {
+        allowNull: false,
+        type: Sequelize.INTEGER
+      },
+      action: {
+        allowNull: false,
+        type: Sequelize.STRING
+      },
+      restoredFrom: {
+        type: Sequelize.INTEGER
+      },
+      snapshot: {
+        allowNull: false,
+        type: Sequelize.JSON
+      },
+      changes: {
+        type: Sequelize.JSON
+      },
+      actorType: {
+        type: Sequelize.STRING
+      },
+      actorId: {
+        type: Sequelize.INTEGER
+      },
+      actorName: {
+        type: Sequelize.STRING
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+    await queryInterface.addIndex('CourseRevisions', ['courseId', 'revision'], { unique: true });
+
+    // Existing courses start their history at their current content
+    const [courses] = await queryInterface.sequelize.query('SELECT * FROM Courses ORDER BY id');
+    if (courses.length > 0) {
+      const now = new Date();
+      await queryInterface.bulkInsert('CourseRevisions', courses.map(course => ({
+        courseId: course.id,
+        revision: 1,
+        action: 'initial',
+        snapshot: JSON.stringify(toSnapshot(course)),
+        changes: JSON.stringify({}),
+        createdAt: now
+      })));
+    }
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('CourseRevisions');
+  }
+};
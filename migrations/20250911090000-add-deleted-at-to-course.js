@@ -0,0 +1,14 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('Courses', 'deletedAt', {
+      type: Sequelize.DATE
+    });
+    await queryInterface.addIndex('Courses', ['deletedAt']);
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('Courses', ['deletedAt']);
+    await queryInterface.removeColumn('Courses', 'deletedAt');
+  }
+};
@@ -0,0 +1,146 @@
+'use strict';
+const { slugify } = require('../utils/slug');
+
+// Group courses by a free-text column, ignoring case and surrounding spaces.
+// The first spelling seen (lowest course id) becomes the record's name.
+const groupByName = (courses, column) => {
+  const groups = new Map();
+  for (const course of courses) {
+    const name = String(course[column] || '').trim();
+    if (!name) continue;
+    const key = name.toLowerCase();
+    if (!groups.has(key)) groups.set(key, { name, courseIds: [] });
+    groups.get(key).courseIds.push(course.id);
+  }
+  return [...groups.values()];
+};
+
+// Insert one record per group and point the courses at it
+const convertColumn = async (queryInterface, courses, { column, idColumn, table, extra = {} }) => {
+  const groups = groupByName(courses, column);
+  const taken = new Set();
+  const now = new Date();
+
+  for (const group of groups) {
+    const base = slugify(group.name) || table.toLowerCase();
+    let slug = base;
+    for (let n = 2; taken.has(slug); n++) {
+      slug = `${base}-${n}`;
+    }
+    taken.add(slug);
+
+    await queryInterface.bulkInsert(table, [{ name: group.name, slug, ...extra, createdAt: now, updatedAt: now }]);
+    const [[record]] = await queryInterface.sequelize.query(
+      `SELECT id FROM ${table} WHERE slug = ?`,
+      { replacements: [slug] }
+    );
+    await queryInterface.bulkUpdate('Courses', { [idColumn]: record.id, [column]: group.name }, { id: group.courseIds });
+  }
+};
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('Categories', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      name: {
+        allowNull: false,
+        type: Sequelize.STRING
+      },
+      slug: {
+        allowNull: false,
+        unique: true,
+        type: Sequelize.STRING
+      },
+      description: {
+        type: Sequelize.TEXT
+      },
+      icon: {
+        type: Sequelize.STRING
+      },
+      sortOrder: {
+        allowNull: false,
+        defaultValue: 0,
+        type: Sequelize.INTEGER
+      },
+      parentId: {
+        type: Sequelize.INTEGER,
+        references: { model: 'Categories', key: 'id' },
+        onDelete: 'SET NULL'
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.createTable('Instructors', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      name: {
+        allowNull: false,
+        type: Sequelize.STRING
+      },
+      slug: {
+        allowNull: false,
+        unique: true,
+        type: Sequelize.STRING
+      },
+      bio: {
+        type: Sequelize.TEXT
+      },
+      avatar: {
+        type: Sequelize.STRING
+      },
+      links: {
+        type: Sequelize.JSON
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addColumn('Courses', 'categoryId', {
+      type: Sequelize.INTEGER,
+      references: { model: 'Categories', key: 'id' },
+      onDelete: 'SET NULL'
+    });
+    await queryInterface.addColumn('Courses', 'instructorId', {
+      type: Sequelize.INTEGER,
+      references: { model: 'Instructors', key: 'id' },
+      onDelete: 'SET NULL'
+    });
+
+    // Existing free-text values become records; spellings differing only in
+    // case or spacing are merged. Trashed courses are converted too.
+    const [courses] = await queryInterface.sequelize.query(
+      'SELECT id, category, instructor FROM Courses ORDER BY id'
+    );
+    await convertColumn(queryInterface, courses, { column: 'category', idColumn: 'categoryId', table: 'Categories', extra: { sortOrder: 0 } });
+    await convertColumn(queryInterface, courses, { column: 'instructor', idColumn: 'instructorId', table: 'Instructors' });
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('Courses', 'instructorId');
+    await queryInterface.removeColumn('Courses', 'categoryId');
+    await queryInterface.dropTable('Instructors');
+    await queryInterface.dropTable('Categories');
+  }
+};
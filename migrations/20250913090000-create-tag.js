@@ -0,0 +1,123 @@
+'use strict';
+const { slugify } = require('../utils/slug');
+
+// Tags were stored JSON-encoded inside the JSON column, so unwrap until an array appears
+const parseTags = (value) => {
+  let tags = value;
+  while (typeof tags === 'string') {
+    try { tags = JSON.parse(tags); } catch (e) { return []; }
+  }
+  return Array.isArray(tags) ? tags.map(tag => String(tag).trim()).filter(Boolean) : [];
+};
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('Tags', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      name: {
+        allowNull: false,
+        type: Sequelize.STRING
+      },
+      slug: {
+        allowNull: false,
+        unique: true,
+        type: Sequelize.STRING
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.createTable('CourseTags', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      courseId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: { model: 'Courses', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      tagId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: { model: 'Tags', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+    await queryInterface.addIndex('CourseTags', ['courseId', 'tagId'], { unique: true });
+    await queryInterface.addIndex('CourseTags', ['tagId']);
+
+    // One tag per name, ignoring case and surrounding spaces; the first
+    // spelling seen (lowest course id) wins. Each course's tags column is
+    // rewritten as a plain JSON array of the tag names, in its own order.
+    // Trashed courses are converted too.
+    const [courses] = await queryInterface.sequelize.query('SELECT id, tags FROM Courses ORDER BY id');
+    const tags = new Map();
+    const takenSlugs = new Set();
+    const now = new Date();
+
+    for (const course of courses) {
+      const names = [];
+      const links = [];
+      for (const name of parseTags(course.tags)) {
+        const key = name.toLowerCase();
+        if (!tags.has(key)) {
+          const base = slugify(name) || 'tag';
+          let slug = base;
+          for (let n = 2; takenSlugs.has(slug); n++) {
+            slug = `${base}-${n}`;
+          }
+          takenSlugs.add(slug);
+          await queryInterface.bulkInsert('Tags', [{ name, slug, createdAt: now, updatedAt: now }]);
+          const [[tag]] = await queryInterface.sequelize.query('SELECT id FROM Tags WHERE slug = ?', { replacements: [slug] });
+          tags.set(key, { id: tag.id, name });
+        }
+        const tag = tags.get(key);
+        if (links.some(link => link.tagId === tag.id)) continue;
+        names.push(tag.name);
+        links.push({ courseId: course.id, tagId: tag.id, createdAt: now, updatedAt: now });
+      }
+
+      if (links.length) {
+        await queryInterface.bulkInsert('CourseTags', links);
+      }
+      await queryInterface.bulkUpdate(
+        'Courses',
+        { tags: JSON.stringify(names), searchTags: names.length ? names.join(' ') : null },
+        { id: course.id }
+      );
+    }
+  },
+  async down(queryInterface, Sequelize) {
+    // Back to the JSON-encoded string the old controllers wrote
+    const [courses] = await queryInterface.sequelize.query('SELECT id, tags FROM Courses');
+    for (const course of courses) {
+      await queryInterface.bulkUpdate('Courses', { tags: JSON.stringify(JSON.stringify(parseTags(course.tags))) }, { id: course.id });
+    }
+    await queryInterface.dropTable('CourseTags');
+    await queryInterface.dropTable('Tags');
+  }
+};
@@ -0,0 +1,108 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('Sections', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      courseId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: { model: 'Courses', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      title: {
+        allowNull: false,
+        type: Sequelize.STRING
+      },
+      position: {
+        allowNull: false,
+        defaultValue: 0,
+        type: Sequelize.INTEGER
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+    await queryInterface.addIndex('Sections', ['courseId', 'position']);
+
+    await queryInterface.createTable('Lessons', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      courseId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: { model: 'Courses', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      sectionId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: { model: 'Sections', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      title: {
+        allowNull: false,
+        type: Sequelize.STRING
+      },
+      type: {
+        allowNull: false,
+        defaultValue: 'video',
+        type: Sequelize.STRING
+      },
+      durationMinutes: {
+        allowNull: false,
+        defaultValue: 0,
+        type: Sequelize.INTEGER
+      },
+      isPreview: {
+        allowNull: false,
+        defaultValue: false,
+        type: Sequelize.BOOLEAN
+      },
+      position: {
+        allowNull: false,
+        defaultValue: 0,
+        type: Sequelize.INTEGER
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+    await queryInterface.addIndex('Lessons', ['sectionId', 'position']);
+    await queryInterface.addIndex('Lessons', ['courseId']);
+
+    // The free-text duration ("8 weeks", "12 hours") is replaced by the sum
+    // of the lesson durations, which starts at 0 until lessons are added.
+    // The old column is kept, read-only, as the duration shown for courses
+    // without lessons; drop it once every course has a curriculum.
+    await queryInterface.addColumn('Courses', 'durationMinutes', {
+      allowNull: false,
+      defaultValue: 0,
+      type: Sequelize.INTEGER
+    });
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('Courses', 'durationMinutes');
+    await queryInterface.dropTable('Lessons');
+    await queryInterface.dropTable('Sections');
+  }
+};
@@ -0,0 +1,71 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('Reviews', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      userId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: { model: 'Users', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      courseId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: { model: 'Courses', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      rating: {
+        allowNull: false,
+        type: Sequelize.INTEGER
+      },
+      comment: {
+        type: Sequelize.TEXT
+      },
+      status: {
+        allowNull: false,
+        defaultValue: 'pending',
+        type: Sequelize.STRING
+      },
+      moderationNote: {
+        type: Sequelize.STRING
+      },
+      moderatedAt: {
+        type: Sequelize.DATE
+      },
+      moderatorName: {
+        type: Sequelize.STRING
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+    await queryInterface.addIndex('Reviews', ['userId', 'courseId'], { unique: true });
+    await queryInterface.addIndex('Reviews', ['courseId', 'status']);
+    await queryInterface.addIndex('Reviews', ['status', 'createdAt']);
+
+    await queryInterface.addColumn('Courses', 'reviewCount', {
+      allowNull: false,
+      defaultValue: 0,
+      type: Sequelize.INTEGER
+    });
+    // Ratings were typed in by admins and have no reviews behind them; they
+    // are cleared and rebuilt from approved reviews from now on
+    await queryInterface.bulkUpdate('Courses', { rating: null }, {});
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('Courses', 'reviewCount');
+    await queryInterface.dropTable('Reviews');
+  }
+};
@@ -0,0 +1,60 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('ClickEvents', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      courseId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: { model: 'Courses', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      referrer: {
+        type: Sequelize.STRING
+      },
+      utmSource: {
+        type: Sequelize.STRING
+      },
+      utmMedium: {
+        type: Sequelize.STRING
+      },
+      utmCampaign: {
+        type: Sequelize.STRING
+      },
+      utmTerm: {
+        type: Sequelize.STRING
+      },
+      utmContent: {
+        type: Sequelize.STRING
+      },
+      ipHash: {
+        type: Sequelize.STRING(64)
+      },
+      userAgentClass: {
+        allowNull: false,
+        type: Sequelize.STRING
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+    await queryInterface.addIndex('ClickEvents', ['courseId', 'createdAt']);
+    await queryInterface.addIndex('ClickEvents', ['createdAt']);
+
+    // Query parameters appended to udemyLink when learners follow it
+    await queryInterface.addColumn('Courses', 'linkParams', {
+      type: Sequelize.JSON
+    });
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('Courses', 'linkParams');
+    await queryInterface.dropTable('ClickEvents');
+  }
+};
@@ -15,7 +15,18 @@ module.exports = (sequelize, DataTypes) => {
   }
   Admin.init({
     username: DataTypes.STRING,
-    password: DataTypes.STRING
+    // Used for password reset emails
+    email: DataTypes.STRING,
+    password: DataTypes.STRING,
+    // Optional TOTP second factor; see utils/totp.js
+    totpSecret: DataTypes.STRING,
+    totpEnabled: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    totpLastUsedStep: DataTypes.INTEGER,
+    // JSON array of SHA-256 hashes of unused recovery codes
+    totpRecoveryCodes: DataTypes.TEXT
   }, {
     sequelize,
     modelName: 'Admin',
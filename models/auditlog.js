@@ -0,0 +1,39 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class AuditLog extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // define association here
+    }
+  }
+  AuditLog.init({
+    // Who acted: 'admin' | 'localAdmin' (see utils/tokens PRINCIPAL_TYPES)
+    actorType: DataTypes.STRING,
+    actorId: DataTypes.INTEGER,
+    // Username/email at the time of the action, kept if the account is deleted
+    actorName: DataTypes.STRING,
+    // e.g. 'course.update', 'localAdmin.deactivate'
+    action: DataTypes.STRING,
+    entityType: DataTypes.STRING,
+    entityId: DataTypes.STRING,
+    oldValues: DataTypes.JSON,
+    newValues: DataTypes.JSON,
+    // { field: { from, to } }
+    changes: DataTypes.JSON,
+    ip: DataTypes.STRING,
+    userAgent: DataTypes.STRING
+  }, {
+    sequelize,
+    modelName: 'AuditLog',
+    // Entries are append-only
+    updatedAt: false,
+  });
+  return AuditLog;
+};
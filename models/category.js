@@ -0,0 +1,41 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  // Course category. Categories nest through parentId (sub-categories).
+  class Category extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      Category.belongsTo(Category, { foreignKey: 'parentId', as: 'parent', onDelete: 'SET NULL' });
+      Category.hasMany(Category, { foreignKey: 'parentId', as: 'children' });
+      Category.hasMany(models.Course, { foreignKey: 'categoryId', as: 'courses' });
+      models.Course.belongsTo(Category, { foreignKey: 'categoryId', as: 'categoryRecord', onDelete: 'SET NULL' });
+    }
+  }
+  Category.init({
+    name: DataTypes.STRING,
+    // Unique; used in public URLs (/public/categories/:slug)
+    slug: {
+      type: DataTypes.STRING,
+      unique: true
+    },
+    description: DataTypes.TEXT,
+    // Emoji or image URL shown next to the name
+    icon: DataTypes.STRING,
+    // Lower comes first among siblings; ties are ordered by name
+    sortOrder: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    parentId: DataTypes.INTEGER
+  }, {
+    sequelize,
+    modelName: 'Category',
+  });
+  return Category;
+};
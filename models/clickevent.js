@@ -0,0 +1,44 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+
+// desktop, mobile or tablet browsers; bot for crawlers and link previews
+const USER_AGENT_CLASSES = ['desktop', 'mobile', 'tablet', 'bot', 'other'];
+
+module.exports = (sequelize, DataTypes) => {
+  // One click on a course's outbound enrollment link (/go/:slug)
+  class ClickEvent extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      ClickEvent.belongsTo(models.Course, { foreignKey: 'courseId', as: 'course', onDelete: 'CASCADE' });
+      models.Course.hasMany(ClickEvent, { foreignKey: 'courseId', as: 'clickEvents', onDelete: 'CASCADE' });
+    }
+  }
+  ClickEvent.init({
+    courseId: DataTypes.INTEGER,
+    // Origin and path of the referring page; the query string is dropped
+    referrer: DataTypes.STRING,
+    // utm_* parameters of the /go link itself
+    utmSource: DataTypes.STRING,
+    utmMedium: DataTypes.STRING,
+    utmCampaign: DataTypes.STRING,
+    utmTerm: DataTypes.STRING,
+    utmContent: DataTypes.STRING,
+    // Keyed hash of the client address (see utils/outboundLinks.js); the address itself is not stored
+    ipHash: DataTypes.STRING,
+    // ClickEvent.USER_AGENT_CLASSES; the user agent string is not stored
+    userAgentClass: DataTypes.STRING
+  }, {
+    sequelize,
+    modelName: 'ClickEvent',
+    // Clicks are append-only
+    updatedAt: false,
+  });
+  ClickEvent.USER_AGENT_CLASSES = USER_AGENT_CLASSES;
+  return ClickEvent;
+};
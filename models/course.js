@@ -2,6 +2,21 @@
 const {
   Model
 } = require('sequelize');
+// tags is an array of tag names; older rows may still hold a JSON-encoded string
+const tagsToText = (tags) => {
+  let value = tags;
+  if (typeof value === 'string') {
+    try { value = JSON.parse(value); } catch (e) { return value; }
+  }
+  return Array.isArray(value) ? value.join(' ') : null;
+};
+
+const nameOf = async (model, id, { transaction } = {}) => {
+  if (!id) return null;
+  const record = await model.findByPk(id, { attributes: ['name'], transaction });
+  return record ? record.name : null;
+};
+
 module.exports = (sequelize, DataTypes) => {
   class Course extends Model {
     /**
@@ -10,31 +25,88 @@ module.exports = (sequelize, DataTypes) => {
      * The `models/index` file will call this method automatically.
      */
     static associate(models) {
-      // define association here
+      Course.hasMany(models.CourseSlugRedirect, { foreignKey: 'courseId', as: 'slugRedirects', onDelete: 'CASCADE' });
     }
   }
   Course.init({
     title: DataTypes.STRING,
-    slug: DataTypes.STRING,
+    // Unique; generated from the title when not given (see utils/slug.js)
+    slug: {
+      type: DataTypes.STRING,
+      unique: true
+    },
     description: DataTypes.TEXT,
     image: DataTypes.STRING,
+    // Category name, kept in sync with categoryId for filtering and search
     category: DataTypes.STRING,
+    categoryId: DataTypes.INTEGER,
+    // Names of the linked tags (CourseTags), in the course's own order
     tags: DataTypes.JSON,
+    // Plain-text copy of tags for the FULLTEXT index, which cannot cover JSON columns
+    searchTags: DataTypes.TEXT,
+    // Instructor name, kept in sync with instructorId
     instructor: DataTypes.STRING,
+    instructorId: DataTypes.INTEGER,
+    // Sum of the lesson durations; kept in sync by the Lesson hooks
+    durationMinutes: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    // Free-text duration from before the curriculum ("8 weeks"); read-only,
+    // shown only while a course has no lessons
     duration: DataTypes.STRING,
-    students: DataTypes.INTEGER,
+    // Derived from Enrollments; kept in sync by the Enrollment hooks
+    students: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    // Average of the approved reviews; kept in sync by the Review hooks
     rating: DataTypes.FLOAT,
+    reviewCount: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    price: DataTypes.DECIMAL(10, 2),
     udemyLink: DataTypes.STRING,
+    // { name: value } query parameters (UTM, affiliate code) added when
+    // learners follow udemyLink through /go/:slug; see utils/outboundLinks.js
+    linkParams: DataTypes.JSON,
     fullDescription: DataTypes.TEXT,
     prerequisites: DataTypes.STRING,
     level: DataTypes.STRING,
     language: DataTypes.STRING,
     lastUpdated: DataTypes.STRING,
     certificate: DataTypes.BOOLEAN,
-    whatYoullLearn: DataTypes.JSON
+    whatYoullLearn: DataTypes.JSON,
+    // draft | in_review | published | archived (utils/courseStatus.js)
+    status: {
+      type: DataTypes.STRING,
+      defaultValue: 'draft'
+    },
+    // Applied by the course scheduler (utils/courseScheduler.js), then cleared
+    publishAt: DataTypes.DATE,
+    unpublishAt: DataTypes.DATE,
+    // When the course last went live
+    publishedAt: DataTypes.DATE
   }, {
     sequelize,
     modelName: 'Course',
+    // Deleting moves a course to the trash (deletedAt); see utils/courseTrash.js
+    paranoid: true,
+    hooks: {
+      beforeSave: async (course, options) => {
+        if (course.changed('tags')) {
+          course.searchTags = tagsToText(course.tags);
+        }
+        // The name columns are a cache of the linked records
+        if (course.changed('categoryId')) {
+          course.category = await nameOf(sequelize.models.Category, course.categoryId, options);
+        }
+        if (course.changed('instructorId')) {
+          course.instructor = await nameOf(sequelize.models.Instructor, course.instructorId, options);
+        }
+      }
+    }
   });
   return Course;
 };
\ No newline at end of file
@@ -0,0 +1,74 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+const { toSnapshot } = require('../utils/courseRevisions');
+const { diffObjects } = require('../utils/diff');
+
+module.exports = (sequelize, DataTypes) => {
+  // One saved version of a course's content, numbered 1, 2, ... per course
+  class CourseRevision extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      CourseRevision.belongsTo(models.Course, { foreignKey: 'courseId', as: 'course', onDelete: 'CASCADE' });
+      models.Course.hasMany(CourseRevision, { foreignKey: 'courseId', as: 'revisions', onDelete: 'CASCADE' });
+    }
+
+    /**
+     * Snapshot the current content of a course as its next revision.
+     * Nothing is recorded when the content matches the latest revision.
+     * @param {Model} course
+     * @param {Object} options - { action, actor ({ type, id, name }), restoredFrom, transaction }
+     * @returns {Promise<CourseRevision|null>}
+     */
+    static async record(course, { action, actor = {}, restoredFrom = null, transaction } = {}) {
+      const latest = await CourseRevision.findOne({
+        where: { courseId: course.id },
+        order: [['revision', 'DESC']],
+        transaction
+      });
+      const snapshot = toSnapshot(course);
+      const changes = diffObjects(latest ? latest.snapshot : {}, snapshot);
+      if (latest && Object.keys(changes).length === 0) {
+        return null;
+      }
+
+      return CourseRevision.create({
+        courseId: course.id,
+        revision: latest ? latest.revision + 1 : 1,
+        action,
+        restoredFrom,
+        snapshot,
+        changes,
+        actorType: actor.type || null,
+        actorId: actor.id || null,
+        actorName: actor.name || null
+      }, { transaction });
+    }
+  }
+  CourseRevision.init({
+    courseId: DataTypes.INTEGER,
+    revision: DataTypes.INTEGER,
+    // 'create' | 'update' | 'restore' | 'initial' (existing courses at migration time)
+    action: DataTypes.STRING,
+    // Revision number this one was restored from
+    restoredFrom: DataTypes.INTEGER,
+    // Course content fields (utils/courseRevisions.js REVISION_FIELDS)
+    snapshot: DataTypes.JSON,
+    // { field: { from, to } } relative to the previous revision
+    changes: DataTypes.JSON,
+    actorType: DataTypes.STRING,
+    actorId: DataTypes.INTEGER,
+    actorName: DataTypes.STRING
+  }, {
+    sequelize,
+    modelName: 'CourseRevision',
+    // Revisions are never edited
+    updatedAt: false,
+  });
+  return CourseRevision;
+};
@@ -0,0 +1,25 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  // A slug a course used to have, so old links keep working after a rename
+  class CourseSlugRedirect extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      CourseSlugRedirect.belongsTo(models.Course, { foreignKey: 'courseId', as: 'course', onDelete: 'CASCADE' });
+    }
+  }
+  CourseSlugRedirect.init({
+    slug: DataTypes.STRING,
+    courseId: DataTypes.INTEGER
+  }, {
+    sequelize,
+    modelName: 'CourseSlugRedirect',
+  });
+  return CourseSlugRedirect;
+};
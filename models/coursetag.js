@@ -0,0 +1,26 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  // Join table between courses and tags
+  class CourseTag extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      CourseTag.belongsTo(models.Course, { foreignKey: 'courseId', as: 'course', onDelete: 'CASCADE' });
+      CourseTag.belongsTo(models.Tag, { foreignKey: 'tagId', as: 'tag', onDelete: 'CASCADE' });
+    }
+  }
+  CourseTag.init({
+    courseId: DataTypes.INTEGER,
+    tagId: DataTypes.INTEGER
+  }, {
+    sequelize,
+    modelName: 'CourseTag',
+  });
+  return CourseTag;
+};
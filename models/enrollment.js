@@ -0,0 +1,46 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  // A learner enrolled in a course. Course.students is derived from these rows.
+  class Enrollment extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      Enrollment.belongsTo(models.User, { foreignKey: 'userId', as: 'user' });
+      Enrollment.belongsTo(models.Course, { foreignKey: 'courseId', as: 'course', onDelete: 'CASCADE' });
+      models.User.hasMany(Enrollment, { foreignKey: 'userId', as: 'enrollments' });
+      models.Course.hasMany(Enrollment, { foreignKey: 'courseId', as: 'enrollments', onDelete: 'CASCADE' });
+    }
+
+    /**
+     * Recompute Course.students from the enrollment rows
+     * @param {number} courseId
+     * @param {Object} [options] - Passed through (e.g. transaction)
+     */
+    static async refreshStudentCount(courseId, options = {}) {
+      const count = await Enrollment.count({ where: { courseId }, transaction: options.transaction });
+      await sequelize.models.Course.update(
+        { students: count },
+        { where: { id: courseId }, transaction: options.transaction }
+      );
+      return count;
+    }
+  }
+  Enrollment.init({
+    userId: DataTypes.INTEGER,
+    courseId: DataTypes.INTEGER
+  }, {
+    sequelize,
+    modelName: 'Enrollment',
+    hooks: {
+      afterCreate: (enrollment, options) => Enrollment.refreshStudentCount(enrollment.courseId, options),
+      afterDestroy: (enrollment, options) => Enrollment.refreshStudentCount(enrollment.courseId, options)
+    }
+  });
+  return Enrollment;
+};
@@ -0,0 +1,35 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  // Person teaching one or more courses
+  class Instructor extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      Instructor.hasMany(models.Course, { foreignKey: 'instructorId', as: 'courses' });
+      models.Course.belongsTo(Instructor, { foreignKey: 'instructorId', as: 'instructorRecord', onDelete: 'SET NULL' });
+    }
+  }
+  Instructor.init({
+    name: DataTypes.STRING,
+    // Unique; used in public URLs (/public/instructors/:slug)
+    slug: {
+      type: DataTypes.STRING,
+      unique: true
+    },
+    bio: DataTypes.TEXT,
+    // Image URL
+    avatar: DataTypes.STRING,
+    // [{ label, url }], e.g. website, YouTube, LinkedIn
+    links: DataTypes.JSON
+  }, {
+    sequelize,
+    modelName: 'Instructor',
+  });
+  return Instructor;
+};
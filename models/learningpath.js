@@ -0,0 +1,36 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  // A sequence of courses to take in order, e.g. "Become a backend developer"
+  class LearningPath extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      LearningPath.hasMany(models.LearningPathStep, { foreignKey: 'pathId', as: 'steps', onDelete: 'CASCADE' });
+    }
+  }
+  LearningPath.init({
+    title: DataTypes.STRING,
+    // Unique; generated from the title when not given (see utils/slug.js)
+    slug: {
+      type: DataTypes.STRING,
+      unique: true
+    },
+    description: DataTypes.TEXT,
+    image: DataTypes.STRING,
+    // Unpublished paths are only visible to admins
+    isPublished: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    }
+  }, {
+    sequelize,
+    modelName: 'LearningPath',
+  });
+  return LearningPath;
+};
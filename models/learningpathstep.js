@@ -0,0 +1,39 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  // One course in a learning path; a course appears at most once per path
+  class LearningPathStep extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      LearningPathStep.belongsTo(models.LearningPath, { foreignKey: 'pathId', as: 'path', onDelete: 'CASCADE' });
+      LearningPathStep.belongsTo(models.Course, { foreignKey: 'courseId', as: 'course', onDelete: 'CASCADE' });
+      models.Course.hasMany(LearningPathStep, { foreignKey: 'courseId', as: 'pathSteps', onDelete: 'CASCADE' });
+    }
+  }
+  LearningPathStep.init({
+    pathId: DataTypes.INTEGER,
+    courseId: DataTypes.INTEGER,
+    // 0-based order within the path
+    position: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    // Optional steps are suggestions and do not count towards completing the path
+    isOptional: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    // Why this course is in the path, shown with the step
+    description: DataTypes.TEXT
+  }, {
+    sequelize,
+    modelName: 'LearningPathStep',
+  });
+  return LearningPathStep;
+};
@@ -0,0 +1,75 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+
+const LESSON_TYPES = ['video', 'article', 'quiz'];
+
+module.exports = (sequelize, DataTypes) => {
+  // One lesson in a section. courseId is kept alongside sectionId so the
+  // course duration can be summed without going through sections.
+  class Lesson extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      Lesson.belongsTo(models.Section, { foreignKey: 'sectionId', as: 'section', onDelete: 'CASCADE' });
+      Lesson.belongsTo(models.Course, { foreignKey: 'courseId', as: 'course', onDelete: 'CASCADE' });
+      models.Course.hasMany(Lesson, { foreignKey: 'courseId', as: 'lessons', onDelete: 'CASCADE' });
+    }
+
+    /**
+     * Recompute Course.durationMinutes from its lessons
+     * @param {number} courseId
+     * @param {Object} [options] - Passed through (e.g. transaction)
+     */
+    static async refreshCourseDuration(courseId, options = {}) {
+      const total = await Lesson.sum('durationMinutes', { where: { courseId }, transaction: options.transaction });
+      await sequelize.models.Course.update(
+        { durationMinutes: total || 0 },
+        { where: { id: courseId }, paranoid: false, transaction: options.transaction }
+      );
+      return total || 0;
+    }
+  }
+  Lesson.init({
+    courseId: DataTypes.INTEGER,
+    sectionId: DataTypes.INTEGER,
+    title: DataTypes.STRING,
+    // video | article | quiz (Lesson.TYPES)
+    type: {
+      type: DataTypes.STRING,
+      defaultValue: 'video'
+    },
+    durationMinutes: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    // Free preview: shown as watchable without enrolling
+    isPreview: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    // 0-based order within the section
+    position: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    }
+  }, {
+    sequelize,
+    modelName: 'Lesson',
+    hooks: {
+      afterCreate: (lesson, options) => Lesson.refreshCourseDuration(lesson.courseId, options),
+      afterUpdate: (lesson, options) => {
+        if (lesson.changed('durationMinutes')) {
+          return Lesson.refreshCourseDuration(lesson.courseId, options);
+        }
+      },
+      afterDestroy: (lesson, options) => Lesson.refreshCourseDuration(lesson.courseId, options)
+    }
+  });
+  Lesson.TYPES = LESSON_TYPES;
+  return Lesson;
+};
@@ -17,10 +17,33 @@ module.exports = (sequelize, DataTypes) => {
     name: DataTypes.STRING,
     email: DataTypes.STRING,
     password: DataTypes.STRING,
-    role: DataTypes.STRING
+    role: DataTypes.STRING,
+    // Deactivated accounts keep their history but cannot log in
+    active: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    },
+    // Optional TOTP second factor; see utils/totp.js
+    totpSecret: DataTypes.STRING,
+    totpEnabled: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    totpLastUsedStep: DataTypes.INTEGER,
+    // JSON array of SHA-256 hashes of unused recovery codes
+    totpRecoveryCodes: DataTypes.TEXT
   }, {
     sequelize,
     modelName: 'localAdmin',
+    // Never leak password hashes or 2FA secrets; use scope('withPassword') when verifying
+    defaultScope: {
+      attributes: { exclude: ['password', 'totpSecret', 'totpLastUsedStep', 'totpRecoveryCodes'] }
+    },
+    scopes: {
+      withPassword: {
+        attributes: { include: ['password'] }
+      }
+    }
   });
   return localAdmin;
 };
\ No newline at end of file
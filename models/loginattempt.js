@@ -0,0 +1,34 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class LoginAttempt extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // define association here
+    }
+  }
+  LoginAttempt.init({
+    // 'account' (key = "<principalType>:<identifier>") or 'ip' (key = address)
+    scope: DataTypes.STRING,
+    key: DataTypes.STRING,
+    failedCount: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    lastFailedAt: DataTypes.DATE,
+    lockedUntil: DataTypes.DATE
+  }, {
+    sequelize,
+    modelName: 'LoginAttempt',
+    indexes: [
+      { unique: true, fields: ['scope', 'key'] }
+    ]
+  });
+  return LoginAttempt;
+};
@@ -0,0 +1,28 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class PasswordResetToken extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // define association here
+    }
+  }
+  PasswordResetToken.init({
+    principalType: DataTypes.STRING,
+    principalId: DataTypes.INTEGER,
+    // SHA-256 of the emailed token; the raw value is never stored
+    tokenHash: DataTypes.STRING,
+    expiresAt: DataTypes.DATE,
+    usedAt: DataTypes.DATE
+  }, {
+    sequelize,
+    modelName: 'PasswordResetToken',
+  });
+  return PasswordResetToken;
+};
@@ -0,0 +1,33 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class RefreshToken extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // define association here
+    }
+  }
+  RefreshToken.init({
+    // SHA-256 of the token handed to the client; the raw value is never stored
+    tokenHash: DataTypes.STRING,
+    // All tokens produced by rotating one login share a family
+    familyId: DataTypes.STRING,
+    principalType: DataTypes.STRING,
+    principalId: DataTypes.INTEGER,
+    expiresAt: DataTypes.DATE,
+    // Set when the token is exchanged for a new one
+    usedAt: DataTypes.DATE,
+    // Set on logout or when reuse of a rotated token is detected
+    revokedAt: DataTypes.DATE
+  }, {
+    sequelize,
+    modelName: 'RefreshToken',
+  });
+  return RefreshToken;
+};
@@ -0,0 +1,73 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+
+// pending: waiting for moderation; approved: public and counted in the rating;
+// hidden: rejected by a moderator; flagged: set aside for a closer look
+const REVIEW_STATUSES = ['pending', 'approved', 'hidden', 'flagged'];
+
+module.exports = (sequelize, DataTypes) => {
+  // A learner's star rating and review of a course; one per learner per course.
+  // Course.rating and Course.reviewCount are derived from approved reviews.
+  class Review extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      Review.belongsTo(models.User, { foreignKey: 'userId', as: 'user', onDelete: 'CASCADE' });
+      Review.belongsTo(models.Course, { foreignKey: 'courseId', as: 'course', onDelete: 'CASCADE' });
+      models.User.hasMany(Review, { foreignKey: 'userId', as: 'reviews', onDelete: 'CASCADE' });
+      models.Course.hasMany(Review, { foreignKey: 'courseId', as: 'reviews', onDelete: 'CASCADE' });
+    }
+
+    /**
+     * Recompute Course.rating (average, one decimal; null without reviews) and
+     * Course.reviewCount from the approved reviews
+     * @param {number} courseId
+     * @param {Object} [options] - Passed through (e.g. transaction)
+     */
+    static async refreshCourseRating(courseId, options = {}) {
+      const where = { courseId, status: 'approved' };
+      const reviewCount = await Review.count({ where, transaction: options.transaction });
+      const average = reviewCount ? await Review.sum('rating', { where, transaction: options.transaction }) / reviewCount : null;
+      const rating = average === null ? null : Math.round(average * 10) / 10;
+      await sequelize.models.Course.update(
+        { rating, reviewCount },
+        { where: { id: courseId }, paranoid: false, transaction: options.transaction }
+      );
+      return { rating, reviewCount };
+    }
+  }
+  Review.init({
+    userId: DataTypes.INTEGER,
+    courseId: DataTypes.INTEGER,
+    // Whole stars, 1 to 5
+    rating: DataTypes.INTEGER,
+    comment: DataTypes.TEXT,
+    // Review.STATUSES; new and edited reviews wait for moderation
+    status: {
+      type: DataTypes.STRING,
+      defaultValue: 'pending'
+    },
+    moderationNote: DataTypes.STRING,
+    moderatedAt: DataTypes.DATE,
+    moderatorName: DataTypes.STRING
+  }, {
+    sequelize,
+    modelName: 'Review',
+    hooks: {
+      afterCreate: (review, options) => Review.refreshCourseRating(review.courseId, options),
+      afterUpdate: (review, options) => {
+        if (review.changed('status') || review.changed('rating')) {
+          return Review.refreshCourseRating(review.courseId, options);
+        }
+      },
+      afterDestroy: (review, options) => Review.refreshCourseRating(review.courseId, options)
+    }
+  });
+  Review.STATUSES = REVIEW_STATUSES;
+  return Review;
+};
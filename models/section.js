@@ -0,0 +1,32 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  // A titled group of lessons in a course's curriculum
+  class Section extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      Section.belongsTo(models.Course, { foreignKey: 'courseId', as: 'course', onDelete: 'CASCADE' });
+      Section.hasMany(models.Lesson, { foreignKey: 'sectionId', as: 'lessons', onDelete: 'CASCADE' });
+      models.Course.hasMany(Section, { foreignKey: 'courseId', as: 'sections', onDelete: 'CASCADE' });
+    }
+  }
+  Section.init({
+    courseId: DataTypes.INTEGER,
+    title: DataTypes.STRING,
+    // 0-based order within the course
+    position: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    }
+  }, {
+    sequelize,
+    modelName: 'Section',
+  });
+  return Section;
+};
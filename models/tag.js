@@ -0,0 +1,31 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  // Course tag. Courses link to tags through CourseTags; Course.tags keeps
+  // the names in the course's own order.
+  class Tag extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      Tag.belongsToMany(models.Course, { through: models.CourseTag, foreignKey: 'tagId', otherKey: 'courseId', as: 'courses' });
+      models.Course.belongsToMany(Tag, { through: models.CourseTag, foreignKey: 'courseId', otherKey: 'tagId', as: 'tagRecords' });
+    }
+  }
+  Tag.init({
+    name: DataTypes.STRING,
+    // Unique; used in public URLs (/public/tags/:slug/courses)
+    slug: {
+      type: DataTypes.STRING,
+      unique: true
+    }
+  }, {
+    sequelize,
+    modelName: 'Tag',
+  });
+  return Tag;
+};
@@ -0,0 +1,47 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  // A learner account. Separate from Admin/localAdmin, which manage the site.
+  class User extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // define association here
+    }
+  }
+  User.init({
+    name: DataTypes.STRING,
+    email: DataTypes.STRING,
+    password: DataTypes.STRING,
+    bio: DataTypes.TEXT,
+    emailVerified: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    // SHA-256 of the emailed verification token
+    emailVerificationTokenHash: DataTypes.STRING,
+    emailVerificationExpiresAt: DataTypes.DATE,
+    // Bumped to invalidate every issued token (e.g. on password change)
+    tokenVersion: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    }
+  }, {
+    sequelize,
+    modelName: 'User',
+    defaultScope: {
+      attributes: { exclude: ['password', 'emailVerificationTokenHash', 'emailVerificationExpiresAt'] }
+    },
+    scopes: {
+      withPassword: {
+        attributes: { include: ['password'] }
+      }
+    }
+  });
+  return User;
+};
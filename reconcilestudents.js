@@ -0,0 +1,39 @@
+// Recompute Course.students from the Enrollments table.
+// Run once after deploying enrollments, or whenever counts look off:
+//   npm run reconcile-students            (apply)
+//   npm run reconcile-students -- --dry-run
+const { Course, Enrollment, sequelize } = require('./models');
+
+const reconcileStudentCounts = async (dryRun) => {
+  try {
+    const counts = await Enrollment.findAll({
+      attributes: ['courseId', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      group: ['courseId'],
+      raw: true
+    });
+    const countByCourse = new Map(counts.map(row => [row.courseId, Number(row.count)]));
+
+    const courses = await Course.findAll({ attributes: ['id', 'title', 'students'] });
+    let changed = 0;
+    for (const course of courses) {
+      const actual = countByCourse.get(course.id) || 0;
+      if (course.students === actual) continue;
+
+      changed++;
+      console.log(`Course ${course.id} (${course.title}): ${course.students} -> ${actual}`);
+      if (!dryRun) {
+        await course.update({ students: actual });
+      }
+    }
+
+    console.log(`${changed} of ${courses.length} courses ${dryRun ? 'would be' : 'were'} updated.`);
+    process.exitCode = 0;
+  } catch (err) {
+    console.error('Error reconciling student counts:', err);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+};
+
+reconcileStudentCounts(process.argv.includes('--dry-run'));
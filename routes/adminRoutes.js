@@ -1,8 +1,34 @@
 const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/adminController');
+const twoFactorController = require('../controllers/twoFactorController');
+const passwordResetController = require('../controllers/passwordResetController');
+const authenticateToken = require('../middleware/authMiddleware');
+const requirePermission = require('../middleware/permissionMiddleware');
+const { PERMISSIONS } = require('../config/roles');
 
 // Admin Login Route
 router.post('/login', adminController.login);
+// Second step when the account has 2FA enabled (Admin and localAdmin)
+router.post('/login/2fa', twoFactorController.verifyLogin);
+
+// Session management (works for Admin and localAdmin sessions)
+router.post('/refresh', adminController.refresh);
+router.post('/logout', adminController.logout);
+
+// Forgotten password flow (Admin and localAdmin)
+router.post('/forgot-password', passwordResetController.forgotPassword);
+router.post('/reset-password', passwordResetController.resetPassword);
+
+// Login lockouts
+router.get('/lockouts', authenticateToken, requirePermission(PERMISSIONS.ADMINS_READ), adminController.getLockouts);
+router.post('/unlock', authenticateToken, requirePermission(PERMISSIONS.ADMINS_UPDATE), adminController.unlock);
+
+// Two-factor enrollment for the logged-in account
+router.get('/2fa', authenticateToken, twoFactorController.getStatus);
+router.post('/2fa/setup', authenticateToken, twoFactorController.setup);
+router.post('/2fa/enable', authenticateToken, twoFactorController.enable);
+router.post('/2fa/disable', authenticateToken, twoFactorController.disable);
+router.post('/2fa/recovery-codes', authenticateToken, twoFactorController.regenerateRecoveryCodes);
 
 module.exports = router;
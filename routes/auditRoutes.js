@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const auditController = require('../controllers/auditController');
+const authenticateToken = require('../middleware/authMiddleware');
+const requirePermission = require('../middleware/permissionMiddleware');
+const { PERMISSIONS } = require('../config/roles');
+
+router.get('/', authenticateToken, requirePermission(PERMISSIONS.AUDIT_READ), auditController.getAuditLogs);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const categoryController = require('../controllers/categoryController');
+const authenticateToken = require('../middleware/authMiddleware');
+const requirePermission = require('../middleware/permissionMiddleware');
+const { PERMISSIONS } = require('../config/roles');
+
+// Anyone who can see courses can see the categories they are filed under
+router.get('/', authenticateToken, requirePermission(PERMISSIONS.COURSES_READ), categoryController.getCategories);
+router.get('/:id', authenticateToken, requirePermission(PERMISSIONS.COURSES_READ), categoryController.getCategory);
+
+router.post('/', authenticateToken, requirePermission(PERMISSIONS.CATEGORIES_MANAGE), categoryController.createCategory);
+router.put('/:id', authenticateToken, requirePermission(PERMISSIONS.CATEGORIES_MANAGE), categoryController.updateCategory);
+router.delete('/:id', authenticateToken, requirePermission(PERMISSIONS.CATEGORIES_MANAGE), categoryController.deleteCategory);
+
+module.exports = router;
@@ -1,15 +1,57 @@
 const express = require('express');
 const router = express.Router();
 const courseController = require('../controllers/courseController');
+const curriculumController = require('../controllers/curriculumController');
+const courseImportController = require('../controllers/courseImportController');
+const courseExportController = require('../controllers/courseExportController');
+const clickController = require('../controllers/clickController');
 const authenticateToken = require('../middleware/authMiddleware');
 const upload = require('../middleware/upload');
+const uploadImportFile = require('../middleware/importUpload');
+const requirePermission = require('../middleware/permissionMiddleware');
+const { PERMISSIONS } = require('../config/roles');
 
 // Public: Get all courses (remove `authenticateToken` if you want this open)
-router.get('/', authenticateToken, courseController.getAllCourses);
+router.get('/', authenticateToken, requirePermission(PERMISSIONS.COURSES_READ), courseController.getAllCourses);
+
+// Trash (soft-deleted courses); must come before /:id
+router.get('/trash', authenticateToken, requirePermission(PERMISSIONS.COURSES_READ), courseController.getTrash);
+
+// Download the filtered course list as CSV, JSON or Excel
+router.get('/export', authenticateToken, requirePermission(PERMISSIONS.COURSES_READ), courseExportController.exportCourses);
+
+// Outbound link clicks per course over time (?from, to, interval)
+router.get('/clicks', authenticateToken, requirePermission(PERMISSIONS.ANALYTICS_READ), clickController.getClickReport);
+
+// Bulk create-or-update from CSV/JSON (?dryRun=true to validate only)
+router.post('/import', authenticateToken, requirePermission(PERMISSIONS.COURSES_CREATE, PERMISSIONS.COURSES_UPDATE), uploadImportFile, courseImportController.importCourses);
+
+// Any status, for editing and previewing drafts
+router.get('/:id', authenticateToken, requirePermission(PERMISSIONS.COURSES_READ), courseController.getCourse);
 
 // Admin-only: Create, Update, Delete course
-router.post('/', authenticateToken, upload.single('image'), courseController.createCourse);
-router.put('/:id', authenticateToken, upload.single('image'), courseController.updateCourse);
-router.delete('/:id', authenticateToken, courseController.deleteCourse);
+router.post('/', authenticateToken, requirePermission(PERMISSIONS.COURSES_CREATE), upload.single('image'), courseController.createCourse);
+router.put('/:id', authenticateToken, requirePermission(PERMISSIONS.COURSES_UPDATE), upload.single('image'), courseController.updateCourse);
+// Publishing workflow; publishing/archiving/scheduling also needs courses:publish
+router.patch('/:id/status', authenticateToken, requirePermission(PERMISSIONS.COURSES_UPDATE), courseController.updateCourseStatus);
+// Revision history; restoring counts as an update
+router.get('/:id/revisions', authenticateToken, requirePermission(PERMISSIONS.COURSES_READ), courseController.getRevisions);
+router.get('/:id/revisions/diff', authenticateToken, requirePermission(PERMISSIONS.COURSES_READ), courseController.diffRevisions);
+router.get('/:id/revisions/:rev', authenticateToken, requirePermission(PERMISSIONS.COURSES_READ), courseController.getRevision);
+router.post('/:id/revisions/:rev/restore', authenticateToken, requirePermission(PERMISSIONS.COURSES_UPDATE), courseController.restoreRevision);
+router.get('/:id/clicks', authenticateToken, requirePermission(PERMISSIONS.ANALYTICS_READ), clickController.getCourseClicks);
+// Curriculum: sections and lessons; editing it counts as a course update
+router.get('/:id/curriculum', authenticateToken, requirePermission(PERMISSIONS.COURSES_READ), curriculumController.getCurriculum);
+router.put('/:id/curriculum/order', authenticateToken, requirePermission(PERMISSIONS.COURSES_UPDATE), curriculumController.reorderCurriculum);
+router.post('/:id/sections', authenticateToken, requirePermission(PERMISSIONS.COURSES_UPDATE), curriculumController.createSection);
+router.put('/:id/sections/:sectionId', authenticateToken, requirePermission(PERMISSIONS.COURSES_UPDATE), curriculumController.updateSection);
+router.delete('/:id/sections/:sectionId', authenticateToken, requirePermission(PERMISSIONS.COURSES_UPDATE), curriculumController.deleteSection);
+router.post('/:id/sections/:sectionId/lessons', authenticateToken, requirePermission(PERMISSIONS.COURSES_UPDATE), curriculumController.createLesson);
+router.put('/:id/lessons/:lessonId', authenticateToken, requirePermission(PERMISSIONS.COURSES_UPDATE), curriculumController.updateLesson);
+router.delete('/:id/lessons/:lessonId', authenticateToken, requirePermission(PERMISSIONS.COURSES_UPDATE), curriculumController.deleteLesson);
+// Delete moves to the trash; restore and purge act on trashed courses only
+router.delete('/:id', authenticateToken, requirePermission(PERMISSIONS.COURSES_DELETE), courseController.deleteCourse);
+router.post('/:id/restore', authenticateToken, requirePermission(PERMISSIONS.COURSES_DELETE), courseController.restoreCourse);
+router.delete('/:id/purge', authenticateToken, requirePermission(PERMISSIONS.COURSES_DELETE), courseController.purgeTrashedCourse);
 
 module.exports = router;
@@ -0,0 +1,22 @@
+// Learner enrollments ("my courses")
+const express = require('express');
+const router = express.Router();
+const enrollmentController = require('../controllers/enrollmentController');
+const reviewController = require('../controllers/reviewController');
+const authenticateLearner = require('../middleware/learnerAuthMiddleware');
+
+router.use(authenticateLearner);
+
+router.get('/', enrollmentController.getMyEnrollments);
+// Progress through a published learning path; before /:courseId/review
+router.get('/paths/:slug', enrollmentController.getPathProgress);
+router.get('/:courseId', enrollmentController.getEnrollmentStatus);
+router.post('/:courseId', enrollmentController.enroll);
+router.delete('/:courseId', enrollmentController.unenroll);
+
+// The learner's own review of a course they are enrolled in
+router.get('/:courseId/review', reviewController.getMyReview);
+router.put('/:courseId/review', reviewController.saveMyReview);
+router.delete('/:courseId/review', reviewController.deleteMyReview);
+
+module.exports = router;
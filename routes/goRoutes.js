@@ -0,0 +1,9 @@
+const express = require('express');
+const clickController = require('../controllers/clickController');
+const router = express.Router();
+
+// Outbound enrollment link of a published course: counts the click, then
+// redirects to udemyLink with the course's linkParams
+router.get('/:slug', clickController.followCourseLink);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const instructorController = require('../controllers/instructorController');
+const authenticateToken = require('../middleware/authMiddleware');
+const requirePermission = require('../middleware/permissionMiddleware');
+const { PERMISSIONS } = require('../config/roles');
+
+// Anyone who can see courses can see who teaches them
+router.get('/', authenticateToken, requirePermission(PERMISSIONS.COURSES_READ), instructorController.getInstructors);
+router.get('/:id', authenticateToken, requirePermission(PERMISSIONS.COURSES_READ), instructorController.getInstructor);
+
+router.post('/', authenticateToken, requirePermission(PERMISSIONS.INSTRUCTORS_MANAGE), instructorController.createInstructor);
+router.put('/:id', authenticateToken, requirePermission(PERMISSIONS.INSTRUCTORS_MANAGE), instructorController.updateInstructor);
+router.delete('/:id', authenticateToken, requirePermission(PERMISSIONS.INSTRUCTORS_MANAGE), instructorController.deleteInstructor);
+
+module.exports = router;
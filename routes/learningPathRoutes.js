@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const learningPathController = require('../controllers/learningPathController');
+const authenticateToken = require('../middleware/authMiddleware');
+const requirePermission = require('../middleware/permissionMiddleware');
+const { PERMISSIONS } = require('../config/roles');
+
+// Anyone who can see courses can see the paths they are in
+router.get('/', authenticateToken, requirePermission(PERMISSIONS.COURSES_READ), learningPathController.getPaths);
+router.get('/:id', authenticateToken, requirePermission(PERMISSIONS.COURSES_READ), learningPathController.getPath);
+
+router.post('/', authenticateToken, requirePermission(PERMISSIONS.PATHS_MANAGE), learningPathController.createPath);
+router.put('/:id', authenticateToken, requirePermission(PERMISSIONS.PATHS_MANAGE), learningPathController.updatePath);
+router.delete('/:id', authenticateToken, requirePermission(PERMISSIONS.PATHS_MANAGE), learningPathController.deletePath);
+
+module.exports = router;
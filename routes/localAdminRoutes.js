@@ -3,6 +3,21 @@ const express = require('express');
 const router=express.Router();
 const localadmincontroller=require('../controllers/localAdminController');
 const authenticateToken=require('../middleware/authMiddleware');
+const requirePermission=require('../middleware/permissionMiddleware');
+const { PERMISSIONS }=require('../config/roles');
 
-router.post('/',authenticateToken,localadmincontroller.createLocalAdmin);
+router.post('/login',localadmincontroller.login);
+
+// Self-service (any logged-in local admin)
+router.get('/me',authenticateToken,localadmincontroller.getMe);
+router.put('/me/password',authenticateToken,localadmincontroller.changeOwnPassword);
+
+// Account management
+router.get('/',authenticateToken,requirePermission(PERMISSIONS.ADMINS_READ),localadmincontroller.listLocalAdmins);
+router.post('/',authenticateToken,requirePermission(PERMISSIONS.ADMINS_CREATE),localadmincontroller.createLocalAdmin);
+router.get('/:id',authenticateToken,requirePermission(PERMISSIONS.ADMINS_READ),localadmincontroller.getLocalAdmin);
+router.patch('/:id',authenticateToken,requirePermission(PERMISSIONS.ADMINS_UPDATE),localadmincontroller.updateLocalAdmin);
+router.post('/:id/deactivate',authenticateToken,requirePermission(PERMISSIONS.ADMINS_UPDATE),localadmincontroller.deactivateLocalAdmin);
+router.post('/:id/reset-password',authenticateToken,requirePermission(PERMISSIONS.ADMINS_UPDATE),localadmincontroller.resetLocalAdminPassword);
+router.delete('/:id',authenticateToken,requirePermission(PERMISSIONS.ADMINS_DELETE),localadmincontroller.deleteLocalAdmin);
 module.exports=router;
@@ -1,20 +1,36 @@
-const { Course } = require('../models');
 const express = require('express');
+const publicController = require('../controllers/publicController');
 const router = express.Router();
 
-// Get all courses (public)
-router.get('/courses', async (req, res) => {
-  try {
-    const courses = await Course.findAll();
-    const parsedCourses = courses.map(course => ({
-      ...course.toJSON(),
-      tags: course.tags ? JSON.parse(course.tags) : [],
-      whatYoullLearn: course.whatYoullLearn ? JSON.parse(course.whatYoullLearn) : [],
-    }));
-    res.json(parsedCourses);
-  } catch (err) {
-    res.status(500).json({ message: 'Server error', error: err.message });
-  }
-});
+// Get all courses (public): search, filters, sorting and pagination
+router.get('/courses', publicController.getAllCourses);
+
+// Relevance-ranked full-text search with highlighted snippets
+router.get('/search', publicController.search);
+
+// Suggestions for search boxes (titles, categories, tags, instructors)
+router.get('/suggest', publicController.getSuggestions);
+
+// Get one course by slug (public); old slugs redirect
+router.get('/courses/:slug', publicController.getCourseBySlug);
+
+// Approved reviews and rating histogram of a course
+router.get('/courses/:slug/reviews', publicController.getCourseReviews);
+
+// Category tree and category pages (courses include sub-categories)
+router.get('/categories', publicController.getCategories);
+router.get('/categories/:slug', publicController.getCategoryBySlug);
+
+// Instructors with published courses and instructor pages
+router.get('/instructors', publicController.getInstructors);
+router.get('/instructors/:slug', publicController.getInstructorBySlug);
+
+// Tags used by published courses and tag pages
+router.get('/tags', publicController.getTags);
+router.get('/tags/:slug/courses', publicController.getTagCourses);
+
+// Published learning paths and path pages (steps with published courses only)
+router.get('/paths', publicController.getPaths);
+router.get('/paths/:slug', publicController.getPathBySlug);
 
 module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const reviewController = require('../controllers/reviewController');
+const authenticateToken = require('../middleware/authMiddleware');
+const requirePermission = require('../middleware/permissionMiddleware');
+const { PERMISSIONS } = require('../config/roles');
+
+// Moderation queue; learners write reviews through /api/enrollments/:courseId/review
+router.get('/', authenticateToken, requirePermission(PERMISSIONS.REVIEWS_MODERATE), reviewController.getReviews);
+router.patch('/:id', authenticateToken, requirePermission(PERMISSIONS.REVIEWS_MODERATE), reviewController.moderateReview);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const tagController = require('../controllers/tagController');
+const authenticateToken = require('../middleware/authMiddleware');
+const requirePermission = require('../middleware/permissionMiddleware');
+const { PERMISSIONS } = require('../config/roles');
+
+// Tags are created by adding them to courses; these endpoints tidy them up
+router.get('/', authenticateToken, requirePermission(PERMISSIONS.COURSES_READ), tagController.getTags);
+router.get('/:id', authenticateToken, requirePermission(PERMISSIONS.COURSES_READ), tagController.getTag);
+
+router.put('/:id', authenticateToken, requirePermission(PERMISSIONS.TAGS_MANAGE), tagController.updateTag);
+router.post('/:id/merge', authenticateToken, requirePermission(PERMISSIONS.TAGS_MANAGE), tagController.mergeTag);
+router.delete('/:id', authenticateToken, requirePermission(PERMISSIONS.TAGS_MANAGE), tagController.deleteTag);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+// Learner accounts (site users, not admins)
+const express = require('express');
+const router = express.Router();
+const userController = require('../controllers/userController');
+const authenticateLearner = require('../middleware/learnerAuthMiddleware');
+
+router.post('/register', userController.register);
+router.post('/login', userController.login);
+router.post('/verify-email', userController.verifyEmail);
+router.post('/resend-verification', authenticateLearner, userController.resendVerification);
+
+router.get('/me', authenticateLearner, userController.getProfile);
+router.patch('/me', authenticateLearner, userController.updateProfile);
+router.put('/me/password', authenticateLearner, userController.changePassword);
+router.delete('/me', authenticateLearner, userController.deleteAccount);
+
+module.exports = router;
@@ -1,9 +1,15 @@
 const express = require('express');
 const { sequelize } = require('./models'); // Import Sequelize instance
+const { startCourseScheduler } = require('./utils/courseScheduler');
+const { courseSchedulerEnabled } = require('./config/scheduler');
+const { trustProxy } = require('./config/server');
 
 const app = express();
 const PORT = process.env.PORT || 9000;
 
+// Read client addresses from X-Forwarded-For when behind a reverse proxy
+app.set('trust proxy', trustProxy);
+
 // const cors = require('cors');
 // app.use(cors());
 // Or for more restricted control:
@@ -42,12 +48,46 @@ app.use('/api/courses', courseRoutes);
 const publicRoutes = require('./routes/publicRoutes');
 app.use('/public', publicRoutes);
 
+// Categories and instructors courses are filed under
+const categoryRoutes = require('./routes/categoryRoutes');
+app.use('/api/categories', categoryRoutes);
+
+const instructorRoutes = require('./routes/instructorRoutes');
+app.use('/api/instructors', instructorRoutes);
+
+// Tag rename, merge and delete
+const tagRoutes = require('./routes/tagRoutes');
+app.use('/api/tags', tagRoutes);
+
+// Outbound enrollment links with click tracking
+const goRoutes = require('./routes/goRoutes');
+app.use('/go', goRoutes);
+
+// Learning paths (sequences of courses)
+const learningPathRoutes = require('./routes/learningPathRoutes');
+app.use('/api/paths', learningPathRoutes);
+
+// Review moderation
+const reviewRoutes = require('./routes/reviewRoutes');
+app.use('/api/reviews', reviewRoutes);
+
 
 
 //localadmins
 const localAdminRoutes = require('./routes/localAdminRoutes');
 app.use('/api/localadmins',localAdminRoutes);
 
+// Learner accounts
+const userRoutes = require('./routes/userRoutes');
+app.use('/api/users', userRoutes);
+
+const enrollmentRoutes = require('./routes/enrollmentRoutes');
+app.use('/api/enrollments', enrollmentRoutes);
+
+// Audit trail of administrative changes
+const auditRoutes = require('./routes/auditRoutes');
+app.use('/api/audit', auditRoutes);
+
 
 // Authenticate database and start server
 sequelize.authenticate()
@@ -56,6 +96,10 @@ sequelize.authenticate()
     app.listen(PORT, () => {
       console.log(`Server is running on http://localhost:${PORT}`);
     });
+    // Publishes/archives courses at their scheduled times
+    if (courseSchedulerEnabled) {
+      startCourseScheduler();
+    }
   })
   .catch(err => {
     console.error('Unable to connect to the database:', err);
@@ -0,0 +1,90 @@
+const { AuditLog } = require('../models');
+const { diffObjects } = require('./diff');
+
+// Never copy credentials into the audit trail
+const SENSITIVE_FIELDS = ['password', 'totpSecret', 'totpLastUsedStep', 'totpRecoveryCodes'];
+
+const AUDIT_ACTIONS = {
+  COURSE_CREATE: 'course.create',
+  COURSE_UPDATE: 'course.update',
+  COURSE_IMPORT: 'course.import',
+  // Moved to the trash; course.purge is the permanent deletion
+  COURSE_DELETE: 'course.delete',
+  COURSE_RESTORE: 'course.restore',
+  COURSE_PURGE: 'course.purge',
+  COURSE_STATUS_CHANGE: 'course.statusChange',
+  COURSE_REVISION_RESTORE: 'course.revisionRestore',
+  // Curriculum changes; entityId is the course
+  COURSE_SECTION_CREATE: 'course.sectionCreate',
+  COURSE_SECTION_UPDATE: 'course.sectionUpdate',
+  COURSE_SECTION_DELETE: 'course.sectionDelete',
+  COURSE_LESSON_CREATE: 'course.lessonCreate',
+  COURSE_LESSON_UPDATE: 'course.lessonUpdate',
+  COURSE_LESSON_DELETE: 'course.lessonDelete',
+  COURSE_CURRICULUM_REORDER: 'course.curriculumReorder',
+  CATEGORY_CREATE: 'category.create',
+  CATEGORY_UPDATE: 'category.update',
+  CATEGORY_DELETE: 'category.delete',
+  INSTRUCTOR_CREATE: 'instructor.create',
+  INSTRUCTOR_UPDATE: 'instructor.update',
+  INSTRUCTOR_DELETE: 'instructor.delete',
+  TAG_UPDATE: 'tag.update',
+  TAG_MERGE: 'tag.merge',
+  TAG_DELETE: 'tag.delete',
+  PATH_CREATE: 'learningPath.create',
+  PATH_UPDATE: 'learningPath.update',
+  PATH_DELETE: 'learningPath.delete',
+  REVIEW_MODERATE: 'review.moderate',
+  LOCAL_ADMIN_CREATE: 'localAdmin.create',
+  LOCAL_ADMIN_UPDATE: 'localAdmin.update',
+  LOCAL_ADMIN_RESET_PASSWORD: 'localAdmin.resetPassword',
+  LOCAL_ADMIN_DELETE: 'localAdmin.delete',
+  ACCOUNT_PASSWORD_CHANGE: 'account.passwordChange',
+  ACCOUNT_UNLOCK: 'account.unlock',
+  ACCOUNT_PASSWORD_RESET: 'account.passwordReset',
+  ACCOUNT_2FA_ENABLE: 'account.twoFactorEnable',
+  ACCOUNT_2FA_DISABLE: 'account.twoFactorDisable',
+};
+
+const snapshot = (record) => {
+  if (!record) return null;
+  const data = typeof record.toJSON === 'function' ? record.toJSON() : { ...record };
+  SENSITIVE_FIELDS.forEach(field => delete data[field]);
+  return data;
+};
+
+/**
+ * Record an administrative change. `before`/`after` may be model instances or
+ * plain objects; the field diff is computed from them. The actor defaults to
+ * req.principal (set by authenticateToken). `req` is null for changes made by
+ * background jobs, which pass an explicit actor.
+ * Failures are logged rather than thrown: the change itself already happened.
+ */
+const recordAudit = async (req, { action, entityType, entityId, before, after, actor }) => {
+  try {
+    const who = actor || (req && req.principal) || {};
+    const beforeData = snapshot(before);
+    const afterData = snapshot(after);
+
+    await AuditLog.create({
+      actorType: who.type || null,
+      actorId: who.id || null,
+      actorName: who.name || null,
+      action,
+      entityType,
+      entityId: entityId !== undefined && entityId !== null ? String(entityId) : null,
+      oldValues: beforeData,
+      newValues: afterData,
+      changes: diffObjects(beforeData || {}, afterData || {}),
+      ip: req ? req.ip : null,
+      userAgent: req ? (req.get('user-agent') || '').slice(0, 255) : null
+    });
+  } catch (err) {
+    console.error('Failed to write audit log:', err);
+  }
+};
+
+module.exports = {
+  AUDIT_ACTIONS,
+  recordAudit,
+};
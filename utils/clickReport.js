@@ -0,0 +1,119 @@
+// Aggregates of outbound link clicks (ClickEvent) for the admin report.
+// Clicks are counted per UTC day in the database and rolled up into weeks
+// (starting on Monday) or months here, with empty periods filled in.
+const { Op, fn, col, literal } = require('sequelize');
+const { ClickEvent } = require('../models');
+const { CLICK_REPORT_MAX_DAYS } = require('../config/clicks');
+
+const INTERVALS = ['day', 'week', 'month'];
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_DAYS = 30;
+
+const dayKey = (date) => date.toISOString().slice(0, 10);
+
+// Period a UTC day belongs to: YYYY-MM-DD for days and weeks (the Monday), YYYY-MM for months
+const periodKey = (day, interval) => {
+  if (interval === 'month') return day.slice(0, 7);
+  if (interval === 'week') {
+    const date = new Date(`${day}T00:00:00Z`);
+    return dayKey(new Date(date - ((date.getUTCDay() + 6) % 7) * DAY));
+  }
+  return day;
+};
+
+/**
+ * Report period from ?from=&to=&interval=&includeBots=; the last 30 days by default
+ * @returns {{from: Date, to: Date, interval: string, includeBots: boolean, error?: string}}
+ */
+const parseReportRange = (query) => {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to - DEFAULT_DAYS * DAY);
+  const interval = query.interval || 'day';
+  const includeBots = query.includeBots === 'true';
+
+  if (isNaN(from) || isNaN(to)) return { error: 'from/to must be valid dates' };
+  if (from > to) return { error: 'from must be before to' };
+  if (to - from > CLICK_REPORT_MAX_DAYS * DAY) {
+    return { error: `The report covers at most ${CLICK_REPORT_MAX_DAYS} days at a time` };
+  }
+  if (!INTERVALS.includes(interval)) return { error: `interval must be one of: ${INTERVALS.join(', ')}` };
+  return { from, to, interval, includeBots };
+};
+
+/**
+ * ClickEvent `where` for a report period, optionally for one course
+ */
+const clickWhere = ({ from, to, includeBots }, courseId) => {
+  const where = { createdAt: { [Op.gte]: from, [Op.lte]: to } };
+  if (!includeBots) where.userAgentClass = { [Op.ne]: 'bot' };
+  if (courseId) where.courseId = courseId;
+  return where;
+};
+
+// DATE() comes back as a string from sqlite and may be a Date from mysql
+const toDay = (value) => (value instanceof Date ? dayKey(value) : String(value).slice(0, 10));
+
+/**
+ * Clicks per period, oldest first, including periods without clicks
+ * @returns {Promise<Array<{period: string, clicks: number}>>}
+ */
+const clickSeries = async (range, where) => {
+  const rows = await ClickEvent.findAll({
+    attributes: [[fn('DATE', col('createdAt')), 'day'], [fn('COUNT', col('id')), 'clicks']],
+    where,
+    group: [fn('DATE', col('createdAt'))],
+    raw: true
+  });
+
+  const counts = new Map();
+  for (let time = Date.parse(dayKey(range.from)); time <= range.to.getTime(); time += DAY) {
+    counts.set(periodKey(dayKey(new Date(time)), range.interval), 0);
+  }
+  rows.forEach(({ day, clicks }) => {
+    const period = periodKey(toDay(day), range.interval);
+    if (counts.has(period)) counts.set(period, counts.get(period) + Number(clicks));
+  });
+  return [...counts].map(([period, clicks]) => ({ period, clicks }));
+};
+
+/**
+ * Total clicks and distinct visitors (address hashes)
+ */
+const clickTotals = async (where) => {
+  const [totals] = await ClickEvent.findAll({
+    attributes: [[fn('COUNT', col('id')), 'clicks'], [fn('COUNT', fn('DISTINCT', col('ipHash'))), 'visitors']],
+    where,
+    raw: true
+  });
+  return { clicks: Number(totals.clicks), visitors: Number(totals.visitors) };
+};
+
+/**
+ * Clicks grouped by a ClickEvent field, most clicks first
+ * @returns {Promise<Array<{value: *, clicks: number, visitors: number}>>}
+ */
+const countByField = async (field, where, { limit, offset } = {}) => {
+  const rows = await ClickEvent.findAll({
+    attributes: [
+      [col(field), 'value'],
+      [fn('COUNT', col('id')), 'clicks'],
+      [fn('COUNT', fn('DISTINCT', col('ipHash'))), 'visitors']
+    ],
+    where,
+    group: [col(field)],
+    order: [[literal('clicks'), 'DESC'], [col(field), 'ASC']],
+    limit,
+    offset,
+    raw: true
+  });
+  return rows.map(row => ({ value: row.value, clicks: Number(row.clicks), visitors: Number(row.visitors) }));
+};
+
+module.exports = {
+  INTERVALS,
+  parseReportRange,
+  clickWhere,
+  clickSeries,
+  clickTotals,
+  countByField,
+};
@@ -0,0 +1,116 @@
+// Catalog export as CSV, JSON or .xlsx. Courses are read in batches and
+// written to the response as they come, so large catalogs stream.
+const { once } = require('events');
+const { Course } = require('../models');
+const { formatCsvRow } = require('./csv');
+const { writeXlsx } = require('./xlsx');
+
+const EXPORT_BATCH_SIZE = 200;
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+};
+
+const isoDate = (value) => (value ? new Date(value).toISOString() : null);
+
+// Column name -> value. The names match the import columns, so an exported
+// file can be edited and imported again (id, status and the counts are ignored there).
+const EXPORT_COLUMNS = {
+  id: course => course.id,
+  title: course => course.title,
+  slug: course => course.slug,
+  status: course => course.status,
+  category: course => course.category,
+  instructor: course => course.instructor,
+  level: course => course.level,
+  language: course => course.language,
+  price: course => (course.price === null || course.price === undefined ? null : Number(course.price)),
+  certificate: course => course.certificate,
+  durationMinutes: course => course.durationMinutes,
+  students: course => course.students,
+  rating: course => course.rating,
+  reviewCount: course => course.reviewCount,
+  tags: course => course.tags || [],
+  whatYoullLearn: course => (course.whatYoullLearn ? JSON.parse(course.whatYoullLearn) : []),
+  prerequisites: course => course.prerequisites,
+  description: course => course.description,
+  fullDescription: course => course.fullDescription,
+  udemyLink: course => course.udemyLink,
+  image: course => course.image,
+  lastUpdated: course => course.lastUpdated,
+  publishedAt: course => isoDate(course.publishedAt),
+  createdAt: course => isoDate(course.createdAt),
+  updatedAt: course => isoDate(course.updatedAt),
+};
+const COLUMN_NAMES = Object.keys(EXPORT_COLUMNS);
+
+const toRecord = (course) =>
+  Object.fromEntries(COLUMN_NAMES.map(name => [name, EXPORT_COLUMNS[name](course) ?? null]));
+
+// One spreadsheet cell per field: lists become "a|b", the format the import reads
+const toCells = (course) => {
+  const record = toRecord(course);
+  return COLUMN_NAMES.map(name => (Array.isArray(record[name]) ? record[name].join('|') : record[name]));
+};
+
+/**
+ * Matching courses in batches, in the requested order
+ * @param {Object} where
+ * @param {Array} order - Must end with a unique column (id) for stable batches
+ */
+async function* courseBatches(where, order) {
+  for (let offset = 0; ; offset += EXPORT_BATCH_SIZE) {
+    const courses = await Course.findAll({ where, order, limit: EXPORT_BATCH_SIZE, offset });
+    if (courses.length) yield courses;
+    if (courses.length < EXPORT_BATCH_SIZE) return;
+  }
+}
+
+// Header row, then one row per course
+async function* sheetRows(batches) {
+  yield COLUMN_NAMES;
+  for await (const courses of batches) {
+    for (const course of courses) yield toCells(course);
+  }
+}
+
+// Write respecting backpressure
+const send = async (output, text) => {
+  if (!output.write(text)) await once(output, 'drain');
+};
+
+/**
+ * Stream the courses matching `where` in one of EXPORT_FORMATS. The output
+ * is not ended.
+ * @param {string} format - csv | json | xlsx
+ * @param {Writable} output - e.g. the Express response
+ */
+const writeCourseExport = async (format, output, { where, order }) => {
+  const batches = courseBatches(where, order);
+
+  if (format === 'xlsx') {
+    await writeXlsx(output, sheetRows(batches), { sheetName: 'Courses' });
+  } else if (format === 'json') {
+    let first = true;
+    await send(output, '[');
+    for await (const courses of batches) {
+      const json = courses.map(course => JSON.stringify(toRecord(course))).join(',\n');
+      await send(output, `${first ? '\n' : ',\n'}${json}`);
+      first = false;
+    }
+    await send(output, '\n]\n');
+  } else {
+    // The byte order mark makes Excel read the file as UTF-8
+    await send(output, '\uFEFF');
+    for await (const row of sheetRows(batches)) {
+      await send(output, formatCsvRow(row));
+    }
+  }
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  writeCourseExport,
+};
@@ -0,0 +1,130 @@
+// Course filters shared by the public catalog, the admin course list and the
+// catalog export, so the same query string selects the same courses everywhere.
+const { Op } = require('sequelize');
+const { findTags, courseIdsForTags } = require('./tags');
+const { containsText } = require('./like');
+const { COURSE_STATUSES, isValidStatus } = require('./courseStatus');
+
+// Fields the catalog may be sorted by (sortBy); anything else is rejected
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'title', 'rating', 'students', 'price', 'durationMinutes'];
+
+// Numeric range filters: query parameter -> [column, operator]
+const RANGE_FILTERS = {
+  minRating: ['rating', Op.gte],
+  maxRating: ['rating', Op.lte],
+  minPrice: ['price', Op.gte],
+  maxPrice: ['price', Op.lte],
+};
+
+// Parameters read as single strings
+const FILTER_PARAMS = ['q', 'category', 'level', 'language', 'tag', 'sortBy', 'sortOrder', ...Object.keys(RANGE_FILTERS)];
+
+/**
+ * A repeated query parameter (?level=a&level=b) arrives as an array
+ * @param {Object} query - req.query
+ * @param {string[]} params
+ * @returns {string|null} - Error message for the first one given more than once
+ */
+const repeatedParamError = (query, params) => {
+  const param = params.find(name => query[name] !== undefined && typeof query[name] !== 'string');
+  return param ? `${param} must be given only once (separate several values with commas)` : null;
+};
+
+// Comma-separated values become an IN list (?category=Web,Data)
+const listFilter = (value) => {
+  const values = String(value).split(',').map(v => v.trim()).filter(Boolean);
+  return values.length === 1 ? values[0] : { [Op.in]: values };
+};
+
+/**
+ * Sequelize where/order for ?q=&category=&level=&language=&tag=&minRating=
+ * &maxRating=&minPrice=&maxPrice=&sortBy=&sortOrder=
+ * @param {Object} query - req.query
+ * @param {Object} [options]
+ * @param {Object} [options.where] - Conditions to start from, e.g. publishedOnly()
+ * @param {string} [options.sortBy] - Default sort field
+ * @param {string} [options.sortOrder] - Default sort direction
+ * @returns {Promise<{where?: Object, order?: Array, error?: string}>} - error for invalid parameters
+ */
+const buildCourseQuery = async (query, { where = {}, sortBy = 'createdAt', sortOrder = 'DESC' } = {}) => {
+  const repeated = repeatedParamError(query, FILTER_PARAMS);
+  if (repeated) {
+    return { error: repeated };
+  }
+
+  const { q, category, level, language, tag } = query;
+  sortBy = query.sortBy || sortBy;
+  sortOrder = String(query.sortOrder || sortOrder).toUpperCase();
+
+  if (!SORT_FIELDS.includes(sortBy)) {
+    return { error: `sortBy must be one of: ${SORT_FIELDS.join(', ')}` };
+  }
+  if (!['ASC', 'DESC'].includes(sortOrder)) {
+    return { error: 'sortOrder must be ASC or DESC' };
+  }
+
+  where = { ...where };
+  const and = [];
+
+  if (q && q.trim()) {
+    and.push({
+      [Op.or]: ['title', 'description', 'instructor', 'category', 'searchTags'].map(column => containsText(column, q.trim()))
+    });
+  }
+  if (category) {
+    where.category = listFilter(category);
+  }
+  if (language) {
+    where.language = listFilter(language);
+  }
+  // Levels like "Beginner to Intermediate" match both Beginner and Intermediate
+  if (level) {
+    and.push(containsText('level', level));
+  }
+  // Courses with any of the tags, by slug or name (?tag=react,vue)
+  if (tag) {
+    const values = String(tag).split(',').map(v => v.trim()).filter(Boolean);
+    const tags = await findTags(values);
+    where.id = await courseIdsForTags(tags.map(t => t.id));
+  }
+
+  for (const [param, [column, operator]] of Object.entries(RANGE_FILTERS)) {
+    if (query[param] === undefined || query[param] === '') continue;
+    const value = Number(query[param]);
+    if (Number.isNaN(value)) {
+      return { error: `${param} must be a number` };
+    }
+    where[column] = { ...where[column], [operator]: value };
+  }
+
+  if (and.length) {
+    where[Op.and] = and;
+  }
+
+  // id keeps the order stable across pages when sort values tie
+  return { where, order: [[sortBy, sortOrder], ['id', 'ASC']] };
+};
+
+/**
+ * The admin course list and export: any status, or ?status= for one, plus
+ * the catalog filters; most recently updated first unless sortBy is given
+ * @param {Object} query - req.query
+ */
+const buildAdminCourseQuery = async (query) => {
+  const repeated = repeatedParamError(query, ['status']);
+  if (repeated) {
+    return { error: repeated };
+  }
+  if (query.status && !isValidStatus(query.status)) {
+    return { error: `status must be one of: ${Object.values(COURSE_STATUSES).join(', ')}` };
+  }
+  return buildCourseQuery(query, { where: query.status ? { status: query.status } : {}, sortBy: 'updatedAt' });
+};
+
+module.exports = {
+  SORT_FIELDS,
+  repeatedParamError,
+  listFilter,
+  buildCourseQuery,
+  buildAdminCourseQuery,
+};
@@ -0,0 +1,324 @@
+// Bulk course import. Records from a CSV or JSON file are validated into a
+// plan (create, update or unchanged per row, matched by slug) and the plan is
+// applied in a single transaction, so an import either fully happens or not at all.
+const path = require('path');
+const { Course, CourseSlugRedirect, CourseRevision, Category, Instructor, sequelize } = require('../models');
+const { slugify } = require('./slug');
+const { parseCsv, unguardCsvValue } = require('./csv');
+const { resolveReference } = require('./taxonomy');
+const { parseTagNames, findOrCreateTags, setCourseTags } = require('./tags');
+const { COURSE_STATUSES } = require('./courseStatus');
+const { isHttpUrl } = require('./urls');
+
+const MAX_IMPORT_ROWS = 1000;
+const MAX_STRING_LENGTH = 255;
+
+// Column name, lowercased with everything but letters and digits removed -> Course field
+const COLUMNS = {
+  title: 'title',
+  slug: 'slug',
+  description: 'description',
+  fulldescription: 'fullDescription',
+  image: 'image',
+  category: 'category',
+  categoryid: 'categoryId',
+  instructor: 'instructor',
+  instructorid: 'instructorId',
+  price: 'price',
+  udemylink: 'udemyLink',
+  prerequisites: 'prerequisites',
+  level: 'level',
+  language: 'language',
+  lastupdated: 'lastUpdated',
+  certificate: 'certificate',
+  tags: 'tags',
+  whatyoulllearn: 'whatYoullLearn',
+  whatyouwilllearn: 'whatYoullLearn',
+};
+// Columns of VARCHAR(255) fields, checked for length
+const STRING_FIELDS = ['title', 'image', 'udemyLink', 'prerequisites', 'level', 'language', 'lastUpdated'];
+const TEXT_FIELDS = ['description', 'fullDescription'];
+const BOOLEAN_VALUES = { true: true, yes: true, 1: true, false: false, no: false, 0: false };
+
+const columnField = (name) => COLUMNS[String(name).toLowerCase().replace(/[^a-z0-9]/g, '')];
+
+const isEmpty = (value) => value === undefined || value === null || (typeof value === 'string' && !value.trim());
+
+/**
+ * Map raw records (column name -> value) to Course fields. Empty values are
+ * dropped, so they leave the field unchanged on update.
+ * @param {Array<Object>} raw
+ * @param {number} firstRow - Row number of the first record
+ * @returns {{records: Array<{row: number, values: Object}>, ignoredColumns: string[], error?: string}}
+ */
+const mapRecords = (raw, firstRow) => {
+  if (raw.length === 0) return { records: [], ignoredColumns: [], error: 'The file contains no courses' };
+  if (raw.length > MAX_IMPORT_ROWS) {
+    return { records: [], ignoredColumns: [], error: `At most ${MAX_IMPORT_ROWS} courses can be imported at once` };
+  }
+
+  const ignored = new Set();
+  const records = raw.map((record, index) => {
+    const values = {};
+    if (record && typeof record === 'object' && !Array.isArray(record)) {
+      Object.entries(record).forEach(([column, value]) => {
+        const field = columnField(column);
+        if (!field) ignored.add(column);
+        else if (!isEmpty(value)) values[field] = value;
+      });
+    }
+    return { row: firstRow + index, values };
+  });
+  return { records, ignoredColumns: [...ignored] };
+};
+
+/**
+ * Read the records of an uploaded import file. CSV needs a header row;
+ * JSON is an array of objects or { courses: [...] }.
+ * @param {{buffer: Buffer, originalname: string}} file - From multer
+ */
+const readImportFile = (file) => {
+  const text = file.buffer.toString('utf8');
+  const isJson = path.extname(file.originalname || '').toLowerCase() === '.json';
+
+  if (isJson) {
+    let data;
+    try { data = JSON.parse(text); } catch (e) { return { records: [], ignoredColumns: [], error: `Invalid JSON: ${e.message}` }; }
+    return readImportRecords(Array.isArray(data) ? data : data && data.courses);
+  }
+
+  const { rows, error } = parseCsv(text);
+  if (error) return { records: [], ignoredColumns: [], error };
+  const [header = [], ...body] = rows;
+  const columns = header.map(column => column.trim());
+  if (!columns.some(columnField)) {
+    return { records: [], ignoredColumns: [], error: 'The first row must name the columns, e.g. title,category,price' };
+  }
+  // The header is row 1, as in a spreadsheet
+  return mapRecords(body.map(cells =>
+    Object.fromEntries(columns.map((column, i) => [column, cells[i] === undefined ? undefined : unguardCsvValue(cells[i])]))), 2);
+};
+
+/**
+ * Records sent as JSON ({ courses: [...] } in the request body or a JSON file)
+ */
+const readImportRecords = (courses) => {
+  if (!Array.isArray(courses)) {
+    return { records: [], ignoredColumns: [], error: 'Expected an array of courses or { "courses": [...] }' };
+  }
+  return mapRecords(courses, 1);
+};
+
+// A list from an array, a JSON-encoded array, or text separated by "|" or line breaks
+const parseList = (value) => {
+  if (Array.isArray(value)) return { list: value };
+  const text = String(value).trim();
+  if (text.startsWith('[')) {
+    try {
+      const list = JSON.parse(text);
+      if (Array.isArray(list)) return { list };
+    } catch (e) { /* reported below */ }
+    return { error: 'is not a valid JSON array' };
+  }
+  return { list: text.split(/\r?\n|\|/) };
+};
+
+/**
+ * Convert mapped values to Course attributes
+ * @returns {{data: Object, tagNames?: string[], errors: string[]}}
+ */
+const convertValues = (values) => {
+  const data = {};
+  const errors = [];
+  let tagNames;
+
+  [...STRING_FIELDS, ...TEXT_FIELDS].forEach(field => {
+    if (values[field] === undefined) return;
+    let value = values[field];
+    // Prerequisites are stored one per line
+    if (field === 'prerequisites' && Array.isArray(value)) value = value.join('\n');
+    value = String(value).trim();
+    if (STRING_FIELDS.includes(field) && value.length > MAX_STRING_LENGTH) {
+      errors.push(`${field} must be at most ${MAX_STRING_LENGTH} characters`);
+    }
+    data[field] = value;
+  });
+
+  if (values.price !== undefined) {
+    const price = Number(String(values.price).trim().replace(/^\$/, ''));
+    if (!Number.isFinite(price) || price < 0) errors.push(`price "${values.price}" is not a valid amount`);
+    else data.price = price.toFixed(2);
+  }
+
+  if (values.certificate !== undefined) {
+    const text = String(values.certificate).trim().toLowerCase();
+    const certificate = Object.hasOwn(BOOLEAN_VALUES, text) ? BOOLEAN_VALUES[text] : undefined;
+    if (certificate === undefined) errors.push(`certificate must be yes/no or true/false, not "${values.certificate}"`);
+    else data.certificate = certificate;
+  }
+
+  if (values.tags !== undefined) {
+    const { list, error } = parseList(values.tags);
+    if (error) errors.push(`tags ${error}`);
+    else tagNames = parseTagNames(list);
+  }
+
+  if (values.whatYoullLearn !== undefined) {
+    const { list, error } = parseList(values.whatYoullLearn);
+    if (error) errors.push(`whatYoullLearn ${error}`);
+    else data.whatYoullLearn = JSON.stringify(list.map(item => String(item ?? '').trim()).filter(Boolean));
+  }
+
+  return { data, tagNames, errors };
+};
+
+// Same value as stored on the course (decimals come back as strings)
+const sameValue = (field, stored, value) => {
+  if (field === 'price') return stored !== null && Number(stored) === Number(value);
+  if (field === 'certificate') return Boolean(stored) === value;
+  return (stored ?? null) === value;
+};
+
+/**
+ * Validate the records and decide what happens to each one. A record is
+ * matched to an existing course by its slug, or the slug of its title when
+ * it has none; unmatched records become new draft courses.
+ * @param {Array<{row: number, values: Object}>} records - From readImportFile/readImportRecords
+ * @returns {Promise<Array<Object>>} - Plan entries; `report` is what the API returns per row
+ */
+const planImport = async (records) => {
+  const slugRows = new Map();
+  const entries = [];
+
+  for (const { row, values } of records) {
+    const { data, tagNames, errors } = convertValues(values);
+
+    const slug = slugify(values.slug || values.title);
+    let course = null;
+    if (!slug) {
+      errors.push(values.slug ? `slug "${values.slug}" has no letters or digits` : 'title or slug is required');
+    } else if (slugRows.has(slug)) {
+      errors.push(`Duplicate slug "${slug}" (same as row ${slugRows.get(slug)})`);
+    } else {
+      slugRows.set(slug, row);
+      course = await Course.findOne({ where: { slug }, paranoid: false });
+      if (course && course.deletedAt) {
+        errors.push(`Course "${slug}" is in the trash; restore it before importing over it`);
+      } else if (!course) {
+        const redirect = await CourseSlugRedirect.findOne({
+          where: { slug },
+          include: [{ model: Course, as: 'course', attributes: ['slug'], paranoid: false }]
+        });
+        if (redirect) {
+          errors.push(`"${slug}" is an old slug; use the course's current slug "${redirect.course ? redirect.course.slug : ''}"`);
+        } else if (!data.title) {
+          errors.push('title is required for new courses');
+        }
+      }
+    }
+
+    // Uploaded files are only set through the course form: an import may link
+    // an http(s) image or keep the course's current file, as in an export,
+    // but never point a course at another file (purging deletes it)
+    if (data.image !== undefined && !isHttpUrl(data.image) && !(course && course.image === data.image)) {
+      errors.push('image must be an http(s) URL or the course\'s current image');
+    }
+
+    // Category and instructor must already exist, as in the course form
+    const category = await resolveReference(Category, values, { idField: 'categoryId', nameField: 'category', label: 'Category' });
+    const instructor = await resolveReference(Instructor, values, { idField: 'instructorId', nameField: 'instructor', label: 'Instructor' });
+    [category.error, instructor.error].filter(Boolean).forEach(error => errors.push(error));
+    if (category.id !== undefined) data.categoryId = category.id;
+    if (instructor.id !== undefined) data.instructorId = instructor.id;
+
+    let changes = Object.keys(data);
+    if (course) {
+      changes = changes.filter(field => !sameValue(field, course[field], data[field]));
+      const currentTags = (course.tags || []).map(name => name.toLowerCase());
+      if (tagNames && JSON.stringify(tagNames.map(name => name.toLowerCase())) !== JSON.stringify(currentTags)) {
+        changes.push('tags');
+      }
+    } else if (tagNames && tagNames.length) {
+      changes.push('tags');
+    }
+
+    let action = course ? 'update' : 'create';
+    if (errors.length) action = 'invalid';
+    else if (course && changes.length === 0) action = 'unchanged';
+
+    entries.push({
+      data,
+      tagNames,
+      course: errors.length ? null : course,
+      report: {
+        row,
+        slug: slug || null,
+        title: data.title || (course && course.title) || null,
+        action,
+        courseId: course ? course.id : null,
+        changes: action === 'invalid' ? [] : changes,
+        errors
+      }
+    });
+  }
+
+  return entries;
+};
+
+/**
+ * Counts per action and the per-row report
+ * @param {Array<Object>} entries - From planImport
+ */
+const summarizeImport = (entries) => {
+  const summary = { total: entries.length, create: 0, update: 0, unchanged: 0, invalid: 0 };
+  entries.forEach(({ report }) => { summary[report.action]++; });
+  return { summary, rows: entries.map(entry => entry.report) };
+};
+
+/**
+ * Apply a plan without invalid rows in one transaction. New courses start
+ * as drafts; every created or changed course gets a revision.
+ * @param {Array<Object>} entries - From planImport
+ * @param {Object} actor - req.principal
+ * @returns {Promise<Array<{course: Course, before: Object|null}>>} - Written courses, for auditing
+ */
+const applyImport = (entries, actor) => sequelize.transaction(async (transaction) => {
+  const written = [];
+  for (const entry of entries) {
+    const { action } = entry.report;
+    if (action !== 'create' && action !== 'update') continue;
+
+    const tags = entry.tagNames ? await findOrCreateTags(entry.tagNames, { transaction }) : null;
+    let course;
+    let before = null;
+    if (action === 'create') {
+      course = await Course.create({
+        ...entry.data,
+        slug: entry.report.slug,
+        tags: (tags || []).map(tag => tag.name),
+        status: COURSE_STATUSES.DRAFT
+      }, { transaction });
+    } else {
+      course = await Course.findByPk(entry.course.id, { transaction });
+      before = course.toJSON();
+      await course.update(entry.data, { transaction });
+    }
+    if (tags) {
+      await setCourseTags(course, tags, { transaction });
+    }
+    await CourseRevision.record(course, { action, actor, transaction });
+
+    entry.report.courseId = course.id;
+    written.push({ course, before });
+  }
+  return written;
+});
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  readImportFile,
+  readImportRecords,
+  planImport,
+  summarizeImport,
+  applyImport,
+};
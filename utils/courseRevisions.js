@@ -0,0 +1,60 @@
+// Course content captured in each revision. Status, scheduling and derived
+// fields (students, searchTags, durationMinutes, rating, reviewCount) have
+// their own history and are not restored; neither is the curriculum.
+const REVISION_FIELDS = [
+  'title', 'slug', 'description', 'image', 'categoryId', 'category', 'tags',
+  'instructorId', 'instructor', 'price', 'udemyLink', 'linkParams',
+  'fullDescription', 'prerequisites', 'level', 'language', 'lastUpdated',
+  'certificate', 'whatYoullLearn'
+];
+
+// Names kept for reading the history; restoring goes through the ids and the
+// names follow from the linked records. Tags are restored by linking the tag
+// records (utils/tags.js).
+const DERIVED_FIELDS = ['category', 'instructor', 'tags'];
+
+// Array fields: whatYoullLearn is stored as a JSON string on the course and
+// older rows may hold tags that way too
+const JSON_STRING_FIELDS = ['tags', 'whatYoullLearn'];
+
+// Raw queries may return the column still encoded once more
+const parseJsonArray = (value) => {
+  let parsed = value;
+  for (let depth = 0; typeof parsed === 'string' && parsed && depth < 2; depth++) {
+    try { parsed = JSON.parse(parsed); } catch (e) { return []; }
+  }
+  return Array.isArray(parsed) ? parsed : [];
+};
+
+// Course (instance or plain row) -> revision snapshot, arrays decoded
+const toSnapshot = (course) => {
+  const data = typeof course.toJSON === 'function' ? course.toJSON() : course;
+  const snapshot = {};
+  REVISION_FIELDS.forEach(field => {
+    const value = data[field] === undefined ? null : data[field];
+    snapshot[field] = JSON_STRING_FIELDS.includes(field) ? parseJsonArray(value) : value;
+  });
+  // DECIMAL comes back as a string and BOOLEAN as 0/1 from raw mysql queries
+  if (snapshot.price !== null) snapshot.price = Number(snapshot.price);
+  if (snapshot.certificate !== null) snapshot.certificate = Boolean(snapshot.certificate);
+  if (typeof snapshot.linkParams === 'string') {
+    try { snapshot.linkParams = JSON.parse(snapshot.linkParams); } catch (e) { snapshot.linkParams = null; }
+  }
+  return snapshot;
+};
+
+// Revision snapshot -> values for Course.update()
+const toCourseData = (snapshot) => {
+  const data = {};
+  REVISION_FIELDS.forEach(field => {
+    if (!(field in snapshot) || DERIVED_FIELDS.includes(field)) return;
+    data[field] = JSON_STRING_FIELDS.includes(field) ? JSON.stringify(snapshot[field] || []) : snapshot[field];
+  });
+  return data;
+};
+
+module.exports = {
+  REVISION_FIELDS,
+  toSnapshot,
+  toCourseData,
+};
@@ -0,0 +1,90 @@
+// Applies scheduled publishAt / unpublishAt times and purges expired trash.
+// Runs inside the server process (see server.js); each due course is updated
+// individually so model hooks run and every change is audited.
+const { Op } = require('sequelize');
+const { Course } = require('../models');
+const { COURSE_STATUSES } = require('./courseStatus');
+const { AUDIT_ACTIONS, recordAudit } = require('./audit');
+const { purgeExpiredTrash } = require('./courseTrash');
+const { courseSchedulerIntervalMs } = require('../config/scheduler');
+
+const SCHEDULER_ACTOR = { type: 'system', id: null, name: 'course scheduler' };
+
+const transition = async (course, changes) => {
+  const before = course.toJSON();
+  await course.update(changes);
+  await recordAudit(null, {
+    action: AUDIT_ACTIONS.COURSE_STATUS_CHANGE,
+    entityType: 'course',
+    entityId: course.id,
+    before,
+    after: course,
+    actor: SCHEDULER_ACTOR
+  });
+};
+
+/**
+ * Publish courses whose publishAt has passed and archive those whose
+ * unpublishAt has passed. The applied timestamp is cleared so moving a course
+ * back to draft later does not immediately re-trigger it.
+ * @param {Date} [now]
+ * @returns {Promise<{published: number, archived: number}>}
+ */
+const runScheduledTransitions = async (now = new Date()) => {
+  const toPublish = await Course.findAll({
+    where: {
+      status: { [Op.in]: [COURSE_STATUSES.DRAFT, COURSE_STATUSES.IN_REVIEW] },
+      publishAt: { [Op.lte]: now }
+    }
+  });
+  for (const course of toPublish) {
+    await transition(course, { status: COURSE_STATUSES.PUBLISHED, publishedAt: now, publishAt: null });
+  }
+
+  const toArchive = await Course.findAll({
+    where: {
+      status: COURSE_STATUSES.PUBLISHED,
+      unpublishAt: { [Op.lte]: now }
+    }
+  });
+  for (const course of toArchive) {
+    await transition(course, { status: COURSE_STATUSES.ARCHIVED, unpublishAt: null });
+  }
+
+  return { published: toPublish.length, archived: toArchive.length };
+};
+
+/**
+ * Run the scheduler now and then every `intervalMs`
+ * @returns {Function} - Stops the scheduler
+ */
+const startCourseScheduler = (intervalMs = courseSchedulerIntervalMs) => {
+  let running = false;
+  const tick = async () => {
+    // A slow run must not overlap the next one
+    if (running) return;
+    running = true;
+    try {
+      const { published, archived } = await runScheduledTransitions();
+      const purged = await purgeExpiredTrash();
+      if (published || archived || purged) {
+        console.log(`Course scheduler: published ${published}, archived ${archived}, purged ${purged}`);
+      }
+    } catch (err) {
+      console.error('Course scheduler failed:', err);
+    } finally {
+      running = false;
+    }
+  };
+
+  tick();
+  const timer = setInterval(tick, intervalMs);
+  // Do not keep the process alive just for the scheduler
+  timer.unref();
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  runScheduledTransitions,
+  startCourseScheduler,
+};
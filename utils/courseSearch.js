@@ -0,0 +1,95 @@
+const { Op } = require('sequelize');
+const { Course, sequelize } = require('../models');
+const { toBooleanModeQuery, buildHighlightPattern } = require('./searchQuery');
+const { FULLTEXT_MIN_TOKEN_SIZE } = require('../config/search');
+
+// Columns of the courses_search_fulltext index (order matters for MATCH)
+const SEARCH_COLUMNS = ['title', 'description', 'fullDescription', 'searchTags', 'instructor'];
+// A hit in the title counts this many times more than one elsewhere
+const TITLE_WEIGHT = 3;
+// The LIKE fallback ranks in memory; it only looks at this many candidates
+const FALLBACK_CANDIDATE_LIMIT = 1000;
+
+const matchesAnyColumn = (text) => ({
+  [Op.or]: SEARCH_COLUMNS.map(column => ({ [column]: { [Op.like]: `%${text}%` } }))
+});
+
+// NULL columns must not hide a row from NOT LIKE
+const matchesNoColumn = (text) => ({
+  [Op.and]: SEARCH_COLUMNS.map(column => ({
+    [Op.or]: [{ [column]: null }, { [column]: { [Op.notLike]: `%${text}%` } }]
+  }))
+});
+
+const countMatches = (text, pattern) => (text ? (String(text).match(pattern) || []).length : 0);
+
+// MySQL: FULLTEXT boolean mode, scored by the database
+const searchWithFulltext = async (parsed, { where, limit, offset }) => {
+  const against = sequelize.escape(toBooleanModeQuery(parsed));
+  const matchAll = `MATCH(${SEARCH_COLUMNS.map(c => `\`Course\`.\`${c}\``).join(', ')}) AGAINST(${against} IN BOOLEAN MODE)`;
+  const matchTitle = `MATCH(\`Course\`.\`title\`) AGAINST(${against} IN BOOLEAN MODE)`;
+
+  const { rows, count } = await Course.findAndCountAll({
+    attributes: { include: [[sequelize.literal(`${TITLE_WEIGHT} * ${matchTitle} + ${matchAll}`), 'score']] },
+    where: { [Op.and]: [where, sequelize.literal(matchAll)] },
+    order: [[sequelize.literal('score'), 'DESC'], ['id', 'ASC']],
+    limit,
+    offset
+  });
+
+  return {
+    total: count,
+    results: rows.map(course => ({ course, score: Number(course.get('score')) }))
+  };
+};
+
+// Other dialects: LIKE filtering, then the same weighting computed in memory
+const searchWithLike = async (parsed, { where, limit, offset }) => {
+  const conditions = [where];
+  parsed.phrases.forEach(phrase => conditions.push(matchesAnyColumn(phrase)));
+  if (parsed.terms.length) {
+    conditions.push({ [Op.or]: parsed.terms.map(matchesAnyColumn) });
+  }
+  parsed.excluded.forEach(text => conditions.push(matchesNoColumn(text)));
+
+  const candidates = await Course.findAll({
+    where: { [Op.and]: conditions },
+    order: [['id', 'ASC']],
+    limit: FALLBACK_CANDIDATE_LIMIT
+  });
+
+  const pattern = buildHighlightPattern(parsed);
+  const scored = candidates
+    .map(course => {
+      const score = TITLE_WEIGHT * countMatches(course.title, pattern) +
+        SEARCH_COLUMNS.reduce((sum, column) => sum + countMatches(course[column], pattern), 0);
+      return { course, score };
+    })
+    .sort((a, b) => b.score - a.score || a.course.id - b.course.id);
+
+  return { total: scored.length, results: scored.slice(offset, offset + limit) };
+};
+
+// FULLTEXT drops words below the minimum token size ("go", "ai", "ux"), which
+// would make them match nothing (or, when excluded, exclude nothing)
+const hasShortWord = ({ terms, phrases, excluded }) =>
+  [...terms, ...phrases, ...excluded]
+    .some(text => text.split(' ').some(word => word.length < FULLTEXT_MIN_TOKEN_SIZE));
+
+/**
+ * Relevance-ranked course search
+ * @param {Object} parsed - From parseSearchQuery; needs at least one term or phrase
+ * @param {Object} options
+ * @param {Object} [options.where] - Extra filters (category, level, ...)
+ * @param {number} options.limit
+ * @param {number} options.offset
+ * @returns {Promise<{total: number, results: Array<{course: Course, score: number}>}>}
+ */
+const searchCourses = (parsed, { where = {}, limit, offset }) => {
+  const search = sequelize.getDialect() === 'mysql' && !hasShortWord(parsed) ? searchWithFulltext : searchWithLike;
+  return search(parsed, { where, limit, offset });
+};
+
+module.exports = {
+  searchCourses,
+};
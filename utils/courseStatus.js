@@ -0,0 +1,22 @@
+// Course publishing lifecycle. Only published courses are visible publicly.
+const COURSE_STATUSES = {
+  DRAFT: 'draft',
+  IN_REVIEW: 'in_review',
+  PUBLISHED: 'published',
+  ARCHIVED: 'archived',
+};
+
+// Statuses an editor may set without the courses:publish permission
+const EDITOR_STATUSES = [COURSE_STATUSES.DRAFT, COURSE_STATUSES.IN_REVIEW];
+
+const isValidStatus = (status) => Object.values(COURSE_STATUSES).includes(status);
+
+// `where` fragment for anything shown on the public site
+const publishedOnly = () => ({ status: COURSE_STATUSES.PUBLISHED });
+
+module.exports = {
+  COURSE_STATUSES,
+  EDITOR_STATUSES,
+  isValidStatus,
+  publishedOnly,
+};
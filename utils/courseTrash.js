@@ -0,0 +1,79 @@
+// Permanent removal of trashed (soft-deleted) courses. Image files are only
+// removed here, so a course restored from the trash keeps its images.
+const fs = require('fs');
+const path = require('path');
+const { Op } = require('sequelize');
+const { Course, CourseRevision } = require('../models');
+const { AUDIT_ACTIONS, recordAudit } = require('./audit');
+const { trashRetentionDays } = require('../config/scheduler');
+
+const PURGE_ACTOR = { type: 'system', id: null, name: 'trash purge' };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Where middleware/upload.js stores course images
+const UPLOAD_DIR = path.resolve('uploads/courses');
+
+const isUploadedFile = (imagePath) => {
+  const resolved = path.resolve(String(imagePath));
+  return path.dirname(resolved) === UPLOAD_DIR;
+};
+
+// Remove uploaded image files, skipping missing ones and anything that is not
+// a file in the upload directory (image URLs, or paths that point elsewhere)
+const unlinkImages = (paths) => {
+  new Set(paths.filter(Boolean)).forEach(imagePath => {
+    if (isUploadedFile(imagePath) && fs.existsSync(imagePath)) {
+      fs.unlinkSync(imagePath);
+    }
+  });
+};
+
+// When a trashed course will be purged automatically (null when auto-purge is off)
+const purgeDate = (deletedAt, retentionDays = trashRetentionDays) =>
+  retentionDays > 0 && deletedAt ? new Date(new Date(deletedAt).getTime() + retentionDays * DAY_MS) : null;
+
+/**
+ * Permanently delete a course with its revisions, enrollments and redirects
+ * (database cascades), then its current image and every image its revisions kept.
+ * @param {Model} course - Loaded with `paranoid: false`
+ */
+const purgeCourse = async (course) => {
+  const revisions = await CourseRevision.findAll({ where: { courseId: course.id } });
+  const images = [course.image, ...revisions.map(revision => revision.snapshot.image)];
+
+  await course.destroy({ force: true });
+  unlinkImages(images);
+};
+
+/**
+ * Purge courses that have been in the trash longer than the retention period
+ * @param {Date} [now]
+ * @param {number} [retentionDays] - 0 disables automatic purging
+ * @returns {Promise<number>} - Number of purged courses
+ */
+const purgeExpiredTrash = async (now = new Date(), retentionDays = trashRetentionDays) => {
+  if (!(retentionDays > 0)) return 0;
+
+  const expired = await Course.findAll({
+    where: { deletedAt: { [Op.lte]: new Date(now.getTime() - retentionDays * DAY_MS) } },
+    paranoid: false
+  });
+  for (const course of expired) {
+    await purgeCourse(course);
+    await recordAudit(null, {
+      action: AUDIT_ACTIONS.COURSE_PURGE,
+      entityType: 'course',
+      entityId: course.id,
+      before: course,
+      actor: PURGE_ACTOR
+    });
+  }
+  return expired.length;
+};
+
+module.exports = {
+  purgeDate,
+  purgeCourse,
+  purgeExpiredTrash,
+};
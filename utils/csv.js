@@ -0,0 +1,80 @@
+// Minimal RFC 4180 CSV for the course import and export: comma separated,
+// fields optionally in double quotes ("" for a literal quote, line breaks
+// allowed inside quotes), LF or CRLF line endings and an optional UTF-8 BOM.
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} text
+ * @returns {{rows: string[][], error?: string}} - Blank lines are skipped
+ */
+const parseCsv = (text) => {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let quoteLine = 1;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+      quoteLine = line;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+      line++;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    return { rows, error: `Unterminated quoted field on line ${quoteLine}` };
+  }
+  endRow();
+  return { rows };
+};
+
+/**
+ * One CSV line (with CRLF). Text starting with =, +, - or @ gets a leading
+ * apostrophe so spreadsheets do not run it as a formula.
+ * @param {Array<string|number|boolean|null>} values
+ * @returns {string}
+ */
+const formatCsvRow = (values) => values.map(value => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}).join(',') + '\r\n';
+
+// Undo the formula guard of formatCsvRow on a parsed field
+const unguardCsvValue = (text) => String(text).replace(/^'(?=[=+\-@\t\r])/, '');
+
+module.exports = {
+  parseCsv,
+  formatCsvRow,
+  unguardCsvValue,
+};
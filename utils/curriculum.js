@@ -0,0 +1,84 @@
+// Course curriculum: sections of lessons, each ordered by position
+const { Section, Lesson } = require('../models');
+
+const LESSON_FIELDS = ['id', 'sectionId', 'title', 'type', 'durationMinutes', 'isPreview', 'position'];
+
+/**
+ * Sections of a course in order, each with its lessons in order and the
+ * section's total duration
+ * @param {number} courseId
+ * @returns {Promise<Array<Object>>} - Plain objects
+ */
+const loadCurriculum = async (courseId) => {
+  const sections = await Section.findAll({
+    where: { courseId },
+    attributes: ['id', 'title', 'position'],
+    include: [{ model: Lesson, as: 'lessons', attributes: LESSON_FIELDS }],
+    order: [['position', 'ASC'], ['id', 'ASC'], [{ model: Lesson, as: 'lessons' }, 'position', 'ASC'], [{ model: Lesson, as: 'lessons' }, 'id', 'ASC']]
+  });
+  return sections.map(section => {
+    const data = section.toJSON();
+    return {
+      ...data,
+      lessonCount: data.lessons.length,
+      durationMinutes: data.lessons.reduce((sum, lesson) => sum + (lesson.durationMinutes || 0), 0)
+    };
+  });
+};
+
+const parseBoolean = (value) => value === true || value === 'true' || value === 1 || value === '1';
+
+/**
+ * Read title, type, durationMinutes and isPreview from the body.
+ * Returns { data } or { error }; fields not in the body are left out.
+ */
+const readLessonBody = (body, { requireTitle }) => {
+  const data = {};
+  if (body.title !== undefined || requireTitle) {
+    const title = String(body.title || '').trim();
+    if (!title) return { error: 'title is required' };
+    data.title = title;
+  }
+  if (body.type !== undefined) {
+    if (!Lesson.TYPES.includes(body.type)) return { error: `type must be one of: ${Lesson.TYPES.join(', ')}` };
+    data.type = body.type;
+  }
+  if (body.durationMinutes !== undefined) {
+    const minutes = Number(body.durationMinutes);
+    if (!Number.isInteger(minutes) || minutes < 0) return { error: 'durationMinutes must be a whole number of minutes (0 or more)' };
+    data.durationMinutes = minutes;
+  }
+  if (body.isPreview !== undefined) data.isPreview = parseBoolean(body.isPreview);
+  return { data };
+};
+
+/**
+ * Check a full reorder request against the current curriculum: every section
+ * and every lesson of the course must appear exactly once. Lessons may move
+ * to another section.
+ * @param {Array<{id, lessonIds}>} order - From the request body
+ * @param {Array<Object>} curriculum - From loadCurriculum
+ * @returns {string|null} - Error message
+ */
+const checkOrder = (order, curriculum) => {
+  if (!Array.isArray(order) || !order.every(item => item && Array.isArray(item.lessonIds))) {
+    return 'sections must be an array of { id, lessonIds }';
+  }
+  const sectionIds = order.map(item => Number(item.id));
+  const lessonIds = order.flatMap(item => item.lessonIds.map(Number));
+  const sameSet = (a, b) => a.length === b.length && new Set(a).size === a.length && b.every(id => a.includes(id));
+
+  if (!sameSet(sectionIds, curriculum.map(section => section.id))) {
+    return 'sections must list every section of the course exactly once';
+  }
+  if (!sameSet(lessonIds, curriculum.flatMap(section => section.lessons.map(lesson => lesson.id)))) {
+    return 'lessonIds must list every lesson of the course exactly once';
+  }
+  return null;
+};
+
+module.exports = {
+  loadCurriculum,
+  readLessonBody,
+  checkOrder,
+};
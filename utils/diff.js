@@ -0,0 +1,32 @@
+// Field-level diff between two plain objects (e.g. model.toJSON() snapshots).
+// Returns { field: { from, to } } for every field whose value changed.
+
+const DEFAULT_IGNORED_FIELDS = ['createdAt', 'updatedAt'];
+
+// Compare by JSON value so dates, arrays and objects diff sensibly
+const normalize = (value) => {
+  if (value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  return value;
+};
+
+const isEqual = (a, b) => JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+
+const diffObjects = (before = {}, after = {}, { ignore = DEFAULT_IGNORED_FIELDS } = {}) => {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const field of fields) {
+    if (ignore.includes(field)) continue;
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+    if (!isEqual(from, to)) {
+      changes[field] = { from: normalize(from), to: normalize(to) };
+    }
+  }
+  return changes;
+};
+
+module.exports = {
+  diffObjects,
+};
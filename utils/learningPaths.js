@@ -0,0 +1,195 @@
+// Learning paths: ordered course steps, each required or optional. Steps are
+// always saved as a whole list, so their positions stay 0..n-1.
+const { fn, col } = require('sequelize');
+const { Course, LearningPathStep } = require('../models');
+const { publishedOnly } = require('./courseStatus');
+const { isHttpUrl } = require('./urls');
+
+const MAX_STEPS = 50;
+
+// Course fields shown with each step
+const STEP_COURSE_ATTRIBUTES = [
+  'id', 'title', 'slug', 'description', 'image', 'category', 'instructor',
+  'durationMinutes', 'duration', 'level', 'price', 'rating', 'reviewCount', 'students', 'status'
+];
+
+const parseBoolean = (value) => value === true || value === 'true' || value === 1 || value === '1';
+
+/**
+ * steps: [{ courseId, isOptional, description }] in path order, or its JSON.
+ * Returns { steps } or { error }.
+ */
+const readSteps = (value) => {
+  let steps = value;
+  if (typeof steps === 'string') {
+    try { steps = JSON.parse(steps); } catch (e) { return { error: 'steps must be a JSON array' }; }
+  }
+  if (steps === null) return { steps: [] };
+  if (!Array.isArray(steps)) return { error: 'steps must be an array of { courseId, isOptional, description }' };
+  if (steps.length > MAX_STEPS) return { error: `A path can have at most ${MAX_STEPS} steps` };
+
+  const seen = new Set();
+  const result = [];
+  for (const [index, step] of steps.entries()) {
+    const courseId = Number(step && step.courseId);
+    if (!Number.isInteger(courseId) || courseId < 1) {
+      return { error: `Step ${index + 1} needs a courseId` };
+    }
+    if (seen.has(courseId)) {
+      return { error: `Course ${courseId} is in the path more than once` };
+    }
+    seen.add(courseId);
+    result.push({
+      courseId,
+      isOptional: parseBoolean(step.isOptional),
+      description: step.description ? String(step.description).trim() || null : null
+    });
+  }
+  return { steps: result };
+};
+
+/**
+ * Read title, description, image, isPublished and steps from the body.
+ * Returns { data, steps } or { error }; fields not in the body are left out
+ * and steps is undefined when not sent.
+ */
+const readPathBody = (body, { requireTitle }) => {
+  const data = {};
+  if (body.title !== undefined || requireTitle) {
+    const title = String(body.title || '').trim();
+    if (!title) return { error: 'title is required' };
+    if (title.length > 255) return { error: 'title must be at most 255 characters' };
+    data.title = title;
+  }
+  if (body.description !== undefined) data.description = body.description || null;
+  if (body.image !== undefined) {
+    if (body.image && !isHttpUrl(body.image)) return { error: 'image must be an http(s) URL' };
+    data.image = body.image || null;
+  }
+  if (body.isPublished !== undefined) data.isPublished = parseBoolean(body.isPublished);
+
+  if (body.steps === undefined) return { data };
+  const { steps, error } = readSteps(body.steps);
+  if (error) return { error };
+  return { data, steps };
+};
+
+/**
+ * Every step's course must exist and not be in the trash. Drafts are allowed,
+ * so a path can be prepared before its courses go live.
+ * @returns {Promise<string|null>} - Error message
+ */
+const checkStepCourses = async (steps) => {
+  if (!steps.length) return null;
+  const ids = steps.map(step => step.courseId);
+  const courses = await Course.findAll({ where: { id: ids }, attributes: ['id', 'deletedAt'], paranoid: false });
+  const found = new Map(courses.map(course => [course.id, course]));
+  const missing = ids.filter(id => !found.has(id));
+  if (missing.length) {
+    return `Course${missing.length > 1 ? 's' : ''} ${missing.join(', ')} ${missing.length > 1 ? 'do' : 'does'} not exist`;
+  }
+  const trashed = ids.find(id => found.get(id).deletedAt);
+  return trashed ? `Course ${trashed} is in the trash` : null;
+};
+
+/**
+ * Replace the steps of a path
+ * @param {LearningPath} path
+ * @param {Array<Object>} steps - From readSteps
+ * @param {Object} [options]
+ * @param {Transaction} [options.transaction]
+ */
+const setPathSteps = async (path, steps, { transaction } = {}) => {
+  await LearningPathStep.destroy({ where: { pathId: path.id }, transaction });
+  await LearningPathStep.bulkCreate(
+    steps.map((step, position) => ({ ...step, pathId: path.id, position })),
+    { transaction }
+  );
+};
+
+/**
+ * Steps of a path in order, each with its course
+ * @param {number} pathId
+ * @param {Object} [options]
+ * @param {boolean} [options.publicOnly] - Only steps whose course is published,
+ *   without the course status; otherwise trashed courses are included with status 'trashed'
+ * @returns {Promise<Array<Object>>} - Plain objects
+ */
+const loadPathSteps = async (pathId, { publicOnly = false } = {}) => {
+  const steps = await LearningPathStep.findAll({
+    where: { pathId },
+    attributes: ['id', 'courseId', 'position', 'isOptional', 'description'],
+    include: [{
+      model: Course,
+      as: 'course',
+      attributes: publicOnly ? STEP_COURSE_ATTRIBUTES.filter(field => field !== 'status') : [...STEP_COURSE_ATTRIBUTES, 'deletedAt'],
+      where: publicOnly ? publishedOnly() : undefined,
+      required: publicOnly,
+      paranoid: publicOnly
+    }],
+    order: [['position', 'ASC'], ['id', 'ASC']]
+  });
+  return steps.map(step => {
+    const data = step.toJSON();
+    if (!publicOnly && data.course) {
+      const { deletedAt, ...course } = data.course;
+      data.course = { ...course, status: deletedAt ? 'trashed' : course.status };
+    }
+    return data;
+  });
+};
+
+/**
+ * Step counts and total duration of loaded steps
+ */
+const summarizeSteps = (steps) => ({
+  courseCount: steps.length,
+  requiredCount: steps.filter(step => !step.isOptional).length,
+  optionalCount: steps.filter(step => step.isOptional).length,
+  durationMinutes: steps.reduce((sum, step) => sum + ((step.course && step.course.durationMinutes) || 0), 0)
+});
+
+/**
+ * Number of steps per path, optionally only counting courses matching `courseWhere`
+ * @returns {Promise<Map<number, number>>} - pathId -> step count
+ */
+const countPathSteps = async (courseWhere = null) => {
+  const rows = await LearningPathStep.findAll({
+    attributes: ['pathId', [fn('COUNT', col('LearningPathStep.id')), 'count']],
+    include: courseWhere ? [{ model: Course, as: 'course', attributes: [], where: courseWhere }] : [],
+    group: ['pathId'],
+    raw: true
+  });
+  return new Map(rows.map(row => [row.pathId, Number(row.count)]));
+};
+
+/**
+ * A learner's progress through loaded steps. Enrolling in a course counts as
+ * taking that step; only required steps count towards completion.
+ * @param {Array<Object>} steps - From loadPathSteps
+ * @param {Set<number>} enrolledIds - Course ids the learner is enrolled in
+ */
+const pathProgress = (steps, enrolledIds) => {
+  const required = steps.filter(step => !step.isOptional);
+  const requiredEnrolled = required.filter(step => enrolledIds.has(step.courseId)).length;
+  const next = steps.find(step => !step.isOptional && !enrolledIds.has(step.courseId));
+  return {
+    enrolledCourseIds: steps.map(step => step.courseId).filter(id => enrolledIds.has(id)),
+    requiredCount: required.length,
+    requiredEnrolled,
+    percent: required.length ? Math.round((requiredEnrolled / required.length) * 100) : 0,
+    complete: required.length > 0 && requiredEnrolled === required.length,
+    nextCourseId: next ? next.courseId : null
+  };
+};
+
+module.exports = {
+  MAX_STEPS,
+  readPathBody,
+  checkStepCourses,
+  setPathSteps,
+  loadPathSteps,
+  summarizeSteps,
+  countPathSteps,
+  pathProgress,
+};
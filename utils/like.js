@@ -0,0 +1,23 @@
+// LIKE conditions that match user text literally. % and _ in the text are
+// escaped with "!", which (unlike a backslash) means the same inside a
+// string literal in MySQL and sqlite.
+const { Op, col, literal } = require('sequelize');
+const { sequelize } = require('../models');
+
+const escapeLike = (text) => String(text).replace(/[!%_]/g, '!$&');
+
+/**
+ * `column` contains `text` (case-insensitive for the default collations)
+ * @param {string} column
+ * @param {string} text
+ * @returns {Object} - Condition for a `where`
+ */
+const containsText = (column, text) =>
+  sequelize.where(col(column), {
+    [Op.like]: literal(`${sequelize.escape(`%${escapeLike(text)}%`)} ESCAPE '!'`)
+  });
+
+module.exports = {
+  escapeLike,
+  containsText,
+};
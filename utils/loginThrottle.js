@@ -0,0 +1,189 @@
+const { Op, literal, UniqueConstraintError } = require('sequelize');
+const { LoginAttempt, sequelize } = require('../models');
+const {
+  LOGIN_MAX_ATTEMPTS,
+  LOGIN_IP_MAX_ATTEMPTS,
+  LOGIN_LOCKOUT_MINUTES,
+  LOGIN_ATTEMPT_WINDOW_MINUTES,
+  LOGIN_BASE_DELAY_MS,
+  LOGIN_MAX_DELAY_MS,
+} = require('../config/auth');
+
+const SCOPES = {
+  ACCOUNT: 'account',
+  IP: 'ip',
+};
+
+const MINUTE = 60 * 1000;
+
+// Identifiers are stored per principal type so an Admin username and a
+// localAdmin email can never collide. Accounts that do not exist are tracked
+// too, so lockout behaviour does not reveal which ones are real.
+const accountKey = (principalType, identifier) =>
+  `${principalType}:${String(identifier || '').trim().toLowerCase()}`;
+
+const progressiveDelay = (failedCount) =>
+  Math.min(LOGIN_BASE_DELAY_MS * 2 ** (failedCount - 1), LOGIN_MAX_DELAY_MS);
+
+// A record is stale once its lockout has expired or its last failure fell
+// out of the counting window; stale counters start again from zero.
+const isStale = (attempt, now) => {
+  if (attempt.lockedUntil) {
+    return attempt.lockedUntil <= now;
+  }
+  return !attempt.lastFailedAt || now - attempt.lastFailedAt > LOGIN_ATTEMPT_WINDOW_MINUTES * MINUTE;
+};
+
+const findAttempts = (accountKeyValue, ip) =>
+  LoginAttempt.findAll({
+    where: {
+      [Op.or]: [
+        { scope: SCOPES.ACCOUNT, key: accountKeyValue },
+        { scope: SCOPES.IP, key: ip },
+      ],
+    },
+  });
+
+const secondsUntil = (date, now) => Math.max(Math.ceil((date - now) / 1000), 1);
+
+/**
+ * Decide whether a login attempt may proceed.
+ * Returns null when allowed, otherwise { status, retryAfter, body } to send.
+ */
+const checkLoginAllowed = async (accountKeyValue, ip) => {
+  const now = new Date();
+  const attempts = await findAttempts(accountKeyValue, ip);
+
+  for (const attempt of attempts) {
+    if (isStale(attempt, now)) continue;
+
+    if (attempt.lockedUntil) {
+      const retryAfter = secondsUntil(attempt.lockedUntil, now);
+      if (attempt.scope === SCOPES.ACCOUNT) {
+        return {
+          status: 423,
+          retryAfter,
+          body: {
+            message: 'Account temporarily locked due to too many failed login attempts',
+            code: 'ACCOUNT_LOCKED',
+            lockedUntil: attempt.lockedUntil,
+          },
+        };
+      }
+      return {
+        status: 429,
+        retryAfter,
+        body: {
+          message: 'Too many failed login attempts from this address',
+          code: 'IP_LOCKED',
+          lockedUntil: attempt.lockedUntil,
+        },
+      };
+    }
+
+    // Progressive delay between consecutive failures
+    const nextAllowedAt = new Date(attempt.lastFailedAt.getTime() + progressiveDelay(attempt.failedCount));
+    if (nextAllowedAt > now) {
+      const retryAfter = secondsUntil(nextAllowedAt, now);
+      return {
+        status: 429,
+        retryAfter,
+        body: {
+          message: `Too many login attempts. Try again in ${retryAfter} second(s)`,
+          code: 'LOGIN_THROTTLED',
+        },
+      };
+    }
+  }
+  return null;
+};
+
+// isStale as SQL, so the counter can be reset in the same statement that
+// increments it
+const staleCondition = (now) => {
+  const at = sequelize.escape(now);
+  const windowStart = sequelize.escape(new Date(now.getTime() - LOGIN_ATTEMPT_WINDOW_MINUTES * MINUTE));
+  return `((lockedUntil IS NOT NULL AND lockedUntil <= ${at}) OR ` +
+    `(lockedUntil IS NULL AND (lastFailedAt IS NULL OR lastFailedAt < ${windowStart})))`;
+};
+
+// Parallel failures must each count, so the counter is incremented in the
+// database rather than read, changed and written back
+const registerFailure = async (scope, key, maxAttempts, now) => {
+  // A parallel failure may create the row first (unique scope + key)
+  if (!(await LoginAttempt.count({ where: { scope, key } }))) {
+    try {
+      await LoginAttempt.create({ scope, key, failedCount: 0 });
+    } catch (err) {
+      if (!(err instanceof UniqueConstraintError)) throw err;
+    }
+  }
+
+  const stale = staleCondition(now);
+  // lastFailedAt goes last: MySQL evaluates SET assignments in order and the
+  // conditions above must see its old value
+  await LoginAttempt.update({
+    failedCount: literal(`CASE WHEN ${stale} THEN 1 ELSE failedCount + 1 END`),
+    lockedUntil: literal(`CASE WHEN ${stale} THEN NULL ELSE lockedUntil END`),
+    lastFailedAt: now,
+  }, { where: { scope, key } });
+
+  // Lock once the new count reaches the limit; an existing lockout is not extended
+  await LoginAttempt.update(
+    { lockedUntil: new Date(now.getTime() + LOGIN_LOCKOUT_MINUTES * MINUTE) },
+    { where: { scope, key, lockedUntil: null, failedCount: { [Op.gte]: maxAttempts } } }
+  );
+};
+
+const recordLoginFailure = async (accountKeyValue, ip) => {
+  const now = new Date();
+  await registerFailure(SCOPES.ACCOUNT, accountKeyValue, LOGIN_MAX_ATTEMPTS, now);
+  if (ip) {
+    await registerFailure(SCOPES.IP, ip, LOGIN_IP_MAX_ATTEMPTS, now);
+  }
+};
+
+// Only the account counter is cleared on success: one valid login must not
+// reset an address that is guessing passwords for other accounts.
+const recordLoginSuccess = (accountKeyValue) =>
+  LoginAttempt.destroy({ where: { scope: SCOPES.ACCOUNT, key: accountKeyValue } });
+
+// Returns true when a lockout/counter existed for the account
+const unlockAccount = async (accountKeyValue) => {
+  const removed = await LoginAttempt.destroy({ where: { scope: SCOPES.ACCOUNT, key: accountKeyValue } });
+  return removed > 0;
+};
+
+/**
+ * Clear an account or address counter by its id from listActiveLockouts
+ * @returns {Promise<LoginAttempt|null>} - The removed record
+ */
+const unlockById = async (id) => {
+  const attempt = await LoginAttempt.findByPk(Number(id) || 0);
+  if (!attempt) return null;
+  await attempt.destroy();
+  return attempt;
+};
+
+const listActiveLockouts = () =>
+  LoginAttempt.findAll({
+    where: { lockedUntil: { [Op.gt]: new Date() } },
+    order: [['lockedUntil', 'DESC']],
+  });
+
+// Send the response produced by checkLoginAllowed
+const sendThrottled = (res, blocked) => {
+  res.set('Retry-After', String(blocked.retryAfter));
+  return res.status(blocked.status).json(blocked.body);
+};
+
+module.exports = {
+  accountKey,
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount,
+  unlockById,
+  listActiveLockouts,
+  sendThrottled,
+};
@@ -0,0 +1,54 @@
+// Plain text + HTML bodies for outgoing emails
+const { frontendUrl } = require('../config/mail');
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const passwordResetEmail = ({ name, token, expiresInMinutes }) => {
+  const link = `${frontendUrl}/#/admin/reset-password/${token}`;
+  return {
+    subject: 'Reset your Korelium admin password',
+    text: [
+      `Hi ${name},`,
+      '',
+      'We received a request to reset your password. Open the link below to choose a new one:',
+      link,
+      '',
+      `The link expires in ${expiresInMinutes} minutes and can be used once.`,
+      "If you didn't ask for this, you can ignore this email.",
+    ].join('\n'),
+    html: `<p>Hi ${escapeHtml(name)},</p>
+<p>We received a request to reset your password. Click the link below to choose a new one:</p>
+<p><a href="${escapeHtml(link)}">Reset password</a></p>
+<p>The link expires in ${expiresInMinutes} minutes and can be used once.
+If you didn't ask for this, you can ignore this email.</p>`,
+  };
+};
+
+const verifyEmailEmail = ({ name, token, expiresInHours }) => {
+  const link = `${frontendUrl}/#/verify-email/${token}`;
+  return {
+    subject: 'Confirm your Korelium email address',
+    text: [
+      `Hi ${name},`,
+      '',
+      'Welcome to Korelium! Please confirm your email address by opening this link:',
+      link,
+      '',
+      `The link expires in ${expiresInHours} hours.`,
+    ].join('\n'),
+    html: `<p>Hi ${escapeHtml(name)},</p>
+<p>Welcome to Korelium! Please confirm your email address:</p>
+<p><a href="${escapeHtml(link)}">Confirm email</a></p>
+<p>The link expires in ${expiresInHours} hours.</p>`,
+  };
+};
+
+module.exports = {
+  escapeHtml,
+  passwordResetEmail,
+  verifyEmailEmail,
+};
@@ -0,0 +1,76 @@
+// Mail transport abstraction. Every transport exposes `send(message)` where
+// message = { from, to, subject, text, html }. Pick one with MAIL_TRANSPORT.
+const fs = require('fs');
+const path = require('path');
+const mailConfig = require('../config/mail');
+
+class SmtpTransport {
+  constructor(options) {
+    // Loaded lazily so development setups do not need SMTP settings
+    const nodemailer = require('nodemailer');
+    this.transporter = nodemailer.createTransport(options);
+  }
+
+  async send(message) {
+    return this.transporter.sendMail(message);
+  }
+}
+
+// Writes each message to its own JSON file, handy for tests and local dev
+class FileTransport {
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  async send(message) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const file = path.join(this.dir, `${Date.now()}-${Math.round(Math.random() * 1E9)}.json`);
+    await fs.promises.writeFile(file, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+    return { file };
+  }
+}
+
+class ConsoleTransport {
+  async send(message) {
+    console.log(`[mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+    return {};
+  }
+}
+
+const createTransport = (config = mailConfig) => {
+  switch (config.transport) {
+    case 'smtp':
+      return new SmtpTransport(config.smtp);
+    case 'file':
+      return new FileTransport(config.fileDir);
+    case 'console':
+      return new ConsoleTransport();
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${config.transport}"`);
+  }
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+};
+
+// Swap the transport at runtime (e.g. a stub in tests)
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+const sendMail = (message) => getTransport().send({ from: mailConfig.from, ...message });
+
+module.exports = {
+  SmtpTransport,
+  FileTransport,
+  ConsoleTransport,
+  createTransport,
+  setTransport,
+  sendMail,
+};
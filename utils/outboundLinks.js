@@ -0,0 +1,129 @@
+// Outbound enrollment links. /go/:slug sends learners to a course's udemyLink
+// with the course's linkParams added, and records the click without keeping
+// anything that identifies the visitor directly.
+const crypto = require('crypto');
+const { CLICK_HASH_SECRET } = require('../config/clicks');
+
+const MAX_LINK_PARAMS = 20;
+const MAX_VALUE_LENGTH = 255;
+// Query parameter -> ClickEvent field
+const UTM_FIELDS = {
+  utm_source: 'utmSource',
+  utm_medium: 'utmMedium',
+  utm_campaign: 'utmCampaign',
+  utm_term: 'utmTerm',
+  utm_content: 'utmContent',
+};
+
+// Checked in order; tablets before mobiles because Android tablets say "Android" too
+const USER_AGENT_PATTERNS = [
+  ['bot', /bot|crawl|spider|slurp|preview|facebookexternalhit|embedly|curl|wget|python-requests|headless/i],
+  ['tablet', /ipad|tablet|kindle|silk|android(?!.*mobile)/i],
+  ['mobile', /mobi|iphone|ipod|android|phone|opera mini/i],
+  ['desktop', /windows nt|macintosh|x11|linux|cros/i],
+];
+
+/**
+ * Validate linkParams from a request body: an object (or its JSON) of
+ * parameter name -> value. Values may contain {slug}, replaced by the course slug.
+ * @returns {{params?: Object|null, error?: string}} - params null clears them; undefined is unchanged
+ */
+const parseLinkParams = (value) => {
+  if (value === undefined) return {};
+  if (value === null || value === '') return { params: null };
+
+  let params = value;
+  if (typeof params === 'string') {
+    try { params = JSON.parse(params); } catch (e) { return { error: 'linkParams must be a JSON object' }; }
+  }
+  if (!params || typeof params !== 'object' || Array.isArray(params)) {
+    return { error: 'linkParams must be an object of parameter name -> value' };
+  }
+
+  const entries = Object.entries(params);
+  if (entries.length > MAX_LINK_PARAMS) {
+    return { error: `linkParams can have at most ${MAX_LINK_PARAMS} parameters` };
+  }
+  const cleaned = {};
+  for (const [name, raw] of entries) {
+    const key = name.trim();
+    if (!key || key.length > MAX_VALUE_LENGTH) {
+      return { error: `linkParams names must be 1 to ${MAX_VALUE_LENGTH} characters` };
+    }
+    if (!['string', 'number'].includes(typeof raw) || String(raw).length > MAX_VALUE_LENGTH) {
+      return { error: `linkParams.${key} must be text of at most ${MAX_VALUE_LENGTH} characters` };
+    }
+    cleaned[key] = String(raw).trim();
+  }
+  return { params: entries.length ? cleaned : null };
+};
+
+/**
+ * The address /go/:slug redirects to: udemyLink with linkParams set (they
+ * replace parameters of the same name already in the link)
+ * @param {Course} course
+ * @returns {string|null} - null when the course has no usable http(s) link
+ */
+const buildOutboundUrl = (course) => {
+  let url;
+  try {
+    url = new URL(String(course.udemyLink || '').trim());
+  } catch (e) {
+    return null;
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+
+  Object.entries(course.linkParams || {}).forEach(([name, value]) => {
+    url.searchParams.set(name, String(value).replace(/\{slug\}/g, course.slug));
+  });
+  return url.toString();
+};
+
+/**
+ * Classify a user agent string as one of ClickEvent.USER_AGENT_CLASSES
+ */
+const classifyUserAgent = (userAgent) => {
+  if (!userAgent) return 'other';
+  const match = USER_AGENT_PATTERNS.find(([, pattern]) => pattern.test(userAgent));
+  return match ? match[0] : 'other';
+};
+
+// Keyed so the hashes cannot be reversed by hashing every possible address
+const hashIp = (ip) => (ip ? crypto.createHmac('sha256', CLICK_HASH_SECRET).update(ip).digest('hex') : null);
+
+// Origin and path only; query strings can carry personal data
+const cleanReferrer = (referrer) => {
+  if (!referrer) return null;
+  try {
+    const url = new URL(referrer);
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+    return `${url.origin}${url.pathname}`.slice(0, MAX_VALUE_LENGTH);
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * ClickEvent fields for a request to /go/:slug
+ * @param {Request} req
+ */
+const describeClick = (req) => {
+  const click = {
+    referrer: cleanReferrer(req.get('referer')),
+    ipHash: hashIp(req.ip),
+    userAgentClass: classifyUserAgent(req.get('user-agent')),
+  };
+  Object.entries(UTM_FIELDS).forEach(([param, field]) => {
+    const value = req.query[param];
+    click[field] = typeof value === 'string' && value.trim() ? value.trim().slice(0, MAX_VALUE_LENGTH) : null;
+  });
+  return click;
+};
+
+module.exports = {
+  UTM_FIELDS,
+  parseLinkParams,
+  buildOutboundUrl,
+  classifyUserAgent,
+  describeClick,
+};
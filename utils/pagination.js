@@ -0,0 +1,21 @@
+// Shared page/limit parsing for list endpoints.
+// Invalid or missing values fall back to defaults; limit is capped.
+const parsePagination = (query, { defaultLimit = 20, maxLimit = 100 } = {}) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), maxLimit);
+  return { page, limit, offset: (page - 1) * limit };
+};
+
+const buildPaginationMeta = (page, limit, total) => ({
+  page,
+  limit,
+  total,
+  totalPages: Math.ceil(total / limit),
+  hasNextPage: page * limit < total,
+  hasPrevPage: page > 1,
+});
+
+module.exports = {
+  parsePagination,
+  buildPaginationMeta,
+};
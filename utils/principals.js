@@ -0,0 +1,37 @@
+const { Admin, localAdmin } = require('../models');
+const { SITE_ADMIN_ROLE } = require('../config/roles');
+const { PRINCIPAL_TYPES } = require('./tokens');
+
+// Load the account behind a token principal together with its current role.
+// Returns null when the account no longer exists or has been deactivated.
+// `withSecrets` also loads the password hash and 2FA fields.
+const loadAccount = async (type, id, { withSecrets = false } = {}) => {
+  if (type === PRINCIPAL_TYPES.ADMIN) {
+    const account = await Admin.findByPk(id);
+    return account && { account, role: SITE_ADMIN_ROLE };
+  }
+  if (type === PRINCIPAL_TYPES.LOCAL_ADMIN) {
+    const model = withSecrets ? localAdmin.scope('withPassword') : localAdmin;
+    const account = await model.findByPk(id);
+    return account && account.active ? { account, role: account.role } : null;
+  }
+  return null;
+};
+
+// Public identity fields returned by the login endpoints
+const describeAccount = (type, account) => {
+  if (type === PRINCIPAL_TYPES.ADMIN) {
+    return { username: account.username };
+  }
+  return { id: account.id, name: account.name, email: account.email };
+};
+
+// Name shown in authenticator apps and audit trails
+const accountLabel = (type, account) =>
+  type === PRINCIPAL_TYPES.ADMIN ? account.username : account.email;
+
+module.exports = {
+  loadAccount,
+  describeAccount,
+  accountLabel,
+};
@@ -0,0 +1,119 @@
+// Parsing and highlighting for the course search box.
+// Syntax: plain words (prefix-matched, so "learn" also finds "learning"),
+// "quoted phrases" (must appear) and -exclusions (-word or -"some phrase").
+
+const WORD_CHARS = /[^\p{L}\p{N}]+/gu;
+
+const cleanWords = (text) => text.replace(WORD_CHARS, ' ').trim().split(/\s+/).filter(Boolean);
+
+/**
+ * @param {string} q - Raw query text
+ * @returns {{terms: string[], phrases: string[], excluded: string[]}} - Lowercased;
+ *   excluded entries may be phrases (several words)
+ */
+const parseSearchQuery = (q) => {
+  const parsed = { terms: [], phrases: [], excluded: [] };
+  const pattern = /(-?)"([^"]*)"?|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(String(q || '').toLowerCase())) !== null) {
+    if (match[2] !== undefined) {
+      const phrase = cleanWords(match[2]).join(' ');
+      if (phrase) (match[1] ? parsed.excluded : parsed.phrases).push(phrase);
+      continue;
+    }
+
+    const excluded = match[3].startsWith('-');
+    // A word with punctuation inside (node.js, c++) is searched as its parts
+    const words = cleanWords(excluded ? match[3].slice(1) : match[3]);
+    if (excluded) {
+      if (words.length) parsed.excluded.push(words.join(' '));
+    } else {
+      // Single letters would prefix-match almost everything
+      parsed.terms.push(...words.filter(word => word.length > 1));
+    }
+  }
+
+  return parsed;
+};
+
+/**
+ * MySQL boolean-mode query: phrases required, terms optional but prefix-matched
+ * (they drive the ranking), exclusions forbidden
+ */
+const toBooleanModeQuery = ({ terms, phrases, excluded }) => [
+  ...phrases.map(phrase => `+"${phrase}"`),
+  ...terms.map(term => `${term}*`),
+  ...excluded.map(word => (word.includes(' ') ? `-"${word}"` : `-${word}`)),
+].join(' ');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Regex matching any positive term (with its word continuation) or phrase
+ * @returns {RegExp|null}
+ */
+const buildHighlightPattern = ({ terms, phrases }) => {
+  const parts = [
+    ...phrases.map(phrase => `${phrase.split(' ').map(escapeRegExp).join('\\s+')}(?![\\p{L}\\p{N}])`),
+    ...terms.map(term => `${escapeRegExp(term)}[\\p{L}\\p{N}]*`),
+  ];
+  if (!parts.length) return null;
+  // Longest alternatives first so phrases win over their own words
+  parts.sort((a, b) => b.length - a.length);
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${parts.join('|')})`, 'giu');
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * HTML-escape text and wrap matches in <mark>
+ * @param {string} text
+ * @param {RegExp|null} pattern - From buildHighlightPattern
+ */
+const highlight = (text, pattern) => {
+  if (!text) return '';
+  if (!pattern) return escapeHtml(text);
+
+  let html = '';
+  let last = 0;
+  for (const match of String(text).matchAll(pattern)) {
+    html += escapeHtml(text.slice(last, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  return html + escapeHtml(text.slice(last));
+};
+
+/**
+ * Highlighted excerpt of about `2 * radius` characters around the first match
+ * @returns {string|null} - null when the text does not match
+ */
+const buildSnippet = (text, pattern, radius = 80) => {
+  if (!text || !pattern) return null;
+  pattern.lastIndex = 0;
+  const match = pattern.exec(text);
+  pattern.lastIndex = 0;
+  if (!match) return null;
+
+  let start = Math.max(match.index - radius, 0);
+  let end = Math.min(match.index + match[0].length + radius, text.length);
+  // Do not cut words in half
+  if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+  const lastSpace = text.lastIndexOf(' ', end);
+  if (end < text.length && lastSpace > match.index) end = lastSpace;
+
+  return `${start > 0 ? '…' : ''}${highlight(text.slice(start, end).trim(), pattern)}${end < text.length ? '…' : ''}`;
+};
+
+module.exports = {
+  parseSearchQuery,
+  toBooleanModeQuery,
+  buildHighlightPattern,
+  highlight,
+  buildSnippet,
+};
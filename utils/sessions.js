@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { RefreshToken } = require('../models');
+const { REFRESH_TOKEN_TTL_DAYS } = require('../config/auth');
+const { signAccessToken } = require('./tokens');
+const { loadAccount } = require('./principals');
+
+class SessionError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'SessionError';
+    this.code = code;
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Store a new refresh token in `familyId` and sign a matching access token
+const createTokenPair = async (type, account, role, familyId) => {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+  await RefreshToken.create({
+    tokenHash: hashToken(refreshToken),
+    familyId,
+    principalType: type,
+    principalId: account.id,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+  });
+
+  return {
+    token: signAccessToken(type, account, role, familyId),
+    refreshToken,
+  };
+};
+
+// Called on a successful login: starts a new token family
+const startSession = (type, account, role) =>
+  createTokenPair(type, account, role, crypto.randomUUID());
+
+const revokeFamily = (familyId) =>
+  RefreshToken.update(
+    { revokedAt: new Date() },
+    { where: { familyId, revokedAt: null } }
+  );
+
+// Revoke every session of an account, e.g. after a password change
+const revokeAllForPrincipal = (principalType, principalId) =>
+  RefreshToken.update(
+    { revokedAt: new Date() },
+    { where: { principalType, principalId, revokedAt: null } }
+  );
+
+const isFamilyRevoked = async (familyId) => {
+  const revoked = await RefreshToken.count({
+    where: { familyId, revokedAt: { [Op.ne]: null } },
+  });
+  return revoked > 0;
+};
+
+// Exchange a refresh token for a new pair. Each refresh token is single use:
+// presenting one that was already rotated means it leaked, so the whole
+// family is revoked and both the attacker and the victim must log in again.
+const rotateSession = async (refreshToken) => {
+  const stored = await RefreshToken.findOne({ where: { tokenHash: hashToken(refreshToken) } });
+  if (!stored || stored.revokedAt) {
+    throw new SessionError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+  }
+  if (stored.usedAt) {
+    await revokeFamily(stored.familyId);
+    throw new SessionError('Refresh token reuse detected; session revoked', 'REFRESH_TOKEN_REUSED');
+  }
+  if (stored.expiresAt < new Date()) {
+    throw new SessionError('Refresh token expired', 'REFRESH_TOKEN_EXPIRED');
+  }
+
+  // Guard against two concurrent refreshes with the same token
+  const [claimed] = await RefreshToken.update(
+    { usedAt: new Date() },
+    { where: { id: stored.id, usedAt: null } }
+  );
+  if (!claimed) {
+    await revokeFamily(stored.familyId);
+    throw new SessionError('Refresh token reuse detected; session revoked', 'REFRESH_TOKEN_REUSED');
+  }
+
+  const principal = await loadAccount(stored.principalType, stored.principalId);
+  if (!principal) {
+    await revokeFamily(stored.familyId);
+    throw new SessionError('Account no longer exists', 'INVALID_REFRESH_TOKEN');
+  }
+
+  return createTokenPair(stored.principalType, principal.account, principal.role, stored.familyId);
+};
+
+// Logout: revoke the family the given refresh token belongs to
+const endSession = async (refreshToken) => {
+  const stored = await RefreshToken.findOne({ where: { tokenHash: hashToken(refreshToken) } });
+  if (!stored) {
+    return false;
+  }
+  await revokeFamily(stored.familyId);
+  return true;
+};
+
+module.exports = {
+  SessionError,
+  startSession,
+  rotateSession,
+  endSession,
+  revokeFamily,
+  revokeAllForPrincipal,
+  isFamilyRevoked,
+};
@@ -0,0 +1,51 @@
+const { Op } = require('sequelize');
+
+const MAX_SLUG_LENGTH = 200;
+
+/**
+ * URL-friendly slug: lowercase ASCII letters, digits and single hyphens
+ * @param {string} text
+ * @returns {string} - May be empty when the text has no usable characters
+ */
+const slugify = (text) => String(text || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '') // strip accents (é -> e)
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, MAX_SLUG_LENGTH)
+  .replace(/-+$/, '');
+
+/**
+ * First free slug among `base`, `base-2`, `base-3`, ...
+ * @param {string} base - Already slugified base
+ * @param {Array<{model: Model, where?: Object}>} sources - Tables whose `slug`
+ *   values count as taken, each optionally narrowed (e.g. to exclude the row being updated).
+ *   Soft-deleted rows count as taken so they can be restored.
+ * @param {Object} [options]
+ * @param {Transaction} [options.transaction]
+ * @returns {Promise<string>}
+ */
+const uniqueSlug = async (base, sources, { transaction } = {}) => {
+  const taken = new Set();
+  for (const { model, where = {} } of sources) {
+    const rows = await model.findAll({
+      where: { ...where, [Op.or]: [{ slug: base }, { slug: { [Op.like]: `${base}-%` } }] },
+      attributes: ['slug'],
+      paranoid: false,
+      transaction
+    });
+    rows.forEach(row => taken.add(row.slug));
+  }
+
+  if (!taken.has(base)) return base;
+  let n = 2;
+  while (taken.has(`${base}-${n}`)) n++;
+  return `${base}-${n}`;
+};
+
+module.exports = {
+  slugify,
+  uniqueSlug,
+};
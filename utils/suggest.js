@@ -0,0 +1,150 @@
+// Search-as-you-type suggestions. Candidates (titles, categories, tags,
+// instructors) are small, so they are cached in memory and matched in JS,
+// which also gives typo tolerance without database support.
+const { Course } = require('../models');
+const { publishedOnly } = require('./courseStatus');
+
+const CACHE_TTL_MS = 60 * 1000;
+const SUGGESTION_GROUPS = ['courses', 'categories', 'tags', 'instructors'];
+
+let cache = null;
+
+// Course changes take effect on the next request instead of after the TTL
+const invalidateSuggestionCache = () => {
+  cache = null;
+};
+Course.addHook('afterSave', 'suggestCache', invalidateSuggestionCache);
+Course.addHook('afterDestroy', 'suggestCache', invalidateSuggestionCache);
+Course.addHook('afterRestore', 'suggestCache', invalidateSuggestionCache);
+// Renaming a category or instructor updates courses in bulk
+Course.addHook('afterBulkUpdate', 'suggestCache', invalidateSuggestionCache);
+
+const normalize = (text) => String(text || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase();
+
+const splitWords = (text) => normalize(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+const parseTags = (tags) => {
+  let value = tags;
+  while (typeof value === 'string') {
+    try { value = JSON.parse(value); } catch (e) { return []; }
+  }
+  return Array.isArray(value) ? value : [];
+};
+
+const candidate = (label, extra = {}) => ({ label, words: splitWords(label), ...extra });
+
+const loadCandidates = async () => {
+  if (cache && cache.expiresAt > Date.now()) {
+    return cache.candidates;
+  }
+
+  const courses = await Course.findAll({
+    where: publishedOnly(),
+    attributes: ['title', 'slug', 'category', 'tags', 'instructor', 'students']
+  });
+
+  const unique = (values) => [...new Set(values.filter(Boolean).map(v => String(v).trim()))].map(v => candidate(v));
+  const candidates = {
+    // More popular courses win ties
+    courses: courses
+      .filter(course => course.title)
+      .sort((a, b) => (b.students || 0) - (a.students || 0))
+      .map(course => candidate(course.title, { slug: course.slug })),
+    categories: unique(courses.map(course => course.category)),
+    tags: unique(courses.flatMap(course => parseTags(course.tags))),
+    instructors: unique(courses.map(course => course.instructor))
+  };
+
+  cache = { candidates, expiresAt: Date.now() + CACHE_TTL_MS };
+  return candidates;
+};
+
+/**
+ * Edit distance, giving up (returning max + 1) once it exceeds `max`
+ */
+const levenshtein = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Typos allowed for a query word of this length
+const allowedTypos = (length) => (length >= 7 ? 2 : length >= 4 ? 1 : 0);
+
+/**
+ * How well one query word matches a candidate word (0 = no match).
+ * The last query word is still being typed, so it only has to match a prefix.
+ */
+const scoreWord = (queryWord, word, isLast) => {
+  if (word === queryWord) return 10;
+  if (isLast && word.startsWith(queryWord)) return 8;
+
+  const typos = allowedTypos(queryWord.length);
+  if (!typos) return 0;
+  const compareTo = isLast ? word.slice(0, queryWord.length) : word;
+  const distance = levenshtein(queryWord, compareTo, typos);
+  return distance <= typos ? 5 - distance : 0;
+};
+
+// Every query word must match some candidate word; matching the start scores higher
+const scoreCandidate = (queryWords, item) => {
+  let score = 0;
+  for (let i = 0; i < queryWords.length; i++) {
+    const isLast = i === queryWords.length - 1;
+    const best = Math.max(0, ...item.words.map(word => scoreWord(queryWords[i], word, isLast)));
+    if (!best) return 0;
+    score += best;
+  }
+  if (item.words[0] && scoreWord(queryWords[0], item.words[0], queryWords.length === 1) >= 8) {
+    score += 3;
+  }
+  return score;
+};
+
+/**
+ * @param {string} q - Text typed so far
+ * @param {number} limit - Maximum suggestions per group
+ * @returns {Promise<{courses: Array<{title, slug}>, categories: string[], tags: string[], instructors: string[]}>}
+ */
+const suggest = async (q, limit) => {
+  const queryWords = splitWords(q);
+  const result = { courses: [], categories: [], tags: [], instructors: [] };
+  if (!queryWords.length || queryWords.join('').length < 2) {
+    return result;
+  }
+
+  const candidates = await loadCandidates();
+  for (const group of SUGGESTION_GROUPS) {
+    const matches = candidates[group]
+      .map((item, index) => ({ item, index, score: scoreCandidate(queryWords, item) }))
+      .filter(match => match.score > 0)
+      // Stable: equal scores keep candidate order (popularity for courses)
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .slice(0, limit);
+
+    result[group] = matches.map(({ item }) => (group === 'courses' ? { title: item.label, slug: item.slug } : item.label));
+  }
+  return result;
+};
+
+module.exports = {
+  suggest,
+  invalidateSuggestionCache,
+};
@@ -0,0 +1,145 @@
+// Tag helpers shared by course create/update/restore, the tag endpoints and
+// the public catalog. Tags are free-form: typing a new name creates the tag.
+const { Op, fn, col, where } = require('sequelize');
+const { Course, CourseRevision, Tag, CourseTag } = require('../models');
+const { slugify, uniqueSlug } = require('./slug');
+const { findByName } = require('./taxonomy');
+
+const MAX_TAG_LENGTH = 50;
+
+/**
+ * Tag names from a request body value: an array or a JSON-encoded array
+ * (multipart forms send strings). Trimmed, with case-insensitive duplicates dropped.
+ * @returns {string[]|undefined} - undefined when no tags were sent
+ */
+const parseTagNames = (value) => {
+  if (value === undefined) return undefined;
+  let names = value;
+  if (typeof names === 'string') {
+    try { names = names.trim() ? JSON.parse(names) : []; } catch (e) { names = []; }
+  }
+  if (!Array.isArray(names)) return [];
+
+  const seen = new Set();
+  return names
+    .map(name => String(name ?? '').trim().slice(0, MAX_TAG_LENGTH))
+    .filter(name => {
+      const key = name.toLowerCase();
+      if (!name || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+const resolveTagSlug = (requested, name, tagId = null, { transaction } = {}) =>
+  uniqueSlug(slugify(requested) || slugify(name) || 'tag', [
+    { model: Tag, where: tagId ? { id: { [Op.ne]: tagId } } : {} }
+  ], { transaction });
+
+/**
+ * Tag records for these names, creating the missing ones. Existing tags are
+ * matched ignoring case, so the course gets the tag's spelling.
+ * @param {Object} [options]
+ * @param {Transaction} [options.transaction]
+ * @returns {Promise<Tag[]>} - In the order of `names`
+ */
+const findOrCreateTags = async (names, { transaction } = {}) => {
+  const tags = [];
+  for (const name of names) {
+    const existing = await findByName(Tag, name, null, { transaction });
+    const tag = existing
+      ? await Tag.findByPk(existing.id, { transaction })
+      : await Tag.create({ name, slug: await resolveTagSlug(null, name, null, { transaction }) }, { transaction });
+    if (!tags.some(t => t.id === tag.id)) tags.push(tag);
+  }
+  return tags;
+};
+
+/**
+ * Link a course to exactly these tags and cache their names on Course.tags
+ * (also mirrored into searchTags by the Course hook)
+ * @param {Model} course
+ * @param {Tag[]} tags - From findOrCreateTags
+ * @param {Object} [options]
+ * @param {Transaction} [options.transaction]
+ */
+const setCourseTags = async (course, tags, { transaction } = {}) => {
+  await course.setTagRecords(tags, { transaction });
+  const names = tags.map(tag => tag.name);
+  if (JSON.stringify(course.tags || []) !== JSON.stringify(names)) {
+    await course.update({ tags: names }, { transaction });
+  }
+};
+
+/**
+ * Rewrite the cached tag names of every course (trashed ones included) linked
+ * to a tag, e.g. after a rename or merge, recording a revision for each
+ * @param {number[]} courseIds
+ * @param {(names: string[]) => string[]} change
+ * @param {Object} options
+ * @param {Object} options.actor - { type, id, name } for the revisions
+ * @param {Transaction} [options.transaction]
+ */
+const updateCachedTagNames = async (courseIds, change, { actor, transaction } = {}) => {
+  if (!courseIds.length) return;
+  const courses = await Course.findAll({ where: { id: courseIds }, paranoid: false, transaction });
+  for (const course of courses) {
+    await course.update({ tags: change(course.tags || []) }, { transaction });
+    await CourseRevision.record(course, { action: 'update', actor, transaction });
+  }
+};
+
+// Names equal ignoring case, the way tags are matched everywhere
+const sameName = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+/**
+ * Ids of the courses linked to any of these tags
+ * @param {number|number[]} tagIds
+ * @param {Object} [options]
+ * @param {Transaction} [options.transaction]
+ */
+const courseIdsForTags = async (tagIds, { transaction } = {}) => {
+  const links = await CourseTag.findAll({ where: { tagId: tagIds }, attributes: ['courseId'], transaction });
+  return [...new Set(links.map(link => link.courseId))];
+};
+
+/**
+ * Tags matching any of these values by slug or name (ignoring case)
+ * @param {string[]} values
+ */
+const findTags = (values) => Tag.findAll({
+  where: {
+    [Op.or]: [
+      { slug: values.map(value => slugify(value)).filter(Boolean) },
+      where(fn('lower', col('name')), { [Op.in]: values.map(value => value.toLowerCase()) })
+    ]
+  },
+  attributes: ['id']
+});
+
+/**
+ * Number of (non-trashed) courses per tag
+ * @param {Object} [filter] - Narrows the courses counted (e.g. published only)
+ * @returns {Promise<Map<number, number>>}
+ */
+const countTagUsage = async (filter = {}) => {
+  const rows = await CourseTag.findAll({
+    attributes: ['tagId', [fn('COUNT', col('CourseTag.courseId')), 'count']],
+    include: [{ model: Course, as: 'course', attributes: [], where: filter }],
+    group: ['tagId'],
+    raw: true
+  });
+  return new Map(rows.map(row => [row.tagId, Number(row.count)]));
+};
+
+module.exports = {
+  parseTagNames,
+  resolveTagSlug,
+  findOrCreateTags,
+  setCourseTags,
+  updateCachedTagNames,
+  sameName,
+  courseIdsForTags,
+  findTags,
+  countTagUsage,
+};
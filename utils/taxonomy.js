@@ -0,0 +1,102 @@
+// Helpers shared by the category and instructor endpoints and by course
+// create/update, which link courses to those records.
+const { Op, fn, col, where } = require('sequelize');
+const { Course } = require('../models');
+
+/**
+ * Record with this name, ignoring case (names are unique that way)
+ * @param {number} [excludeId] - Skip this record (the one being renamed)
+ * @param {Object} [options]
+ * @param {Transaction} [options.transaction]
+ */
+const findByName = (model, name, excludeId = null, { transaction } = {}) => model.findOne({
+  where: {
+    [Op.and]: [
+      where(fn('lower', col('name')), String(name).trim().toLowerCase()),
+      excludeId ? { id: { [Op.ne]: excludeId } } : {}
+    ]
+  },
+  attributes: ['id', 'name'],
+  transaction
+});
+
+/**
+ * Resolve the record a course should link to from a request body.
+ * `<idField>` (e.g. categoryId) wins; otherwise `<nameField>` (e.g. category)
+ * is matched case-insensitively against existing names. Unknown names are
+ * rejected rather than created, so a typo cannot add a new category.
+ * @returns {Promise<{id?: number|null, error?: string}>} - id undefined = not given
+ */
+const resolveReference = async (model, body, { idField, nameField, label }) => {
+  if (body[idField] !== undefined) {
+    if (body[idField] === null || body[idField] === '') return { id: null };
+    const record = await model.findByPk(Number(body[idField]) || 0, { attributes: ['id'] });
+    return record ? { id: record.id } : { error: `${label} ${body[idField]} does not exist` };
+  }
+  if (body[nameField] !== undefined) {
+    const name = String(body[nameField] || '').trim();
+    if (!name) return { id: null };
+    const record = await findByName(model, name);
+    return record ? { id: record.id } : { error: `Unknown ${label.toLowerCase()} "${name}"` };
+  }
+  return {};
+};
+
+/**
+ * Number of courses per linked record
+ * @param {string} column - 'categoryId' or 'instructorId'
+ * @param {Object} [filter] - Narrows the courses counted (e.g. published only)
+ * @returns {Promise<Map<number, number>>}
+ */
+const countCourses = async (column, filter = {}) => {
+  const rows = await Course.findAll({
+    where: { ...filter, [column]: { [Op.ne]: null } },
+    attributes: [column, [fn('COUNT', col('id')), 'count']],
+    group: [column],
+    raw: true
+  });
+  return new Map(rows.map(row => [row[column], Number(row.count)]));
+};
+
+/**
+ * Nest a flat category list: roots first, children under `children`.
+ * Siblings are ordered by sortOrder, then name.
+ * @param {Array<Object>} categories - Plain objects with id and parentId
+ */
+const buildCategoryTree = (categories) => {
+  const byId = new Map(categories.map(category => [category.id, { ...category, children: [] }]));
+  const roots = [];
+  for (const category of byId.values()) {
+    const parent = category.parentId && byId.get(category.parentId);
+    (parent ? parent.children : roots).push(category);
+  }
+  const sort = (list) => {
+    list.sort((a, b) => (a.sortOrder - b.sortOrder) || a.name.localeCompare(b.name));
+    list.forEach(category => sort(category.children));
+    return list;
+  };
+  return sort(roots);
+};
+
+/**
+ * Ids of a category and all of its sub-categories
+ * @param {Array<{id, parentId}>} categories - Every category
+ * @param {number} rootId
+ */
+const descendantIds = (categories, rootId) => {
+  const ids = [rootId];
+  for (let i = 0; i < ids.length; i++) {
+    categories
+      .filter(category => category.parentId === ids[i] && !ids.includes(category.id))
+      .forEach(category => ids.push(category.id));
+  }
+  return ids;
+};
+
+module.exports = {
+  findByName,
+  resolveReference,
+  countCourses,
+  buildCategoryTree,
+  descendantIds,
+};
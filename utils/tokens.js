@@ -0,0 +1,81 @@
+const jwt = require('jsonwebtoken');
+const { JWT_SECRET, ACCESS_TOKEN_TTL, TWO_FACTOR_CHALLENGE_TTL, LEARNER_TOKEN_TTL } = require('../config/auth');
+
+// Marks a token that only proves the password step of a 2FA login
+const TWO_FACTOR_PURPOSE = '2fa';
+
+// Every access token names its audience; authenticateToken only accepts
+// ADMIN_AUDIENCE, so a learner token can never pass an admin check.
+const ADMIN_AUDIENCE = 'admin';
+const LEARNER_AUDIENCE = 'learner';
+
+// Principal types that can hold an admin-area token
+const PRINCIPAL_TYPES = {
+  ADMIN: 'admin',
+  LOCAL_ADMIN: 'localAdmin',
+};
+
+// Build the JWT payload for an Admin or localAdmin record.
+// `adminId`/`localAdminId` are kept alongside `sub` so existing handlers
+// that read req.user.adminId keep working.
+const buildPayload = (type, account, role) => {
+  if (type === PRINCIPAL_TYPES.ADMIN) {
+    return { sub: account.id, type, adminId: account.id, username: account.username, role };
+  }
+  return { sub: account.id, type, localAdminId: account.id, email: account.email, name: account.name, role };
+};
+
+// `familyId` ties the access token to its refresh-token family so that
+// revoking the family (logout, reuse detection) also rejects the access token.
+const signAccessToken = (type, account, role, familyId) => {
+  const payload = buildPayload(type, account, role);
+  if (familyId) {
+    payload.fid = familyId;
+  }
+  return jwt.sign(payload, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL, audience: ADMIN_AUDIENCE });
+};
+
+// Learner (site user) token. `ver` must match User.tokenVersion, which is
+// bumped on password change so older tokens stop working.
+const signLearnerToken = (user) =>
+  jwt.sign(
+    { sub: user.id, type: LEARNER_AUDIENCE, ver: user.tokenVersion },
+    JWT_SECRET,
+    { expiresIn: LEARNER_TOKEN_TTL, audience: LEARNER_AUDIENCE }
+  );
+
+// Normalise a decoded payload into { type, id, role, name }.
+// Tokens issued before `type` existed only carry adminId.
+const principalFromPayload = (payload) => {
+  const type = payload.type || PRINCIPAL_TYPES.ADMIN;
+  const id = payload.sub ?? (type === PRINCIPAL_TYPES.ADMIN ? payload.adminId : payload.localAdminId);
+  const name = type === PRINCIPAL_TYPES.ADMIN ? payload.username : (payload.name || payload.email);
+  return { type, id, role: payload.role, name };
+};
+
+// Short-lived token returned by login when a second factor is still needed.
+// authenticateToken rejects it, so it cannot be used as an access token.
+const signChallengeToken = (type, account) =>
+  jwt.sign({ sub: account.id, type, purpose: TWO_FACTOR_PURPOSE }, JWT_SECRET, { expiresIn: TWO_FACTOR_CHALLENGE_TTL });
+
+// Returns { type, id } or null when the token is invalid or expired
+const verifyChallengeToken = (token) => {
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    if (payload.purpose !== TWO_FACTOR_PURPOSE) return null;
+    return { type: payload.type, id: payload.sub };
+  } catch (err) {
+    return null;
+  }
+};
+
+module.exports = {
+  ADMIN_AUDIENCE,
+  LEARNER_AUDIENCE,
+  PRINCIPAL_TYPES,
+  signAccessToken,
+  signLearnerToken,
+  signChallengeToken,
+  verifyChallengeToken,
+  principalFromPayload,
+};
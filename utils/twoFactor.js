@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+const { verifyTotp } = require('./totp');
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Recovery codes are random, so a plain SHA-256 is enough to store them
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(String(code).replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+
+// Returns the plain codes (shown to the user once) and their hashes (stored)
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+const parseRecoveryHashes = (value) => {
+  if (!value) return [];
+  try { return JSON.parse(value); } catch (e) { return []; }
+};
+
+/**
+ * Verify a second factor for an Admin or localAdmin record and persist what
+ * it consumed: the TOTP step (so a code cannot be replayed) or the recovery
+ * code (single use). The record must be loaded with its secret fields.
+ * @returns {Promise<'totp'|'recovery'|null>}
+ */
+const verifySecondFactor = async (account, { code, recoveryCode }) => {
+  if (!account.totpEnabled || !account.totpSecret) {
+    return null;
+  }
+
+  if (code) {
+    const step = verifyTotp(account.totpSecret, code);
+    if (step === null || (account.totpLastUsedStep !== null && step <= account.totpLastUsedStep)) {
+      return null;
+    }
+    await account.update({ totpLastUsedStep: step });
+    return 'totp';
+  }
+
+  if (recoveryCode) {
+    const hashes = parseRecoveryHashes(account.totpRecoveryCodes);
+    const hash = hashRecoveryCode(recoveryCode);
+    if (!hashes.includes(hash)) {
+      return null;
+    }
+    await account.update({ totpRecoveryCodes: JSON.stringify(hashes.filter(h => h !== hash)) });
+    return 'recovery';
+  }
+
+  return null;
+};
+
+const remainingRecoveryCodes = (account) => parseRecoveryHashes(account.totpRecoveryCodes).length;
+
+module.exports = {
+  generateRecoveryCodes,
+  verifySecondFactor,
+  remainingRecoveryCodes,
+};
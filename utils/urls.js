@@ -0,0 +1,16 @@
+/**
+ * Whether a value is an absolute http:// or https:// URL
+ * @param {string} value
+ * @returns {boolean}
+ */
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (e) {
+    return false;
+  }
+};
+
+module.exports = {
+  isHttpUrl,
+};
@@ -0,0 +1,236 @@
+// Streaming writer for single-sheet .xlsx workbooks (Office Open XML), used
+// by the catalog export. Rows are deflated into the ZIP container as they
+// arrive, so a large sheet is never held in memory. Cells are inline
+// strings, numbers or booleans; the first row is bold.
+const zlib = require('zlib');
+const { once } = require('events');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (buffer, crc = 0) => {
+  crc = ~crc >>> 0;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return ~crc >>> 0;
+};
+
+// MS-DOS date and time of a ZIP entry
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+// General purpose flags: sizes and CRC follow the data (bit 3), UTF-8 names (bit 11)
+const ZIP_FLAGS = 0x0808;
+const DEFLATE = 8;
+
+/**
+ * Minimal streaming ZIP writer: one entry at a time, deflated, with the CRC
+ * and sizes in a data descriptor after each entry
+ */
+class ZipWriter {
+  constructor(output) {
+    this.output = output;
+    this.offset = 0;
+    this.entries = [];
+    this.stamp = dosDateTime(new Date());
+  }
+
+  async write(buffer) {
+    this.offset += buffer.length;
+    if (!this.output.write(buffer)) await once(this.output, 'drain');
+  }
+
+  async startEntry(name) {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(ZIP_FLAGS, 6);
+    header.writeUInt16LE(DEFLATE, 8);
+    header.writeUInt16LE(this.stamp.time, 10);
+    header.writeUInt16LE(this.stamp.date, 12);
+    // CRC and sizes (14-25) stay 0; they are in the data descriptor
+    header.writeUInt16LE(nameBuffer.length, 26);
+
+    const entry = { nameBuffer, headerOffset: this.offset, crc: 0, size: 0, compressedSize: 0, chunks: [] };
+    await this.write(Buffer.concat([header, nameBuffer]));
+
+    entry.deflate = zlib.createDeflateRaw();
+    entry.deflate.on('data', chunk => entry.chunks.push(chunk));
+    this.current = entry;
+  }
+
+  // Move the compressed output produced so far to the archive
+  async drainEntry() {
+    const { chunks } = this.current;
+    this.current.chunks = [];
+    for (const chunk of chunks) {
+      this.current.compressedSize += chunk.length;
+      await this.write(chunk);
+    }
+  }
+
+  async writeEntry(text) {
+    const buffer = Buffer.from(text, 'utf8');
+    const entry = this.current;
+    entry.crc = crc32(buffer, entry.crc);
+    entry.size += buffer.length;
+    await new Promise((resolve, reject) => entry.deflate.write(buffer, err => (err ? reject(err) : resolve())));
+    await this.drainEntry();
+  }
+
+  async endEntry() {
+    const entry = this.current;
+    const ended = once(entry.deflate, 'end');
+    entry.deflate.end();
+    await ended;
+    await this.drainEntry();
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(entry.crc, 4);
+    descriptor.writeUInt32LE(entry.compressedSize, 8);
+    descriptor.writeUInt32LE(entry.size, 12);
+    await this.write(descriptor);
+
+    this.entries.push(entry);
+    this.current = null;
+  }
+
+  async addEntry(name, text) {
+    await this.startEntry(name);
+    await this.writeEntry(text);
+    await this.endEntry();
+  }
+
+  // Central directory and end record
+  async finish() {
+    const start = this.offset;
+    for (const entry of this.entries) {
+      const record = Buffer.alloc(46);
+      record.writeUInt32LE(0x02014b50, 0);
+      record.writeUInt16LE(20, 4);
+      record.writeUInt16LE(20, 6);
+      record.writeUInt16LE(ZIP_FLAGS, 8);
+      record.writeUInt16LE(DEFLATE, 10);
+      record.writeUInt16LE(this.stamp.time, 12);
+      record.writeUInt16LE(this.stamp.date, 14);
+      record.writeUInt32LE(entry.crc, 16);
+      record.writeUInt32LE(entry.compressedSize, 20);
+      record.writeUInt32LE(entry.size, 24);
+      record.writeUInt16LE(entry.nameBuffer.length, 28);
+      record.writeUInt32LE(entry.headerOffset, 42);
+      await this.write(Buffer.concat([record, entry.nameBuffer]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(this.offset - start, 12);
+    end.writeUInt32LE(start, 16);
+    await this.write(end);
+  }
+}
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+// Excel refuses longer cell text
+const MAX_CELL_LENGTH = 32767;
+
+const escapeXml = (text) => String(text)
+  // Control characters are not allowed in XML 1.0
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// 0 -> A, 25 -> Z, 26 -> AA
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+const cellXml = (value, ref, style) => {
+  const s = style ? ` s="${style}"` : '';
+  if (value === null || value === undefined || value === '') return '';
+  if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"${s}><v>${value}</v></c>`;
+  if (typeof value === 'boolean') return `<c r="${ref}"${s} t="b"><v>${value ? 1 : 0}</v></c>`;
+  const text = escapeXml(String(value).slice(0, MAX_CELL_LENGTH));
+  return `<c r="${ref}"${s} t="inlineStr"><is><t xml:space="preserve">${text}</t></is></c>`;
+};
+
+const STATIC_PARTS = (sheetName) => ({
+  '[Content_Types].xml': `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="xml" ContentType="application/xml"/>'
+    + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+    + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+    + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+    + '</Types>',
+  '_rels/.rels': `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+    + `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/>`
+    + '</Relationships>',
+  'xl/workbook.xml': `${XML_HEADER}<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}">`
+    + `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>`
+    + '</workbook>',
+  'xl/_rels/workbook.xml.rels': `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+    + `<Relationship Id="rId1" Type="${REL_NS}/worksheet" Target="worksheets/sheet1.xml"/>`
+    + `<Relationship Id="rId2" Type="${REL_NS}/styles" Target="styles.xml"/>`
+    + '</Relationships>',
+  // Style 0 is the default, style 1 bold (header row)
+  'xl/styles.xml': `${XML_HEADER}<styleSheet xmlns="${MAIN_NS}">`
+    + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+    + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+    + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+    + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+    + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+    + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+    + '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>'
+    + '</styleSheet>',
+});
+
+/**
+ * Write a workbook with one sheet to a writable stream (e.g. an Express response)
+ * @param {Writable} output - Not ended, so the caller can finish the response
+ * @param {AsyncIterable<Array>} rows - Header row first; each row is an array of cell values
+ * @param {Object} [options]
+ * @param {string} [options.sheetName]
+ */
+const writeXlsx = async (output, rows, { sheetName = 'Sheet1' } = {}) => {
+  const zip = new ZipWriter(output);
+  for (const [name, xml] of Object.entries(STATIC_PARTS(sheetName.slice(0, 31)))) {
+    await zip.addEntry(name, xml);
+  }
+
+  await zip.startEntry('xl/worksheets/sheet1.xml');
+  await zip.writeEntry(`${XML_HEADER}<worksheet xmlns="${MAIN_NS}"><sheetData>`);
+  let rowNumber = 0;
+  // Rows are handed to the compressor in blocks of about 64 KB
+  let pending = '';
+  for await (const row of rows) {
+    rowNumber++;
+    const cells = row.map((value, i) => cellXml(value, `${columnName(i)}${rowNumber}`, rowNumber === 1 ? 1 : 0)).join('');
+    pending += `<row r="${rowNumber}">${cells}</row>`;
+    if (pending.length > 65536) {
+      await zip.writeEntry(pending);
+      pending = '';
+    }
+  }
+  await zip.writeEntry(`${pending}</sheetData></worksheet>`);
+  await zip.endEntry();
+  await zip.finish();
+};
+
+module.exports = {
+  writeXlsx,
+};